@@ -0,0 +1,457 @@
+define(["Tone/core/Tone", "Tone/signal/Normalize", "Tone/signal/WaveShaper", "Tone/core/Gain", "Tone/type/Type"],
+function(Tone){
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.ModMatrix routes modulation sources such as a Tone.LFO, a
+	 *          Tone.Envelope, a Tone.FrequencyEnvelope, a Tone.Follower or a Tone.Signal
+	 *          to parameters with a depth. The sources and the destinations
+	 *          are registered by name, and each route from a source to a destination
+	 *          has a depth, a polarity and a curve. The output of the source is normalized between
+	 *          its min and max (0 and 1 if it doesn't have a min and max).
+	 *          A "unipolar" route adds between 0 and the depth to the destination,
+	 *          and a "bipolar" route adds between -depth and +depth.
+	 *          <br><br>
+	 *          The depth is in the units of the destination: cents for frequencies, decibels for
+	 *          decibels and the value of the destination otherwise.
+	 *          The cents and decibels are relative to the value of the destination when the
+	 *          route is set. After the value of the destination changes, call refresh to
+	 *          measure the depth from the new value. To follow the pitch of a synth, route to a detune
+	 *          parameter in cents instead of the frequency.
+	 *          <br><br>
+	 *          The routes are stored in the "routes" attribute so that
+	 *          they can be saved and recalled with get and set.
+	 *
+	 *  @constructor
+	 *  @extends {Tone}
+	 *  @example
+	 * var matrix = new Tone.ModMatrix();
+	 * matrix.addSource("lfo", new Tone.LFO(4).start());
+	 * matrix.addSource("env", new Tone.Envelope());
+	 * matrix.addDestination("cutoff", filter.frequency);
+	 * matrix.addDestination("detune", synth.detune);
+	 * //an octave of vibrato around the cutoff
+	 * matrix.route("lfo", "cutoff", {
+	 * 	"depth" : 1200,
+	 * 	"polarity" : "bipolar"
+	 * });
+	 * matrix.route("env", "detune", 100);
+	 * //save the routes in a preset
+	 * var preset = matrix.get();
+	 */
+	Tone.ModMatrix = function(){
+
+		/**
+		 *  The sources by name
+		 *  @type  {Object}
+		 *  @private
+		 */
+		this._sources = {};
+
+		/**
+		 *  The destinations by name
+		 *  @type  {Object}
+		 *  @private
+		 */
+		this._destinations = {};
+
+		/**
+		 *  The routes by the name of the route
+		 *  @type  {Object}
+		 *  @private
+		 */
+		this._routes = {};
+	};
+
+	Tone.extend(Tone.ModMatrix);
+
+	/**
+	 *  The defaults. The routes can only be set after
+	 *  their sources and destinations are added.
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.ModMatrix.defaults = {
+		"routes" : {}
+	};
+
+	/**
+	 *  The defaults of each route
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.ModMatrix.routeDefaults = {
+		"depth" : 1,
+		"polarity" : "unipolar",
+		"curve" : "linear"
+	};
+
+	/**
+	 *  The curves which shape the modulation. Each curve maps
+	 *  the amount of modulation between 0 and 1 to a value between 0 and 1.
+	 *  Bipolar modulation is shaped symmetrically around 0.
+	 *  @type  {Object}
+	 *  @static
+	 */
+	Tone.ModMatrix.curves = {
+		"linear" : function(amount){
+			return amount;
+		},
+		"exponential" : function(amount){
+			return amount * amount;
+		},
+		"logarithmic" : function(amount){
+			return Math.sqrt(amount);
+		}
+	};
+
+	/**
+	 *  The separator between the source and the destination in the name of a route
+	 *  @type  {String}
+	 *  @private
+	 */
+	var routeSeparator = "->";
+
+	/**
+	 *  The length of the curve of each route. It's odd so
+	 *  that there is a point of the curve at 0.
+	 *  @type  {Number}
+	 *  @private
+	 */
+	var curveLength = 4097;
+
+	/**
+	 *  Register a source of modulation.
+	 *  @param  {String}  name  The name of the source.
+	 *  @param  {Tone}  source  The node which produces the modulation.
+	 *  @param  {Number=}  min  The minimum output value of the source. Defaults to the min of the source or 0.
+	 *  @param  {Number=}  max  The maximum output value of the source. Defaults to the max of the source or 1.
+	 *  @return  {Tone.ModMatrix}  this
+	 *  @example
+	 * matrix.addSource("pitchEnv", new Tone.FrequencyEnvelope());
+	 * matrix.addSource("velocity", new Tone.Signal(0.5), 0, 1);
+	 */
+	Tone.ModMatrix.prototype.addSource = function(name, source, min, max){
+		this._checkName(name);
+		this.removeSource(name);
+		var range = this._getRange(source);
+		var normalize = new Tone.Normalize(this.defaultArg(min, range[0]), this.defaultArg(max, range[1]));
+		source.connect(normalize);
+		this._sources[name] = {
+			"source" : source,
+			"normalize" : normalize
+		};
+		return this;
+	};
+
+	/**
+	 *  Get the range of the output of the source
+	 *  @param  {Tone}  source
+	 *  @return  {Array}  The min and the max
+	 *  @private
+	 */
+	Tone.ModMatrix.prototype._getRange = function(source){
+		if (this.isNumber(source.min) && this.isNumber(source.max)){
+			return [source.min, source.max];
+		} else if (this.isNumber(source.baseFrequency) && this.isNumber(source.octaves)){
+			//Tone.FrequencyEnvelope
+			return [source.baseFrequency, source.baseFrequency * Math.pow(2, source.octaves)];
+		} else {
+			return [0, 1];
+		}
+	};
+
+	/**
+	 *  Remove the source and all of its routes.
+	 *  @param  {String}  name  The name of the source.
+	 *  @return  {Tone.ModMatrix}  this
+	 */
+	Tone.ModMatrix.prototype.removeSource = function(name){
+		if (this._sources.hasOwnProperty(name)){
+			this._forEachRoute(function(route, routeName){
+				if (route.source === name){
+					this._removeRoute(routeName);
+				}
+			});
+			this._sources[name].normalize.dispose();
+			delete this._sources[name];
+		}
+		return this;
+	};
+
+	/**
+	 *  Register a destination of modulation.
+	 *  @param  {String}  name  The name of the destination.
+	 *  @param  {Tone.Param|AudioParam}  param  The parameter which is modulated.
+	 *  @param  {Tone.Type=}  units  The units of the depth of the routes to the destination.
+	 *                               Defaults to the units of the param. If the units are
+	 *                               Tone.Type.Frequency, the depth is in cents and if they
+	 *                               are Tone.Type.Decibels, the depth is in decibels.
+	 *  @return  {Tone.ModMatrix}  this
+	 *  @example
+	 * matrix.addDestination("cutoff", filter.frequency);
+	 * //modulate the gain in decibels
+	 * matrix.addDestination("level", gain.gain, Tone.Type.Decibels);
+	 */
+	Tone.ModMatrix.prototype.addDestination = function(name, param, units){
+		this._checkName(name);
+		this.removeDestination(name);
+		this._destinations[name] = {
+			"param" : param,
+			"units" : this.defaultArg(units, param.units)
+		};
+		return this;
+	};
+
+	/**
+	 *  Remove the destination and all of its routes.
+	 *  @param  {String}  name  The name of the destination.
+	 *  @return  {Tone.ModMatrix}  this
+	 */
+	Tone.ModMatrix.prototype.removeDestination = function(name){
+		if (this._destinations.hasOwnProperty(name)){
+			this._forEachRoute(function(route, routeName){
+				if (route.destination === name){
+					this._removeRoute(routeName);
+				}
+			});
+			delete this._destinations[name];
+		}
+		return this;
+	};
+
+	/**
+	 *  Route the source to the destination or update the existing route.
+	 *  @param  {String}  source  The name of the source.
+	 *  @param  {String}  destination  The name of the destination.
+	 *  @param  {Number|Object=}  depth  The depth of the route, or an object
+	 *                                   with the "depth", "polarity" ("unipolar" or "bipolar")
+	 *                                   and "curve" of the route. The curve is one of
+	 *                                   Tone.ModMatrix.curves or a function.
+	 *  @return  {Tone.ModMatrix}  this
+	 *  @example
+	 * matrix.route("lfo", "cutoff", {
+	 * 	"depth" : 2400,
+	 * 	"polarity" : "bipolar",
+	 * 	"curve" : "exponential"
+	 * });
+	 */
+	Tone.ModMatrix.prototype.route = function(source, destination, depth){
+		if (!this._sources.hasOwnProperty(source)){
+			throw new Error("Tone.ModMatrix: no source named " + source);
+		}
+		if (!this._destinations.hasOwnProperty(destination)){
+			throw new Error("Tone.ModMatrix: no destination named " + destination);
+		}
+		var settings = this.isObject(depth) ? depth : {"depth" : depth};
+		var name = source + routeSeparator + destination;
+		var route = this._routes[name] || Tone.ModMatrix.routeDefaults;
+		depth = this.defaultArg(settings.depth, route.depth);
+		var polarity = this.defaultArg(settings.polarity, route.polarity);
+		var curve = this.defaultArg(settings.curve, route.curve);
+		if (polarity !== "unipolar" && polarity !== "bipolar"){
+			throw new Error("Tone.ModMatrix: invalid polarity " + polarity);
+		}
+		this._getCurve(curve);
+		if (!this._routes.hasOwnProperty(name)){
+			route = this._routes[name] = {
+				"source" : source,
+				"destination" : destination,
+				"shaper" : new Tone.WaveShaper(curveLength),
+				"output" : new Tone.Gain()
+			};
+			//connecting through a gain adds the modulation to the value of the destination
+			this._sources[source].normalize.chain(route.shaper, route.output);
+			route.output.connect(this._destinations[destination].param);
+		}
+		route.depth = depth;
+		route.polarity = polarity;
+		route.curve = curve;
+		this._setRouteCurve(route);
+		return this;
+	};
+
+	/**
+	 *  Remove the route from the source to the destination.
+	 *  @param  {String}  source  The name of the source.
+	 *  @param  {String}  destination  The name of the destination.
+	 *  @return  {Tone.ModMatrix}  this
+	 */
+	Tone.ModMatrix.prototype.unroute = function(source, destination){
+		this._removeRoute(source + routeSeparator + destination);
+		return this;
+	};
+
+	/**
+	 *  Recompute the modulation of the routes to the destination from its current value. 
+	 *  The depth of the routes in cents and decibels is relative to the value of the 
+	 *  destination, so refresh the routes after the value of the destination changes.
+	 *  @param  {String=}  destination  The name of the destination. Refreshes all of
+	 *                                  the routes if no destination is given.
+	 *  @return  {Tone.ModMatrix}  this
+	 *  @example
+	 * filter.frequency.value = 2000;
+	 * matrix.refresh("cutoff");
+	 */
+	Tone.ModMatrix.prototype.refresh = function(destination){
+		if (!this.isUndef(destination) && !this._destinations.hasOwnProperty(destination)){
+			throw new Error("Tone.ModMatrix: no destination named " + destination);
+		}
+		this._forEachRoute(function(route){
+			if (this.isUndef(destination) || route.destination === destination){
+				this._setRouteCurve(route);
+			}
+		});
+		return this;
+	};
+
+	/**
+	 *  Invoke the callback with each route and its name
+	 *  @param  {Function}  callback
+	 *  @private
+	 */
+	Tone.ModMatrix.prototype._forEachRoute = function(callback){
+		var names = Object.keys(this._routes);
+		for (var i = 0; i < names.length; i++){
+			callback.call(this, this._routes[names[i]], names[i]);
+		}
+	};
+
+	/**
+	 *  Disconnect and remove the route
+	 *  @param  {String}  name  The name of the route
+	 *  @private
+	 */
+	Tone.ModMatrix.prototype._removeRoute = function(name){
+		if (this._routes.hasOwnProperty(name)){
+			var route = this._routes[name];
+			route.shaper.dispose();
+			route.output.dispose();
+			delete this._routes[name];
+		}
+	};
+
+	/**
+	 *  Throw an error if the name can't be used in the name of a route
+	 *  @param  {String}  name
+	 *  @private
+	 */
+	Tone.ModMatrix.prototype._checkName = function(name){
+		if (!this.isString(name) || name.indexOf(routeSeparator) !== -1 || name.indexOf(".") !== -1){
+			throw new Error("Tone.ModMatrix: invalid name " + name);
+		}
+	};
+
+	/**
+	 *  Get the function of the curve
+	 *  @param  {String|Function}  curve  The name of one of Tone.ModMatrix.curves or a function
+	 *  @return  {Function}
+	 *  @private
+	 */
+	Tone.ModMatrix.prototype._getCurve = function(curve){
+		if (this.isFunction(curve)){
+			return curve;
+		} else if (Tone.ModMatrix.curves.hasOwnProperty(curve)){
+			return Tone.ModMatrix.curves[curve];
+		} else {
+			throw new Error("Tone.ModMatrix: invalid curve " + curve);
+		}
+	};
+
+	/**
+	 *  Map the normalized output of the source to the
+	 *  modulation of the destination in the wave shaper of the route
+	 *  @param  {Object}  route
+	 *  @private
+	 */
+	Tone.ModMatrix.prototype._setRouteCurve = function(route){
+		var curve = this._getCurve(route.curve);
+		var bipolar = route.polarity === "bipolar";
+		var depth = route.depth;
+		var destination = this._destinations[route.destination];
+		var param = destination.param;
+		//the value of the destination which the modulation is relative to
+		var value = param instanceof AudioParam ? param.value : param._param.value;
+		var units = destination.units;
+		route.shaper.setMap(function(val){
+			//the wave shaper's input is the normalized output of the source between 0 and 1
+			var amount = Math.min(Math.max(val, 0), 1);
+			if (bipolar){
+				amount = amount * 2 - 1;
+			}
+			var shaped = amount < 0 ? -curve(-amount) : curve(amount);
+			var modulation = shaped * depth;
+			if (units === Tone.Type.Frequency){
+				return value * (Math.pow(2, modulation / 1200) - 1);
+			} else if (units === Tone.Type.Decibels){
+				return value * (Tone.prototype.dbToGain(modulation) - 1);
+			} else {
+				return modulation;
+			}
+		});
+	};
+
+	/**
+	 * The routes of the matrix as an object which maps the names of the routes
+	 * ("source->destination") to their "depth", "polarity" and "curve". Setting the routes
+	 * removes the routes which are not in the object. The sources and destinations of the routes
+	 * need to be added before the routes are set.
+	 * @memberOf Tone.ModMatrix#
+	 * @type {Object}
+	 * @name routes
+	 * @example
+	 * matrix.routes = {
+	 * 	"lfo->cutoff" : {
+	 * 		"depth" : 1200,
+	 * 		"polarity" : "bipolar"
+	 * 	},
+	 * 	"env->detune" : {
+	 * 		"depth" : 100
+	 * 	}
+	 * };
+	 */
+	Object.defineProperty(Tone.ModMatrix.prototype, "routes", {
+		get : function(){
+			var routes = {};
+			this._forEachRoute(function(route, name){
+				routes[name] = {
+					"depth" : route.depth,
+					"polarity" : route.polarity,
+					"curve" : route.curve
+				};
+			});
+			return routes;
+		},
+		set : function(routes){
+			this._forEachRoute(function(route, name){
+				if (!routes.hasOwnProperty(name)){
+					this._removeRoute(name);
+				}
+			});
+			for (var name in routes){
+				var endpoints = name.split(routeSeparator);
+				if (endpoints.length !== 2){
+					throw new Error("Tone.ModMatrix: invalid route " + name);
+				}
+				var settings = this.defaultArg(routes[name], {});
+				this.route(endpoints[0], endpoints[1], this.isObject(settings) ? settings : {"depth" : settings});
+			}
+		}
+	});
+
+	/**
+	 *  Clean up. The sources and destinations are not disposed.
+	 *  @returns {Tone.ModMatrix} this
+	 */
+	Tone.ModMatrix.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		Object.keys(this._sources).forEach(this.removeSource.bind(this));
+		this._sources = null;
+		this._destinations = null;
+		this._routes = null;
+		return this;
+	};
+
+	return Tone.ModMatrix;
+});
@@ -0,0 +1,288 @@
+define(["Tone/core/Tone", "Tone/core/Transport", "Tone/core/Buffer"], function(Tone){
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.Recorder captures its input into Tone.Buffers. Each
+	 *          recording ("take") is started and stopped at sample-accurate times.
+	 *          When it is synced to the Transport, it records only between the
+	 *          Transport's punchIn and punchOut positions, and each take
+	 *          holds the position in ticks of its first sample. When the Transport
+	 *          loops within the punch region, every pass is a new take.
+	 *
+	 *  @constructor
+	 *  @extends {Tone}
+	 *  @param {Number} [channels=1] The number of channels to record.
+	 *  @example
+	 * var mic = new Tone.UserMedia();
+	 * var recorder = new Tone.Recorder().sync();
+	 * mic.connect(recorder);
+	 * Tone.Transport.setPunchPoints("1m", "3m");
+	 * Tone.Transport.punch = true;
+	 * recorder.ontake = function(take){
+	 * 	//play the take back at the position it was recorded
+	 * 	new Tone.Player(take.buffer).toMaster().sync().start(Tone.TransportTime(take.ticks, "i"));
+	 * };
+	 * mic.open().then(function(){
+	 * 	Tone.Transport.start();
+	 * });
+	 */
+	Tone.Recorder = function(){
+
+		var options = this.optionsObject(arguments, ["channels"], Tone.Recorder.defaults);
+
+		/**
+		 *  The number of channels which are recorded
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._channels = options.channels;
+
+		/**
+		 *  The node which captures the audio
+		 *  @type  {ScriptProcessorNode}
+		 *  @private
+		 */
+		this.input = this._processor = this.context.createScriptProcessor(options.bufferSize, this._channels, this._channels);
+		this._processor.onaudioprocess = this._onprocess.bind(this);
+		//the processor only runs while it is connected to the destination
+		this._processor.noGC();
+
+		/**
+		 *  The takes which are started and not yet
+		 *  completely captured.
+		 *  @type  {Array}
+		 *  @private
+		 */
+		this._pending = [];
+
+		/**
+		 *  The completed takes. Each take is an object with the
+		 *  recorded audio ("buffer"), the time it was started ("time")
+		 *  and the Transport position of the first sample ("ticks")
+		 *  when it was recorded in the Transport's punch region.
+		 *  @type  {Array}
+		 */
+		this.takes = [];
+
+		/**
+		 *  Invoked with each take when it is completed.
+		 *  @type  {Function}
+		 */
+		this.ontake = options.ontake;
+
+		/**
+		 *  If the recorder follows the Transport's punch region
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._synced = false;
+
+		/**
+		 *  The Transport the recorder is synced to
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = null;
+
+		/**
+		 *  The Transport event callbacks
+		 *  @type  {Function}
+		 *  @private
+		 */
+		this._onPunchIn = this._onPunchIn.bind(this);
+		this._onPunchOut = this._onPunchOut.bind(this);
+	};
+
+	Tone.extend(Tone.Recorder);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.Recorder.defaults = {
+		"channels" : 1,
+		"bufferSize" : 4096,
+		"ontake" : Tone.noOp
+	};
+
+	/**
+	 *  Start recording a new take at the given time.
+	 *  @param  {Time}  [time=now]  When to start recording
+	 *  @return  {Tone.Recorder}  this
+	 */
+	Tone.Recorder.prototype.start = function(time){
+		this._start(this.toSeconds(time));
+		return this;
+	};
+
+	/**
+	 *  Stop recording the current take at the given time.
+	 *  @param  {Time}  [time=now]  When to stop recording
+	 *  @return  {Tone.Recorder}  this
+	 */
+	Tone.Recorder.prototype.stop = function(time){
+		time = this.toSeconds(time);
+		var sample = Math.round(time * this.context.sampleRate);
+		for (var i = 0; i < this._pending.length; i++){
+			var take = this._pending[i];
+			if (take.end === Infinity){
+				take.end = Math.max(sample, take.start);
+			}
+		}
+		return this;
+	};
+
+	/**
+	 *  Record only within the Transport's punch region.
+	 *  @param {Tone.Transport} [transport=Tone.Transport] The Transport to sync to.
+	 *  @return  {Tone.Recorder}  this
+	 *  @example
+	 * recorder.sync();
+	 * Tone.Transport.setPunchPoints("4m", "8m");
+	 * Tone.Transport.punch = true;
+	 */
+	Tone.Recorder.prototype.sync = function(transport){
+		if (!this._synced){
+			this._synced = true;
+			this._transport = this.defaultArg(transport, this.context.Transport);
+			this._transport.on("punchIn", this._onPunchIn);
+			this._transport.on("punchOut", this._onPunchOut);
+		}
+		return this;
+	};
+
+	/**
+	 *  Stop following the Transport's punch region.
+	 *  @return  {Tone.Recorder}  this
+	 */
+	Tone.Recorder.prototype.unsync = function(){
+		if (this._synced){
+			this._synced = false;
+			this._transport.off("punchIn", this._onPunchIn);
+			this._transport.off("punchOut", this._onPunchOut);
+			this._transport = null;
+		}
+		return this;
+	};
+
+	/**
+	 *  Invoked when the Transport punches in
+	 *  @param  {Number}  time
+	 *  @param  {Ticks}  ticks  The position of the punch in
+	 *  @private
+	 */
+	Tone.Recorder.prototype._onPunchIn = function(time, ticks){
+		this._start(time, ticks);
+	};
+
+	/**
+	 *  Invoked when the Transport punches out
+	 *  @param  {Number}  time
+	 *  @private
+	 */
+	Tone.Recorder.prototype._onPunchOut = function(time){
+		this.stop(time);
+	};
+
+	/**
+	 *  Start a take. Starting a take ends the previous take.
+	 *  @param  {Seconds}  time
+	 *  @param  {Ticks}  [ticks]  The Transport position of the start of the take
+	 *  @private
+	 */
+	Tone.Recorder.prototype._start = function(time, ticks){
+		this.stop(time);
+		var start = Math.round(time * this.context.sampleRate);
+		var channels = [];
+		for (var i = 0; i < this._channels; i++){
+			channels[i] = [];
+		}
+		this._pending.push({
+			"time" : time,
+			"ticks" : ticks,
+			"start" : start,
+			"end" : Infinity,
+			"channels" : channels
+		});
+	};
+
+	/**
+	 *  Copy the samples of each pending take out of the
+	 *  input and complete the takes which have ended.
+	 *  @param  {AudioProcessingEvent}  e
+	 *  @private
+	 */
+	Tone.Recorder.prototype._onprocess = function(e){
+		var input = e.inputBuffer;
+		//the input is captured one buffer before it is played
+		var blockStart = Math.round(e.playbackTime * input.sampleRate) - input.length;
+		var blockEnd = blockStart + input.length;
+		var pending = this._pending;
+		this._pending = [];
+		pending.forEach(function(take){
+			var from = Math.max(take.start, blockStart);
+			var to = Math.min(take.end, blockEnd);
+			if (from < to){
+				for (var channel = 0; channel < this._channels; channel++){
+					var data = input.getChannelData(Math.min(channel, input.numberOfChannels - 1));
+					take.channels[channel].push({
+						"offset" : from - take.start,
+						"data" : new Float32Array(data.subarray(from - blockStart, to - blockStart))
+					});
+				}
+			}
+			if (take.end <= blockEnd){
+				this._completeTake(take);
+			} else {
+				this._pending.push(take);
+			}
+		}.bind(this));
+	};
+
+	/**
+	 *  Join the captured samples of the take into a buffer.
+	 *  Samples which were not captured are silent.
+	 *  @param  {Object}  take
+	 *  @private
+	 */
+	Tone.Recorder.prototype._completeTake = function(take){
+		var length = take.end - take.start;
+		if (length === 0){
+			return;
+		}
+		var audioBuffer = this.context.createBuffer(this._channels, length, this.context.sampleRate);
+		take.channels.forEach(function(chunks, channel){
+			var channelData = audioBuffer.getChannelData(channel);
+			chunks.forEach(function(chunk){
+				channelData.set(chunk.data, chunk.offset);
+			});
+		});
+		var completed = {
+			"buffer" : new Tone.Buffer(audioBuffer),
+			"time" : take.time,
+			"ticks" : take.ticks
+		};
+		this.takes.push(completed);
+		this.ontake(completed);
+	};
+
+	/**
+	 *  Clean up. The buffers of the takes are not disposed.
+	 *  @return  {Tone.Recorder}  this
+	 */
+	Tone.Recorder.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this.unsync();
+		this._processor.onaudioprocess = null;
+		this._processor = null;
+		this._onPunchIn = null;
+		this._onPunchOut = null;
+		this._pending = null;
+		this.takes = null;
+		return this;
+	};
+
+	return Tone.Recorder;
+});
@@ -0,0 +1,188 @@
+define(["Tone/core/Tone", "Tone/component/Analyser", "Tone/core/Emitter", "Tone/core/Draw"], function(Tone){
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.SignalTap reads the value of the signal connected to it
+	 *          on the main thread, for example to animate a knob with the
+	 *          output of an LFO or an Envelope. The value can be read at any time,
+	 *          or a "value" event is emitted with the value on the animation
+	 *          frames of Tone.Draw while there are listeners. The input is passed through
+	 *          to the output, so the tap can be placed between two nodes.
+	 *
+	 *  @constructor
+	 *  @extends {Tone.Emitter}
+	 *  @param {Time} [interval=0] The minimum time between "value" events.
+	 *                             If it's 0, the event is emitted on every animation frame.
+	 *  @example
+	 * var lfo = new Tone.LFO(0.5, 200, 2000).start();
+	 * var tap = new Tone.SignalTap();
+	 * lfo.connect(tap);
+	 * tap.on("value", function(value){
+	 * 	knob.style.transform = "rotate(" + (value / 2000) * 270 + "deg)";
+	 * });
+	 */
+	Tone.SignalTap = function(){
+
+		Tone.Emitter.call(this);
+
+		var options = this.optionsObject(arguments, ["interval"], Tone.SignalTap.defaults);
+
+		/**
+		 *  The analyser which reads the signal
+		 *  @type  {Tone.Analyser}
+		 *  @private
+		 */
+		this.input = this.output = this._analyser = new Tone.Analyser({
+			"type" : "waveform",
+			"size" : options.size,
+			"returnType" : "float"
+		});
+
+		/**
+		 *  The minimum time between "value" events.
+		 *  If it's 0, the event is emitted on every animation frame.
+		 *  @type  {Time}
+		 */
+		this.interval = options.interval;
+
+		/**
+		 *  The time of the last "value" event
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._lastEmit = -Infinity;
+
+		/**
+		 *  If the tap is invoked on the animation frames
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._polling = false;
+
+		/**
+		 *  The animation frame callback
+		 *  @type  {Function}
+		 *  @private
+		 */
+		this._onFrame = this._onFrame.bind(this);
+	};
+
+	Tone.extend(Tone.SignalTap, Tone.Emitter);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.SignalTap.defaults = {
+		"interval" : 0,
+		"size" : 32
+	};
+
+	/**
+	 *  The current value of the signal. The value lags the
+	 *  signal by the latency of the AudioContext.
+	 *  @memberOf Tone.SignalTap#
+	 *  @type {Number}
+	 *  @name value
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.SignalTap.prototype, "value", {
+		get : function(){
+			var signal = this._analyser.analyse();
+			//the last sample is the most recent
+			return signal[signal.length - 1];
+		}
+	});
+
+	/**
+	 *  Bind a callback to an event. Listening to the "value" event starts
+	 *  reading the signal on the animation frames of Tone.Draw.
+	 *  @param  {String}    event
+	 *  @param  {Function}  callback
+	 *  @return  {Tone.SignalTap}    this
+	 */
+	Tone.SignalTap.prototype.on = function(event, callback){
+		Tone.Emitter.prototype.on.call(this, event, callback);
+		this._updatePolling();
+		return this;
+	};
+
+	/**
+	 *  Remove the event listener. When there are no "value"
+	 *  listeners left, the signal is no longer read on the animation frames.
+	 *  @param  {String}    event
+	 *  @param  {Function=}  callback
+	 *  @return  {Tone.SignalTap}    this
+	 */
+	Tone.SignalTap.prototype.off = function(event, callback){
+		Tone.Emitter.prototype.off.call(this, event, callback);
+		this._updatePolling();
+		return this;
+	};
+
+	/**
+	 *  Add or remove the animation frame callback if
+	 *  the "value" event has listeners
+	 *  @private
+	 */
+	Tone.SignalTap.prototype._updatePolling = function(){
+		var polling = this._events.hasOwnProperty("value") && this._events.value.length > 0;
+		if (polling && !this._polling){
+			Tone.Draw.addFrameCallback(this._onFrame);
+		} else if (!polling && this._polling){
+			Tone.Draw.removeFrameCallback(this._onFrame);
+			this._lastEmit = -Infinity;
+		}
+		this._polling = polling;
+	};
+
+	/**
+	 *  Invoked on every animation frame while there are "value" listeners
+	 *  @param  {Number}  now  The AudioContext time
+	 *  @private
+	 */
+	Tone.SignalTap.prototype._onFrame = function(now){
+		if (now - this._lastEmit >= this.toSeconds(this.interval)){
+			this._lastEmit = now;
+			this.emit("value", this.value);
+		}
+	};
+
+	/**
+	 *  Clean up.
+	 *  @returns {Tone.SignalTap} this
+	 */
+	Tone.SignalTap.prototype.dispose = function(){
+		Tone.Draw.removeFrameCallback(this._onFrame);
+		Tone.Emitter.prototype.dispose.call(this);
+		this._analyser.dispose();
+		this._analyser = null;
+		this._onFrame = null;
+		return this;
+	};
+
+	/**
+	 *  Read the current value of the output of the node on the main thread.
+	 *  The first call connects the output to a Tone.SignalTap, so
+	 *  it returns 0 until the tap has received the signal. The tap
+	 *  is disposed along with the node.
+	 *  @return  {Number}  The current value of the output
+	 *  @memberOf Tone#
+	 *  @example
+	 * var lfo = new Tone.LFO(2, 0, 1).start();
+	 * lfo.getLiveValue();
+	 * //later, in an animation frame
+	 * knob.value = lfo.getLiveValue();
+	 */
+	Tone.prototype.getLiveValue = function(){
+		if (!this._signalTap){
+			this._signalTap = new Tone.SignalTap();
+			this.connect(this._signalTap);
+		}
+		return this._signalTap.value;
+	};
+
+	return Tone.SignalTap;
+});
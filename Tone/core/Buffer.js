@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/core/Emitter", "Tone/type/Type"], function(Tone){
+define(["Tone/core/Tone", "Tone/core/Emitter", "Tone/type/Type", "Tone/core/Context"], function(Tone){
 
 	"use strict";
 
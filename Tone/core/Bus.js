@@ -8,14 +8,20 @@ define(["Tone/core/Tone", "Tone/core/Gain"], function(Tone){
 	 *  augments Tone.prototype to include send and recieve
 	 */
 
-	 /**
-	  *  All of the routes
-	  *  
-	  *  @type {Object}
-	  *  @static
-	  *  @private
-	  */
-	var Buses = {};
+	/**
+	 *  Get the named bus from the context's routes, 
+	 *  creating it if it doesn't exist yet.
+	 *  @param  {Tone.Context}  context
+	 *  @param  {String}  channelName
+	 *  @return  {GainNode}
+	 *  @private
+	 */
+	function getBus(context, channelName){
+		if (!context._buses.hasOwnProperty(channelName)){
+			context._buses[channelName] = context.createGain();
+		}
+		return context._buses[channelName];
+	}
 
 	/**
 	 *  Send this signal to the channel name. 
@@ -27,12 +33,9 @@ define(["Tone/core/Tone", "Tone/core/Gain"], function(Tone){
 	 * source.send("reverb", -12);
 	 */
 	Tone.prototype.send = function(channelName, amount){
-		if (!Buses.hasOwnProperty(channelName)){
-			Buses[channelName] = this.context.createGain();
-		}
 		amount = this.defaultArg(amount, 0);
 		var sendKnob = new Tone.Gain(amount, Tone.Type.Decibels);
-		this.output.chain(sendKnob, Buses[channelName]);
+		this.output.chain(sendKnob, getBus(this.context, channelName));
 		return sendKnob;		
 	};
 
@@ -48,20 +51,12 @@ define(["Tone/core/Tone", "Tone/core/Gain"], function(Tone){
 	 * reverbEffect.receive("reverb");
 	 */
 	Tone.prototype.receive = function(channelName, input){
-		if (!Buses.hasOwnProperty(channelName)){
-			Buses[channelName] = this.context.createGain();	
-		}
 		if (this.isUndef(input)){
 			input = this.input;
 		}
-		Buses[channelName].connect(input);
+		getBus(this.context, channelName).connect(input);
 		return this;
 	};
 
-	//remove all the send/receives when a new audio context is passed in
-	Tone._initAudioContext(function(){
-		Buses = {};
-	});
-
 	return Tone;
 });
\ No newline at end of file
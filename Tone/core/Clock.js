@@ -1,4 +1,5 @@
-define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState", "Tone/core/Emitter"], function (Tone) {
+define(["Tone/core/Tone", "Tone/signal/TickSignal", "Tone/core/TimelineState", 
+	"Tone/core/Emitter", "Tone/core/Context"], function (Tone) {
 
 	"use strict";
 
@@ -51,16 +52,23 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 		 *  @type  {BPM}
 		 *  @signal
 		 */
-		this.frequency = new Tone.TimelineSignal(options.frequency, Tone.Type.Frequency);
+		this.frequency = new Tone.TickSignal(options.frequency, Tone.Type.Frequency);
 		this._readOnly("frequency");
 
 		/**
-		 *  The number of times the callback was invoked. Starts counting at 0
-		 *  and increments after the callback was invoked. 
+		 *  The tick counter. See Tone.Clock.ticks
 		 *  @type {Ticks}
-		 *  @readOnly
+		 *  @private
+		 */
+		this._ticks = 0;
+
+		/**
+		 *  The tick count at every state change and every time the
+		 *  ticks are set. Used to compute the ticks at any given time.
+		 *  @type {Tone.Timeline}
+		 *  @private
 		 */
-		this.ticks = 0;
+		this._tickOffset = new Tone.Timeline(100);
 
 		/**
 		 *  The state timeline
@@ -77,8 +85,8 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 		 */
 		this._boundLoop = this._loop.bind(this);
 
-		//bind a callback to the worker thread
-    	Tone.Clock._worker.addEventListener("message", this._boundLoop);
+		//bind a callback to the context's ticker
+		this.context.on("tick", this._boundLoop);
 	};
 
 	Tone.extend(Tone.Clock, Tone.Emitter);
@@ -107,6 +115,35 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 		}
 	});
 
+	/**
+	 *  The number of times the callback was invoked. Starts counting at 0
+	 *  and increments after the callback was invoked. Setting the ticks 
+	 *  sets the value of the next tick which will be invoked. 
+	 *  @type {Ticks}
+	 *  @memberOf Tone.Clock#
+	 *  @name ticks
+	 */
+	Object.defineProperty(Tone.Clock.prototype, "ticks", {
+		get : function(){
+			return this._ticks;
+		},
+		set : function(ticks){
+			//the next tick is invoked at this._nextTick when the clock is started
+			var time = this._nextTick;
+			var state = this._state.getValueAtTime(time);
+			if (state !== Tone.State.Started){
+				time = this.now();
+				state = this._state.getValueAtTime(time);
+			}
+			this._ticks = ticks;
+			this._tickOffset.add({
+				"time" : time,
+				"ticks" : ticks,
+				"state" : state
+			});
+		}
+	});
+
 	/**
 	 *  Start the clock at the given time. Optionally pass in an offset
 	 *  of where to start the tick counter from.
@@ -122,6 +159,12 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 				"time" : time,
 				"offset" : offset
 			});
+			//without an offset it continues counting from the previous value
+			this._tickOffset.add({
+				"state" : Tone.State.Started, 
+				"time" : time,
+				"ticks" : offset
+			});
 		}
 		return this;	
 	};
@@ -137,6 +180,12 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 		time = this.toSeconds(time);
 		this._state.cancel(time);
 		this._state.setStateAtTime(Tone.State.Stopped, time);
+		this._tickOffset.cancel(time);
+		this._tickOffset.add({
+			"state" : Tone.State.Stopped, 
+			"time" : time,
+			"ticks" : 0
+		});
 		return this;	
 	};
 
@@ -150,6 +199,11 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 		time = this.toSeconds(time);
 		if (this._state.getValueAtTime(time) === Tone.State.Started){
 			this._state.setStateAtTime(Tone.State.Paused, time);
+			//the ticks are computed up until the pause
+			this._tickOffset.add({
+				"state" : Tone.State.Paused, 
+				"time" : time
+			});
 		}
 		return this;	
 	};
@@ -163,10 +217,17 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 	Tone.Clock.prototype._loop = function(){
 		//get the frequency value to compute the value of the next loop
 		var now = this.now();
+		//the frequency's ticks are kept on the events which have passed
+		//since the frequency does not retain its events for long
+		this._tickOffset.forEachBefore(now, function(event){
+			if (this.isUndef(event.frequencyTicks)){
+				event.frequencyTicks = this.frequency.getTicksAtTime(event.time);
+			}
+		}.bind(this));
 		//if it's started
-		var lookAhead = Tone.Clock.lookAhead;
-		var updateInterval = Tone.Clock.updateInterval;
-		var lagCompensation = Tone.Clock.lag * 2;
+		var lookAhead = this.context.lookAhead;
+		var updateInterval = this.context.updateInterval;
+		var lagCompensation = this.context.lag * 2;
 		var loopInterval = now + lookAhead + updateInterval + lagCompensation;
 		while (loopInterval > this._nextTick && this._state){
 			var currentState = this._state.getValueAtTime(this._nextTick);
@@ -178,28 +239,126 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 					//correct the time
 					this._nextTick = event.time;
 					if (!this.isUndef(event.offset)){
-						this.ticks = event.offset;
+						this._ticks = event.offset;
 					}
-					this.emit("start", event.time, this.ticks);
+					this.emit("start", event.time, this._ticks);
 				} else if (currentState === Tone.State.Stopped){
-					this.ticks = 0;
+					this._ticks = 0;
 
 					this.emit("stop", event.time);
 				} else if (currentState === Tone.State.Paused){
 					this.emit("pause", event.time);
 				}
 			}
-			var tickTime = this._nextTick;
-			if (this.frequency){
-				this._nextTick += 1 / this.frequency.getValueAtTime(this._nextTick);
-				if (currentState === Tone.State.Started){
-					this.callback(tickTime);
-					this.ticks++;
+			if (currentState === Tone.State.Started){
+				var tickTime = this._nextTick;
+				this.callback(tickTime);
+				//the callback could have disposed the clock
+				if (this.frequency){
+					this._ticks++;
+					//skip the ticks which have nothing on them, but not past the end of this 
+					//interval or the next state change so that the ticks which are scheduled 
+					//and the changes to the frequency in the meantime are not missed
+					var stateChange = this._state.getAfter(tickTime);
+					var horizon = stateChange ? Math.min(stateChange.time, loopInterval) : loopInterval;
+					var horizonTicks = this.frequency.getTicksAtTime(horizon) - this.frequency.getTicksAtTime(tickTime);
+					var elapsed = Math.min(this._getNextTick(this._ticks) - this._ticks + 1, Math.ceil(horizonTicks));
+					elapsed = Math.max(elapsed, 1);
+					this._ticks += elapsed - 1;
+					//the next tick is exactly that many ticks after this one along the frequency curve
+					this._nextTick = tickTime + this.frequency.getDurationOfTicks(elapsed, tickTime);
+				}
+			} else if (this._state){
+				//skip straight to the next state change
+				var nextEvent = this._state.getAfter(this._nextTick);
+				this._nextTick = nextEvent ? nextEvent.time : loopInterval;
+			}
+		}
+	};
+
+	/**
+	 *  Get the clock's ticks at the given time, taking into account the 
+	 *  start, stop and pause times, the offsets and any changes to the ticks.
+	 *  The ticks are computed from the integral of the frequency so they
+	 *  are exact during frequency ramps.
+	 *  @param  {Time}  time  When to get the tick value
+	 *  @return  {Ticks}  The (possibly fractional) tick value at the given time.
+	 *  @example
+	 * var clock = new Tone.Clock(function(){}, 2).start(0);
+	 * clock.getTicksAtTime(1); //returns 2
+	 */
+	Tone.Clock.prototype.getTicksAtTime = function(time){
+		time = this.toSeconds(time);
+		var ticks = 0;
+		var lastEvent = null;
+		this._tickOffset.forEachBefore(time, function(event){
+			if (!this.isUndef(event.ticks)){
+				ticks = event.ticks;
+			} else if (lastEvent !== null && lastEvent.state === Tone.State.Started){
+				ticks += this._getFrequencyTicks(event) - this._getFrequencyTicks(lastEvent);
+				//when paused, the counter holds the number of ticks which were invoked
+				//(with some tolerance for floating point error)
+				if (event.state === Tone.State.Paused){
+					ticks = Math.ceil(ticks - 1e-6);
 				}
 			}
+			lastEvent = event;
+		}.bind(this));
+		if (lastEvent !== null && lastEvent.state === Tone.State.Started){
+			ticks += this.frequency.getTicksAtTime(time) - this._getFrequencyTicks(lastEvent);
+		}
+		return ticks;
+	};
+
+	/**
+	 *  Get the time of the given tick. The tick is counted relative to 
+	 *  the tick value and state of the clock at the "before" time 
+	 *  and assumes that the clock keeps running.
+	 *  @param  {Ticks}  tick  The tick to get the time of
+	 *  @param  {Time=}  before  When to measure the tick value from. 
+	 *  @return  {Seconds}  The time of the tick
+	 *  @example
+	 * var clock = new Tone.Clock(function(){}, 2).start(0);
+	 * clock.getTimeOfTick(4); //returns 2
+	 */
+	Tone.Clock.prototype.getTimeOfTick = function(tick, before){
+		before = this.toSeconds(before);
+		var event = this._tickOffset.get(before);
+		if (event === null){
+			return this.frequency.getTimeOfTick(tick);
+		} else {
+			var elapsed = tick - this.getTicksAtTime(event.time);
+			return this.frequency.getTimeOfTick(this._getFrequencyTicks(event) + elapsed);
+		}
+	};
+
+	/**
+	 *  The ticks of the frequency at the time of the event. 
+	 *  @param  {Object}  event  An event in the tick offset timeline
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.Clock.prototype._getFrequencyTicks = function(event){
+		if (this.isUndef(event.frequencyTicks)){
+			return this.frequency.getTicksAtTime(event.time);
+		} else {
+			return event.frequencyTicks;
 		}
 	};
 
+	/**
+	 *  Returns the next tick at or after the given tick which the callback
+	 *  needs to be invoked on. The ticks in between are skipped. By default
+	 *  the callback is invoked on every tick. Tone.Transport replaces it 
+	 *  to skip straight to the next tick which has an event scheduled on it.
+	 *  @param  {Ticks}  ticks  The next tick
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.Clock.prototype._getNextTick = function(ticks){
+		return ticks;
+	};
+
 	/**
 	 *  Returns the scheduled state at the given time.
 	 *  @param  {Time}  time  The time to query.
@@ -219,7 +378,7 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 	 */
 	Tone.Clock.prototype.dispose = function(){
 		Tone.Emitter.prototype.dispose.call(this);
-		Tone.Clock._worker.removeEventListener("message", this._boundLoop);
+		this.context.off("tick", this._boundLoop);
 		this._writable("frequency");
 		this.frequency.dispose();
 		this.frequency = null;
@@ -228,95 +387,18 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 		this.callback = null;
 		this._state.dispose();
 		this._state = null;
+		this._tickOffset.dispose();
+		this._tickOffset = null;
 	};
 
 	///////////////////////////////////////////////////////////////////////////
-	// WORKER
+	// CONTEXT SCHEDULING
 	///////////////////////////////////////////////////////////////////////////
 
-	//URL Shim
-	window.URL = window.URL || window.webkitURL;
-
-	/**
-	 *  The minimum amount of time events are 
-	 *  scheduled in advance.
-	 *  @private
-	 *  @type  {Number}
-	 */
-	Tone.Clock._lookAhead = 0.1;
-
-	/**
-	 *  How often the worker ticks
-	 *  @type  {Seconds}
-	 *  @private
-	 */
-	Tone.Clock._updateInterval = Tone.Clock._lookAhead / 3;
-
-	/**
-	 *  The script which runs in a web worker
-	 *  @type {Blob}
-	 *  @private
-	 */
-	var blob = new Blob([
-		//the initial timeout time
-		"var timeoutTime = "+(Tone.Clock._updateInterval * 1000)+";" +
-		//onmessage callback
-		"self.onmessage = function(msg){" +
-		"	timeoutTime = parseInt(msg.data);" + 
-		"};" + 
-		//the tick function which posts a message
-		//and schedules a new tick
-		"function tick(){" +
-		"	setTimeout(tick, timeoutTime);" +
-		"	self.postMessage('tick');" +
-		"}" +
-		//call tick initially
-		"tick();"
-	]);
-
-	/**
-	 *  Create a blob url from the Blob
-	 *  @type  {URL}
-	 *  @private
-	 */
-  	var blobUrl = URL.createObjectURL(blob);
-
-  	/**
-	 *  The Worker which generates a regular callback
-	 *  @type {Worker}
-	 *  @private
-	 *  @static
-	 */
-	Tone.Clock._worker = new Worker(blobUrl);
-
-	/**
-	 *  @private
-	 *  @type  {Number}
-	 *  The time of the last update
-	 */
-	var lastUpdate = -1;
-
-	/**
-	 *  The current computed update rate of the clock.
-	 *  @type  {Number}
-	 *  @private
-	 */
-	var computedUpdateInterval = 0;
-
-	//listen for message events and update the global clock lookahead
-	Tone.Clock._worker.addEventListener("message", function(){
-		var now = Tone.now();
-		if (lastUpdate !== -1){
-			var diff = now - lastUpdate;
-			computedUpdateInterval = Math.max(diff, computedUpdateInterval * 0.97);
-		}
-		lastUpdate = now;
-	});
-
 	/**
 	 *  This is the time that the clock is falling behind
-	 *  the scheduled update interval. The Clock automatically
-	 *  adjusts for the lag and schedules further in advance.
+	 *  the scheduled update interval of the current context. 
+	 *  See Tone.Context.lag
 	 *  @type {Number}
 	 *  @memberOf Tone.Clock
 	 *  @name lag
@@ -325,16 +407,13 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 	 */
 	Object.defineProperty(Tone.Clock, "lag", {
 		get : function(){
-			var diff = computedUpdateInterval - Tone.Clock._updateInterval;
-			diff = Math.max(diff, 0);
-			return diff;
+			return Tone.context.lag;
 		}
 	});
 
 	/**
-	 *  The amount of time in advance that events are scheduled.
-	 *  The lookAhead will adjust slightly in response to the 
-	 *  measured update time to try to avoid clicks.
+	 *  The amount of time in advance that events are scheduled
+	 *  in the current context. See Tone.Context.lookAhead
 	 *  @type {Number}
 	 *  @memberOf Tone.Clock
 	 *  @name lookAhead
@@ -342,18 +421,16 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 	 */
 	Object.defineProperty(Tone.Clock, "lookAhead", {
 		get : function(){
-			return Tone.Clock._lookAhead;
+			return Tone.context.lookAhead;
 		},
 		set : function(lA){
-			Tone.Clock._lookAhead = lA;
+			Tone.context.lookAhead = lA;
 		}
 	});
 
 	/**
-	 *  How often the Web Worker callback is invoked.
-	 *  This number corresponds to how responsive the scheduling
-	 *  can be. Clock.updateInterval + Clock.lookAhead gives you the
-	 *  total latency between scheduling an event and hearing it.
+	 *  How often the current context's ticker invokes the clocks. 
+	 *  See Tone.Context.updateInterval
 	 *  @type {Number}
 	 *  @memberOf Tone.Clock
 	 *  @name updateInterval
@@ -361,31 +438,18 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 	 */
 	Object.defineProperty(Tone.Clock, "updateInterval", {
 		get : function(){
-			return Tone.Clock._updateInterval;
+			return Tone.context.updateInterval;
 		},
 		set : function(interval){
-			Tone.Clock._updateInterval = Math.max(interval, 0.01);
-			Tone.Clock._worker.postMessage(interval * 1000);
+			Tone.context.updateInterval = interval;
 		}
 	});
 
 	/**
-	 *  The latency hint
-	 *  @private
-	 *  @type {String|Number}
-	 */
-	var latencyHint = "interactive";
-
-	/**
-	 *  The type of playback, which affects tradeoffs between audio 
-	 *  output latency and responsiveness. 
-	 *  
-	 *  In addition to setting the value in seconds, the latencyHint also
-	 *  accepts the strings "interactive" (prioritizes low latency), 
-	 *  "playback" (prioritizes sustained playback), "balanced" (balances
-	 *  latency and performance), and "fastest" (lowest latency, might glitch more often). 
+	 *  The latency hint of the current context. 
+	 *  See Tone.Context.latencyHint
 	 *  @type {String|Seconds}
-	 *  @memberOf Tone.Clock#
+	 *  @memberOf Tone.Clock
 	 *  @name latencyHint
 	 *  @static
 	 *  @example
@@ -394,38 +458,33 @@ define(["Tone/core/Tone", "Tone/signal/TimelineSignal", "Tone/core/TimelineState
 	 */
 	Object.defineProperty(Tone.Clock, "latencyHint", {
 		get : function(){
-			return latencyHint;
+			return Tone.context.latencyHint;
 		},
 		set : function(hint){
-			var lookAhead = hint;
-			latencyHint = hint;
-			if (Tone.prototype.isString(hint)){
-				switch(hint){
-					case "interactive" :
-						lookAhead = 0.1;
-						Tone.context.latencyHint = hint;
-						break;
-					case "playback" :
-						lookAhead = 0.8;
-						Tone.context.latencyHint = hint;
-						break;
-					case "balanced" :
-						lookAhead = 0.25;
-						Tone.context.latencyHint = hint;
-						break;
-					case "fastest" :
-						lookAhead = 0.01;
-						break;
-				}
-			}
-			Tone.Clock.lookAhead = lookAhead;
-			Tone.Clock.updateInterval = lookAhead/3;
+			Tone.context.latencyHint = hint;
 		}
 	});
 
-	Tone._initAudioContext(function(){
-		lastUpdate = -1;
-		computedUpdateInterval = 0;
+	/**
+	 *  The source of the ticks which drive the clocks in the current
+	 *  context: "worker", "timeout" or "offline". A "worker" clock
+	 *  keeps running when the page is in a background tab.
+	 *  See Tone.Context.clockSource
+	 *  @type {Tone.Context.ClockSource}
+	 *  @memberOf Tone.Clock
+	 *  @name clockSource
+	 *  @static
+	 *  @example
+	 * //use a main thread timer
+	 * Tone.Clock.clockSource = "timeout";
+	 */
+	Object.defineProperty(Tone.Clock, "clockSource", {
+		get : function(){
+			return Tone.context.clockSource;
+		},
+		set : function(source){
+			Tone.context.clockSource = source;
+		}
 	});
 
 	return Tone.Clock;
@@ -0,0 +1,346 @@
+define(["Tone/core/Tone", "Tone/core/Transport"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.ClockInput makes the Transport follow an external clock which
+	 *          sends 24 pulses per quarter note, like MIDI clock. The tempo of the Transport
+	 *          is estimated from the time between the pulses and smoothed, and the Transport
+	 *          is nudged toward the position of the pulses so that it does not drift
+	 *          away from the master. The MIDI start, stop, continue and song position pointer
+	 *          messages start, pause, resume and position the Transport.
+	 *          <br><br>
+	 *          The messages can come from a Web MIDI input or a MessagePort (see Tone.ClockInput.listen)
+	 *          or they can be passed into Tone.ClockInput.receive directly.
+	 *          The Transport follows the pulses after the latency so that the tempo changes
+	 *          are scheduled before the Transport processes the ticks.
+	 *
+	 *  @constructor
+	 *  @extends {Tone}
+	 *  @param {Tone.Transport} [transport=Tone.Transport] The Transport which follows the clock.
+	 *  @example
+	 * var clockInput = new Tone.ClockInput();
+	 * navigator.requestMIDIAccess().then(function(midi){
+	 * 	midi.inputs.forEach(function(input){
+	 * 		clockInput.listen(input);
+	 * 	});
+	 * });
+	 */
+	Tone.ClockInput = function(){
+
+		var options = this.optionsObject(arguments, ["transport"], Tone.ClockInput.defaults);
+
+		/**
+		 *  The Transport which follows the clock
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = options.transport || this.context.Transport;
+
+		/**
+		 *  The amount of the previous tempo estimate which is kept
+		 *  when a new pulse arrives. 0 follows every pulse immediately and
+		 *  values closer to 1 smooth out the jitter of the pulses.
+		 *  @type  {NormalRange}
+		 */
+		this.smoothing = options.smoothing;
+
+		/**
+		 *  The delay between receiving a message and the Transport following it.
+		 *  It should be longer than the context's lookAhead.
+		 *  @type  {Seconds}
+		 */
+		this.latency = options.latency === "auto" ? this.context.lookAhead + this.context.updateInterval : this.toSeconds(options.latency);
+
+		/**
+		 *  The smallest change of the tempo which is written
+		 *  to the Transport's bpm. Smaller changes keep the previous tempo.
+		 *  @type  {BPM}
+		 */
+		this.threshold = options.threshold;
+
+		/**
+		 *  The smoothed time between pulses or null before the second pulse
+		 *  @type  {Seconds}
+		 *  @private
+		 */
+		this._interval = null;
+
+		/**
+		 *  The time of the last pulse
+		 *  @type  {Seconds}
+		 *  @private
+		 */
+		this._lastPulse = null;
+
+		/**
+		 *  If the Transport starts on the next pulse
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._armed = false;
+
+		/**
+		 *  The position the Transport starts from on the next pulse, or
+		 *  undefined to continue from the current position.
+		 *  @type  {Ticks}
+		 *  @private
+		 */
+		this._startTicks = undefined;
+
+		/**
+		 *  If the clock is running
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._running = false;
+
+		/**
+		 *  The number of ticks the Transport should have advanced and
+		 *  the number of ticks it did advance since it was started by the clock
+		 *  @type  {Ticks}
+		 *  @private
+		 */
+		this._expectedTicks = 0;
+		this._elapsedTicks = 0;
+
+		/**
+		 *  The rate of the Transport in ticks per second since the last pulse
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._tickRate = 0;
+
+		/**
+		 *  The tempo which was last written to the Transport
+		 *  or null if none was written yet
+		 *  @type  {BPM}
+		 *  @private
+		 */
+		this._bpm = null;
+
+		/**
+		 *  The port which is listened to and its message callback
+		 *  @type  {MIDIInput|MessagePort}
+		 *  @private
+		 */
+		this._port = null;
+		this._onmessage = this._onmessage.bind(this);
+	};
+
+	Tone.extend(Tone.ClockInput);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.ClockInput.defaults = {
+		"transport" : null,
+		"smoothing" : 0.9,
+		"latency" : "auto",
+		"threshold" : 0.01
+	};
+
+	/**
+	 *  The number of pulses per quarter note of the clock
+	 *  @type  {Number}
+	 *  @static
+	 *  @const
+	 */
+	Tone.ClockInput.PPQN = 24;
+
+	/**
+	 *  The MIDI system real time and common messages
+	 *  @enum  {Number}
+	 *  @static
+	 */
+	Tone.ClockInput.Message = {
+		Clock : 0xF8,
+		Start : 0xFA,
+		Continue : 0xFB,
+		Stop : 0xFC,
+		SongPosition : 0xF2
+	};
+
+	/**
+	 *  The estimated tempo of the external clock or 0 if it
+	 *  was not measured yet.
+	 *  @memberOf Tone.ClockInput#
+	 *  @type {BPM}
+	 *  @name bpm
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.ClockInput.prototype, "bpm", {
+		get : function(){
+			if (this._interval === null){
+				return 0;
+			}
+			return 60 / (this._interval * Tone.ClockInput.PPQN);
+		}
+	});
+
+	/**
+	 *  Handle a clock message. Messages which are not clock messages are ignored.
+	 *  @param  {Array|Uint8Array}  message  The bytes of the MIDI message
+	 *  @param  {Time}  [time=now]  When the message was sent
+	 *  @return  {Tone.ClockInput}  this
+	 *  @example
+	 * //a clock pulse
+	 * clockInput.receive([0xF8]);
+	 */
+	Tone.ClockInput.prototype.receive = function(message, time){
+		time = this.toSeconds(time) + this.latency;
+		var Message = Tone.ClockInput.Message;
+		switch (message[0]){
+			case Message.Clock:
+				this._pulse(time);
+				break;
+			case Message.Start:
+				this._armed = true;
+				this._startTicks = 0;
+				break;
+			case Message.Continue:
+				this._armed = true;
+				this._startTicks = undefined;
+				break;
+			case Message.Stop:
+				this._armed = false;
+				if (this._running){
+					this._running = false;
+					this._transport.pause(time);
+				}
+				break;
+			case Message.SongPosition:
+				//the position is counted in sixteenth notes
+				var sixteenths = (message[2] << 7) | message[1];
+				this._transport._setTicksAtTime(sixteenths * this._transport.PPQ / 4, time);
+				//the jump is not an error of the phase
+				this._expectedTicks = 0;
+				this._elapsedTicks = 0;
+				break;
+		}
+		return this;
+	};
+
+	/**
+	 *  Update the tempo estimate with the pulse and start the Transport
+	 *  or nudge it toward the pulse.
+	 *  @param  {Seconds}  time  The time of the pulse
+	 *  @private
+	 */
+	Tone.ClockInput.prototype._pulse = function(time){
+		if (this._lastPulse !== null){
+			var interval = time - this._lastPulse;
+			if (interval > 0){
+				if (this._interval === null){
+					this._interval = interval;
+				} else {
+					this._interval = this.smoothing * this._interval + (1 - this.smoothing) * interval;
+				}
+			}
+		}
+		//the ticks the transport advanced since the last pulse
+		if (this._running){
+			this._elapsedTicks += (time - this._lastPulse) * this._tickRate;
+		}
+		this._lastPulse = time;
+		var ticksPerPulse = this._transport.PPQ / Tone.ClockInput.PPQN;
+		var bpm = this.bpm || this._transport.bpm.value;
+		if (this._armed){
+			this._armed = false;
+			this._running = true;
+			this._expectedTicks = 0;
+			this._elapsedTicks = 0;
+			//the external clock already counted in
+			this._transport._startWithoutCountIn(time, this._startTicks);
+		} else if (this._running){
+			this._expectedTicks += ticksPerPulse;
+			//make up the difference to the pulse position over the next pulse
+			var error = Math.max(Math.min(this._expectedTicks - this._elapsedTicks, ticksPerPulse), -ticksPerPulse);
+			bpm *= (ticksPerPulse + error) / ticksPerPulse;
+		}
+		if (this._bpm === null || Math.abs(bpm - this._bpm) > this.threshold){
+			this._bpm = bpm;
+			this._transport.bpm.setValueAtTime(bpm, time);
+		}
+		this._tickRate = this._bpm / 60 * this._transport.PPQ;
+	};
+
+	/**
+	 *  Receive the clock messages from a Web MIDI input or a MessagePort.
+	 *  The data of the messages from a MessagePort is an array of the MIDI
+	 *  bytes or an object with the bytes ("data") and the time ("time") of the message.
+	 *  @param  {MIDIInput|MessagePort}  port
+	 *  @return  {Tone.ClockInput}  this
+	 */
+	Tone.ClockInput.prototype.listen = function(port){
+		this.unlisten();
+		this._port = port;
+		if (this._isMIDIPort(port)){
+			port.addEventListener("midimessage", this._onmessage);
+		} else {
+			port.addEventListener("message", this._onmessage);
+			if (this.isFunction(port.start)){
+				port.start();
+			}
+		}
+		return this;
+	};
+
+	/**
+	 *  Stop receiving messages from the port passed into Tone.ClockInput.listen
+	 *  @return  {Tone.ClockInput}  this
+	 */
+	Tone.ClockInput.prototype.unlisten = function(){
+		if (this._port){
+			this._port.removeEventListener(this._isMIDIPort(this._port) ? "midimessage" : "message", this._onmessage);
+			this._port = null;
+		}
+		return this;
+	};
+
+	/**
+	 *  If the port is a Web MIDI port
+	 *  @param  {Object}  port
+	 *  @return  {Boolean}
+	 *  @private
+	 */
+	Tone.ClockInput.prototype._isMIDIPort = function(port){
+		return "onmidimessage" in port;
+	};
+
+	/**
+	 *  Invoked with the messages of the port
+	 *  @param  {MIDIMessageEvent|MessageEvent}  e
+	 *  @private
+	 */
+	Tone.ClockInput.prototype._onmessage = function(e){
+		var data = e.data;
+		var time;
+		if (this._isMIDIPort(this._port)){
+			//the timeStamp is relative to the performance timeline
+			if (e.timeStamp && window.performance){
+				time = this.now() - (window.performance.now() - e.timeStamp) / 1000;
+			}
+		} else if (!this.isUndef(data.data)){
+			time = data.time;
+			data = data.data;
+		}
+		this.receive(data, time);
+	};
+
+	/**
+	 *  Clean up. The Transport keeps its state.
+	 *  @return  {Tone.ClockInput}  this
+	 */
+	Tone.ClockInput.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this.unlisten();
+		this._onmessage = null;
+		this._transport = null;
+		return this;
+	};
+
+	return Tone.ClockInput;
+});
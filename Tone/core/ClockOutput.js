@@ -0,0 +1,172 @@
+define(["Tone/core/Tone", "Tone/core/Transport", "Tone/core/ClockInput"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.ClockOutput sends a clock with 24 pulses per quarter note, like MIDI clock,
+	 *          which follows the ticks of the Transport. The clock pulses are not shifted by the
+	 *          Transport's groove or swing. When the Transport starts from the beginning
+	 *          a start message is sent, otherwise the song position pointer and a continue
+	 *          message are sent. A stop message is sent when the Transport is stopped or paused and
+	 *          the song position pointer is sent again when the Transport loops or the position changes.
+	 *          <br><br>
+	 *          The messages are sent to a Web MIDI output, a MessagePort or a function
+	 *          which is invoked with the bytes of the message and its time.
+	 *          The Transport's PPQ must be a multiple of 24.
+	 *
+	 *  @constructor
+	 *  @extends {Tone}
+	 *  @param {MIDIOutput|MessagePort|Function} port Where the messages are sent.
+	 *  @example
+	 * navigator.requestMIDIAccess().then(function(midi){
+	 * 	midi.outputs.forEach(function(output){
+	 * 		new Tone.ClockOutput(output);
+	 * 	});
+	 * });
+	 */
+	Tone.ClockOutput = function(){
+
+		var options = this.optionsObject(arguments, ["port", "transport"], Tone.ClockOutput.defaults);
+
+		/**
+		 *  The Transport which the clock follows
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = options.transport || this.context.Transport;
+
+		var ticksPerPulse = this._transport.PPQ / Tone.ClockInput.PPQN;
+		if (ticksPerPulse % 1 !== 0){
+			throw new Error("Tone.ClockOutput: the Transport's PPQ must be a multiple of " + Tone.ClockInput.PPQN);
+		}
+
+		/**
+		 *  Where the messages are sent.
+		 *  @type  {MIDIOutput|MessagePort|Function}
+		 */
+		this.port = options.port;
+
+		/**
+		 *  The id of the pulse event
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._eventId = this._transport._scheduleUngrooved(this._onPulse.bind(this), Tone.Time(ticksPerPulse, "i"));
+
+		/**
+		 *  The Transport event callbacks
+		 *  @type  {Function}
+		 *  @private
+		 */
+		this._onStart = this._onStart.bind(this);
+		this._onStop = this._onStop.bind(this);
+		this._onLoop = this._onLoop.bind(this);
+		this._transport.on("start", this._onStart);
+		this._transport.on("stop pause", this._onStop);
+		this._transport.on("loop", this._onLoop);
+	};
+
+	Tone.extend(Tone.ClockOutput);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.ClockOutput.defaults = {
+		"port" : Tone.noOp,
+		"transport" : null
+	};
+
+	/**
+	 *  Send the message at the given time
+	 *  @param  {Array}  message  The bytes of the MIDI message
+	 *  @param  {Seconds}  time  When the message is sent
+	 *  @private
+	 */
+	Tone.ClockOutput.prototype._send = function(message, time){
+		if (this.isFunction(this.port)){
+			this.port(message, time);
+		} else if (this.isFunction(this.port.postMessage)){
+			this.port.postMessage({
+				"data" : message,
+				"time" : time
+			});
+		} else {
+			//the timestamp is relative to the performance timeline
+			this.port.send(message, window.performance.now() + (time - this.now()) * 1000);
+		}
+	};
+
+	/**
+	 *  Send the position of the Transport as a song position pointer
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.ClockOutput.prototype._sendPosition = function(time){
+		var sixteenths = Math.floor(this._transport.ticks / (this._transport.PPQ / 4));
+		this._send([Tone.ClockInput.Message.SongPosition, sixteenths & 0x7F, (sixteenths >> 7) & 0x7F], time);
+	};
+
+	/**
+	 *  Invoked on every pulse of the clock
+	 *  @param  {Number}  time
+	 *  @private
+	 */
+	Tone.ClockOutput.prototype._onPulse = function(time){
+		this._send([Tone.ClockInput.Message.Clock], time);
+	};
+
+	/**
+	 *  Invoked when the Transport starts
+	 *  @param  {Number}  time
+	 *  @private
+	 */
+	Tone.ClockOutput.prototype._onStart = function(time){
+		if (this._transport.ticks === 0){
+			this._send([Tone.ClockInput.Message.Start], time);
+		} else {
+			this._sendPosition(time);
+			this._send([Tone.ClockInput.Message.Continue], time);
+		}
+	};
+
+	/**
+	 *  Invoked when the Transport stops or pauses
+	 *  @param  {Number}  time
+	 *  @private
+	 */
+	Tone.ClockOutput.prototype._onStop = function(time){
+		this._send([Tone.ClockInput.Message.Stop], time);
+	};
+
+	/**
+	 *  Invoked when the Transport loops
+	 *  @param  {Number}  time
+	 *  @private
+	 */
+	Tone.ClockOutput.prototype._onLoop = function(time){
+		this._onStop(time);
+		this._onStart(time);
+	};
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.ClockOutput}  this
+	 */
+	Tone.ClockOutput.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this._transport.clear(this._eventId);
+		this._transport.off("start", this._onStart);
+		this._transport.off("stop pause", this._onStop);
+		this._transport.off("loop", this._onLoop);
+		this._onStart = null;
+		this._onStop = null;
+		this._onLoop = null;
+		this._transport = null;
+		this.port = null;
+		return this;
+	};
+
+	return Tone.ClockOutput;
+});
@@ -0,0 +1,480 @@
+define(["Tone/core/Tone", "Tone/core/Emitter"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Wrapper around the native AudioContext. Besides passing through
+	 *         all of the native AudioContext methods and properties, the Tone.Context
+	 *         owns the scheduling parameters (lookAhead, updateInterval and latencyHint)
+	 *         and the ticker which drives every Tone.Clock created within it.
+	 *         The Master output, the Transport and the send/receive buses are
+	 *         also kept per context, so that multiple contexts (for example a realtime
+	 *         and an offline one) can exist side by side.
+	 *  @extends {Tone.Emitter}
+	 *  @param {AudioContext=} context optionally pass in a native AudioContext to wrap.
+	 *  @example
+	 * var context = new Tone.Context();
+	 * Tone.setContext(context);
+	 */
+	Tone.Context = function(context){
+
+		Tone.Emitter.call(this);
+
+		if (!context){
+			context = new window.AudioContext();
+		}
+
+		/**
+		 *  The native AudioContext
+		 *  @type {AudioContext}
+		 *  @private
+		 */
+		this._context = context;
+
+		// extend all of the methods
+		for (var prop in this._context){
+			this._defineProperty(this._context, prop);
+		}
+
+		/**
+		 *  The named buses used by Tone.prototype.send/receive
+		 *  @type  {Object}
+		 *  @private
+		 */
+		this._buses = {};
+
+		/**
+		 *  The default latency hint
+		 *  @type  {String}
+		 *  @private
+		 */
+		this._latencyHint = "interactive";
+
+		/**
+		 *  The amount of time events are scheduled
+		 *  into the future
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._lookAhead = 0.1;
+
+		/**
+		 *  A reference to the actual computed update interval
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._computedUpdateInterval = 0;
+
+		/**
+		 *  The time of the last update
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._lastUpdate = -1;
+
+		/**
+		 *  The ticker which generates the "tick" events
+		 *  @type  {Ticker}
+		 *  @private
+		 */
+		this._ticker = new Ticker(this._onTick.bind(this), this._defaultClockSource, this._lookAhead / 3);
+	};
+
+	Tone.extend(Tone.Context, Tone.Emitter);
+
+	/**
+	 *  The clock source which is used when the Context is created
+	 *  @type  {Tone.Context.ClockSource}
+	 *  @private
+	 */
+	Tone.Context.prototype._defaultClockSource = "worker";
+
+	/**
+	 *  Invoked by the ticker. Measures the time between
+	 *  updates for the lag compensation and emits "tick".
+	 *  @private
+	 */
+	Tone.Context.prototype._onTick = function(){
+		var now = this.now();
+		if (this._lastUpdate !== -1){
+			var diff = now - this._lastUpdate;
+			this._computedUpdateInterval = Math.max(diff, this._computedUpdateInterval * 0.97);
+		}
+		this._lastUpdate = now;
+		this.emit("tick");
+	};
+
+	/**
+	 *  Define a property on this Tone.Context.
+	 *  This is used to extend the native AudioContext
+	 *  @param  {AudioContext}  context
+	 *  @param  {String}  prop
+	 *  @private
+	 */
+	Tone.Context.prototype._defineProperty = function(context, prop){
+		if (!(prop in this)){
+			Object.defineProperty(this, prop, {
+				get : function(){
+					if (typeof context[prop] === "function"){
+						return context[prop].bind(context);
+					} else {
+						return context[prop];
+					}
+				},
+				set : function(val){
+					context[prop] = val;
+				}
+			});
+		}
+	};
+
+	/**
+	 *  The native AudioContext which is wrapped by this Tone.Context.
+	 *  @type {AudioContext}
+	 *  @memberOf Tone.Context#
+	 *  @name rawContext
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.Context.prototype, "rawContext", {
+		get : function(){
+			return this._context;
+		}
+	});
+
+	/**
+	 *  The current audio context time
+	 *  @return  {Number}
+	 */
+	Tone.Context.prototype.now = function(){
+		return this._context.currentTime;
+	};
+
+	/**
+	 *  The source of the "tick" events which drive all of the Tone.Clocks
+	 *  in this context. A "worker" clock uses a Web Worker timer, which is
+	 *  not throttled by the browser when the page is in a background tab.
+	 *  A "timeout" clock uses a setTimeout loop on the main thread and an
+	 *  "offline" clock does not tick on its own, the ticks have to be
+	 *  generated manually (see Tone.OfflineContext).
+	 *  @type {Tone.Context.ClockSource}
+	 *  @memberOf Tone.Context#
+	 *  @name clockSource
+	 *  @example
+	 * Tone.context.clockSource = "timeout";
+	 */
+	Object.defineProperty(Tone.Context.prototype, "clockSource", {
+		get : function(){
+			return this._ticker.type;
+		},
+		set : function(type){
+			this._ticker.type = type;
+		}
+	});
+
+	/**
+	 *  This is the time that the clock is falling behind
+	 *  the scheduled update interval. The Context automatically
+	 *  adjusts for the lag and schedules further in advance.
+	 *  @type {Number}
+	 *  @memberOf Tone.Context#
+	 *  @name lag
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.Context.prototype, "lag", {
+		get : function(){
+			var diff = this._computedUpdateInterval - this.updateInterval;
+			diff = Math.max(diff, 0);
+			return diff;
+		}
+	});
+
+	/**
+	 *  The amount of time in advance that events are scheduled.
+	 *  The lookAhead will adjust slightly in response to the
+	 *  measured update time to try to avoid clicks.
+	 *  @type {Number}
+	 *  @memberOf Tone.Context#
+	 *  @name lookAhead
+	 */
+	Object.defineProperty(Tone.Context.prototype, "lookAhead", {
+		get : function(){
+			return this._lookAhead;
+		},
+		set : function(lA){
+			this._lookAhead = lA;
+		}
+	});
+
+	/**
+	 *  How often the clock source ticks.
+	 *  This number corresponds to how responsive the scheduling
+	 *  can be. Context.updateInterval + Context.lookAhead gives you the
+	 *  total latency between scheduling an event and hearing it.
+	 *  @type {Number}
+	 *  @memberOf Tone.Context#
+	 *  @name updateInterval
+	 */
+	Object.defineProperty(Tone.Context.prototype, "updateInterval", {
+		get : function(){
+			return this._ticker.updateInterval;
+		},
+		set : function(interval){
+			this._ticker.updateInterval = Math.max(interval, 0.01);
+		}
+	});
+
+	/**
+	 *  The type of playback, which affects tradeoffs between audio
+	 *  output latency and responsiveness.
+	 *
+	 *  In addition to setting the value in seconds, the latencyHint also
+	 *  accepts the strings "interactive" (prioritizes low latency),
+	 *  "playback" (prioritizes sustained playback), "balanced" (balances
+	 *  latency and performance), and "fastest" (lowest latency, might glitch more often).
+	 *  @type {String|Seconds}
+	 *  @memberOf Tone.Context#
+	 *  @name latencyHint
+	 *  @example
+	 * //set the lookAhead to 0.3 seconds
+	 * Tone.context.latencyHint = 0.3;
+	 */
+	Object.defineProperty(Tone.Context.prototype, "latencyHint", {
+		get : function(){
+			return this._latencyHint;
+		},
+		set : function(hint){
+			var lookAhead = hint;
+			this._latencyHint = hint;
+			if (this.isString(hint)){
+				switch(hint){
+					case "interactive" :
+						lookAhead = 0.1;
+						this._context.latencyHint = hint;
+						break;
+					case "playback" :
+						lookAhead = 0.8;
+						this._context.latencyHint = hint;
+						break;
+					case "balanced" :
+						lookAhead = 0.25;
+						this._context.latencyHint = hint;
+						break;
+					case "fastest" :
+						lookAhead = 0.01;
+						break;
+				}
+			}
+			this.lookAhead = lookAhead;
+			this.updateInterval = lookAhead/3;
+		}
+	});
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.Context}  this
+	 */
+	Tone.Context.prototype.dispose = function(){
+		Tone.Emitter.prototype.dispose.call(this);
+		this._ticker.dispose();
+		this._ticker = null;
+		this._buses = null;
+		this._context = null;
+		return this;
+	};
+
+	/**
+	 *  The possible sources of the "tick" events.
+	 *  @enum {String}
+	 */
+	Tone.Context.ClockSource = {
+		Worker : "worker",
+		Timeout : "timeout",
+		Offline : "offline"
+	};
+
+	///////////////////////////////////////////////////////////////////////////
+	//	TICKER
+	///////////////////////////////////////////////////////////////////////////
+
+	/**
+	 *  Generates the "tick" events for a Tone.Context. The type of the ticker
+	 *  can be changed at any time.
+	 *  @param  {Function}  callback  Invoked on every tick
+	 *  @param  {Tone.Context.ClockSource}  type  The clock source
+	 *  @param  {Seconds}  updateInterval  The time between ticks
+	 *  @private
+	 */
+	var Ticker = function(callback, type, updateInterval){
+
+		/**
+		 *  The type of the ticker
+		 *  @type  {Tone.Context.ClockSource}
+		 *  @private
+		 */
+		this._type = type;
+
+		/**
+		 *  The time between ticks
+		 *  @type  {Seconds}
+		 *  @private
+		 */
+		this._updateInterval = updateInterval;
+
+		/**
+		 *  Invoked on every tick
+		 *  @type  {Function}
+		 *  @private
+		 */
+		this._callback = callback;
+
+		/**
+		 *  The web worker which generates ticks
+		 *  @type  {Worker}
+		 *  @private
+		 */
+		this._worker = null;
+
+		/**
+		 *  The main thread timeout id
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._timeout = -1;
+
+		this._createClock();
+	};
+
+	/**
+	 *  Generate a web worker which posts a message every updateInterval.
+	 *  If workers are not available, a timeout clock is used instead.
+	 *  @private
+	 */
+	Ticker.prototype._createWorker = function(){
+
+		//URL Shim
+		window.URL = window.URL || window.webkitURL;
+
+		var blob = new Blob([
+			//the initial timeout time
+			"var timeoutTime = "+(this._updateInterval * 1000).toFixed(1)+";" +
+			//onmessage callback
+			"self.onmessage = function(msg){" +
+			"	timeoutTime = parseInt(msg.data);" +
+			"};" +
+			//the tick function which posts a message
+			//and schedules a new tick
+			"function tick(){" +
+			"	setTimeout(tick, timeoutTime);" +
+			"	self.postMessage('tick');" +
+			"}" +
+			//call tick initially
+			"tick();"
+		]);
+		var blobUrl = URL.createObjectURL(blob);
+		var worker = new Worker(blobUrl);
+
+		worker.onmessage = this._callback;
+
+		this._worker = worker;
+	};
+
+	/**
+	 *  Create a main thread timeout loop
+	 *  @private
+	 */
+	Ticker.prototype._createTimeout = function(){
+		this._timeout = setTimeout(function(){
+			this._createTimeout();
+			this._callback();
+		}.bind(this), this._updateInterval * 1000);
+	};
+
+	/**
+	 *  Create the clock source of the current type.
+	 *  @private
+	 */
+	Ticker.prototype._createClock = function(){
+		if (this._type === Tone.Context.ClockSource.Worker){
+			try {
+				this._createWorker();
+			} catch(e) {
+				// workers not supported, fallback to timeout
+				this._type = Tone.Context.ClockSource.Timeout;
+				this._createClock();
+			}
+		} else if (this._type === Tone.Context.ClockSource.Timeout){
+			this._createTimeout();
+		}
+	};
+
+	/**
+	 *  Stop and remove the current clock source.
+	 *  @private
+	 */
+	Ticker.prototype._disposeClock = function(){
+		if (this._timeout !== -1){
+			clearTimeout(this._timeout);
+			this._timeout = -1;
+		}
+		if (this._worker){
+			this._worker.terminate();
+			this._worker.onmessage = null;
+			this._worker = null;
+		}
+	};
+
+	/**
+	 *  The time between ticks
+	 *  @memberOf Ticker#
+	 *  @type {Seconds}
+	 *  @name updateInterval
+	 *  @private
+	 */
+	Object.defineProperty(Ticker.prototype, "updateInterval", {
+		get : function(){
+			return this._updateInterval;
+		},
+		set : function(interval){
+			this._updateInterval = interval;
+			if (this._worker){
+				this._worker.postMessage(interval * 1000);
+			}
+		}
+	});
+
+	/**
+	 *  The type of the ticker, either a worker, a timeout or offline.
+	 *  @memberOf Ticker#
+	 *  @type {Tone.Context.ClockSource}
+	 *  @name type
+	 *  @private
+	 */
+	Object.defineProperty(Ticker.prototype, "type", {
+		get : function(){
+			return this._type;
+		},
+		set : function(type){
+			if (type !== this._type){
+				this._disposeClock();
+				this._type = type;
+				this._createClock();
+			}
+		}
+	});
+
+	/**
+	 *  Clean up
+	 *  @private
+	 */
+	Ticker.prototype.dispose = function(){
+		this._disposeClock();
+		this._callback = null;
+	};
+
+	//set the initial audio context
+	if (Tone.prototype.isUndef(Tone.context)){
+		Tone.context = new Tone.Context();
+	}
+
+	return Tone.Context;
+});
@@ -51,6 +51,13 @@ define(["Tone/core/Tone", "Tone/core/Timeline"], function (Tone) {
 		 */
 		this._boundDrawLoop = this._drawLoop.bind(this);
 
+		/**
+		 *  The callbacks which are invoked on every animation frame
+		 *  @type  {Array}
+		 *  @private
+		 */
+		this._frameCallbacks = [];
+
 		//start the loop
 		this._drawLoop();
 	};
@@ -84,6 +91,36 @@ define(["Tone/core/Tone", "Tone/core/Timeline"], function (Tone) {
 		return this;
 	};
 
+	/**
+	 *  Invoke the callback on every animation frame with the
+	 *  current AudioContext time until it is removed.
+	 *  @param  {Function}  callback
+	 *  @return  {Tone.Draw}  this
+	 *  @example
+	 * Tone.Draw.addFrameCallback(function(time){
+	 * 	knob.style.transform = "rotate(" + meter.value * 270 + "deg)";
+	 * });
+	 */
+	Tone.Draw.prototype.addFrameCallback = function(callback){
+		if (this._frameCallbacks.indexOf(callback) === -1){
+			this._frameCallbacks.push(callback);
+		}
+		return this;
+	};
+
+	/**
+	 *  Stop invoking the callback on every animation frame.
+	 *  @param  {Function}  callback  The callback which was added with addFrameCallback.
+	 *  @return  {Tone.Draw}  this
+	 */
+	Tone.Draw.prototype.removeFrameCallback = function(callback){
+		var index = this._frameCallbacks.indexOf(callback);
+		if (index !== -1){
+			this._frameCallbacks.splice(index, 1);
+		}
+		return this;
+	};
+
 	/**
 	 *  The draw loop
 	 *  @private
@@ -97,6 +134,11 @@ define(["Tone/core/Tone", "Tone/core/Timeline"], function (Tone) {
 				event.callback();
 			}
 		}
+		//copy the list so that callbacks can be removed while they are invoked
+		var frameCallbacks = this._frameCallbacks.slice();
+		for (var i = 0; i < frameCallbacks.length; i++){
+			frameCallbacks[i](now);
+		}
 	};
 
 	//make a singleton
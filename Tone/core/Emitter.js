@@ -81,7 +81,8 @@ define(["Tone/core/Tone"], function (Tone) {
 		if (this._events){
 			var args = Array.prototype.slice.call(arguments, 1);
 			if (this._events.hasOwnProperty(event)){
-				var eventList = this._events[event];
+				//copy the list so that callbacks can be removed while emitting
+				var eventList = this._events[event].slice();
 				for (var i = 0, len = eventList.length; i < len; i++){
 					eventList[i].apply(this, args);
 				}
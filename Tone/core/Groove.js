@@ -0,0 +1,158 @@
+define(["Tone/core/Tone", "Tone/type/Type"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Tone.Groove is a template of timing and velocity offsets
+	 *         for each step of a pattern. A groove can be assigned to the
+	 *         Tone.Transport to shift all of the scheduled events or to an
+	 *         individual Tone.Part or Tone.Sequence. The pattern of steps
+	 *         repeats after the last step.
+	 *
+	 *  @extends {Tone}
+	 *  @param {Time} [subdivision="16n"] The duration of each step.
+	 *  @param {Array} [timing=[0]] The timing offset of each step as a
+	 *                              fraction of the subdivision.
+	 *  @param {Array} [velocity=[1]] The velocity of each step. The
+	 *                                velocity is passed into the event callbacks.
+	 *  @example
+	 * //push every other 16th note a bit later and play it softer
+	 * var groove = new Tone.Groove("16n", [0, 0.2], [1, 0.7]);
+	 * Tone.Transport.groove = groove;
+	 */
+	Tone.Groove = function(){
+
+		var options = this.optionsObject(arguments, ["subdivision", "timing", "velocity"], Tone.Groove.defaults);
+
+		/**
+		 *  The duration of each step
+		 *  @type  {Ticks}
+		 *  @private
+		 */
+		this._subdivision = this.toTicks(options.subdivision);
+
+		/**
+		 *  The timing offset of each step as a fraction
+		 *  of the subdivision. Positive values are late
+		 *  and negative values are early.
+		 *  @type  {Array}
+		 */
+		this.timing = options.timing.slice();
+
+		/**
+		 *  The velocity of each step.
+		 *  @type  {Array}
+		 */
+		this.velocity = options.velocity.slice();
+	};
+
+	Tone.extend(Tone.Groove);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.Groove.defaults = {
+		"subdivision" : "16n",
+		"timing" : [0],
+		"velocity" : [1]
+	};
+
+	/**
+	 *  The duration of each step.
+	 *  @memberOf Tone.Groove#
+	 *  @type {Time}
+	 *  @name subdivision
+	 */
+	Object.defineProperty(Tone.Groove.prototype, "subdivision", {
+		get : function(){
+			return Tone.Time(this._subdivision, "i").toNotation();
+		},
+		set : function(subdivision){
+			this._subdivision = this.toTicks(subdivision);
+		}
+	});
+
+	/**
+	 *  The number of steps before the groove repeats.
+	 *  @memberOf Tone.Groove#
+	 *  @type {Positive}
+	 *  @name steps
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.Groove.prototype, "steps", {
+		get : function(){
+			return Math.max(this.timing.length, this.velocity.length, 1);
+		}
+	});
+
+	/**
+	 *  The value of the array at the step, wrapping around the
+	 *  number of steps. Steps without a value return the default.
+	 *  @param  {Array}  values
+	 *  @param  {Number}  step
+	 *  @param  {Number}  defaultValue
+	 *  @return  {Number}
+	 *  @private
+	 */
+	Tone.Groove.prototype._getStepValue = function(values, step, defaultValue){
+		var steps = this.steps;
+		step = ((step % steps) + steps) % steps;
+		return this.defaultArg(values[step], defaultValue);
+	};
+
+	/**
+	 *  Get the timing offset of the given position. Positions between
+	 *  two steps are linearly interpolated between the offsets of those steps.
+	 *  @param  {Ticks}  ticks  The position relative to the beginning of the groove.
+	 *  @return  {Ticks}  The offset in ticks
+	 */
+	Tone.Groove.prototype.getTimingAtTick = function(ticks){
+		var position = ticks / this._subdivision;
+		var step = Math.floor(position);
+		var before = this._getStepValue(this.timing, step, 0);
+		var after = this._getStepValue(this.timing, step + 1, 0);
+		return (before + (after - before) * (position - step)) * this._subdivision;
+	};
+
+	/**
+	 *  Get the velocity of the step which is closest to the given position.
+	 *  @param  {Ticks}  ticks  The position relative to the beginning of the groove.
+	 *  @return  {NormalRange}
+	 */
+	Tone.Groove.prototype.getVelocityAtTick = function(ticks){
+		return this._getStepValue(this.velocity, Math.round(ticks / this._subdivision), 1);
+	};
+
+	/**
+	 *  Create a groove from an MPC-style swing percentage. 50% is straight and
+	 *  the higher the percentage, the later every other step is placed.
+	 *  At 66% the second step of each pair is on the triplet.
+	 *  @param  {Number}  percentage  The swing percentage between 50 and 75
+	 *  @param  {Time}  [subdivision="16n"]  The duration of each step
+	 *  @return  {Tone.Groove}
+	 *  @static
+	 *  @example
+	 * Tone.Transport.groove = Tone.Groove.mpc(58);
+	 */
+	Tone.Groove.mpc = function(percentage, subdivision){
+		subdivision = Tone.prototype.defaultArg(subdivision, Tone.Groove.defaults.subdivision);
+		//the position of the second step within the pair of steps
+		var offset = percentage / 50 - 1;
+		return new Tone.Groove(subdivision, [0, offset]);
+	};
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.Groove}  this
+	 */
+	Tone.Groove.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this.timing = null;
+		this.velocity = null;
+		return this;
+	};
+
+	return Tone.Groove;
+});
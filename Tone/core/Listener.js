@@ -308,14 +308,12 @@ function(Tone){
 
 	//SINGLETON SETUP
 	var ListenerConstructor = Tone.Listener;
-	Tone._initAudioContext(function(){
-		if (typeof Tone.Listener === "function"){
-			//a single listener object
-			Tone.Listener = new Tone.Listener();
-		} else {
-			//make new Listener insides
-			ListenerConstructor.call(Tone.Listener);
+	Tone._initAudioContext(function(context){
+		//each context has its own listener
+		if (!(context.Listener instanceof ListenerConstructor)){
+			context.Listener = new ListenerConstructor();
 		}
+		Tone.Listener = context.Listener;
 	});
 	//END SINGLETON SETUP
 
@@ -141,16 +141,14 @@ define(["Tone/core/Tone", "Tone/component/Volume"], function(Tone){
 	var MasterConstructor = Tone.Master;
 
 	/**
-	 *  initialize the module and listen for new audio contexts
+	 *  initialize the module and listen for new audio contexts.
+	 *  each context has its own Master output
 	 */
-	Tone._initAudioContext(function(){
-		//a single master output
-		if (!Tone.prototype.isUndef(Tone.Master)){
-			Tone.Master = new MasterConstructor();
-		} else {
-			MasterConstructor.prototype.dispose.call(Tone.Master);
-			MasterConstructor.call(Tone.Master);
+	Tone._initAudioContext(function(context){
+		if (!(context.Master instanceof MasterConstructor)){
+			context.Master = new MasterConstructor();
 		}
+		Tone.Master = context.Master;
 	});
 
 	return Tone.Master;
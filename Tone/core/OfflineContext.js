@@ -0,0 +1,85 @@
+define(["Tone/core/Tone", "Tone/core/Context"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Wrapper around the OfflineAudioContext. The clock source is "offline":
+	 *         the ticks which drive the Clocks are generated synchronously
+	 *         over the whole duration before the audio is rendered.
+	 *  @extends {Tone.Context}
+	 *  @param  {Number}  channels  The number of channels to render
+	 *  @param  {Number}  duration  The duration to render in seconds
+	 *  @param {Number} sampleRate the sample rate to render at
+	 */
+	Tone.OfflineContext = function(channels, duration, sampleRate){
+
+		/**
+		 *  The offline context
+		 *  @private
+		 *  @type  {OfflineAudioContext}
+		 */
+		var offlineContext = new OfflineAudioContext(channels, Math.ceil(duration * sampleRate), sampleRate);
+
+		//wrap the methods/members
+		Tone.Context.call(this, offlineContext);
+
+		/**
+		 *  A private reference to the duration
+		 *  @private
+		 *  @type  {Number}
+		 */
+		this._duration = duration;
+
+		/**
+		 *  An artificial clock source
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._currentTime = 0;
+
+		//modify the lookAhead and updateInterval to one block
+		this._lookAhead = 128 / sampleRate;
+		this._ticker.updateInterval = 128 / sampleRate;
+	};
+
+	Tone.extend(Tone.OfflineContext, Tone.Context);
+
+	/**
+	 *  Override the now method to point to the internal clock time
+	 *  @return  {Number}
+	 */
+	Tone.OfflineContext.prototype.now = function(){
+		return this._currentTime;
+	};
+
+	/**
+	 *  The ticks are generated in Tone.OfflineContext.render
+	 *  @type  {Tone.Context.ClockSource}
+	 *  @private
+	 */
+	Tone.OfflineContext.prototype._defaultClockSource = "offline";
+
+	/**
+	 *  Invoke all of the clock callbacks over the duration
+	 *  and then render the audio.
+	 *  @return  {Promise}  A promise which resolves with the rendered AudioBuffer
+	 */
+	Tone.OfflineContext.prototype.render = function(){
+		while(this._duration - this._currentTime >= 0){
+			//invoke all the callbacks on that time
+			this.emit("tick");
+			//increment the clock
+			this._currentTime += this._ticker.updateInterval;
+		}
+
+		//promise returned is not yet implemented in all browsers
+		return new Promise(function(done){
+			this._context.oncomplete = function(e){
+				done(e.renderedBuffer);
+			};
+			this._context.startRendering();
+		}.bind(this));
+	};
+
+	return Tone.OfflineContext;
+});
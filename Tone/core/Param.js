@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
+define(["Tone/core/Tone", "Tone/type/Type", "Tone/core/Context", "Tone/core/Timeline"], function(Tone){
 
 	"use strict";
 
@@ -51,6 +51,35 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 		 */
 		this._lfo = null;
 
+		/**
+		 *  The Transport the automation is synced to
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = null;
+
+		/**
+		 *  The automation in ticks when the param is synced
+		 *  @type  {Tone.Timeline}
+		 *  @private
+		 */
+		this._syncedEvents = null;
+
+		/**
+		 *  The value before the first synced automation event
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._syncedInitial = 0;
+
+		/**
+		 *  If the automation methods take TransportTime. It is false
+		 *  while the synced automation is scheduled in seconds.
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._synced = false;
+
 		if (this.isObject(options.lfo)){
 			this.value = options.lfo;
 		} else if (!this.isUndef(options.value)){
@@ -167,6 +196,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 * freq.setValueAtTime("G4", "+1");
 	 */
 	Tone.Param.prototype.setValueAtTime = function(value, time){
+		if (this._synced){
+			return this._syncedSetValueAtTime(value, time);
+		}
 		value = this._fromUnits(value);
 		time = this.toSeconds(time);
 		if (time <= this.now() + this.blockTime){
@@ -186,6 +218,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this
 	 */
 	Tone.Param.prototype.setRampPoint = function(now){
+		if (this._synced){
+			return this._syncedSetRampPoint(this._transport.toTicks(now));
+		}
 		now = this.defaultArg(now, this.now());
 		var currentVal = this._param.value;
 		// exponentialRampToValueAt cannot ever ramp from or to 0
@@ -206,6 +241,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this
 	 */
 	Tone.Param.prototype.linearRampToValueAtTime = function(value, endTime){
+		if (this._synced){
+			return this._syncedLinearRampToValueAtTime(value, endTime);
+		}
 		value = this._fromUnits(value);
 		this._param.linearRampToValueAtTime(value, this.toSeconds(endTime));
 		return this;
@@ -220,6 +258,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this
 	 */
 	Tone.Param.prototype.exponentialRampToValueAtTime = function(value, endTime){
+		if (this._synced){
+			return this._syncedExponentialRampToValueAtTime(value, endTime);
+		}
 		value = this._fromUnits(value);
 		value = Math.max(this._minOutput, value);
 		this._param.exponentialRampToValueAtTime(value, this.toSeconds(endTime));
@@ -241,6 +282,10 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 * signal.exponentialRampToValue(2, 4);
 	 */
 	Tone.Param.prototype.exponentialRampToValue = function(value, rampTime, startTime){
+		if (this._synced){
+			value = Math.max(this._fromUnits(value), this._minOutput);
+			return this._syncedRamp(Tone.Param.AutomationType.Exponential, value, rampTime, startTime);
+		}
 		startTime = this.toSeconds(startTime);
 		this.setRampPoint(startTime);
 		this.exponentialRampToValueAtTime(value, startTime + this.toSeconds(rampTime));
@@ -262,6 +307,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 * signal.linearRampToValue(4, 3);
 	 */
 	Tone.Param.prototype.linearRampToValue = function(value, rampTime, startTime){
+		if (this._synced){
+			return this._syncedRamp(Tone.Param.AutomationType.Linear, this._fromUnits(value), rampTime, startTime);
+		}
 		startTime = this.toSeconds(startTime);
 		this.setRampPoint(startTime);
 		this.linearRampToValueAtTime(value, startTime + this.toSeconds(rampTime));
@@ -277,6 +325,10 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this 
 	 */
 	Tone.Param.prototype.setTargetAtTime = function(value, startTime, timeConstant){
+		//the target is approached in seconds
+		if (this._synced){
+			throw new Error("Tone.Param: setTargetAtTime cannot be used when the param is synced");
+		}
 		value = this._fromUnits(value);
 		// The value will never be able to approach without timeConstant > 0.
 		// http://www.w3.org/TR/webaudio/#dfn-setTargetAtTime, where the equation
@@ -297,6 +349,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this
 	 */
 	Tone.Param.prototype.setValueCurveAtTime = function(values, startTime, duration){
+		if (this._synced){
+			return this._syncedSetValueCurveAtTime(values, startTime, duration);
+		}
 		for (var i = 0; i < values.length; i++){
 			values[i] = this._fromUnits(values[i]);
 		}
@@ -312,6 +367,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this
 	 */
 	Tone.Param.prototype.cancelScheduledValues = function(startTime){
+		if (this._synced){
+			return this._syncedCancelScheduledValues(startTime);
+		}
 		this._param.cancelScheduledValues(this.toSeconds(startTime));
 		return this;
 	};
@@ -344,6 +402,316 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 		return this;
 	};
 
+	/**
+	 *  Write the automation in TransportTime instead of seconds. The automation
+	 *  of setValueAtTime, linearRampToValueAtTime, exponentialRampToValueAtTime, 
+	 *  setValueCurveAtTime, the ramps and cancelScheduledValues is stored in ticks and 
+	 *  setTargetAtTime throws an error. The automation is played back from 
+	 *  the Transport's position when the Transport starts, when the position 
+	 *  changes and when the Transport loops. When the Transport is paused or stopped, 
+	 *  the value is held. The value before the first event is the value of the 
+	 *  param when it was synced. 
+	 *  @param  {Tone.Transport}  [transport=Tone.Transport]  The Transport to sync to.
+	 *  @returns {Tone.Param} this
+	 *  @example
+	 * //a filter sweep over the second measure which 
+	 * //is still in place after scrubbing
+	 * filter.frequency.sync();
+	 * filter.frequency.setValueAtTime(200, "1m");
+	 * filter.frequency.exponentialRampToValueAtTime(4000, "2m");
+	 */
+	Tone.Param.prototype.sync = function(transport){
+		if (this.isUndef(Tone.Transport)){
+			throw new Error("Include 'Tone.Transport' to sync a Param.");
+		}
+		if (this._syncedEvents === null){
+			this._transport = this.defaultArg(transport, this.context.Transport);
+			this._syncedEvents = new Tone.Timeline();
+			this._syncedInitial = this._param.value;
+			this._synced = true;
+			this._onTransportStart = this._onTransportStart.bind(this);
+			this._onTransportStop = this._onTransportStop.bind(this);
+			this._transport.on("start loopStart", this._onTransportStart);
+			this._transport.on("stop pause loopEnd", this._onTransportStop);
+		}
+		return this;
+	};
+
+	/**
+	 *  Write the automation in seconds again. The automation
+	 *  which was written in TransportTime is removed.
+	 *  @returns {Tone.Param} this
+	 */
+	Tone.Param.prototype.unsync = function(){
+		if (this._syncedEvents !== null){
+			this._transport.off("start loopStart", this._onTransportStart);
+			this._transport.off("stop pause loopEnd", this._onTransportStop);
+			this._synced = false;
+			delete this._onTransportStart;
+			delete this._onTransportStop;
+			this._syncedEvents.dispose();
+			this._syncedEvents = null;
+			this._transport = null;
+		}
+		return this;
+	};
+
+	/**
+	 *  The types of the automation events which are
+	 *  stored when the param is synced.
+	 *  @enum {String}
+	 *  @private
+	 */
+	Tone.Param.AutomationType = {
+		Set : "set",
+		Linear : "linear",
+		Exponential : "exponential"
+	};
+
+	/**
+	 *  setValueAtTime in TransportTime
+	 *  @param {*}	value
+	 *  @param {TransportTime}  time
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedSetValueAtTime = function(value, time){
+		return this._addSyncedEvent(Tone.Param.AutomationType.Set, this._fromUnits(value), this._transport.toTicks(time));
+	};
+
+	/**
+	 *  linearRampToValueAtTime in TransportTime
+	 *  @param {*}	value
+	 *  @param {TransportTime}  endTime
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedLinearRampToValueAtTime = function(value, endTime){
+		return this._addSyncedEvent(Tone.Param.AutomationType.Linear, this._fromUnits(value), this._transport.toTicks(endTime));
+	};
+
+	/**
+	 *  exponentialRampToValueAtTime in TransportTime
+	 *  @param {*}	value
+	 *  @param {TransportTime}  endTime
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedExponentialRampToValueAtTime = function(value, endTime){
+		value = Math.max(this._fromUnits(value), this._minOutput);
+		return this._addSyncedEvent(Tone.Param.AutomationType.Exponential, value, this._transport.toTicks(endTime));
+	};
+
+	/**
+	 *  setRampPoint in ticks. The value of the automation 
+	 *  at that position is set at that position. 
+	 *  @param {Ticks}  ticks
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedSetRampPoint = function(ticks){
+		var value = this._getSyncedValueAtTick(ticks);
+		// exponentialRampToValueAt cannot ever ramp from or to 0
+		if (value === 0){
+			value = this._minOutput;
+		}
+		return this._addSyncedEvent(Tone.Param.AutomationType.Set, value, ticks);
+	};
+
+	/**
+	 *  linearRampToValue and exponentialRampToValue in TransportTime
+	 *  @param  {Tone.Param.AutomationType}  type
+	 *  @param  {Number}  value  The converted value
+	 *  @param  {Time}  rampTime
+	 *  @param  {TransportTime}  [startTime=position]
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedRamp = function(type, value, rampTime, startTime){
+		var startTicks = this._transport.toTicks(startTime);
+		this._syncedSetRampPoint(startTicks);
+		return this._addSyncedEvent(type, value, startTicks + this._transport.toTicks(rampTime));
+	};
+
+	/**
+	 *  setValueCurveAtTime in TransportTime. The curve is stored
+	 *  as a linear ramp to each of the values. 
+	 *  @param {Array} values
+	 *  @param {TransportTime} startTime
+	 *  @param {Time} duration
+	 *  @param {NormalRange} [scaling=1] The values are scaled by this value
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedSetValueCurveAtTime = function(values, startTime, duration, scaling){
+		scaling = this.defaultArg(scaling, 1);
+		var startTicks = this._transport.toTicks(startTime);
+		var durationTicks = this._transport.toTicks(duration);
+		for (var i = 0; i < values.length; i++){
+			var type = i === 0 ? Tone.Param.AutomationType.Set : Tone.Param.AutomationType.Linear;
+			var ticks = startTicks + i / Math.max(values.length - 1, 1) * durationTicks;
+			this._addSyncedEvent(type, this._fromUnits(values[i]) * scaling, ticks);
+		}
+		return this;
+	};
+
+	/**
+	 *  cancelScheduledValues in TransportTime
+	 *  @param {TransportTime}  after
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._syncedCancelScheduledValues = function(after){
+		this._syncedEvents.cancel(this._transport.toTicks(after));
+		this._rescheduleSynced();
+		return this;
+	};
+
+	/**
+	 *  Store the automation event and reschedule the 
+	 *  automation if the Transport is started.
+	 *  @param  {Tone.Param.AutomationType}  type
+	 *  @param  {Number}  value  The converted value
+	 *  @param  {Ticks}  ticks
+	 *  @returns {Tone.Param} this
+	 *  @private
+	 */
+	Tone.Param.prototype._addSyncedEvent = function(type, value, ticks){
+		this._syncedEvents.add({
+			"type" : type,
+			"value" : value,
+			"time" : ticks
+		});
+		this._rescheduleSynced();
+		return this;
+	};
+
+	/**
+	 *  If the Transport is started, schedule the 
+	 *  automation from now on again.
+	 *  @private
+	 */
+	Tone.Param.prototype._rescheduleSynced = function(){
+		if (this._transport.state === Tone.State.Started){
+			var now = this.now();
+			this._holdSynced(now);
+			this._scheduleSynced(now, this._transport.getTicksAtTime(now));
+		}
+	};
+
+	/**
+	 *  Get the value of the synced automation at the given position
+	 *  @param  {Ticks}  ticks
+	 *  @return  {Number}  The converted value
+	 *  @private
+	 */
+	Tone.Param.prototype._getSyncedValueAtTick = function(ticks){
+		var before = this._syncedEvents.get(ticks);
+		var after = this._syncedEvents.getAfter(ticks);
+		var startTicks = before ? before.time : 0;
+		var startValue = before ? before.value : this._syncedInitial;
+		if (after === null || after.type === Tone.Param.AutomationType.Set){
+			return startValue;
+		}
+		var progress = (ticks - startTicks) / (after.time - startTicks);
+		if (after.type === Tone.Param.AutomationType.Linear){
+			return startValue + (after.value - startValue) * progress;
+		} else {
+			startValue = Math.max(startValue, this._minOutput);
+			return startValue * Math.pow(after.value / startValue, progress);
+		}
+	};
+
+	/**
+	 *  Cancel the scheduled automation after the given time. A ramp 
+	 *  which is in progress at that time ends at the value it has at that time.
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.Param.prototype._holdSynced = function(time){
+		//the position just before the time, since the ticks are reset when the Transport stops
+		var ticks = this._transport.getTicksAtTime(time - this.sampleTime);
+		var value = this._getSyncedValueAtTick(ticks);
+		var after = this._syncedEvents.getAfter(ticks);
+		this._synced = false;
+		this.cancelScheduledValues(time);
+		if (after !== null && after.type !== Tone.Param.AutomationType.Set){
+			this._scheduleSyncedEvent(after.type, value, time);
+		}
+		this._scheduleSyncedEvent(Tone.Param.AutomationType.Set, value, time);
+		this._synced = true;
+	};
+
+	/**
+	 *  Schedule the automation of the param from the given position on 
+	 *  at the given time. When the Transport loops, the automation is scheduled
+	 *  up to the loop end.
+	 *  @param  {Seconds}  time  The time of the position
+	 *  @param  {Ticks}  ticks  The position
+	 *  @private
+	 */
+	Tone.Param.prototype._scheduleSynced = function(time, ticks){
+		var transport = this._transport;
+		var end = Infinity;
+		if (transport.loop && ticks < transport._loopEnd){
+			end = transport._loopEnd;
+		}
+		var getTimeOfTick = function(tick){
+			return time + transport.bpm.getDurationOfTicks(tick - ticks, time);
+		};
+		this._synced = false;
+		this._scheduleSyncedEvent(Tone.Param.AutomationType.Set, this._getSyncedValueAtTick(ticks), time);
+		var next = null;
+		this._syncedEvents.forEachAfter(ticks, function(event){
+			if (event.time < end){
+				this._scheduleSyncedEvent(event.type, event.value, getTimeOfTick(event.time));
+			} else if (next === null){
+				next = event;
+			}
+		}.bind(this));
+		//a ramp which crosses the loop end ramps to the value at the loop end
+		if (next !== null && next.type !== Tone.Param.AutomationType.Set){
+			this._scheduleSyncedEvent(next.type, this._getSyncedValueAtTick(end), getTimeOfTick(end));
+		}
+		this._synced = true;
+	};
+
+	/**
+	 *  Schedule a synced automation event in seconds
+	 *  @param  {Tone.Param.AutomationType}  type
+	 *  @param  {Number}  value  The converted value
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.Param.prototype._scheduleSyncedEvent = function(type, value, time){
+		value = this._toUnits(value);
+		if (type === Tone.Param.AutomationType.Set){
+			this.setValueAtTime(value, time);
+		} else if (type === Tone.Param.AutomationType.Linear){
+			this.linearRampToValueAtTime(value, time);
+		} else {
+			this.exponentialRampToValueAtTime(value, time);
+		}
+	};
+
+	/**
+	 *  Schedule the automation from the position the Transport starts at
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.Param.prototype._onTransportStart = function(time){
+		this._scheduleSynced(time, this._transport.ticks);
+	};
+
+	/**
+	 *  Hold the value at the position the Transport stops or loops at
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.Param.prototype._onTransportStop = function(time){
+		this._holdSynced(time);
+	};
+
 	/**
 	 *  The LFO created by the signal instance. If none
 	 *  was created, this is null.
@@ -363,6 +731,9 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @returns {Tone.Param} this
 	 */
 	Tone.Param.prototype.dispose = function(){
+		if (this._syncedEvents){
+			this.unsync();
+		}
 		Tone.prototype.dispose.call(this);
 		this._param = null;
 		if (this._lfo){
@@ -20,8 +20,6 @@ define(function(){
 		return typeof val === "function";
 	}
 
-	var audioContext;
-
 	//polyfill for AudioContext and OfflineAudioContext
 	if (isUndef(window.AudioContext)){
 		window.AudioContext = window.webkitAudioContext;
@@ -30,9 +28,7 @@ define(function(){
 		window.OfflineAudioContext = window.webkitOfflineAudioContext;
 	} 
 
-	if (!isUndef(AudioContext)){
-		audioContext = new AudioContext();
-	} else {
+	if (isUndef(AudioContext)){
 		throw new Error("Web Audio is not supported in this browser");
 	}
 
@@ -77,6 +73,9 @@ define(function(){
 					this.connect(B.input, outNum, inNum);
 				}
 			} else {
+				if (B instanceof AudioNode && B.context !== this.context){
+					throw new Error("Tone.js: cannot connect nodes which were created in different contexts");
+				}
 				try {
 					if (B instanceof AudioNode){
 						this._nativeConnect(B, outNum, inNum);
@@ -305,16 +304,30 @@ define(function(){
 	///////////////////////////////////////////////////////////////////////////
 
 	/**
-	 *  A static pointer to the audio context accessible as Tone.context. 
-	 *  @type {AudioContext}
-	 */
-	Tone.context = audioContext;
-
-	/**
-	 *  The audio context.
-	 *  @type {AudioContext}
+	 *  The context which was current when the object was created.
+	 *  Objects record the context the first time they need it, so that
+	 *  they keep using the same context when another one is set afterwards.
+	 *  @type {Tone.Context}
+	 *  @memberOf Tone#
+	 *  @name context
+	 *  @readOnly
 	 */
-	Tone.prototype.context = Tone.context;
+	Object.defineProperty(Tone.prototype, "context", {
+		get : function(){
+			//prototypes are not bound to a context
+			if (this.constructor.prototype === this){
+				return Tone.context;
+			}
+			if (!this.hasOwnProperty("_context")){
+				//not enumerable so that it's not part of the object's properties
+				Object.defineProperty(this, "_context", {
+					value : Tone.context,
+					writable : true
+				});
+			}
+			return this._context;
+		}
+	});
 
 	/**
 	 *  the default buffer size
@@ -327,18 +340,28 @@ define(function(){
 	/**
 	 *  The delay time of a single frame (128 samples according to the spec). 
 	 *  @type {number}
-	 *  @static
-	 *  @const
+	 *  @memberOf Tone#
+	 *  @name blockTime
+	 *  @readOnly
 	 */
-	Tone.prototype.blockTime = 128 / Tone.context.sampleRate;
+	Object.defineProperty(Tone.prototype, "blockTime", {
+		get : function(){
+			return 128 / this.context.sampleRate;
+		}
+	});
 
 	/**
 	 *  The time of a single sample
 	 *  @type {number}
-	 *  @static
-	 *  @const
+	 *  @memberOf Tone#
+	 *  @name sampleTime
+	 *  @readOnly
 	 */
-	Tone.prototype.sampleTime = 1 / Tone.context.sampleRate;
+	Object.defineProperty(Tone.prototype, "sampleTime", {
+		get : function(){
+			return 1 / this.context.sampleRate;
+		}
+	});
 
 	/**
 	 *  The number of inputs feeding into the AudioNode. 
@@ -403,6 +426,11 @@ define(function(){
 			} 
 			this.output = null;
 		}
+		//the tap of getLiveValue
+		if (this._signalTap){
+			this._signalTap.dispose();
+			this._signalTap = null;
+		}
 		return this;
 	};
 
@@ -440,6 +468,9 @@ define(function(){
 	 *  @returns {Tone} this
 	 */
 	Tone.prototype.connect = function(unit, outputNum, inputNum){
+		if (unit instanceof Tone && unit.context !== this.context){
+			throw new Error("Tone.js: cannot connect nodes which were created in different contexts");
+		}
 		if (Array.isArray(this.output)){
 			outputNum = this.defaultArg(outputNum, 0);
 			this.output[outputNum].connect(unit, 0, inputNum);
@@ -757,7 +788,7 @@ define(function(){
 	 *  @return {Number} the currentTime from the AudioContext
 	 */
 	Tone.prototype.now = function(){
-		return this.context.currentTime;
+		return this.context.now();
 	};
 
 	/**
@@ -766,7 +797,7 @@ define(function(){
 	 *  @static
 	 */
 	Tone.now = function(){
-		return Tone.context.currentTime;
+		return Tone.context.now();
 	};
 
 	///////////////////////////////////////////////////////////////////////////
@@ -802,51 +833,75 @@ define(function(){
 	//	CONTEXT
 	///////////////////////////////////////////////////////////////////////////
 
+	/**
+	 *  The current context.
+	 *  @private
+	 *  @type {Tone.Context}
+	 */
+	var audioContext;
+
 	/**
 	 *  array of callbacks to be invoked when a new context is added
 	 *  @private 
-	 *  @private
 	 */
 	var newContextCallbacks = [];
 
 	/**
-	 *  invoke this callback when a new context is added
-	 *  will be invoked initially with the first context
+	 *  invoke this callback when a new context is set
+	 *  will be invoked initially with the current context
 	 *  @private 
 	 *  @static
-	 *  @param {function(AudioContext)} callback the callback to be invoked
-	 *                                           with the audio context
+	 *  @param {function(Tone.Context)} callback the callback to be invoked
+	 *                                           with the context
 	 */
 	Tone._initAudioContext = function(callback){
-		//invoke the callback with the existing AudioContext
-		callback(Tone.context);
+		//invoke the callback with the existing context
+		if (!isUndef(audioContext)){
+			callback(audioContext);
+		}
 		//add it to the array
 		newContextCallbacks.push(callback);
 	};
 
+	/**
+	 *  A static pointer to the current context accessible as Tone.context. 
+	 *  Native AudioContexts which are set are wrapped in a Tone.Context.
+	 *  @type {Tone.Context}
+	 *  @memberOf Tone
+	 *  @name context
+	 *  @static
+	 */
+	Object.defineProperty(Tone, "context", {
+		get : function(){
+			return audioContext;
+		},
+		set : function(context){
+			if (Tone.Context && !(context instanceof Tone.Context)){
+				context = new Tone.Context(context);
+			}
+			audioContext = context;
+			//invoke all the callbacks
+			for (var i = 0; i < newContextCallbacks.length; i++){
+				newContextCallbacks[i](audioContext);
+			}
+		}
+	});
+
 	/**
 	 *  Tone automatically creates a context on init, but if you are working
 	 *  with other libraries which also create an AudioContext, it can be
-	 *  useful to set your own. If you are going to set your own context, 
-	 *  be sure to do it at the start of your code, before creating any objects.
+	 *  useful to set your own. Objects keep using the context they were
+	 *  created in, so set your own context before creating any objects
+	 *  which should be part of it.
 	 *  @static
-	 *  @param {AudioContext} ctx The new audio context to set
+	 *  @param {AudioContext|Tone.Context} ctx The new audio context to set
 	 */
 	Tone.setContext = function(ctx){
-		//set the prototypes
-		Tone.prototype.context = ctx;
 		Tone.context = ctx;
-		//invoke all the callbacks
-		for (var i = 0; i < newContextCallbacks.length; i++){
-			newContextCallbacks[i](ctx);
-		}
 	};
 
 	//setup the context
 	Tone._initAudioContext(function(audioContext){
-		//set the blockTime
-		Tone.prototype.blockTime = 128 / audioContext.sampleRate;
-		Tone.prototype.sampleTime = 1 / audioContext.sampleRate;
 		_silentNode = audioContext.createGain();
 		_silentNode.gain.value = 0;
 		_silentNode.connect(audioContext.destination);
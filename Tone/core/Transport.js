@@ -1,5 +1,5 @@
 define(["Tone/core/Tone", "Tone/core/Clock", "Tone/type/Type", "Tone/core/Timeline", 
-	"Tone/core/Emitter", "Tone/core/Gain", "Tone/core/IntervalTimeline"], 
+	"Tone/core/Emitter", "Tone/core/Gain", "Tone/core/IntervalTimeline", "Tone/core/Groove"], 
 function(Tone){
 
 	"use strict";
@@ -10,13 +10,26 @@ function(Tone){
 	 *          Tone.Transport timing events pass in the exact time of the scheduled event
 	 *          in the argument of the callback function. Pass that time value to the object
 	 *          you're scheduling. <br><br>
-	 *          A single transport is created for you when the library is initialized. 
+	 *          A global transport is created for each context as `Tone.context.Transport` and its 
+	 *          members can be used directly on Tone.Transport, i.e. `Tone.Transport.start()`. 
+	 *          Independent transports with their own tempo, time signature, loop and swing
+	 *          can be created with `new Tone.Transport()` and passed as the `transport` option
+	 *          of Tone.Event, Tone.Part, Tone.Loop, Tone.Sequence and Tone.Pattern or into Tone.Source.sync. 
 	 *          <br><br>
 	 *          The transport emits the events: "start", "stop", "pause", and "loop" which are
 	 *          called with the time of that event as the argument. 
 	 *
 	 *  @extends {Tone.Emitter}
-	 *  @singleton
+	 *  @param {Object} [options] The initial bpm, timeSignature, swing, swingSubdivision, PPQ and countIn.
+	 *  @example
+	 * //a preview player next to the main arrangement
+	 * var preview = new Tone.Transport({"bpm" : 90, "timeSignature" : 3});
+	 * new Tone.Loop({
+	 * 	"callback" : callback,
+	 * 	"interval" : "4n",
+	 * 	"transport" : preview
+	 * }).start(0);
+	 * preview.start();
 	 *  @example
 	 * //repeated event every 8th note
 	 * Tone.Transport.scheduleRepeat(function(time){
@@ -30,6 +43,8 @@ function(Tone){
 	 */
 	Tone.Transport = function(){
 
+		var options = this.optionsObject(arguments, ["bpm"], Tone.Transport.defaults);
+
 		Tone.Emitter.call(this);
 
 		///////////////////////////////////////////////////////////////////////
@@ -56,6 +71,38 @@ function(Tone){
 		 */
 		this._loopEnd = 0;
 
+		///////////////////////////////////////////////////////////////////////
+		//	PUNCH IN/OUT
+		//////////////////////////////////////////////////////////////////////
+
+		/**
+		 *  If the punch in and punch out events are emitted. 
+		 *  @type {boolean}
+		 */
+		this.punch = false;
+
+		/**
+		 *  The punch in position in ticks
+		 *  @type {Ticks}
+		 *  @private
+		 */
+		this._punchIn = 0;
+
+		/**
+		 *  The punch out position in ticks
+		 *  @type {Ticks}
+		 *  @private
+		 */
+		this._punchOut = 0;
+
+		/**
+		 *  The last tick which was processed within the punch 
+		 *  region or -1 if the Transport is not punched in.
+		 *  @type {Ticks}
+		 *  @private
+		 */
+		this._punchTick = -1;
+
 		///////////////////////////////////////////////////////////////////////
 		//	CLOCK/TEMPO
 		//////////////////////////////////////////////////////////////////////
@@ -65,7 +112,7 @@ function(Tone){
 		 *  @private
 		 *  @type  {Number}
 		 */
-		this._ppq = TransportConstructor.defaults.PPQ;
+		this._ppq = options.PPQ;
 
 		/**
 		 *  watches the main oscillator for timing ticks
@@ -78,6 +125,7 @@ function(Tone){
 			"frequency" : 0,
 		});
 
+		this._clock._getNextTick = this._getNextEventTick.bind(this);
 		this._bindClockEvents();
 
 		/**
@@ -93,16 +141,63 @@ function(Tone){
 		this.bpm._toUnits = this._toUnits.bind(this);
 		this.bpm._fromUnits = this._fromUnits.bind(this);
 		this.bpm.units = Tone.Type.BPM;
-		this.bpm.value = TransportConstructor.defaults.bpm;
+		this.bpm.value = options.bpm;
 		this._readOnly("bpm");
 
 		/**
-		 *  The time signature, or more accurately the numerator
-		 *  of the time signature over a denominator of 4. 
+		 *  The time signature as the length of the bar in quarter notes ("quarters")
+		 *  and the length of each of the bar's beats in quarter notes ("beats").
+		 *  @type {Object}
+		 *  @private
+		 */
+		this._timeSignature = this._parseTimeSignature(options.timeSignature);
+
+		/**
+		 *  The scheduled tempo changes. The time of each
+		 *  event is the position in ticks.
+		 *  @type {Tone.Timeline}
+		 *  @private
+		 */
+		this._tempoMap = new Tone.Timeline();
+
+		/**
+		 *  The scheduled time signature changes. The time of 
+		 *  each event is the bar on which the change occurs.
+		 *  @type {Tone.Timeline}
+		 *  @private
+		 */
+		this._meterMap = new Tone.Timeline();
+
+		/**
+		 *  The named markers. The time of each event is
+		 *  the position in ticks. They are kept apart from the
+		 *  scheduled events so that Tone.Transport.cancel does not remove them.
+		 *  @type {Tone.Timeline}
+		 *  @private
+		 */
+		this._markers = new Tone.Timeline();
+
+		/**
+		 *  The id of the scheduled jump to a marker
 		 *  @type {Number}
 		 *  @private
 		 */
-		this._timeSignature = TransportConstructor.defaults.timeSignature;
+		this._jumpId = -1;
+
+		/**
+		 *  The number of bars to count in before the Transport starts.
+		 *  When it is greater than 0, Tone.Transport.start waits for the 
+		 *  count-in and emits a "countIn" event with the time and the 
+		 *  index of the beat within the bar for each of the count-in's beats. 
+		 *  Tone.Metronome clicks on those events. The position is not changed 
+		 *  by the count-in so nothing scheduled on the Transport is shifted. 
+		 *  @type {Positive}
+		 *  @example
+		 * //one bar of clicks and then start at 0:0:0
+		 * Tone.Transport.countIn = 1;
+		 * Tone.Transport.start();
+		 */
+		this.countIn = options.countIn;
 
 		///////////////////////////////////////////////////////////////////////
 		//	TIMELINE EVENTS
@@ -143,6 +238,21 @@ function(Tone){
 		 */
 		this._onceEvents = new Tone.Timeline();
 
+		/**
+		 *  Events which have a duration and are
+		 *  entered and exited
+		 *  @type {Tone.IntervalTimeline}
+		 *  @private
+		 */
+		this._spans = new Tone.IntervalTimeline();
+
+		/**
+		 *  The spans which have been entered and not yet exited
+		 *  @type {Array}
+		 *  @private
+		 */
+		this._activeSpans = [];
+
 		/** 
 		 *  All of the synced Signals
 		 *  @private 
@@ -159,7 +269,7 @@ function(Tone){
 		 *  @type  {Ticks}
 		 *  @private
 		 */
-		this._swingTicks = TransportConstructor.defaults.PPQ / 2; //8n
+		this._swingTicks = options.PPQ / 2; //8n
 
 		/**
 		 *  The swing amount
@@ -168,6 +278,33 @@ function(Tone){
 		 */
 		this._swingAmount = 0;
 
+		/**
+		 *  The groove which applies the swing
+		 *  @type {Tone.Groove}
+		 *  @private
+		 */
+		this._swingGroove = null;
+
+		/**
+		 *  The groove which is applied to all of the scheduled events. 
+		 *  The timing offset of each step shifts the time of the events
+		 *  and the step's velocity is passed into the callbacks. When set, 
+		 *  it is used instead of the swing. A groove which is no longer 
+		 *  than a beat repeats on every beat, otherwise it repeats on every bar. 
+		 *  @type {Tone.Groove}
+		 *  @example
+		 * Tone.Transport.groove = Tone.Groove.mpc(62);
+		 */
+		this.groove = null;
+
+		/**
+		 *  The SMPTE frame rate of the timecode, i.e. 24, 25, 29.97 or 30.
+		 *  @type {Number}
+		 */
+		this.frameRate = options.frameRate;
+
+		this.swingSubdivision = options.swingSubdivision;
+		this.swing = options.swing;
 	};
 
 	Tone.extend(Tone.Transport, Tone.Emitter);
@@ -185,7 +322,9 @@ function(Tone){
 		"timeSignature" : 4,
 		"loopStart" : 0,
 		"loopEnd" : "4m",
-		"PPQ" : 192
+		"PPQ" : 192,
+		"countIn" : 0,
+		"frameRate" : 30
 	};
 
 	///////////////////////////////////////////////////////////////////////////////
@@ -197,45 +336,222 @@ function(Tone){
 	 *  @param   {number} tickTime clock relative tick time
 	 *  @private
 	 */
-	Tone.Transport.prototype._processTick = function(tickTime){
+	Tone.Transport.prototype._processTick = function(time){
 		var ticks = this._clock.ticks;
-		//handle swing
-		if (this._swingAmount > 0 && 
-			ticks % this._ppq !== 0 && //not on a downbeat
-			ticks % (this._swingTicks * 2) !== 0){
-			//add some swing
-			var progress = (ticks % (this._swingTicks * 2)) / (this._swingTicks * 2);
-			var amount = Math.sin((progress) * Math.PI) * this._swingAmount;
-			tickTime += Tone.Time(this._swingTicks * 2/3, "i").eval() * amount;
-		} 
+		//the loop points, tempo changes, markers and punch points are not shifted by the groove
+		var tickTime = time;
+		var velocity = 1;
 		//do the loop test
 		if (this.loop){
 			if (ticks === this._loopEnd){
-				this.emit("loopEnd", tickTime);
+				this.emit("loopEnd", time);
 				this._clock.ticks = this._loopStart;
 				ticks = this._loopStart;
-				this.emit("loopStart", tickTime, this.seconds);
-				this.emit("loop", tickTime);
+				this._applyTempoAtTick(ticks, time);
+				this.emit("loopStart", time, this.seconds);
+				this.emit("loop", time);
 			}
 		}
+		//the tempo changes on this tick
+		this._tempoMap.forEachAtTime(ticks, function(event){
+			this.bpm.setValueAtTime(event.bpm, time);
+		}.bind(this));
+		//handle the groove, which shifts the time of the event callbacks
+		var groove = this.groove || this._swingGroove;
+		if (groove){
+			var position = this._getGroovePosition(groove, ticks);
+			//the raw value of the bpm is the rate of the ticks
+			tickTime += groove.getTimingAtTick(position) / this.bpm.getValueAtTime(time);
+			velocity = groove.getVelocityAtTick(position);
+		}
+		this._emitMarkers(ticks, time);
 		//process the single occurrence events
 		this._onceEvents.forEachBefore(ticks, function(event){
-			event.callback(tickTime);
+			if (event.groove === false){
+				event.callback(time, 1);
+			} else {
+				event.callback(tickTime, velocity);
+			}
 			//remove the event
 			delete this._scheduledEvents[event.id.toString()];
 		}.bind(this));
 		//and clear the single occurrence timeline
 		this._onceEvents.cancelBefore(ticks);
+		//a jump to a marker moves the position
+		if (ticks !== this._clock.ticks){
+			ticks = this._clock.ticks;
+			this._emitMarkers(ticks, time);
+		}
+		this._processPunch(ticks, time);
+		this._processSpans(ticks, tickTime, velocity);
 		//fire the next tick events if their time has come
 		this._timeline.forEachAtTime(ticks, function(event){
-			event.callback(tickTime);
+			event.callback(tickTime, velocity);
 		});
 		//process the repeated events
 		this._repeatedEvents.forEachAtTime(ticks, function(event){
 			if ((ticks - event.time) % event.interval === 0){
-				event.callback(tickTime);
+				if (event.groove === false){
+					event.callback(time, 1);
+				} else {
+					event.callback(tickTime, velocity);
+				}
+			}
+		});
+	};
+
+	/**
+	 *  The next tick at or after the given tick which something happens on: 
+	 *  a scheduled event, a tempo change, a marker, the loop end or the 
+	 *  beginning or end of a span or the punch region. The clock skips 
+	 *  over the ticks in between.
+	 *  @param  {Ticks}  ticks
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.Transport.prototype._getNextEventTick = function(ticks){
+		//every tick within the punch region is processed to detect the jumps in position
+		if (this._punchTick !== -1 || (this.punch && ticks >= this._punchIn && ticks < this._punchOut)){
+			return ticks;
+		}
+		var next = Infinity;
+		var consider = function(tick){
+			next = Math.min(next, Math.max(Math.ceil(tick), ticks));
+		};
+		if (this.loop && this._loopEnd >= ticks){
+			consider(this._loopEnd);
+		}
+		if (this.punch && this._punchIn >= ticks){
+			consider(this._punchIn);
+		}
+		//the single occurrence events which have passed are invoked on the next tick
+		if (this._onceEvents.length){
+			consider(this._onceEvents.peek().time);
+		}
+		consider(this._getNextEventInTimeline(this._timeline, ticks));
+		consider(this._getNextEventInTimeline(this._tempoMap, ticks));
+		consider(this._getNextEventInTimeline(this._markers, ticks));
+		this._activeSpans.forEach(function(span){
+			consider(span.time + span.duration);
+		});
+		this._spans.forEachAtTime(ticks, function(span){
+			if (!span.active){
+				consider(ticks);
+			}
+		});
+		this._spans.forEachAfter(ticks, function(span){
+			consider(span.time);
+		});
+		this._repeatedEvents.forEachAtTime(ticks, function(event){
+			var repeats = Math.ceil((ticks - event.time) / event.interval);
+			var repeatTick = event.time + repeats * event.interval;
+			if (repeatTick < event.time + event.duration){
+				consider(repeatTick);
+			}
+		});
+		this._repeatedEvents.forEachAfter(ticks, function(event){
+			consider(event.time);
+		});
+		return next;
+	};
+
+	/**
+	 *  The time of the first event at or after the given tick
+	 *  @param  {Tone.Timeline}  timeline
+	 *  @param  {Ticks}  ticks
+	 *  @return  {Ticks}  The time of the event or Infinity if there isn't one.
+	 *  @private
+	 */
+	Tone.Transport.prototype._getNextEventInTimeline = function(timeline, ticks){
+		var event = timeline.get(ticks);
+		if (event === null || event.time < ticks){
+			event = timeline.getAfter(ticks);
+		}
+		return event ? event.time : Infinity;
+	};
+
+	/**
+	 *  Emit the "punchIn" event on the first tick within the punch region 
+	 *  and the "punchOut" event when the position leaves the region. When 
+	 *  the position jumps within the region (e.g. when looping) the Transport 
+	 *  punches out and back in so that each "punchIn" starts a contiguous 
+	 *  span of ticks.
+	 *  @param  {Ticks}  ticks  The position of the tick
+	 *  @param  {Number}  time  The time of the tick
+	 *  @private
+	 */
+	Tone.Transport.prototype._processPunch = function(ticks, time){
+		var inside = this.punch && ticks >= this._punchIn && ticks < this._punchOut;
+		if (this._punchTick !== -1 && (!inside || ticks !== this._punchTick + 1)){
+			this._punchTick = -1;
+			this.emit("punchOut", time);
+		}
+		if (inside){
+			if (this._punchTick === -1){
+				this.emit("punchIn", time, ticks);
+			}
+			this._punchTick = ticks;
+		}
+	};
+
+	/**
+	 *  Exit the active spans which do not contain the position 
+	 *  and enter the spans which contain it. A span is entered on 
+	 *  any tick within it, so it is also entered after a seek or a 
+	 *  loop into the middle of the span. 
+	 *  @param  {Ticks}  ticks  The position of the tick
+	 *  @param  {Number}  time  The time of the tick
+	 *  @param  {NormalRange}  velocity  The velocity of the groove
+	 *  @private
+	 */
+	Tone.Transport.prototype._processSpans = function(ticks, time, velocity){
+		this._activeSpans = this._activeSpans.filter(function(span){
+			if (ticks < span.time || ticks >= span.time + span.duration){
+				span.active = false;
+				span.onExit(time);
+				return false;
+			} else {
+				return true;
 			}
 		});
+		this._spans.forEachAtTime(ticks, function(span){
+			if (!span.active){
+				span.active = true;
+				this._activeSpans.push(span);
+				span.onEnter(time, velocity);
+			}
+		}.bind(this));
+	};
+
+	/**
+	 *  Exit all of the active spans.
+	 *  @param  {Number}  time  The time to exit the spans.
+	 *  @private
+	 */
+	Tone.Transport.prototype._exitSpans = function(time){
+		var activeSpans = this._activeSpans;
+		this._activeSpans = [];
+		activeSpans.forEach(function(span){
+			span.active = false;
+			span.onExit(time);
+		});
+	};
+
+	/**
+	 *  The position of the tick within the groove. The groove starts
+	 *  on every beat if it fits within the beat, otherwise on every bar.
+	 *  @param  {Tone.Groove}  groove
+	 *  @param  {Ticks}  ticks
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.Transport.prototype._getGroovePosition = function(groove, ticks){
+		var beat = this.getBeatOfTick(ticks);
+		if (groove.steps * groove._subdivision <= beat.duration){
+			return ticks - beat.ticks;
+		} else {
+			return ticks - this.getBarOfTick(ticks).ticks;
+		}
 	};
 
 	///////////////////////////////////////////////////////////////////////////////
@@ -243,7 +559,8 @@ function(Tone){
 	///////////////////////////////////////////////////////////////////////////////
 
 	/**
-	 *  Schedule an event along the timeline.
+	 *  Schedule an event along the timeline. The callback is invoked
+	 *  with the time and the velocity of the Transport's groove at that time.
 	 *  @param {Function} callback The callback to be invoked at the time.
 	 *  @param {TransportTime}  time The time to invoke the callback at.
 	 *  @return {Number} The id of the event which can be used for canceling the event. 
@@ -302,6 +619,60 @@ function(Tone){
 		return id;
 	};
 
+	/**
+	 *  Schedule a repeated event which is not shifted by the groove or the swing,
+	 *  e.g. for sending a clock which other devices follow.
+	 *  @param  {Function}  callback  The callback to invoke.
+	 *  @param  {Time}  interval  The duration between successive callbacks.
+	 *  @return  {Number}  The ID of the scheduled event.
+	 *  @private
+	 */
+	Tone.Transport.prototype._scheduleUngrooved = function(callback, interval){
+		var id = this.scheduleRepeat(callback, interval, 0);
+		this._scheduledEvents[id.toString()].event.groove = false;
+		return id;
+	};
+
+	/**
+	 *  Schedule an event which lasts for the given duration. `onEnter` is invoked
+	 *  with the time and the velocity when playback enters the span, including when the 
+	 *  Transport is started, seeks or loops into the middle of it. 
+	 *  `onExit` is invoked with the time when the span ends, when the Transport
+	 *  stops or pauses, or when the position jumps out of the span. 
+	 *  @param  {Function}  onEnter  The callback to invoke when the span is entered.
+	 *  @param  {Function}  onExit  The callback to invoke when the span is exited.
+	 *  @param  {TransportTime}  startTime  The start of the span.
+	 *  @param  {Time}  duration  The duration of the span.
+	 *  @return  {Number}  The ID of the scheduled event.
+	 *  @example
+	 * //a pad which sounds for the second and third measures,
+	 * //even when playback starts in the middle of them
+	 * Tone.Transport.scheduleSpan(function(time){
+	 * 	pad.triggerAttack("C4", time);
+	 * }, function(time){
+	 * 	pad.triggerRelease(time);
+	 * }, "1m", "2m");
+	 */
+	Tone.Transport.prototype.scheduleSpan = function(onEnter, onExit, startTime, duration){
+		var event = {
+			"time" : this.toTicks(startTime),
+			"duration" : this.toTicks(duration),
+			"onEnter" : onEnter,
+			"onExit" : onExit,
+			"active" : false
+		};
+		if (event.duration <= 0){
+			throw new Error("Tone.Transport: spans must have a duration larger than 0");
+		}
+		var id = this._eventID++;
+		this._scheduledEvents[id.toString()] = {
+			"event" : event,
+			"timeline" : this._spans
+		};
+		this._spans.add(event);
+		return id;
+	};
+
 	/**
 	 *  Schedule an event that will be removed after it is invoked. 
 	 *  Note that if the given time is less than the current transport time, 
@@ -334,6 +705,9 @@ function(Tone){
 		if (this._scheduledEvents.hasOwnProperty(eventId)){
 			var item = this._scheduledEvents[eventId.toString()];
 			item.timeline.remove(item.event);
+			this._removeActiveSpans(function(span){
+				return span === item.event;
+			});
 			delete this._scheduledEvents[eventId.toString()];
 		}
 		return this;
@@ -353,9 +727,30 @@ function(Tone){
 		this._timeline.cancel(after);
 		this._onceEvents.cancel(after);
 		this._repeatedEvents.cancel(after);
+		this._spans.cancel(after);
+		this._removeActiveSpans(function(span){
+			return span.time >= after;
+		});
 		return this;
 	};
 
+	/**
+	 *  Remove the active spans which match the test 
+	 *  without invoking their onExit callback. 
+	 *  @param  {Function}  test  
+	 *  @private
+	 */
+	Tone.Transport.prototype._removeActiveSpans = function(test){
+		this._activeSpans = this._activeSpans.filter(function(span){
+			if (test(span)){
+				span.active = false;
+				return false;
+			} else {
+				return true;
+			}
+		});
+	};
+
 	///////////////////////////////////////////////////////////////////////////////
 	//	START/STOP/PAUSE
 	///////////////////////////////////////////////////////////////////////////////
@@ -365,19 +760,37 @@ function(Tone){
 	 */
 	Tone.Transport.prototype._bindClockEvents = function(){
 		this._clock.on("start", function(time, offset){
-			offset = Tone.Time(this._clock.ticks, "i").toSeconds();
+			this._applyTempoAtTick(this._clock.ticks, time);
+			offset = this.toSeconds(this._transportTime(this._clock.ticks, "i"));
 			this.emit("start", time, offset);
 		}.bind(this));
 
 		this._clock.on("stop", function(time){
+			this._exitSpans(time);
+			this._punchOutAtStop(time);
 			this.emit("stop", time);
 		}.bind(this));
 
 		this._clock.on("pause", function(time){
+			this._exitSpans(time);
+			this._punchOutAtStop(time);
 			this.emit("pause", time);
 		}.bind(this));
 	};
 
+	/**
+	 *  Emit the "punchOut" event if the Transport is
+	 *  stopped or paused within the punch region. 
+	 *  @param  {Number}  time  The time the Transport is stopped
+	 *  @private
+	 */
+	Tone.Transport.prototype._punchOutAtStop = function(time){
+		if (this._punchTick !== -1){
+			this._punchTick = -1;
+			this.emit("punchOut", time);
+		}
+	};
+
 	/**
 	 *  Returns the playback state of the source, either "started", "stopped", or "paused"
 	 *  @type {Tone.State}
@@ -393,6 +806,7 @@ function(Tone){
 
 	/**
 	 *  Start the transport and all sources synced to the transport.
+	 *  If Tone.Transport.countIn is set, the transport starts after the count-in.
 	 *  @param  {Time} [time=now] The time when the transport should start.
 	 *  @param  {TransportTime=} offset The timeline offset to start the transport.
 	 *  @returns {Tone.Transport} this
@@ -405,10 +819,45 @@ function(Tone){
 		if (!this.isUndef(offset)){
 			offset = this.toTicks(offset);
 		}
-		this._clock.start(time, offset);
+		if (this.countIn > 0 && this.state !== Tone.State.Started){
+			time = this._scheduleCountIn(this.toSeconds(time), this.defaultArg(offset, this._clock.ticks));
+		}
+		return this._startWithoutCountIn(time, offset);
+	};
+
+	/**
+	 *  Start the clock of the transport right away, without the count-in,
+	 *  i.e. when the transport follows an external clock.
+	 *  @param  {Time} [time=now] The time when the transport should start.
+	 *  @param  {Ticks=} ticks The position to start the transport from.
+	 *  @returns {Tone.Transport} this
+	 *  @private
+	 */
+	Tone.Transport.prototype._startWithoutCountIn = function(time, ticks){
+		this._clock.start(time, ticks);
 		return this;
 	};
 
+	/**
+	 *  Emit the "countIn" events for the beats of the count-in
+	 *  using the tempo and time signature of the start position. 
+	 *  @param  {Seconds}  time  When the count-in starts
+	 *  @param  {Ticks}  ticks  The position the Transport starts from
+	 *  @return  {Seconds}  When the count-in ends
+	 *  @private
+	 */
+	Tone.Transport.prototype._scheduleCountIn = function(time, ticks){
+		var bar = this.getBarOfTick(ticks).bar;
+		var beats = this._getMeterSection(this._getMeterSections(), "bar", bar).meter.beats;
+		var quarterTime = 60 / this.getTempoAtPosition(this._transportTime(ticks, "i"));
+		for (var i = 0; i < this.countIn * beats.length; i++){
+			var beat = i % beats.length;
+			this.emit("countIn", time, beat);
+			time += beats[beat] * quarterTime;
+		}
+		return time;
+	};
+
 	/**
 	 *  Stop the transport and all sources synced to the transport.
 	 *  @param  {Time} [time=now] The time when the transport should stop. 
@@ -436,59 +885,108 @@ function(Tone){
 	///////////////////////////////////////////////////////////////////////////////
 
 	/**
-	 *  The time signature as just the numerator over 4. 
-	 *  For example 4/4 would be just 4 and 6/8 would be 3.
+	 *  The time signature. Either a number of quarter note beats per bar
+	 *  or an array of the numerator and denominator. Compound meters 
+	 *  (6/8, 9/8, 12/16...) have dotted beats and the numerator can also be 
+	 *  an array which groups the beats, e.g. [[2, 2, 3], 8]. 
+	 *  The beats are what Transport.position and Bars:Beats:Sixteenths count
+	 *  and swing is applied within each beat. Getting the value returns 
+	 *  the length of the bar in quarter notes. 
 	 *  @memberOf Tone.Transport#
 	 *  @type {Number|Array}
 	 *  @name timeSignature
 	 *  @example
 	 * //common time
 	 * Tone.Transport.timeSignature = 4;
-	 * // 7/8
-	 * Tone.Transport.timeSignature = [7, 8];
-	 * //this will be reduced to a single number
+	 * //two dotted quarter note beats per bar
+	 * Tone.Transport.timeSignature = [6, 8];
+	 * //7/8 grouped as 2+2+3
+	 * Tone.Transport.timeSignature = [[2, 2, 3], 8];
+	 * //the bar is reduced to a number of quarter notes
 	 * Tone.Transport.timeSignature; //returns 3.5
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "timeSignature", {
 		get : function(){
-			return this._timeSignature;
+			return this._timeSignature.quarters;
 		},
 		set : function(timeSig){
-			if (this.isArray(timeSig)){
-				timeSig = (timeSig[0] / timeSig[1]) * 4;
-			}
-			this._timeSignature = timeSig;
+			this._timeSignature = this._parseTimeSignature(timeSig);
 		}
 	});
 
+	/**
+	 *  Convert a time signature into the length of the bar and the
+	 *  length of each of its beats in quarter notes.
+	 *  @param  {Number|Array}  timeSig  The time signature
+	 *  @return  {Object}  The bar length ("quarters") and the beat lengths ("beats")
+	 *  @private
+	 */
+	Tone.Transport.prototype._parseTimeSignature = function(timeSig){
+		var beats = [];
+		if (this.isArray(timeSig)){
+			var numerator = timeSig[0];
+			var unit = 4 / timeSig[1];
+			if (this.isArray(numerator)){
+				beats = numerator.map(function(group){
+					return group * unit;
+				});
+			} else if (timeSig[1] >= 8 && numerator > 3 && numerator % 3 === 0){
+				//compound meter
+				for (var i = 0; i < numerator / 3; i++){
+					beats.push(3 * unit);
+				}
+			} else {
+				for (var j = 0; j < numerator; j++){
+					beats.push(unit);
+				}
+			}
+		} else {
+			//quarter note beats and a partial last beat
+			for (var remaining = timeSig; remaining > 0; remaining--){
+				beats.push(Math.min(remaining, 1));
+			}
+		}
+		if (beats.length === 0){
+			throw new Error("Tone.Transport: invalid time signature "+timeSig);
+		}
+		return {
+			"quarters" : beats.reduce(function(total, beat){
+				return total + beat;
+			}, 0),
+			"beats" : beats
+		};
+	};
+
 
 	/**
 	 * When the Tone.Transport.loop = true, this is the starting position of the loop.
+	 * The position can also be the name of a marker.
 	 * @memberOf Tone.Transport#
 	 * @type {TransportTime}
 	 * @name loopStart
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "loopStart", {
 		get : function(){
-			return Tone.TransportTime(this._loopStart, "i").toSeconds();
+			return this.toSeconds(this._transportTime(this._loopStart, "i"));
 		},
 		set : function(startPosition){
-			this._loopStart = this.toTicks(startPosition);
+			this._loopStart = this._markerToTicks(startPosition);
 		}
 	});
 
 	/**
 	 * When the Tone.Transport.loop = true, this is the ending position of the loop.
+	 * The position can also be the name of a marker.
 	 * @memberOf Tone.Transport#
 	 * @type {TransportTime}
 	 * @name loopEnd
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "loopEnd", {
 		get : function(){
-			return Tone.TransportTime(this._loopEnd, "i").toSeconds();
+			return this.toSeconds(this._transportTime(this._loopEnd, "i"));
 		},
 		set : function(endPosition){
-			this._loopEnd = this.toTicks(endPosition);
+			this._loopEnd = this._markerToTicks(endPosition);
 		}
 	});
 
@@ -501,6 +999,9 @@ function(Tone){
 	 * //loop over the first measure
 	 * Tone.Transport.setLoopPoints(0, "1m");
 	 * Tone.Transport.loop = true;
+	 * @example
+	 * //loop between two markers
+	 * Tone.Transport.setLoopPoints("chorus", "bridge");
 	 */
 	Tone.Transport.prototype.setLoopPoints = function(startPosition, endPosition){
 		this.loopStart = startPosition;
@@ -508,9 +1009,61 @@ function(Tone){
 		return this;
 	};
 
+	/**
+	 * When Tone.Transport.punch = true, the Transport emits a "punchIn" event
+	 * with the time and the position in ticks when playback enters the region 
+	 * between punchIn and punchOut.
+	 * The position can also be the name of a marker.
+	 * @memberOf Tone.Transport#
+	 * @type {TransportTime}
+	 * @name punchIn
+	 */
+	Object.defineProperty(Tone.Transport.prototype, "punchIn", {
+		get : function(){
+			return this.toSeconds(this._transportTime(this._punchIn, "i"));
+		},
+		set : function(position){
+			this._punchIn = this._markerToTicks(position);
+		}
+	});
+
+	/**
+	 * When Tone.Transport.punch = true, the Transport emits a "punchOut" event
+	 * with the time when playback leaves the region between punchIn and punchOut.
+	 * The position can also be the name of a marker.
+	 * @memberOf Tone.Transport#
+	 * @type {TransportTime}
+	 * @name punchOut
+	 */
+	Object.defineProperty(Tone.Transport.prototype, "punchOut", {
+		get : function(){
+			return this.toSeconds(this._transportTime(this._punchOut, "i"));
+		},
+		set : function(position){
+			this._punchOut = this._markerToTicks(position);
+		}
+	});
+
+	/**
+	 *  Set the punch in and punch out positions at the same time. 
+	 *  @param {TransportTime} punchIn 
+	 *  @param {TransportTime} punchOut   
+	 *  @returns {Tone.Transport} this
+	 *  @example
+	 * //record the second and third measures
+	 * Tone.Transport.setPunchPoints("1m", "3m");
+	 * Tone.Transport.punch = true;
+	 */
+	Tone.Transport.prototype.setPunchPoints = function(punchIn, punchOut){
+		this.punchIn = punchIn;
+		this.punchOut = punchOut;
+		return this;
+	};
+
 	/**
 	 *  The swing value. Between 0-1 where 1 equal to 
-	 *  the note + half the subdivision.
+	 *  the note + half the subdivision. The swing is not 
+	 *  applied while a Tone.Transport.groove is set. 
 	 *  @memberOf Tone.Transport#
 	 *  @type {NormalRange}
 	 *  @name swing
@@ -522,6 +1075,7 @@ function(Tone){
 		set : function(amount){
 			//scale the values to a normal range
 			this._swingAmount = amount;
+			this._updateSwingGroove();
 		}
 	});
 
@@ -536,15 +1090,39 @@ function(Tone){
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "swingSubdivision", {
 		get : function(){
-			return Tone.Time(this._swingTicks, "i").toNotation();
+			return this._transportTime(this._swingTicks, "i").toNotation();
 		},
 		set : function(subdivision){
 			this._swingTicks = this.toTicks(subdivision);
+			this._updateSwingGroove();
 		}
 	});
 
 	/**
-	 *  The Transport's position in Bars:Beats:Sixteenths.
+	 *  Swing delays every other swingSubdivision by up to 
+	 *  two thirds of the subdivision. The delay follows half of 
+	 *  a sine over each pair of subdivisions, so the ticks in between 
+	 *  are swung too. The groove has a step for each tick of the pair.
+	 *  @private
+	 */
+	Tone.Transport.prototype._updateSwingGroove = function(){
+		if (this._swingGroove){
+			this._swingGroove.dispose();
+			this._swingGroove = null;
+		}
+		if (this._swingAmount > 0){
+			var steps = Math.round(this._swingTicks * 2);
+			var timing = new Array(steps);
+			for (var i = 0; i < steps; i++){
+				timing[i] = Math.sin(i / steps * Math.PI) * this._swingAmount * this._swingTicks * 2 / 3;
+			}
+			this._swingGroove = new Tone.Groove(this._transportTime(1, "i"), timing);
+		}
+	};
+
+	/**
+	 *  The Transport's position in Bars:Beats:Sixteenths. The bars 
+	 *  and beats follow the time signature changes of the tempo map.
 	 *  Setting the value will jump to that position right away. 
 	 *  @memberOf Tone.Transport#
 	 *  @type {BarsBeatsSixteenths}
@@ -552,7 +1130,7 @@ function(Tone){
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "position", {
 		get : function(){
-			return Tone.TransportTime(this.ticks, "i").toBarsBeatsSixteenths();
+			return this._transportTime(this.ticks, "i").toBarsBeatsSixteenths();
 		},
 		set : function(progress){
 			var ticks = this.toTicks(progress);
@@ -569,7 +1147,7 @@ function(Tone){
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "seconds", {
 		get : function(){
-			return Tone.TransportTime(this.ticks, "i").toSeconds();
+			return this.toSeconds(this._transportTime(this.ticks, "i"));
 		},
 		set : function(progress){
 			var ticks = this.toTicks(progress);
@@ -577,6 +1155,28 @@ function(Tone){
 		}
 	});
 
+	/**
+	 *  The Transport's position as a SMPTE timecode (Hours:Minutes:Seconds:Frames)
+	 *  at the Transport's frameRate. Setting the value will jump to that position right away. 
+	 *  @memberOf Tone.Transport#
+	 *  @type {String}
+	 *  @name timecode
+	 *  @example
+	 * Tone.Transport.frameRate = 25;
+	 * Tone.Transport.timecode = "00:01:00:12";
+	 */
+	Object.defineProperty(Tone.Transport.prototype, "timecode", {
+		get : function(){
+			return this._transportTime(this.ticks, "i").toTimecode(this.frameRate);
+		},
+		set : function(timecode){
+			if (timecode.indexOf("@") === -1){
+				timecode += "@" + this.frameRate;
+			}
+			this.position = timecode;
+		}
+	});
+
 	/**
 	 *  The Transport's loop position as a normalized value. Always
 	 *  returns 0 if the transport if loop is not true. 
@@ -606,19 +1206,41 @@ function(Tone){
 			return this._clock.ticks;
 		},
 		set : function(t){
-			var now = this.now();
-			//stop everything synced to the transport
-			if (this.state === Tone.State.Started){
-				this.emit("stop", now);
-				this._clock.ticks = t;
-				//restart it with the new time
-				this.emit("start", now, this.seconds);
-			} else {
-				this._clock.ticks = t;
-			}
+			this._setTicksAtTime(t, this.now());
 		}
 	});
 
+	/**
+	 *  Get the Transport's position in ticks at the given time, taking into
+	 *  account the start, stop and pause times and the changes of the position
+	 *  which were scheduled before that time. 
+	 *  @param  {Time}  time  When to get the position
+	 *  @return  {Ticks}  The (possibly fractional) position
+	 */
+	Tone.Transport.prototype.getTicksAtTime = function(time){
+		return this._clock.getTicksAtTime(time);
+	};
+
+	/**
+	 *  Move the position to the given tick. If the Transport
+	 *  is started, everything synced to it is restarted at the given time.
+	 *  @param  {Ticks}  ticks  The new position
+	 *  @param  {Seconds}  time  When the position changes
+	 *  @private
+	 */
+	Tone.Transport.prototype._setTicksAtTime = function(ticks, time){
+		//stop everything synced to the transport
+		if (this.state === Tone.State.Started){
+			this.emit("stop", time);
+			this._clock.ticks = ticks;
+			this._applyTempoAtTick(ticks, time);
+			//restart it with the new time
+			this.emit("start", time, this.seconds);
+		} else {
+			this._clock.ticks = ticks;
+		}
+	};
+
 	/**
 	 *  Pulses Per Quarter note. This is the smallest resolution
 	 *  the Transport timing supports. This should be set once
@@ -654,10 +1276,10 @@ function(Tone){
 	 */
 	Object.defineProperty(Tone.Transport.prototype, "latencyHint", {
 		get : function(){
-			return Tone.Clock.latencyHint;
+			return this.context.latencyHint;
 		},
 		set : function(hint){
-			Tone.Clock.latencyHint = hint;
+			this.context.latencyHint = hint;
 		}
 	});
 
@@ -681,6 +1303,416 @@ function(Tone){
 		return (freq / this.PPQ) * 60;
 	};
 
+	///////////////////////////////////////////////////////////////////////////////
+	//	TEMPO MAP
+	///////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 *  Schedule a tempo change at the given position along the Transport's timeline. 
+	 *  Unlike automating the bpm, the change stays at its position 
+	 *  when the Transport is started from an offset, loops or jumps to a new position:
+	 *  the most recent tempo change before the new position is applied.
+	 *  @param  {BPM}  bpm  The new tempo
+	 *  @param  {TransportTime}  position  The position of the change
+	 *  @return  {Tone.Transport}  this
+	 *  @example
+	 * Tone.Transport.setTempoAtPosition(120, 0);
+	 * //slow down on the 9th bar
+	 * Tone.Transport.setTempoAtPosition(90, "8:0:0");
+	 */
+	Tone.Transport.prototype.setTempoAtPosition = function(bpm, position){
+		var ticks = this.toTicks(position);
+		//replace any change at the same position
+		this._tempoMap.forEachAtTime(ticks, function(event){
+			this._tempoMap.remove(event);
+		}.bind(this));
+		this._tempoMap.add({
+			"time" : ticks,
+			"bpm" : bpm
+		});
+		return this;
+	};
+
+	/**
+	 *  Returns the tempo of the tempo map at the given position. 
+	 *  If there are no scheduled tempo changes before the position,
+	 *  the current bpm is returned.
+	 *  @param  {TransportTime}  position  The position to query
+	 *  @return  {BPM}  The tempo at that position
+	 */
+	Tone.Transport.prototype.getTempoAtPosition = function(position){
+		var event = this._tempoMap.get(this.toTicks(position));
+		if (event){
+			return event.bpm;
+		} else {
+			return this.bpm.value;
+		}
+	};
+
+	/**
+	 *  Schedule a time signature change at the given position. The position
+	 *  must be at the beginning of a bar. The time signature takes the same
+	 *  forms as Tone.Transport.timeSignature. Bars:Beats:Sixteenths positions,
+	 *  Transport.position and the "m" notation all follow the time signature changes. 
+	 *  @param  {Number|Array}  timeSignature  The new time signature
+	 *  @param  {TransportTime}  position  The position of the change
+	 *  @return  {Tone.Transport}  this
+	 *  @example
+	 * //switch to 6/8 on the 10th bar
+	 * Tone.Transport.setTimeSignatureAtPosition([6, 8], "9:0:0");
+	 */
+	Tone.Transport.prototype.setTimeSignatureAtPosition = function(timeSignature, position){
+		var meter = this._parseTimeSignature(timeSignature);
+		var ticks = this.toTicks(position);
+		var bar = this.getBarOfTick(ticks);
+		if (ticks !== Math.round(bar.ticks)){
+			throw new Error("Tone.Transport: time signature changes must be at the beginning of a bar");
+		}
+		//replace any change on the same bar
+		this._meterMap.forEachAtTime(bar.bar, function(event){
+			this._meterMap.remove(event);
+		}.bind(this));
+		this._meterMap.add({
+			"time" : bar.bar,
+			"meter" : meter
+		});
+		return this;
+	};
+
+	/**
+	 *  Returns the time signature at the given position.
+	 *  @param  {TransportTime}  [position=Tone.Transport.position]  The position to query
+	 *  @return  {Number}  The time signature as the number of quarter notes per bar.
+	 */
+	Tone.Transport.prototype.getTimeSignatureAtPosition = function(position){
+		return this.getBarOfTick(this.toTicks(position)).timeSignature;
+	};
+
+	/**
+	 *  Remove all of the tempo and time signature changes.
+	 *  @return  {Tone.Transport}  this
+	 */
+	Tone.Transport.prototype.clearTempoMap = function(){
+		this._tempoMap.cancel(0);
+		this._meterMap.cancel(0);
+		return this;
+	};
+
+	/**
+	 *  Set the bpm to the tempo of the tempo map at the given tick.
+	 *  Has no effect if there are no tempo changes before the tick.
+	 *  @param  {Ticks}  ticks  The position
+	 *  @param  {Seconds}  time  When the tempo should be set
+	 *  @private
+	 */
+	Tone.Transport.prototype._applyTempoAtTick = function(ticks, time){
+		var event = this._tempoMap.get(ticks);
+		if (event){
+			this.bpm.setValueAtTime(event.bpm, time);
+		}
+	};
+
+	/**
+	 *  The sections of the timeline with the same time signature. Each
+	 *  section has the bar and tick on which it starts and its meter.
+	 *  @return  {Array}
+	 *  @private
+	 */
+	Tone.Transport.prototype._getMeterSections = function(){
+		var sections = [{
+			"bar" : 0,
+			"ticks" : 0,
+			"meter" : this._timeSignature
+		}];
+		this._meterMap.forEach(function(event){
+			var previous = sections[sections.length - 1];
+			sections.push({
+				"bar" : event.time,
+				"ticks" : previous.ticks + (event.time - previous.bar) * previous.meter.quarters * this._ppq,
+				"meter" : event.meter
+			});
+		}.bind(this));
+		return sections;
+	};
+
+	/**
+	 *  The last of the sections whose "bar" or "ticks" is at or before the value.
+	 *  @param  {Array}  sections  The meter sections
+	 *  @param  {String}  key  Either "bar" or "ticks"
+	 *  @param  {Number}  value
+	 *  @return  {Object}
+	 *  @private
+	 */
+	Tone.Transport.prototype._getMeterSection = function(sections, key, value){
+		var section = sections[0];
+		for (var i = 1; i < sections.length && sections[i][key] <= value; i++){
+			section = sections[i];
+		}
+		return section;
+	};
+
+	/**
+	 *  Convert a number of bars and beats from the beginning of the 
+	 *  Transport into ticks following the time signature changes. The 
+	 *  beats are counted from the beginning of the bar with the lengths
+	 *  of the time signature's beats, continuing into the following bars.
+	 *  @param  {Number}  bars  The (possibly fractional) number of bars
+	 *  @param  {Number}  [beats=0]  The (possibly fractional) number of beats
+	 *  @return  {Ticks}
+	 *  @example
+	 * Tone.Transport.timeSignature = 4;
+	 * Tone.Transport.setTimeSignatureAtPosition(3, "2m");
+	 * Tone.Transport.getTicksAtBar(3); //returns 2112 (= 192 * (4 + 4 + 3))
+	 * Tone.Transport.setTimeSignatureAtPosition([[2, 2, 3], 8], "3m");
+	 * Tone.Transport.getTicksAtBar(3, 2); //returns 2304 (= 2112 + 192 * (1 + 1))
+	 */
+	Tone.Transport.prototype.getTicksAtBar = function(bars, beats){
+		var sections = this._getMeterSections();
+		var section = this._getMeterSection(sections, "bar", bars);
+		var ticks = section.ticks + (bars - section.bar) * section.meter.quarters * this._ppq;
+		beats = this.defaultArg(beats, 0);
+		var bar = Math.floor(bars);
+		var beat = 0;
+		section = this._getMeterSection(sections, "bar", bar);
+		while (beats > 0){
+			ticks += Math.min(beats, 1) * section.meter.beats[beat] * this._ppq;
+			beats -= 1;
+			beat++;
+			if (beat === section.meter.beats.length){
+				beat = 0;
+				bar++;
+				section = this._getMeterSection(sections, "bar", bar);
+			}
+		}
+		return ticks;
+	};
+
+	/**
+	 *  Get the bar which contains the given tick, following the time signature changes.
+	 *  @param  {Ticks}  ticks  The position
+	 *  @return  {Object}  The bar number ("bar"), the tick on which the 
+	 *                     bar starts ("ticks") and the bar's length in quarter notes ("timeSignature").
+	 */
+	Tone.Transport.prototype.getBarOfTick = function(ticks){
+		var section = this._getMeterSection(this._getMeterSections(), "ticks", ticks);
+		var barTicks = section.meter.quarters * this._ppq;
+		//round to account for floating point error
+		var bars = Math.floor(Math.round((ticks - section.ticks) / barTicks * 1e6) / 1e6);
+		return {
+			"bar" : section.bar + bars,
+			"ticks" : section.ticks + bars * barTicks,
+			"timeSignature" : section.meter.quarters
+		};
+	};
+
+	/**
+	 *  Get the beat which contains the given tick, following the
+	 *  time signature changes and the grouping of the beats.
+	 *  @param  {Ticks}  ticks  The position
+	 *  @return  {Object}  The bar number ("bar"), the beat within the bar ("beat"),
+	 *                     the tick on which the beat starts ("ticks") and the length
+	 *                     of the beat in ticks ("duration").
+	 *  @example
+	 * Tone.Transport.timeSignature = [[2, 2, 3], 8];
+	 * Tone.Transport.getBeatOfTick(Tone.Transport.PPQ * 2.5); 
+	 * //returns {bar : 0, beat : 2, ticks : 384, duration : 288}
+	 */
+	Tone.Transport.prototype.getBeatOfTick = function(ticks){
+		var bar = this.getBarOfTick(ticks);
+		var beats = this._getMeterSection(this._getMeterSections(), "bar", bar.bar).meter.beats;
+		var beatStart = bar.ticks;
+		for (var i = 0; i < beats.length - 1; i++){
+			var beatTicks = beats[i] * this._ppq;
+			//round to account for floating point error
+			if (Math.round((ticks - beatStart) * 1e6) / 1e6 < beatTicks){
+				break;
+			}
+			beatStart += beatTicks;
+		}
+		return {
+			"bar" : bar.bar,
+			"beat" : i,
+			"ticks" : beatStart,
+			"duration" : beats[i] * this._ppq
+		};
+	};
+
+	///////////////////////////////////////////////////////////////////////////////
+	//	MARKERS
+	///////////////////////////////////////////////////////////////////////////////
+
+	/**
+	 *  Add a named marker at the given position. A marker with 
+	 *  the same name is replaced. The Transport emits a "marker" event 
+	 *  with the time and the name of the marker as playback passes it.
+	 *  @param  {String}  name  The name of the marker
+	 *  @param  {TransportTime}  position  The position of the marker
+	 *  @return  {Tone.Transport}  this
+	 *  @example
+	 * Tone.Transport.setMarker("verse", "4m");
+	 * Tone.Transport.setMarker("chorus", "12m");
+	 * Tone.Transport.on("marker", function(time, name){
+	 * 	//invoked with "verse" and then "chorus"
+	 * });
+	 */
+	Tone.Transport.prototype.setMarker = function(name, position){
+		this.removeMarker(name);
+		this._markers.add({
+			"time" : this.toTicks(position),
+			"name" : name
+		});
+		return this;
+	};
+
+	/**
+	 *  Get the position of the marker.
+	 *  @param  {String}  name  The name of the marker
+	 *  @return  {Ticks}  The position of the marker or undefined if there is no marker with that name.
+	 */
+	Tone.Transport.prototype.getMarker = function(name){
+		var marker = this._getMarkerEvent(name);
+		if (marker){
+			return marker.time;
+		}
+	};
+
+	/**
+	 *  All of the markers ordered by their position.
+	 *  @return  {Array}  Each marker's name ("name") and position in ticks ("ticks").
+	 */
+	Tone.Transport.prototype.getMarkers = function(){
+		var markers = [];
+		this._markers.forEach(function(event){
+			markers.push({
+				"name" : event.name,
+				"ticks" : event.time
+			});
+		});
+		return markers;
+	};
+
+	/**
+	 *  Remove the marker with the given name.
+	 *  @param  {String}  name  The name of the marker
+	 *  @return  {Tone.Transport}  this
+	 */
+	Tone.Transport.prototype.removeMarker = function(name){
+		var marker = this._getMarkerEvent(name);
+		if (marker){
+			this._markers.remove(marker);
+		}
+		return this;
+	};
+
+	/**
+	 *  Remove all of the markers.
+	 *  @return  {Tone.Transport}  this
+	 */
+	Tone.Transport.prototype.clearMarkers = function(){
+		this._markers.cancel(0);
+		return this;
+	};
+
+	/**
+	 *  Move the position to the marker. When a quantize value is given
+	 *  and the Transport is started, the jump waits for the next 
+	 *  subdivision measured from the beginning of the current bar. 
+	 *  Only the last jump is kept if multiple jumps are waiting.
+	 *  @param  {String}  name  The name of the marker
+	 *  @param  {Object}  [options]  
+	 *  @param  {Time}  [options.quantize]  The subdivision to wait for before jumping.
+	 *  @return  {Tone.Transport}  this
+	 *  @example
+	 * //jump at the beginning of the next bar
+	 * Tone.Transport.jumpTo("chorus", {"quantize" : "1m"});
+	 */
+	Tone.Transport.prototype.jumpTo = function(name, options){
+		var marker = this._getMarkerEvent(name);
+		if (!marker){
+			throw new Error("Tone.Transport: no marker named "+name);
+		}
+		options = this.defaultArg(options, {});
+		this.clear(this._jumpId);
+		if (this.isUndef(options.quantize) || this.state !== Tone.State.Started){
+			this.ticks = marker.time;
+		} else {
+			var jumpTick = this._getNextSubdivisionTick(this._clock.ticks, options.quantize);
+			this._jumpId = this.scheduleOnce(function(time){
+				this._setTicksAtTime(marker.time, time);
+			}.bind(this), this._transportTime(jumpTick, "i"));
+			//the jump is not shifted by the groove
+			this._scheduledEvents[this._jumpId.toString()].event.groove = false;
+		}
+		return this;
+	};
+
+	/**
+	 *  The tick of the next subdivision after the given tick, measured from 
+	 *  the beginning of the bar which contains the tick. A subdivision in 
+	 *  measures (e.g. "1m") counts the bars of the time signature changes. 
+	 *  @param  {Ticks}  ticks
+	 *  @param  {Time}  subdivision
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.Transport.prototype._getNextSubdivisionTick = function(ticks, subdivision){
+		var bar = this.getBarOfTick(ticks);
+		var measures = this.isString(subdivision) && subdivision.trim().match(/^(\d+(?:\.\d+)?)m$/);
+		if (measures){
+			measures = parseFloat(measures[1]);
+			var elapsed = (ticks - bar.ticks) / (bar.timeSignature * this._ppq);
+			return this.getTicksAtBar(bar.bar + (Math.floor(elapsed / measures) + 1) * measures);
+		} else {
+			var quantize = this.toTicks(subdivision);
+			return bar.ticks + (Math.floor((ticks - bar.ticks) / quantize) + 1) * quantize;
+		}
+	};
+
+	/**
+	 *  The marker event with the given name
+	 *  @param  {String}  name
+	 *  @return  {Object}  The event or null if there isn't one.
+	 *  @private
+	 */
+	Tone.Transport.prototype._getMarkerEvent = function(name){
+		var marker = null;
+		this._markers.forEach(function(event){
+			if (event.name === name){
+				marker = event;
+			}
+		});
+		return marker;
+	};
+
+	/**
+	 *  Convert the position to ticks. The position can 
+	 *  be the name of a marker.
+	 *  @param  {TransportTime|String}  position
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.Transport.prototype._markerToTicks = function(position){
+		if (this.isString(position)){
+			var marker = this._getMarkerEvent(position);
+			if (marker){
+				return marker.time;
+			}
+		}
+		return this.toTicks(position);
+	};
+
+	/**
+	 *  Emit the "marker" event for all of the markers on the tick.
+	 *  @param  {Ticks}  ticks
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.Transport.prototype._emitMarkers = function(ticks, time){
+		this._markers.forEachAtTime(ticks, function(event){
+			this.emit("marker", time, event.name);
+		}.bind(this));
+	};
+
 	///////////////////////////////////////////////////////////////////////////////
 	//	SYNCING
 	///////////////////////////////////////////////////////////////////////////////
@@ -689,7 +1721,6 @@ function(Tone){
 	 *  Returns the time aligned to the next subdivision
 	 *  of the Transport. If the Transport is not started,
 	 *  it will return 0.
-	 *  Note: this will not work precisely during tempo ramps.
 	 *  @param  {Time}  subdivision  The subdivision to quantize to
 	 *  @return  {Number}  The context time of the next subdivision.
 	 *  @example
@@ -697,20 +1728,15 @@ function(Tone){
 	 * Tone.Transport.nextSubdivision("4n");
 	 */
 	Tone.Transport.prototype.nextSubdivision = function(subdivision){
-		subdivision = this.toSeconds(subdivision);
+		subdivision = this.toTicks(subdivision);
 		//if the transport's not started, return 0
-		var now;
-		if (this.state === Tone.State.Started){
-			now = this._clock._nextTick;
-		} else {
+		if (this.state !== Tone.State.Started){
 			return 0;
 		}
-		var transportPos = Tone.Time(this.ticks, "i").eval();
-		var remainingTime = subdivision - (transportPos % subdivision);
-		if (remainingTime === 0){
-			remainingTime = subdivision;
-		}
-		return now + remainingTime;
+		var now = this.now();
+		var transportPos = this._clock.getTicksAtTime(now);
+		var remainingTicks = subdivision - (transportPos % subdivision);
+		return this._clock.getTimeOfTick(transportPos + remainingTicks, now);
 	};
 
 	/**
@@ -762,11 +1788,56 @@ function(Tone){
 		return this;
 	};
 
+	///////////////////////////////////////////////////////////////////////////////
+	//	TIME CONVERSIONS
+	///////////////////////////////////////////////////////////////////////////////
+
 	/**
-	 *  Clean up. 
-	 *  @returns {Tone.Transport} this
+	 *  Create a Tone.TransportTime which is converted with this 
+	 *  Transport's tempo, time signature and position.
+	 *  @param  {TransportTime}  val
+	 *  @param  {String=}  units
+	 *  @return  {Tone.TransportTime}
 	 *  @private
 	 */
+	Tone.Transport.prototype._transportTime = function(val, units){
+		var time = new Tone.TransportTime(val, units);
+		time.transport = this;
+		return time;
+	};
+
+	/**
+	 *  Convert the time into seconds using this Transport's tempo and time signature.
+	 *  @param  {Time}  time
+	 *  @return  {Seconds}
+	 */
+	Tone.Transport.prototype.toSeconds = function(time){
+		if (this.isString(time)){
+			time = new Tone.Time(time);
+			time.transport = this;
+		}
+		return Tone.prototype.toSeconds.call(this, time);
+	};
+
+	/**
+	 *  Convert the time into ticks using this Transport's tempo, time signature and position.
+	 *  @param  {Time}  time
+	 *  @return  {Ticks}
+	 */
+	Tone.Transport.prototype.toTicks = function(time){
+		if (this.isUndef(time)){
+			return this.ticks;
+		} else if (this.isNumber(time) || this.isString(time)){
+			time = this._transportTime(time);
+		}
+		return Tone.prototype.toTicks.call(this, time);
+	};
+
+	/**
+	 *  Clean up. Only the transports which are created with 
+	 *  `new Tone.Transport()` should be disposed. 
+	 *  @returns {Tone.Transport} this
+	 */
 	Tone.Transport.prototype.dispose = function(){
 		Tone.Emitter.prototype.dispose.call(this);
 		this._clock.dispose();
@@ -779,6 +1850,20 @@ function(Tone){
 		this._onceEvents = null;
 		this._repeatedEvents.dispose();
 		this._repeatedEvents = null;
+		this._spans.dispose();
+		this._spans = null;
+		this._activeSpans = null;
+		this._tempoMap.dispose();
+		this._tempoMap = null;
+		this._meterMap.dispose();
+		this._meterMap = null;
+		this._markers.dispose();
+		this._markers = null;
+		if (this._swingGroove){
+			this._swingGroove.dispose();
+			this._swingGroove = null;
+		}
+		this.groove = null;
 		return this;
 	};
 
@@ -786,24 +1871,66 @@ function(Tone){
 	//	INITIALIZATION
 	///////////////////////////////////////////////////////////////////////////////
 
-	var TransportConstructor = Tone.Transport;
-
-	Tone._initAudioContext(function(){
-		if (typeof Tone.Transport === "function"){
-			//a single transport object
-			Tone.Transport = new Tone.Transport();
+	/**
+	 *  Make the member of the global Transport reachable on Tone.Transport, 
+	 *  so that `Tone.Transport.start()` starts the Transport of the current context 
+	 *  while `new Tone.Transport()` creates an independent one.
+	 *  @param  {String}  name  The name of the member
+	 *  @param  {Boolean}  isMethod  If the member is a method of the prototype
+	 *  @private
+	 */
+	function forwardToGlobal(name, isMethod){
+		if (name in Tone.Transport){
+			return;
+		}
+		if (isMethod){
+			Object.defineProperty(Tone.Transport, name, {
+				value : function(){
+					var transport = Tone.context.Transport;
+					return transport[name].apply(transport, arguments);
+				},
+				writable : true,
+				configurable : true
+			});
 		} else {
-			//stop the clock
-			Tone.Transport.stop();
-			//get the previous values
-			var prevSettings = Tone.Transport.get();
-			//destory the old transport
-			Tone.Transport.dispose();
-			//make new Transport insides
-			TransportConstructor.call(Tone.Transport);
-			//set the previous config
-			Tone.Transport.set(prevSettings);
+			Object.defineProperty(Tone.Transport, name, {
+				get : function(){
+					return Tone.context.Transport[name];
+				},
+				set : function(value){
+					Tone.context.Transport[name] = value;
+				},
+				configurable : true
+			});
 		}
+	}
+
+	/**
+	 *  Forward the methods and properties of the prototype
+	 *  @param  {Object}  proto
+	 *  @private
+	 */
+	function forwardPrototype(proto){
+		Object.getOwnPropertyNames(proto).forEach(function(name){
+			var descriptor = Object.getOwnPropertyDescriptor(proto, name);
+			forwardToGlobal(name, Tone.prototype.isFunction(descriptor.value));
+		});
+	}
+
+	//the methods and properties along the prototype chain
+	for (var proto = Tone.Transport.prototype; proto !== Object.prototype; proto = Object.getPrototypeOf(proto)){
+		forwardPrototype(proto);
+	}
+
+	//each context has its own Transport
+	Tone._initAudioContext(function(context){
+		if (!(context.Transport instanceof Tone.Transport)){
+			context.Transport = new Tone.Transport();
+		}
+		//the members which are assigned in the constructor
+		Object.keys(context.Transport).forEach(function(name){
+			forwardToGlobal(name, false);
+		});
 	});
 
 	return Tone.Transport;
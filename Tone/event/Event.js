@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/TimelineState"], function (Tone) {
+define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/TimelineState", "Tone/core/Groove"], function (Tone) {
 
 	"use strict";
 
@@ -8,10 +8,12 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 	 *
 	 *  @extends {Tone}
 	 *  @param {function} callback The callback to invoke at the time. 
+	 *                             It is invoked with the time, the value 
+	 *                             and the velocity of the groove.
 	 *  @param {*} value The value or values which should be passed to
 	 *                      the callback function on invocation.  
 	 *  @example
-	 * var chord = new Tone.Event(function(time, chord){
+	 * var chord = new Tone.Event(function(time, chord, velocity){
 	 * 	//the chord as well as the exact time of the event
 	 * 	//are passed in as arguments to the callback function
 	 * }, ["D4", "E4", "F4"]);
@@ -25,6 +27,14 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 
 		var options = this.optionsObject(arguments, ["callback", "value"], Tone.Event.defaults);
 
+		/**
+		 *  The transport the event is scheduled on
+		 *  or null for the global Tone.Transport
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = options.transport;
+
 		/**
 		 *  Loop value
 		 *  @type  {Boolean|Positive}
@@ -109,6 +119,14 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 		 */
 		this.mute = options.mute;
 
+		/**
+		 *  The groove which offsets the time and velocity of the 
+		 *  event by its position within its Tone.Part (the startOffset). 
+		 *  It is set by the Part which the event belongs to.
+		 *  @type {Tone.Groove}
+		 */
+		this.groove = null;
+
 		//set the initial values
 		this.playbackRate = options.playbackRate;
 	};
@@ -130,6 +148,7 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 		"probability" : 1,
 		"mute" : false,
 		"humanize" : false,
+		"transport" : null
 	};
 
 	/**
@@ -146,7 +165,7 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 			var duration;
 			if (event.state === Tone.State.Started){
 				if (!this.isUndef(event.id)){
-					Tone.Transport.clear(event.id);
+					this.transport.clear(event.id);
 				}
 				var startTick = event.time + Math.round(this.startOffset / this._playbackRate);
 				if (this._loop){
@@ -164,9 +183,9 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 						duration = Tone.Time(duration, "i");
 					}
 					var interval = Tone.Time(this._getLoopDuration(), "i");
-					event.id = Tone.Transport.scheduleRepeat(this._tick.bind(this), interval, Tone.TransportTime(startTick, "i"), duration);
+					event.id = this.transport.scheduleRepeat(this._tick.bind(this), interval, Tone.TransportTime(startTick, "i"), duration);
 				} else {
-					event.id = Tone.Transport.schedule(this._tick.bind(this), startTick + "i");
+					event.id = this.transport.schedule(this._tick.bind(this), startTick + "i");
 				}
 			} 
 		}.bind(this));
@@ -182,10 +201,45 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 	 */
 	Object.defineProperty(Tone.Event.prototype, "state", {
 		get : function(){
-			return this._state.getValueAtTime(Tone.Transport.ticks);
+			return this._state.getValueAtTime(this.transport.ticks);
+		}
+	});
+
+	/**
+	 *  The Transport which the event is scheduled on. 
+	 *  It is set in the constructor with the "transport" option 
+	 *  and defaults to the global Tone.Transport.
+	 *  @type {Tone.Transport}
+	 *  @readOnly
+	 *  @memberOf Tone.Event#
+	 *  @name transport
+	 */
+	Object.defineProperty(Tone.Event.prototype, "transport", {
+		get : function(){
+			return this._transport || this.context.Transport;
 		}
 	});
 
+	/**
+	 *  Convert the time into ticks using the tempo 
+	 *  and time signature of the event's Transport.
+	 *  @param  {TransportTime}  time
+	 *  @return  {Ticks}
+	 */
+	Tone.Event.prototype.toTicks = function(time){
+		return this.transport.toTicks(time);
+	};
+
+	/**
+	 *  Convert the time into seconds using the tempo 
+	 *  and time signature of the event's Transport.
+	 *  @param  {Time}  time
+	 *  @return  {Seconds}
+	 */
+	Tone.Event.prototype.toSeconds = function(time){
+		return this.transport.toSeconds(time);
+	};
+
 	/**
 	 *  The start from the scheduled start time
 	 *  @type {Ticks}
@@ -249,8 +303,8 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 		time = this.defaultArg(time, -Infinity);
 		time = this.toTicks(time);
 		this._state.forEachFrom(time, function(event){
-			Tone.Transport.clear(event.id);
-		});
+			this.transport.clear(event.id);
+		}.bind(this));
 		this._state.cancel(time);
 		return this;
 	};
@@ -259,10 +313,12 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 	 *  The callback function invoker. Also 
 	 *  checks if the Event is done playing
 	 *  @param  {Number}  time  The time of the event in seconds
+	 *  @param  {NormalRange}  [velocity=1]  The velocity of the Transport's groove
 	 *  @private
 	 */
-	Tone.Event.prototype._tick = function(time){
-		if (!this.mute && this._state.getValueAtTime(Tone.Transport.ticks) === Tone.State.Started){
+	Tone.Event.prototype._tick = function(time, velocity){
+		velocity = this.defaultArg(velocity, 1);
+		if (!this.mute && this._state.getValueAtTime(this.transport.ticks) === Tone.State.Started){
 			if (this.probability < 1 && Math.random() > this.probability){
 				return;
 			} 
@@ -273,7 +329,12 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 				}
 				time += (Math.random() * 2 - 1) * variation;
 			}
-			this.callback(time, this.value);
+			if (this.groove){
+				//the raw value of the bpm is the rate of the ticks
+				time += this.groove.getTimingAtTick(this.startOffset) / this.transport.bpm.getValueAtTime(time);
+				velocity *= this.groove.getVelocityAtTick(this.startOffset);
+			}
+			this.callback(time, this.value, velocity);
 		}
 	};
 
@@ -375,7 +436,7 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 	Object.defineProperty(Tone.Event.prototype, "progress", {
 		get : function(){
 			if (this._loop){
-				var ticks = Tone.Transport.ticks;
+				var ticks = this.transport.ticks;
 				var lastEvent = this._state.get(ticks);
 				if (lastEvent !== null && lastEvent.state === Tone.State.Started){
 					var loopDuration = this._getLoopDuration();
@@ -400,6 +461,8 @@ define(["Tone/core/Tone", "Tone/core/Transport", "Tone/type/Type", "Tone/core/Ti
 		this._state = null;
 		this.callback = null;
 		this.value = null;
+		this.groove = null;
+		this._transport = null;
 	};
 
 	return Tone.Event;
@@ -27,7 +27,8 @@ define(["Tone/core/Tone", "Tone/event/Event"], function (Tone) {
 			"loop" : true,
 			"loopEnd" : options.interval,
 			"playbackRate" : options.playbackRate,
-			"probability" : options.probability
+			"probability" : options.probability,
+			"transport" : options.transport
 		});
 
 		/**
@@ -53,7 +54,8 @@ define(["Tone/core/Tone", "Tone/event/Event"], function (Tone) {
 		"playbackRate" : 1,
 		"iterations" : Infinity,
 		"probability" : true,
-		"mute" : false
+		"mute" : false,
+		"transport" : null
 	};
 
 	/**
@@ -109,6 +111,19 @@ define(["Tone/core/Tone", "Tone/event/Event"], function (Tone) {
 		}
 	});
 
+	/**
+	 *  The Transport which the loop is scheduled on.
+	 *  @memberOf Tone.Loop#
+	 *  @type {Tone.Transport}
+	 *  @name transport
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.Loop.prototype, "transport", {
+		get : function(){
+			return this._event.transport;
+		}
+	});
+
 	/**
 	 *  The progress of the loop as a value between 0-1. 0, when
 	 *  the loop is stopped or done iterating. 
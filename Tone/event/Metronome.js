@@ -0,0 +1,242 @@
+define(["Tone/core/Tone", "Tone/core/Transport", "Tone/instrument/Synth", "Tone/core/Buffer",
+	"Tone/source/BufferSource", "Tone/component/Volume"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Tone.Metronome plays a click on every beat of the Transport.
+	 *         The first beat of each bar is accented and the beats follow
+	 *         the Transport's time signature, including grouped beats
+	 *         and compound meters. The click is played through the
+	 *         Metronome's own output so it can be routed to a separate
+	 *         cue bus. It also clicks during the Transport's count-in.
+	 *  @extends {Tone}
+	 *  @param {Tone.Instrument|Tone.Buffer|AudioBuffer|String} [click] The sound of the click.
+	 *                 An instrument is triggered with the note of the click, a buffer or url is
+	 *                 played back. If no click is given, a short Tone.Synth is used.
+	 *  @example
+	 * var metronome = new Tone.Metronome().connect(headphoneBus);
+	 * Tone.Transport.countIn = 1;
+	 * Tone.Transport.start();
+	 */
+	Tone.Metronome = function(){
+
+		var options = this.optionsObject(arguments, ["click"], Tone.Metronome.defaults);
+
+		/**
+		 *  The Transport which the metronome follows
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = options.transport || this.context.Transport;
+
+		/**
+		 *  The output volume node
+		 *  @type  {Tone.Volume}
+		 *  @private
+		 */
+		this._volume = this.output = new Tone.Volume(options.volume);
+
+		/**
+		 * The volume of the click in decibels.
+		 * @type {Decibels}
+		 * @signal
+		 */
+		this.volume = this._volume.volume;
+		this._readOnly("volume");
+
+		/**
+		 *  The note of the accented click when the click is an instrument
+		 *  @type  {Frequency}
+		 */
+		this.accentNote = options.accentNote;
+
+		/**
+		 *  The note of the other clicks when the click is an instrument
+		 *  @type  {Frequency}
+		 */
+		this.note = options.note;
+
+		/**
+		 *  The velocity of the clicks which are not accented.
+		 *  The accented clicks have a velocity of 1.
+		 *  @type  {NormalRange}
+		 */
+		this.velocity = options.velocity;
+
+		/**
+		 *  The instrument which plays the click
+		 *  @type  {Tone.Instrument}
+		 *  @private
+		 */
+		this._instrument = null;
+
+		/**
+		 *  The buffer which is played as the click
+		 *  @type  {Tone.Buffer}
+		 *  @private
+		 */
+		this._buffer = null;
+
+		/**
+		 *  If the instrument was created by the Metronome
+		 *  and should be disposed with it
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._ownsInstrument = false;
+
+		if (options.click instanceof Tone.Instrument){
+			this._instrument = options.click;
+			this._instrument.connect(this.output);
+		} else if (options.click){
+			this._buffer = new Tone.Buffer(options.click, options.onload);
+		} else {
+			this._ownsInstrument = true;
+			this._instrument = new Tone.Synth({
+				"oscillator" : {
+					"type" : "square"
+				},
+				"envelope" : {
+					"attack" : 0.001,
+					"decay" : 0.05,
+					"sustain" : 0,
+					"release" : 0.01
+				}
+			}).connect(this.output);
+		}
+
+		/**
+		 *  The beat which contains the last tick
+		 *  @type  {Object}
+		 *  @private
+		 */
+		this._beat = null;
+
+		/**
+		 *  The id of the Transport event
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._eventId = this._transport.scheduleRepeat(this._onTick.bind(this), Tone.Time(1, "i"), 0);
+
+		/**
+		 *  The count-in callback
+		 *  @type  {Function}
+		 *  @private
+		 */
+		this._onCountIn = this._onCountIn.bind(this);
+		this._transport.on("countIn", this._onCountIn);
+
+		//set the mute initially
+		this.mute = options.mute;
+	};
+
+	Tone.extend(Tone.Metronome);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.Metronome.defaults = {
+		"click" : null,
+		"volume" : 0,
+		"mute" : false,
+		"accentNote" : "A5",
+		"note" : "A4",
+		"velocity" : 0.6,
+		"onload" : Tone.noOp,
+		"transport" : null
+	};
+
+	/**
+	 *  Invoked on every tick of the Transport. Clicks
+	 *  when the tick is the first tick of a beat.
+	 *  @param  {Number}  time  The time of the tick
+	 *  @private
+	 */
+	Tone.Metronome.prototype._onTick = function(time){
+		var ticks = this._transport.ticks;
+		//only look up the beat when the position leaves the previous beat
+		if (!this._beat || ticks < this._beat.ticks || ticks >= this._beat.ticks + this._beat.duration){
+			this._beat = this._transport.getBeatOfTick(ticks);
+		}
+		if (Math.round(this._beat.ticks) === ticks){
+			this._click(time, this._beat.beat === 0);
+		}
+	};
+
+	/**
+	 *  Invoked on each beat of the Transport's count-in
+	 *  @param  {Number}  time  The time of the beat
+	 *  @param  {Number}  beat  The beat within the bar
+	 *  @private
+	 */
+	Tone.Metronome.prototype._onCountIn = function(time, beat){
+		this._click(time, beat === 0);
+	};
+
+	/**
+	 *  Play a click at the given time.
+	 *  @param  {Number}  time  When to play the click
+	 *  @param  {Boolean}  accent  If the click is accented
+	 *  @private
+	 */
+	Tone.Metronome.prototype._click = function(time, accent){
+		var velocity = accent ? 1 : this.velocity;
+		if (this._instrument){
+			this._instrument.triggerAttackRelease(accent ? this.accentNote : this.note, "32n", time, velocity);
+		} else if (this._buffer.loaded){
+			var source = new Tone.BufferSource(this._buffer).connect(this.output);
+			source.start(time, 0, undefined, velocity);
+			source.stop(time + this._buffer.duration);
+		}
+	};
+
+	/**
+	 * Mute the output.
+	 * @memberOf Tone.Metronome#
+	 * @type {boolean}
+	 * @name mute
+	 * @example
+	 * //silence the metronome
+	 * metronome.mute = true;
+	 */
+	Object.defineProperty(Tone.Metronome.prototype, "mute", {
+		get : function(){
+			return this._volume.mute;
+		},
+		set : function(mute){
+			this._volume.mute = mute;
+		}
+	});
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.Metronome}  this
+	 */
+	Tone.Metronome.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this._transport.clear(this._eventId);
+		this._transport.off("countIn", this._onCountIn);
+		this._transport = null;
+		this._onCountIn = null;
+		if (this._ownsInstrument){
+			this._instrument.dispose();
+		}
+		this._instrument = null;
+		if (this._buffer){
+			this._buffer.dispose();
+			this._buffer = null;
+		}
+		this._beat = null;
+		this._writable("volume");
+		this._volume.dispose();
+		this._volume = null;
+		this.volume = null;
+		return this;
+	};
+
+	return Tone.Metronome;
+});
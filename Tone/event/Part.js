@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Transport"], function (Tone) {
+define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Transport", "Tone/core/Groove"], function (Tone) {
 
 	"use strict";
 	
@@ -28,6 +28,14 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 
 		var options = this.optionsObject(arguments, ["callback", "events"], Tone.Part.defaults);
 
+		/**
+		 *  The transport the part is scheduled on
+		 *  or null for the global Tone.Transport
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = options.transport;
+
 		/**
 		 *  If the part is looping or not
 		 *  @type  {Boolean|Positive}
@@ -71,6 +79,13 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 		 */
 		this._humanize = options.humanize;
 
+		/**
+		 *  The groove of the part
+		 *  @type {Tone.Groove}
+		 *  @private
+		 */
+		this._groove = options.groove;
+
 		/**
 		 *  The start offset
 		 *  @type {Ticks}
@@ -134,6 +149,8 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 		"probability" : 1,
 		"humanize" : false,
 		"mute" : false,
+		"groove" : null,
+		"transport" : null
 	};
 
 	/**
@@ -247,7 +264,7 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 		var tickTime = Tone.Time(1, "i").toSeconds();
 		for (var i = 0; i < this._events.length; i++){
 			var event = this._events[i];
-			if (Math.abs(time.toTicks() - event.startOffset) < tickTime){
+			if (Math.abs(this.toTicks(time) - event.startOffset) < tickTime){
 				if (!this.isUndef(value)){
 					event.value = value;
 				}
@@ -290,6 +307,7 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 			event = new Tone.Event({
 				"callback" : this._tick.bind(this), 
 				"value" : value,
+				"transport" : this._transport
 			});
 		}
 		//the start offset
@@ -304,6 +322,7 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 			"playbackRate" : this.playbackRate,
 			"probability" : this.probability
 		});
+		event.groove = this._groove;
 
 		this._events.push(event);
 
@@ -418,11 +437,13 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 	/**
 	 *  Internal tick method
 	 *  @param  {Number}  time  The time of the event in seconds
+	 *  @param  {*}  value  The value of the event
+	 *  @param  {NormalRange}  velocity  The velocity of the groove
 	 *  @private
 	 */
-	Tone.Part.prototype._tick = function(time, value){
+	Tone.Part.prototype._tick = function(time, value, velocity){
 		if (!this.mute){
-			this.callback(time, value);
+			this.callback(time, value, velocity);
 		}
 	};
 
@@ -478,6 +499,77 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 		}
 	});
 
+	/**
+	 *  The groove which offsets the time and velocity of each of the
+	 *  events by its position within the part. It is applied 
+	 *  in addition to the Tone.Transport's groove and the velocity
+	 *  is passed in as the third argument of the callback. 
+	 *  @memberOf Tone.Part#
+	 *  @type {Tone.Groove}
+	 *  @name groove
+	 *  @example
+	 * var part = new Tone.Part(function(time, note, velocity){
+	 * 	synth.triggerAttackRelease(note, "16n", time, velocity);
+	 * }, [[0, "C4"], ["0:0:1", "E4"], ["0:0:2", "G4"], ["0:0:3", "C5"]]);
+	 * part.groove = Tone.Groove.mpc(66);
+	 */
+	Object.defineProperty(Tone.Part.prototype, "groove", {
+		get : function(){
+			return this._groove;
+		},
+		set : function(groove){
+			this._groove = groove;
+			this._setAll("groove", groove);
+		}
+	});
+
+	/**
+	 *  Create a groove from the timing and velocity of the part's events,
+	 *  for example to copy the feel of a recorded performance. Each event is
+	 *  measured against the closest step and the events on the same step 
+	 *  are averaged. The velocity is read from the "velocity" attribute of 
+	 *  the event's value if it has one. 
+	 *  @param  {Time}  [subdivision="16n"]  The duration of each step
+	 *  @param  {Positive}  [steps]  The number of steps in the groove. 
+	 *                               Defaults to the number of steps between loopStart and loopEnd.
+	 *  @return  {Tone.Groove}
+	 *  @example
+	 * var recorded = new Tone.Part(callback, [
+	 * 	{"time" : 0, "velocity" : 1}, 
+	 * 	{"time" : "0:0:1.25", "velocity" : 0.6}
+	 * ]);
+	 * var groove = recorded.extractGroove("16n", 2);
+	 * //groove.timing is [0, 0.25] and groove.velocity is [1, 0.6]
+	 */
+	Tone.Part.prototype.extractGroove = function(subdivision, steps){
+		subdivision = this.toTicks(this.defaultArg(subdivision, Tone.Groove.defaults.subdivision));
+		steps = this.defaultArg(steps, Math.max(Math.round((this._loopEnd - this._loopStart) / subdivision), 1));
+		var timing = [];
+		var velocity = [];
+		var counts = [];
+		this._forEach(function(event){
+			var step = Math.round(event.startOffset / subdivision);
+			var index = step % steps;
+			var eventVelocity = 1;
+			if (this.isObject(event.value) && this.isNumber(event.value.velocity)){
+				eventVelocity = event.value.velocity;
+			}
+			timing[index] = this.defaultArg(timing[index], 0) + (event.startOffset - step * subdivision) / subdivision;
+			velocity[index] = this.defaultArg(velocity[index], 0) + eventVelocity;
+			counts[index] = this.defaultArg(counts[index], 0) + 1;
+		});
+		for (var i = 0; i < steps; i++){
+			if (counts[i]){
+				timing[i] /= counts[i];
+				velocity[i] /= counts[i];
+			} else {
+				timing[i] = 0;
+				velocity[i] = 1;
+			}
+		}
+		return new Tone.Groove(Tone.Time(subdivision, "i"), timing, velocity);
+	};
+
 	/**
 	 *  If the part should loop or not
 	 *  between Tone.Part.loopStart and 
@@ -589,6 +681,8 @@ define(["Tone/core/Tone", "Tone/event/Event", "Tone/type/Type", "Tone/core/Trans
 		this._state = null;
 		this.callback = null;
 		this._events = null;
+		this._groove = null;
+		this._transport = null;
 		return this;
 	};
 
@@ -119,7 +119,12 @@ define(["Tone/core/Tone", "Tone/event/Part", "Tone/core/Transport"], function (T
 		if (this.isArray(value)){
 			//make a subsequence and add that to the sequence
 			var subSubdivision = Math.round(this._subdivision / value.length);
-			value = new Tone.Sequence(this._tick.bind(this), value, Tone.Time(subSubdivision, "i"));
+			value = new Tone.Sequence({
+				"callback" : this._tick.bind(this), 
+				"events" : value, 
+				"subdivision" : Tone.Time(subSubdivision, "i"),
+				"transport" : this._transport
+			});
 		} 
 		Tone.Part.prototype.add.call(this, this._indexTime(index), value);
 		return this;
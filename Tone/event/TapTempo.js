@@ -0,0 +1,269 @@
+define(["Tone/core/Tone", "Tone/core/Transport", "Tone/core/Emitter"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Tone.TapTempo estimates a tempo from taps. The intervals between the
+	 *         most recent taps are averaged, and intervals which are far from the median
+	 *         interval (e.g. a missed or a double tap) are rejected. A pause longer than
+	 *         the timeout starts a new estimate. A "tempo" event is emitted on each tap
+	 *         with the estimated tempo and the confidence of the estimate
+	 *         between 0 and 1. When the TapTempo is synced, the Transport ramps
+	 *         to the estimated tempo at the next downbeat.
+	 *
+	 *  @extends {Tone.Emitter}
+	 *  @param {Number} [window=4] The number of intervals which are averaged.
+	 *  @example
+	 * var tapTempo = new Tone.TapTempo().sync();
+	 * tapTempo.on("tempo", function(bpm, confidence){
+	 * 	display.textContent = Math.round(bpm) + " bpm";
+	 * });
+	 * button.addEventListener("mousedown", function(){
+	 * 	tapTempo.tap();
+	 * });
+	 */
+	Tone.TapTempo = function(){
+
+		Tone.Emitter.call(this);
+
+		var options = this.optionsObject(arguments, ["window"], Tone.TapTempo.defaults);
+
+		/**
+		 *  The Transport which is ramped to the tempo
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = options.transport || this.context.Transport;
+
+		/**
+		 *  The number of intervals which are averaged
+		 *  @type  {Positive}
+		 */
+		this.window = options.window;
+
+		/**
+		 *  If the time since the last tap is longer than the timeout,
+		 *  the previous taps are discarded.
+		 *  @type  {Seconds}
+		 */
+		this.timeout = this.toSeconds(options.timeout);
+
+		/**
+		 *  How far an interval can be from the median interval, as a fraction of the
+		 *  median interval, before it is rejected.
+		 *  @type  {NormalRange}
+		 */
+		this.tolerance = options.tolerance;
+
+		/**
+		 *  The minimum confidence of an estimate for the Transport to ramp to it
+		 *  @type  {NormalRange}
+		 */
+		this.threshold = options.threshold;
+
+		/**
+		 *  The duration of the Transport's ramp to the estimated tempo
+		 *  @type  {Time}
+		 */
+		this.rampTime = options.rampTime;
+
+		/**
+		 *  The times of the taps
+		 *  @type  {Array}
+		 *  @private
+		 */
+		this._taps = [];
+
+		/**
+		 *  The last estimated tempo
+		 *  @type  {BPM}
+		 *  @private
+		 */
+		this._bpm = 0;
+
+		/**
+		 *  The confidence of the last estimate
+		 *  @type  {NormalRange}
+		 *  @private
+		 */
+		this._confidence = 0;
+
+		/**
+		 *  If the Transport follows the estimated tempo
+		 *  @type  {Boolean}
+		 *  @private
+		 */
+		this._synced = false;
+	};
+
+	Tone.extend(Tone.TapTempo, Tone.Emitter);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.TapTempo.defaults = {
+		"window" : 4,
+		"timeout" : 2,
+		"tolerance" : 0.2,
+		"threshold" : 0.5,
+		"rampTime" : "4n",
+		"transport" : null
+	};
+
+	/**
+	 *  The last estimated tempo or 0 before there is an estimate
+	 *  @memberOf Tone.TapTempo#
+	 *  @type {BPM}
+	 *  @name bpm
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.TapTempo.prototype, "bpm", {
+		get : function(){
+			return this._bpm;
+		}
+	});
+
+	/**
+	 *  The confidence of the last estimate between 0 and 1. The confidence
+	 *  is higher when more of the intervals are steady and
+	 *  the window is filled.
+	 *  @memberOf Tone.TapTempo#
+	 *  @type {NormalRange}
+	 *  @name confidence
+	 *  @readOnly
+	 */
+	Object.defineProperty(Tone.TapTempo.prototype, "confidence", {
+		get : function(){
+			return this._confidence;
+		}
+	});
+
+	/**
+	 *  Register a tap.
+	 *  @param  {Time}  [time=now]  The time of the tap
+	 *  @return  {Tone.TapTempo}  this
+	 */
+	Tone.TapTempo.prototype.tap = function(time){
+		time = this.toSeconds(time);
+		var lastTap = this._taps[this._taps.length - 1];
+		if (this.isUndef(lastTap) || time - lastTap > this.timeout || time <= lastTap){
+			this._taps = [];
+		}
+		this._taps.push(time);
+		//only the taps within the window are kept
+		if (this._taps.length > this.window + 1){
+			this._taps.splice(0, this._taps.length - this.window - 1);
+		}
+		if (this._taps.length > 1 && this._estimate()){
+			this.emit("tempo", this._bpm, this._confidence);
+			if (this._synced && this._confidence >= this.threshold){
+				this._rampTransport();
+			}
+		}
+		return this;
+	};
+
+	/**
+	 *  Estimate the tempo and the confidence from the taps
+	 *  @return  {Boolean}  If the tempo could be estimated. Otherwise the last estimate is kept.
+	 *  @private
+	 */
+	Tone.TapTempo.prototype._estimate = function(){
+		var intervals = [];
+		for (var i = 1; i < this._taps.length; i++){
+			intervals.push(this._taps[i] - this._taps[i - 1]);
+		}
+		var sorted = intervals.slice().sort(function(a, b){
+			return a - b;
+		});
+		var middle = Math.floor(sorted.length / 2);
+		var median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+		//reject the outliers
+		var tolerance = this.tolerance * median;
+		var kept = intervals.filter(function(interval){
+			return Math.abs(interval - median) <= tolerance;
+		});
+		//the median of an even number of intervals is between two of them
+		if (kept.length === 0){
+			kept = [median];
+		}
+		var mean = kept.reduce(function(sum, interval){
+			return sum + interval;
+		}, 0) / kept.length;
+		var variance = kept.reduce(function(sum, interval){
+			return sum + Math.pow(interval - mean, 2);
+		}, 0) / kept.length;
+		var bpm = 60 / mean;
+		if (!isFinite(bpm)){
+			return false;
+		}
+		this._bpm = bpm;
+		//the steadier, the more consistent and the more intervals, the higher the confidence
+		var steadiness = tolerance > 0 ? Math.max(1 - Math.sqrt(variance) / tolerance, 0) : 1;
+		var consistency = kept.length / intervals.length;
+		var fullness = Math.min(kept.length / this.window, 1);
+		this._confidence = steadiness * consistency * fullness;
+		return true;
+	};
+
+	/**
+	 *  Ramp the Transport to the estimated tempo at the next downbeat
+	 *  @private
+	 */
+	Tone.TapTempo.prototype._rampTransport = function(){
+		var transport = this._transport;
+		var startTime = this.now();
+		if (transport.state === Tone.State.Started){
+			//the beginning of the next bar, following the time signature changes
+			var ticks = transport.getTicksAtTime(startTime);
+			var downbeat = transport.getTicksAtBar(transport.getBarOfTick(ticks).bar + 1);
+			startTime += transport.bpm.getDurationOfTicks(downbeat - ticks, startTime);
+		}
+		transport.bpm.cancelScheduledValues(startTime);
+		transport.bpm.rampTo(this._bpm, transport.toSeconds(this.rampTime), startTime);
+	};
+
+	/**
+	 *  Ramp the Transport's tempo to the estimates with enough confidence.
+	 *  @return  {Tone.TapTempo}  this
+	 */
+	Tone.TapTempo.prototype.sync = function(){
+		this._synced = true;
+		return this;
+	};
+
+	/**
+	 *  Stop ramping the Transport's tempo to the estimates.
+	 *  @return  {Tone.TapTempo}  this
+	 */
+	Tone.TapTempo.prototype.unsync = function(){
+		this._synced = false;
+		return this;
+	};
+
+	/**
+	 *  Discard the taps and the estimate.
+	 *  @return  {Tone.TapTempo}  this
+	 */
+	Tone.TapTempo.prototype.reset = function(){
+		this._taps = [];
+		this._bpm = 0;
+		this._confidence = 0;
+		return this;
+	};
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.TapTempo}  this
+	 */
+	Tone.TapTempo.prototype.dispose = function(){
+		Tone.Emitter.prototype.dispose.call(this);
+		this._transport = null;
+		this._taps = null;
+		return this;
+	};
+
+	return Tone.TapTempo;
+});
@@ -29,6 +29,26 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 		 */
 		this.volume = this._volume.volume;
 		this._readOnly("volume");
+
+		/**
+		 *  The tuning which converts the notes into frequencies.
+		 *  If it's null, Tone.Frequency.tuning is used.
+		 *  @type  {Tone.Tuning}
+		 *  @example
+		 * synth.tuning = Tone.Tuning.edo(19);
+		 */
+		this.tuning = options.tuning;
+
+		/**
+		 *  The curve which maps the velocity of the notes to their gain. 
+		 *  It's either "linear", "exponential", a table of gains spanning
+		 *  the velocities from 0 to 1, or a function of the velocity.
+		 *  See Tone.Velocity.applyCurve.
+		 *  @type  {String|Array|Function}
+		 *  @example
+		 * synth.velocityCurve = "exponential";
+		 */
+		this.velocityCurve = options.velocityCurve;
 	};
 
 	Tone.extend(Tone.Instrument);
@@ -39,14 +59,18 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 */
 	Tone.Instrument.defaults = {
 		/** the volume of the output in decibels */
-		"volume" : 0
+		"volume" : 0,
+		/** the tuning of the notes */
+		"tuning" : null,
+		/** the curve which maps the velocity to the gain */
+		"velocityCurve" : "linear"
 	};
 
 	/**
 	 *  @abstract
 	 *  @param {string|number} note the note to trigger
 	 *  @param {Time} [time=now] the time to trigger the ntoe
-	 *  @param {number} [velocity=1] the velocity to trigger the note
+	 *  @param {Velocity} [velocity=1] the velocity to trigger the note
 	 */
 	Tone.Instrument.prototype.triggerAttack = Tone.noOp;
 
@@ -62,7 +86,7 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 	 *  @param  {Time} duration How long the note should be held for before
 	 *                          triggering the release.
 	 *  @param {Time} [time=now]  When the note should be triggered.
-	 *  @param  {NormalRange} [velocity=1] The velocity the note should be triggered at.
+	 *  @param  {Velocity} [velocity=1] The velocity the note should be triggered at.
 	 *  @returns {Tone.Instrument} this
 	 *  @example
 	 * //trigger "C4" for the duration of an 8th note
@@ -80,6 +104,31 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 		return this;
 	};
 
+	/**
+	 *  Convert a note into hertz with the instrument's tuning.
+	 *  @param  {Frequency} freq 
+	 *  @return {Hertz}  the frequency in hertz
+	 */
+	Tone.Instrument.prototype.toFrequency = function(freq){
+		if (this.tuning && this.isString(freq)){
+			var frequency = new Tone.Frequency(freq);
+			frequency.tuning = this.tuning;
+			return frequency.eval();
+		} else {
+			return Tone.prototype.toFrequency.call(this, freq);
+		}
+	};
+
+	/**
+	 *  Convert a velocity into the gain of the note with the instrument's velocity curve.
+	 *  @param  {Velocity}  velocity
+	 *  @return  {NormalRange}  the gain of the note
+	 */
+	Tone.Instrument.prototype.toVelocity = function(velocity){
+		velocity = Tone.prototype.toVelocity.call(this, velocity);
+		return Tone.Velocity.applyCurve(velocity, this.velocityCurve);
+	};
+
 	/**
 	 *  clean up
 	 *  @returns {Tone.Instrument} this
@@ -90,6 +139,8 @@ define(["Tone/core/Tone", "Tone/type/Type"], function(Tone){
 		this._volume = null;
 		this._writable(["volume"]);
 		this.volume = null;
+		this.tuning = null;
+		this.velocityCurve = null;
 		return this;
 	};
 
@@ -80,7 +80,7 @@ function(Tone){
 	 *  
 	 *  @param  {Frequency} note     the note
 	 *  @param  {Time} [time=now]     the time, if not given is now
-	 *  @param  {number} [velocity=1] velocity defaults to 1
+	 *  @param  {Velocity} [velocity=1] velocity defaults to 1
 	 *  @returns {Tone.MembraneSynth} this
 	 *  @example
 	 *  kick.triggerAttack(60);
@@ -91,7 +91,7 @@ function(Tone){
 		var maxNote = note * this.octaves;
 		this.oscillator.frequency.setValueAtTime(maxNote, time);
 		this.oscillator.frequency.exponentialRampToValueAtTime(note, time + this.toSeconds(this.pitchDecay));
-		this.envelope.triggerAttack(time, velocity);
+		this.envelope.triggerAttack(time, this.toVelocity(velocity));
 		return this;
 	};
 
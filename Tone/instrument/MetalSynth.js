@@ -139,13 +139,12 @@ define(["Tone/core/Tone", "Tone/instrument/Instrument", "Tone/source/FMOscillato
 	/**
 	 *  Trigger the attack.
 	 *  @param  {Time}  time      When the attack should be triggered.
-	 *  @param  {NormalRange=1}  velocity  The velocity that the envelope should be triggered at.
+	 *  @param  {Velocity=1}  velocity  The velocity that the envelope should be triggered at.
 	 *  @return  {Tone.MetalSynth}  this
 	 */
 	Tone.MetalSynth.prototype.triggerAttack = function(time, vel) {
 		time = this.toSeconds(time);
-		vel = this.defaultArg(vel, 1);
-		this.envelope.triggerAttack(time, vel);
+		this.envelope.triggerAttack(time, this.toVelocity(vel));
 		return this;
 	};
 
@@ -165,7 +164,7 @@ define(["Tone/core/Tone", "Tone/instrument/Instrument", "Tone/source/FMOscillato
 	 *  duration. 
 	 *  @param  {Time}  duration  The duration before triggering the release
 	 *  @param  {Time}  time      When the attack should be triggered.
-	 *  @param  {NormalRange=1}  velocity  The velocity that the envelope should be triggered at.
+	 *  @param  {Velocity=1}  velocity  The velocity that the envelope should be triggered at.
 	 *  @return  {Tone.MetalSynth}  this
 	 */
 	Tone.MetalSynth.prototype.triggerAttackRelease = function(duration, time, velocity) {
@@ -42,7 +42,7 @@ define(["Tone/core/Tone", "Tone/instrument/Instrument", "Tone/signal/Signal"], f
 	 *  
 	 *  @param  {Frequency} note     The note to trigger.
 	 *  @param  {Time} [time=now]     When the note should start.
-	 *  @param  {number} [velocity=1] velocity The velocity scaler 
+	 *  @param  {Velocity} [velocity=1] velocity The velocity scaler 
 	 *                                determines how "loud" the note 
 	 *                                will be triggered.
 	 *  @returns {Tone.Monophonic} this
@@ -58,7 +58,7 @@ define(["Tone/core/Tone", "Tone/instrument/Instrument", "Tone/signal/Signal"], f
 		} else {
 			time = this.toSeconds(time);
 		}
-		this._triggerEnvelopeAttack(time, velocity);
+		this._triggerEnvelopeAttack(time, this.toVelocity(velocity));
 		this.setNote(note, time);
 		return this;
 	};
@@ -109,6 +109,7 @@ define(["Tone/core/Tone", "Tone/instrument/Instrument", "Tone/signal/Signal"], f
 	 */
 	Tone.Monophonic.prototype.setNote = function(note, time){
 		time = this.toSeconds(time);
+		note = this.toFrequency(note);
 		if (this.portamento > 0){
 			var currentNote = this.frequency.value;
 			this.frequency.setValueAtTime(currentNote, time);
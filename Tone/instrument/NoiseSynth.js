@@ -67,14 +67,14 @@ function(Tone){
 	 *  Start the attack portion of the envelopes. Unlike other 
 	 *  instruments, Tone.NoiseSynth doesn't have a note. 
 	 *  @param {Time} [time=now] the time the attack should start
-	 *  @param {number} [velocity=1] the velocity of the note (0-1)
+	 *  @param {Velocity} [velocity=1] the velocity of the note
 	 *  @returns {Tone.NoiseSynth} this
 	 *  @example
 	 * noiseSynth.triggerAttack();
 	 */
 	Tone.NoiseSynth.prototype.triggerAttack = function(time, velocity){
 		//the envelopes
-		this.envelope.triggerAttack(time, velocity);
+		this.envelope.triggerAttack(time, this.toVelocity(velocity));
 		return this;	
 	};
 
@@ -92,7 +92,7 @@ function(Tone){
 	 *  Trigger the attack and then the release. 
 	 *  @param  {Time} duration the duration of the note
 	 *  @param  {Time} [time=now]     the time of the attack
-	 *  @param  {number} [velocity=1] the velocity
+	 *  @param  {Velocity} [velocity=1] the velocity
 	 *  @returns {Tone.NoiseSynth} this
 	 */
 	Tone.NoiseSynth.prototype.triggerAttackRelease = function(duration, time, velocity){
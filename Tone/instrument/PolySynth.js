@@ -25,11 +25,11 @@ function(Tone){
 	 */
 	Tone.PolySynth = function(){
 
-		Tone.Instrument.call(this);
-
 		var options = this.optionsObject(arguments, ["polyphony", "voice"], Tone.PolySynth.defaults);
 		options = this.defaultArg(options, Tone.Instrument.defaults);
 
+		Tone.Instrument.call(this, options);
+
 		//max polyphony
 		options.polyphony = Math.min(Tone.PolySynth.MAX_POLYPHONY, options.polyphony);
 
@@ -70,6 +70,9 @@ function(Tone){
 			};
 		}
 
+		//the voices map the velocity with the velocity curve
+		this.velocityCurve = this._velocityCurve;
+
 		//set the volume initially
 		this.volume.value = options.volume;
 	};
@@ -94,7 +97,7 @@ function(Tone){
 	 *  @param  {Frequency|Array} notes The notes to play. Accepts a single
 	 *                                  Frequency or an array of frequencies.
 	 *  @param  {Time} [time=now]  The start time of the note.
-	 *  @param {number} [velocity=1] The velocity of the note.
+	 *  @param {Velocity} [velocity=1] The velocity of the note.
 	 *  @returns {Tone.PolySynth} this
 	 *  @example
 	 * //trigger a chord immediately with a velocity of 0.2
@@ -105,6 +108,8 @@ function(Tone){
 			notes = [notes];
 		}
 		time = this.toSeconds(time);
+		//the voices apply the velocity curve
+		velocity = Tone.prototype.toVelocity.call(this, velocity);
 		for (var i = 0; i < notes.length; i++){
 			var val = notes[i];
 			//trigger the oldest voice
@@ -118,7 +123,8 @@ function(Tone){
 			}
 			oldest.release = Infinity;
 			oldest.note = JSON.stringify(val);
-			oldest.voice.triggerAttack(val, time, velocity);
+			//the voices play the notes in the tuning of the PolySynth
+			oldest.voice.triggerAttack(this.tuning ? this.toFrequency(val) : val, time, velocity);
 		}
 		return this;
 	};
@@ -130,7 +136,7 @@ function(Tone){
 	 *                                  Frequency or an array of frequencies.
 	 *  @param  {Time} duration the duration of the note
 	 *  @param  {Time} [time=now]     if no time is given, defaults to now
-	 *  @param  {number} [velocity=1] the velocity of the attack (0-1)
+	 *  @param  {Velocity} [velocity=1] the velocity of the attack
 	 *  @returns {Tone.PolySynth} this
 	 *  @example
 	 * //trigger a chord for a duration of a half note 
@@ -218,6 +224,29 @@ function(Tone){
 		return this.voices[0].get(params);
 	};
 
+	/**
+	 *  The curve which maps the velocity of the notes to their gain. 
+	 *  It's set on all of the voices, which apply it when they are triggered.
+	 *  See Tone.Instrument.velocityCurve.
+	 *  @memberOf Tone.PolySynth#
+	 *  @type {String|Array|Function}
+	 *  @name velocityCurve
+	 */
+	Object.defineProperty(Tone.PolySynth.prototype, "velocityCurve", {
+		get : function(){
+			return this._velocityCurve;
+		},
+		set : function(curve){
+			this._velocityCurve = curve;
+			//the voices aren't created yet when the Instrument sets the curve
+			if (this.voices){
+				for (var i = 0; i < this.voices.length; i++){
+					this.voices[i].velocityCurve = curve;
+				}
+			}
+		}
+	});
+
 	/**
 	 *  Trigger the release portion of all the currently active voices.
 	 *  @param {Time} [time=now] When the notes should be released.
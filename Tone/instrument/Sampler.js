@@ -63,7 +63,7 @@ function(Tone){
 	 *  @param {Interval} [pitch=0] The amount the sample should
 	 *                              be repitched. 
 	 *  @param {Time} [time=now] The time when the sample should start
-	 *  @param {NormalRange} [velocity=1] The velocity of the note
+	 *  @param {Velocity} [velocity=1] The velocity of the note
 	 *  @returns {Tone.Sampler} this
 	 *  @example
 	 * sampler.triggerAttack(0, "+0.1", 0.5);
@@ -73,7 +73,7 @@ function(Tone){
 		pitch = this.defaultArg(pitch, 0);
 		this.player.playbackRate = this.intervalToFrequencyRatio(pitch);
 		this.player.start(time);
-		this.envelope.triggerAttack(time, velocity);
+		this.envelope.triggerAttack(time, this.toVelocity(velocity));
 		return this;
 	};
 
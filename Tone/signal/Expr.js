@@ -1,12 +1,20 @@
 define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signal/Multiply", 
 	"Tone/signal/GreaterThan", "Tone/signal/GreaterThanZero", "Tone/signal/Abs", "Tone/signal/Negate", 
-	"Tone/signal/Modulo", "Tone/signal/Pow", "Tone/signal/AudioToGain"], 
+	"Tone/signal/Modulo", "Tone/signal/Pow", "Tone/signal/AudioToGain", "Tone/signal/WaveShaper"], 
 	function(Tone){
 
 	"use strict";
 
 	/**
-	 *  @class Evaluate an expression at audio rate. <br><br>
+	 *  @class Evaluate an expression at audio rate. The inputs are either
+	 *         numbered (i.e. "$0") or named (i.e. "$cutoff"). Named inputs
+	 *         come after the numbered inputs and are also available by name in `inputs`.
+	 *         Besides arithmetic, the expression can use the functions
+	 *         abs(x), mod(x, modulus), pow(x, exponent), a2g(x), min(a, b), max(a, b),
+	 *         clip(x, low, high), sign(x), mix(a, b, t), sin(x), tanh(x) and select(condition, a, b).
+	 *         sin(x) covers a single period, so x should be between -PI and PI; 
+	 *         beyond that the input is clipped to the edges of the period, where the output is 0.
+	 *         <br><br>
 	 *         Parsing code modified from https://code.google.com/p/tapdigit/
 	 *         Copyright 2011 2012 Ariya Hidayat, New BSD License
 	 *
@@ -16,11 +24,17 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 	 *  @example
 	 * //adds the signals from input[0] and input[1].
 	 * var expr = new Tone.Expr("$0 + $1");
+	 *  @example
+	 * //the cutoff frequency follows the envelope
+	 * var expr = new Tone.Expr("clip($cutoff * (1 + $env), 20, 20000)");
+	 * cutoff.connect(expr.inputs.cutoff);
+	 * envelope.connect(expr.inputs.env);
 	 */
 	Tone.Expr = function(){
 
 		var expr = this._replacements(Array.prototype.slice.call(arguments));
 		var inputCount = this._parseInputs(expr);
+		var inputNames = this._parseInputNames(expr);
 
 		/**
 		 *  hold onto all of the nodes for disposal
@@ -33,13 +47,25 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 		 *  The inputs. The length is determined by the expression. 
 		 *  @type {Array}
 		 */
-		this.input = new Array(inputCount);
+		this.input = new Array(inputCount + inputNames.length);
 
 		//create a gain for each input
-		for (var i = 0; i < inputCount; i++){
+		for (var i = 0; i < this.input.length; i++){
 			this.input[i] = this.context.createGain();
 		}
 
+		/**
+		 *  The named inputs by their name
+		 *  @type {Object}
+		 *  @example
+		 * var expr = new Tone.Expr("$cutoff * 2");
+		 * signal.connect(expr.inputs.cutoff);
+		 */
+		this.inputs = {};
+		for (var j = 0; j < inputNames.length; j++){
+			this.inputs[inputNames[j]] = this.input[inputCount + j];
+		}
+
 		//parse the syntax tree
 		var tree = this._parseTree(expr);
 		//evaluate the results
@@ -78,6 +104,58 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 	function literalNumber(arg){
 		return arg && arg.args ? parseFloat(arg.args) : undefined;
 	}
+	function evalArgs(args, count, self){
+		if (args.length !== count){
+			throw new SyntaxError("Tone.Expr: Expected " + count + " arguments");
+		}
+		return args.map(function(arg){
+			return self._eval(arg);
+		});
+	}
+	//the nodes which make up a function are disposed with the expression
+	function createNode(Constructor, arg, self){
+		var node = new Constructor(arg);
+		self._nodes.push(node);
+		return node;
+	}
+	//a + (b - a) * t
+	function mixNodes(a, b, t, self){
+		var diff = createNode(Tone.Subtract, undefined, self);
+		b.connect(diff, 0, 0);
+		a.connect(diff, 0, 1);
+		var mult = createNode(Tone.Multiply, undefined, self);
+		diff.connect(mult, 0, 0);
+		t.connect(mult, 0, 1);
+		var sum = createNode(Tone.Add, undefined, self);
+		a.connect(sum, 0, 0);
+		mult.connect(sum, 0, 1);
+		return sum;
+	}
+	//a if the condition is greater than 0, otherwise b
+	function selectNodes(condition, a, b, self){
+		var gate = createNode(Tone.GreaterThanZero, undefined, self);
+		condition.connect(gate);
+		return mixNodes(b, a, gate, self);
+	}
+	//a if a is greater than b, otherwise b. min swaps the results.
+	function compareNodes(a, b, max, self){
+		var diff = createNode(Tone.Subtract, undefined, self);
+		a.connect(diff, 0, 0);
+		b.connect(diff, 0, 1);
+		return max ? selectNodes(diff, a, b, self) : selectNodes(diff, b, a, self);
+	}
+	//map the input between -range and range through the function
+	function applyCurve(func, range, args, self){
+		var input = evalArgs(args, 1, self)[0];
+		var scale = createNode(Tone.Multiply, 1 / range, self);
+		var shaper = new Tone.WaveShaper(function(val){
+			return func(val * range);
+		}, 4096);
+		self._nodes.push(shaper);
+		input.connect(scale);
+		scale.connect(shaper);
+		return shaper;
+	}
 
 	/*
 	 *  the Expressions that Tone.Expr can parse.
@@ -99,9 +177,14 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 				}
 			},
 			"input" : {
-				regexp : /^\$\d/,
+				regexp : /^\$(?:\d|[a-zA-Z_]\w*)/,
 				method : function(arg, self){
-					return self.input[getNumber(arg.substr(1))];
+					var name = arg.substr(1);
+					if (/^\d$/.test(name)){
+						return self.input[getNumber(name)];
+					} else {
+						return self.inputs[name];
+					}
 				}
 			}
 		},
@@ -149,6 +232,72 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 					return op;
 				}
 			},
+			"min" : {
+				regexp : /^min/,
+				method : function(args, self){
+					var nodes = evalArgs(args, 2, self);
+					return compareNodes(nodes[0], nodes[1], false, self);
+				}
+			},
+			"max" : {
+				regexp : /^max/,
+				method : function(args, self){
+					var nodes = evalArgs(args, 2, self);
+					return compareNodes(nodes[0], nodes[1], true, self);
+				}
+			},
+			"clip" : {
+				regexp : /^clip/,
+				method : function(args, self){
+					var nodes = evalArgs(args, 3, self);
+					var low = compareNodes(nodes[0], nodes[1], true, self);
+					return compareNodes(low, nodes[2], false, self);
+				}
+			},
+			"sign" : {
+				regexp : /^sign/,
+				method : function(args, self){
+					var input = evalArgs(args, 1, self)[0];
+					//1 if it's positive, -1 if it's negative and 0 otherwise
+					var positive = createNode(Tone.GreaterThanZero, undefined, self);
+					var negate = createNode(Tone.Negate, undefined, self);
+					var negative = createNode(Tone.GreaterThanZero, undefined, self);
+					var sign = createNode(Tone.Subtract, undefined, self);
+					input.connect(positive);
+					input.connect(negate);
+					negate.connect(negative);
+					positive.connect(sign, 0, 0);
+					negative.connect(sign, 0, 1);
+					return sign;
+				}
+			},
+			"mix" : {
+				regexp : /^mix/,
+				method : function(args, self){
+					var nodes = evalArgs(args, 3, self);
+					return mixNodes(nodes[0], nodes[1], nodes[2], self);
+				}
+			},
+			"sin" : {
+				regexp : /^sin/,
+				//one period between -PI and PI, the WaveShaper clips inputs outside of it
+				method : applyCurve.bind(null, Math.sin, Math.PI)
+			},
+			"tanh" : {
+				regexp : /^tanh/,
+				//tanh is within 1e-6 of 1 beyond 8
+				method : applyCurve.bind(null, function(val){
+					var exp = Math.exp(2 * val);
+					return (exp - 1) / (exp + 1);
+				}, 8)
+			},
+			"select" : {
+				regexp : /^select/,
+				method : function(args, self){
+					var nodes = evalArgs(args, 3, self);
+					return selectNodes(nodes[0], nodes[1], nodes[2], self);
+				}
+			},
 		},
 		//binary expressions
 		"binary" : {
@@ -205,6 +354,26 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 		return inputMax;
 	};
 
+	/**
+	 *  The names of the named inputs in the order they first appear in the expression
+	 *  @param   {string} expr the expression string
+	 *  @return  {Array}      the input names
+	 *  @private
+	 */
+	Tone.Expr.prototype._parseInputNames = function(expr){
+		var inputArray = expr.match(/\$[a-zA-Z_]\w*/g);
+		var names = [];
+		if (inputArray !== null){
+			for (var i = 0; i < inputArray.length; i++){
+				var name = inputArray[i].substr(1);
+				if (names.indexOf(name) === -1){
+					names.push(name);
+				}
+			}
+		}
+		return names;
+	};
+
 	/**
 	 *  @param   {Array} args 	an array of arguments
 	 *  @return  {string} the results of the replacements being replaced
@@ -422,7 +591,10 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 	Tone.Expr.prototype._eval = function(tree){
 		if (!this.isUndef(tree)){
 			var node = tree.method(tree.args, this);
-			this._nodes.push(node);
+			//the same node can be returned more than once (i.e. an input)
+			if (this._nodes.indexOf(node) === -1){
+				this._nodes.push(node);
+			}
 			return node;
 		} 
 	};
@@ -451,6 +623,7 @@ define(["Tone/core/Tone", "Tone/signal/Add", "Tone/signal/Subtract", "Tone/signa
 	Tone.Expr.prototype.dispose = function(){
 		Tone.prototype.dispose.call(this);
 		this._disposeNodes();
+		this.inputs = null;
 	};
 
 	return Tone.Expr;
@@ -0,0 +1,355 @@
+define(["Tone/core/Tone", "Tone/signal/WaveShaper", "Tone/signal/Multiply", "Tone/signal/Add",
+	"Tone/signal/SignalBase", "Tone/type/Frequency"],
+function(Tone){
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.Quantizer snaps the incoming signal to the closest
+	 *          of a set of values. The values are either multiples of the step,
+	 *          an explicit list of values, or the frequencies of the pitches
+	 *          of a scale in the tuning (Tone.Frequency.tuning by default). The scale repeats 
+	 *          after the number of keys of the tuning's octave, i.e. 19 keys in Tone.Tuning.edo(19).
+	 *          When the values are the pitches of a scale, the incoming frequency snaps to the closest pitch.
+	 *          The input is expected to be between the min and the max.
+	 *
+	 *  @constructor
+	 *  @extends {Tone.SignalBase}
+	 *  @param {Number|Object} [step] The distance between the values.
+	 *  @param {Number=} min The minimum input value.
+	 *  @param {Number=} max The maximum input value.
+	 *  @example
+	 * //an LFO which moves in steps of 100Hz
+	 * var lfo = new Tone.LFO(1, 200, 1000);
+	 * var quantizer = new Tone.Quantizer(100, 200, 1000);
+	 * lfo.chain(quantizer, filter.frequency);
+	 * @example
+	 * //snap the frequency to the pitches of C minor pentatonic
+	 * var quantizer = new Tone.Quantizer({
+	 * 	"scale" : Tone.Frequency.scale("C", "minor pentatonic"),
+	 * 	"min" : 100,
+	 * 	"max" : 1000
+	 * });
+	 * lfo.chain(quantizer, osc.frequency);
+	 */
+	Tone.Quantizer = function(){
+
+		var options = this.optionsObject(arguments, ["step", "min", "max"], Tone.Quantizer.defaults);
+
+		/**
+		 *  scales the input to the range of the wave shaper
+		 *  @type  {Tone.Multiply}
+		 *  @private
+		 */
+		this._scale = this.input = new Tone.Multiply();
+
+		/**
+		 *  centers the input in the range of the wave shaper
+		 *  @type  {Tone.Add}
+		 *  @private
+		 */
+		this._offset = new Tone.Add();
+
+		/**
+		 *  snaps the input to the values
+		 *  @type  {Tone.WaveShaper}
+		 *  @private
+		 */
+		this._shaper = this.output = new Tone.WaveShaper(options.curveLength);
+
+		/**
+		 *  the number of points of the curve
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._curveLength = options.curveLength;
+
+		/**
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._step = options.step;
+
+		/**
+		 *  @type  {Array}
+		 *  @private
+		 */
+		this._values = options.values;
+
+		/**
+		 *  @type  {Array}
+		 *  @private
+		 */
+		this._scaleNotes = options.scale;
+
+		/**
+		 *  @type  {Tone.Tuning}
+		 *  @private
+		 */
+		this._tuning = options.tuning;
+
+		/**
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._min = options.min;
+
+		/**
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._max = options.max;
+
+		this._checkStep(this._step);
+		this._scale.chain(this._offset, this._shaper);
+		this._setRange();
+	};
+
+	Tone.extend(Tone.Quantizer, Tone.SignalBase);
+
+	/**
+	 *  The defaults. If there are values, the signal snaps
+	 *  to the values, otherwise if there is a scale, it snaps
+	 *  to the pitches of the scale, otherwise it snaps
+	 *  to the multiples of the step.
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.Quantizer.defaults = {
+		"step" : 0.25,
+		"values" : null,
+		"scale" : null,
+		"tuning" : null,
+		"min" : -1,
+		"max" : 1,
+		"curveLength" : 16384
+	};
+
+	/**
+	 *  Throw an error if the step is not a positive number
+	 *  @param  {Number}  step
+	 *  @private
+	 */
+	Tone.Quantizer.prototype._checkStep = function(step){
+		if (!(step > 0 && isFinite(step))){
+			throw new RangeError("Tone.Quantizer: the step must be a positive number, got " + step);
+		}
+	};
+
+	/**
+	 *  Set the range of the input and update the curve
+	 *  @private
+	 */
+	Tone.Quantizer.prototype._setRange = function(){
+		var range = this._max - this._min;
+		this._scale.value = 2 / range;
+		this._offset.value = -(this._max + this._min) / range;
+		this._setCurve();
+	};
+
+	/**
+	 *  Get the values which the signal snaps to
+	 *  @return  {Array}  The sorted values
+	 *  @private
+	 */
+	Tone.Quantizer.prototype._getValues = function(){
+		var values = [];
+		if (this._values){
+			values = this._values.slice();
+		} else if (this._scaleNotes){
+			var tuning = this._tuning || Tone.Frequency.tuning;
+			//the number of keys after which the keyboard mapping repeats
+			var octave = tuning.mapping ? tuning.mapping.length : tuning.scale.length;
+			var pitchClasses = this._scaleNotes.map(function(note){
+				var frequency = new Tone.Frequency(note);
+				frequency.tuning = tuning;
+				var key = Math.round(frequency.toMidi());
+				frequency.dispose();
+				return ((key % octave) + octave) % octave;
+			});
+			var lowFrequency = this._min;
+			if (lowFrequency <= 0){
+				//the lowest positive point of the curve
+				lowFrequency = (this._max - this._min) / this._curveLength;
+			}
+			//the keys within the range and an octave around it
+			var lowKey = Math.floor(tuning.frequencyToMidi(lowFrequency)) - octave;
+			var highKey = Math.ceil(tuning.frequencyToMidi(this._max)) + octave;
+			for (var key = lowKey; key <= highKey; key++){
+				if (pitchClasses.indexOf(((key % octave) + octave) % octave) !== -1){
+					values.push(tuning.midiToFrequency(key));
+				}
+			}
+		} else {
+			var first = Math.floor(this._min / this._step);
+			var last = Math.ceil(this._max / this._step);
+			var i;
+			if (last - first < this._curveLength){
+				for (i = first; i <= last; i++){
+					values.push(i * this._step);
+				}
+			} else {
+				//there are more multiples than points of the curve, 
+				//so only keep the multiples closest to the points
+				for (i = 0; i < this._curveLength; i++){
+					var point = this._min + i / (this._curveLength - 1) * (this._max - this._min);
+					values.push(Math.round(point / this._step) * this._step);
+				}
+			}
+		}
+		if (values.length === 0){
+			throw new Error("Tone.Quantizer: there are no values to snap to");
+		}
+		return values.sort(function(a, b){
+			return a - b;
+		});
+	};
+
+	/**
+	 *  Map each point of the input range to the closest value
+	 *  @private
+	 */
+	Tone.Quantizer.prototype._setCurve = function(){
+		var values = this._getValues();
+		var min = this._min;
+		var range = this._max - this._min;
+		//the pitches of a scale are compared by their ratio
+		var distance = this._scaleNotes && !this._values ? function(a, b){
+			return Math.abs(Math.log(Math.max(a, 1e-6) / b));
+		} : function(a, b){
+			return Math.abs(a - b);
+		};
+		var index = 0;
+		this._shaper.setMap(function(val){
+			var input = min + (val + 1) / 2 * range;
+			//the input increases so the closest value only moves up
+			while (index < values.length - 1 && distance(input, values[index + 1]) <= distance(input, values[index])){
+				index++;
+			}
+			return values[index];
+		});
+	};
+
+	/**
+	 * The distance between the values when the signal snaps to multiples of the step.
+	 * @memberOf Tone.Quantizer#
+	 * @type {Number}
+	 * @name step
+	 */
+	Object.defineProperty(Tone.Quantizer.prototype, "step", {
+		get : function(){
+			return this._step;
+		},
+		set : function(step){
+			this._checkStep(step);
+			this._step = step;
+			this._setCurve();
+		}
+	});
+
+	/**
+	 * The values to snap to. Set it to null to snap to the scale or the step.
+	 * @memberOf Tone.Quantizer#
+	 * @type {Array}
+	 * @name values
+	 */
+	Object.defineProperty(Tone.Quantizer.prototype, "values", {
+		get : function(){
+			return this._values;
+		},
+		set : function(values){
+			this._values = values;
+			this._setCurve();
+		}
+	});
+
+	/**
+	 * The notes of the scale to snap to. The signal snaps to the
+	 * frequencies of these notes in every octave. Set it to null to snap to the step.
+	 * @memberOf Tone.Quantizer#
+	 * @type {Array}
+	 * @name scale
+	 * @example
+	 * quantizer.scale = Tone.Frequency.scale("D", "dorian");
+	 */
+	Object.defineProperty(Tone.Quantizer.prototype, "scale", {
+		get : function(){
+			return this._scaleNotes;
+		},
+		set : function(scale){
+			this._scaleNotes = scale;
+			this._setCurve();
+		}
+	});
+
+	/**
+	 * The tuning of the notes of the scale. Set it to null to use
+	 * the tuning of Tone.Frequency.
+	 * @memberOf Tone.Quantizer#
+	 * @type {Tone.Tuning}
+	 * @name tuning
+	 * @example
+	 * quantizer.tuning = Tone.Tuning.edo(19);
+	 */
+	Object.defineProperty(Tone.Quantizer.prototype, "tuning", {
+		get : function(){
+			return this._tuning;
+		},
+		set : function(tuning){
+			this._tuning = tuning;
+			this._setCurve();
+		}
+	});
+
+	/**
+	 * The minimum input value.
+	 * @memberOf Tone.Quantizer#
+	 * @type {Number}
+	 * @name min
+	 */
+	Object.defineProperty(Tone.Quantizer.prototype, "min", {
+		get : function(){
+			return this._min;
+		},
+		set : function(min){
+			this._min = min;
+			this._setRange();
+		}
+	});
+
+	/**
+	 * The maximum input value.
+	 * @memberOf Tone.Quantizer#
+	 * @type {Number}
+	 * @name max
+	 */
+	Object.defineProperty(Tone.Quantizer.prototype, "max", {
+		get : function(){
+			return this._max;
+		},
+		set : function(max){
+			this._max = max;
+			this._setRange();
+		}
+	});
+
+	/**
+	 *  Clean up
+	 *  @returns {Tone.Quantizer} this
+	 */
+	Tone.Quantizer.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this._scale.dispose();
+		this._scale = null;
+		this._offset.dispose();
+		this._offset = null;
+		this._shaper.dispose();
+		this._shaper = null;
+		this._values = null;
+		this._scaleNotes = null;
+		this._tuning = null;
+		return this;
+	};
+
+	return Tone.Quantizer;
+});
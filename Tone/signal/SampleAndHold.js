@@ -0,0 +1,200 @@
+define(["Tone/core/Tone", "Tone/component/Merge", "Tone/signal/SignalBase", "Tone/core/Transport"],
+function(Tone){
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.SampleAndHold samples the incoming signal and holds
+	 *          its value until the next sample is taken. A sample is taken on
+	 *          every rising edge of the clock signal (when it goes above 0)
+	 *          which is connected to the second input, and at the
+	 *          times it is triggered, either explicitly or by the Transport when it is synced.
+	 *          The output lags the input by one buffer.
+	 *
+	 *  @constructor
+	 *  @extends {Tone.SignalBase}
+	 *  @param {Number} [bufferSize=256] The size of the buffer of the processor.
+	 *  @example
+	 * //a random melody from noise which is sampled every 8th note
+	 * var noise = new Tone.Noise().start();
+	 * var sh = new Tone.SampleAndHold().sync("8n");
+	 * var scale = new Tone.Scale(200, 800);
+	 * noise.connect(sh);
+	 * sh.chain(scale, osc.frequency);
+	 * @example
+	 * //sample with a clock signal
+	 * var clock = new Tone.LFO(4).start();
+	 * clock.connect(sh, 0, 1);
+	 */
+	Tone.SampleAndHold = function(){
+
+		var options = this.optionsObject(arguments, ["bufferSize"], Tone.SampleAndHold.defaults);
+		this.createInsOuts(2, 0);
+
+		/**
+		 *  merges the signal and the clock into the channels of the processor
+		 *  @type  {Tone.Merge}
+		 *  @private
+		 */
+		this._merge = new Tone.Merge();
+
+		/**
+		 *  The signal which is sampled.
+		 *  Alias for <code>input[0]</code>
+		 *  @type {Tone.Gain}
+		 */
+		this.input[0] = this._merge.left;
+
+		/**
+		 *  The clock which triggers the sampling.
+		 *  Alias for <code>input[1]</code>
+		 *  @type {Tone.Gain}
+		 */
+		this.clock = this.input[1] = this._merge.right;
+
+		/**
+		 *  samples and holds the signal
+		 *  @type  {ScriptProcessorNode}
+		 *  @private
+		 */
+		this.output = this._processor = this.context.createScriptProcessor(options.bufferSize, 2, 1);
+		this._processor.onaudioprocess = this._onprocess.bind(this);
+		//the processor only runs while it is connected to the destination
+		this._processor.noGC();
+
+		/**
+		 *  The held value
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._value = 0;
+
+		/**
+		 *  The previous sample of the clock
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._lastClock = 0;
+
+		/**
+		 *  The sample times of the triggers from the earliest to the latest
+		 *  @type  {Array}
+		 *  @private
+		 */
+		this._triggers = [];
+
+		/**
+		 *  The Transport the sampling is synced to
+		 *  @type  {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = null;
+
+		/**
+		 *  The id of the repeated Transport event
+		 *  @type  {Number}
+		 *  @private
+		 */
+		this._eventId = -1;
+
+		this._merge.connect(this._processor);
+	};
+
+	Tone.extend(Tone.SampleAndHold, Tone.SignalBase);
+
+	/**
+	 *  The defaults
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.SampleAndHold.defaults = {
+		"bufferSize" : 256
+	};
+
+	/**
+	 *  Sample the signal at the given time.
+	 *  @param  {Time}  [time=now]  When to sample the signal
+	 *  @return  {Tone.SampleAndHold}  this
+	 */
+	Tone.SampleAndHold.prototype.trigger = function(time){
+		var sample = Math.round(this.toSeconds(time) * this.context.sampleRate);
+		var index = 0;
+		while (index < this._triggers.length && this._triggers[index] <= sample){
+			index++;
+		}
+		this._triggers.splice(index, 0, sample);
+		return this;
+	};
+
+	/**
+	 *  Sample the signal at a regular interval of the Transport.
+	 *  @param  {Time}  interval  The interval between the samples.
+	 *  @param  {Tone.Transport}  [transport=Tone.Transport]  The Transport to sync to.
+	 *  @return  {Tone.SampleAndHold}  this
+	 *  @example
+	 * sh.sync("16n");
+	 */
+	Tone.SampleAndHold.prototype.sync = function(interval, transport){
+		this.unsync();
+		this._transport = this.defaultArg(transport, this.context.Transport);
+		this._eventId = this._transport.scheduleRepeat(this.trigger.bind(this), interval);
+		return this;
+	};
+
+	/**
+	 *  Stop sampling with the Transport.
+	 *  @return  {Tone.SampleAndHold}  this
+	 */
+	Tone.SampleAndHold.prototype.unsync = function(){
+		if (this._transport){
+			this._transport.clear(this._eventId);
+			this._transport = null;
+			this._eventId = -1;
+		}
+		return this;
+	};
+
+	/**
+	 *  Hold the sampled values of the input in the output
+	 *  @param  {AudioProcessingEvent}  e
+	 *  @private
+	 */
+	Tone.SampleAndHold.prototype._onprocess = function(e){
+		var input = e.inputBuffer;
+		var signal = input.getChannelData(0);
+		var clock = input.getChannelData(Math.min(1, input.numberOfChannels - 1));
+		var output = e.outputBuffer.getChannelData(0);
+		//the input is captured one buffer before it is played
+		var blockStart = Math.round(e.playbackTime * input.sampleRate) - input.length;
+		for (var i = 0; i < input.length; i++){
+			//triggers which were scheduled too late are sampled at the start of the block
+			while (this._triggers.length && this._triggers[0] <= blockStart + i){
+				this._triggers.shift();
+				this._value = signal[i];
+			}
+			if (clock[i] > 0 && this._lastClock <= 0){
+				this._value = signal[i];
+			}
+			this._lastClock = clock[i];
+			output[i] = this._value;
+		}
+	};
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.SampleAndHold}  this
+	 */
+	Tone.SampleAndHold.prototype.dispose = function(){
+		this.unsync();
+		Tone.prototype.dispose.call(this);
+		this._processor.onaudioprocess = null;
+		this._processor = null;
+		this._merge.dispose();
+		this._merge = null;
+		this.clock = null;
+		this._triggers = null;
+		return this;
+	};
+
+	return Tone.SampleAndHold;
+});
@@ -0,0 +1,178 @@
+define(["Tone/core/Tone", "Tone/signal/Subtract", "Tone/signal/Multiply", "Tone/signal/WaveShaper",
+	"Tone/signal/SignalBase", "Tone/core/Delay", "Tone/type/Type"],
+function(Tone){
+
+	"use strict";
+
+	/**
+	 *  @class  Tone.Slew smooths the changes of the incoming signal
+	 *          with separate rise and fall times, like the slew (or lag) processor
+	 *          of a modular synthesizer. The input is smoothed by a lowpass filter
+	 *          whose cutoff frequency is 1 / rise while the output is below the input
+	 *          and 1 / fall while it is above it. The times set how sluggish the output is,
+	 *          not the exact time it takes to reach the input: longer times follow more slowly.
+	 *          Use it for portamento on a frequency signal or to round off the edges of a stepped LFO.
+	 *
+	 *  @constructor
+	 *  @extends {Tone.SignalBase}
+	 *  @param {Time|Object} [rise] The period of the cutoff frequency while the output rises.
+	 *  @param {Time=} fall The period of the cutoff frequency while the output falls.
+	 *  @example
+	 * var lfo = new Tone.LFO({
+	 * 	"frequency" : 2,
+	 * 	"type" : "square",
+	 * 	"min" : 200,
+	 * 	"max" : 2000
+	 * }).start();
+	 * //slow rise and fast fall
+	 * var slew = new Tone.Slew(0.2, 0.02);
+	 * lfo.chain(slew, filter.frequency);
+	 */
+	Tone.Slew = function(){
+
+		this.createInsOuts(1, 1);
+		var options = this.optionsObject(arguments, ["rise", "fall"], Tone.Slew.defaults);
+
+		/**
+		 *  the lowpass filter which smooths the input
+		 *  @type {BiquadFilterNode}
+		 *  @private
+		 */
+		this._filter = this.context.createBiquadFilter();
+		this._filter.type = "lowpass";
+		this._filter.frequency.value = 0;
+		this._filter.Q.value = -100;
+
+		/**
+		 *  selects the frequency of the filter for rising or falling
+		 *  @type {Tone.WaveShaper}
+		 *  @private
+		 */
+		this._frequencyValues = new Tone.WaveShaper();
+
+		/**
+		 *  the difference between the output and the input
+		 *  @type {Tone.Subtract}
+		 *  @private
+		 */
+		this._sub = new Tone.Subtract();
+
+		/**
+		 *  @type {Tone.Delay}
+		 *  @private
+		 */
+		this._delay = new Tone.Delay(this.blockTime);
+
+		/**
+		 *  this keeps it far from 0, even for very small differences
+		 *  @type {Tone.Multiply}
+		 *  @private
+		 */
+		this._mult = new Tone.Multiply(10000);
+
+		/**
+		 *  @type {Time}
+		 *  @private
+		 */
+		this._rise = options.rise;
+
+		/**
+		 *  @type {Time}
+		 *  @private
+		 */
+		this._fall = options.fall;
+
+		//the smoothed signal
+		this.input.chain(this._filter, this.output);
+		//the difference path
+		this.input.connect(this._sub, 0, 1);
+		this._filter.chain(this._delay, this._sub);
+		//the sign of the difference selects the frequency of the filter
+		this._sub.chain(this._mult, this._frequencyValues, this._filter.frequency);
+		this._setRiseFall(this._rise, this._fall);
+	};
+
+	Tone.extend(Tone.Slew, Tone.SignalBase);
+
+	/**
+	 *  The defaults
+	 *  @static
+	 *  @type {Object}
+	 */
+	Tone.Slew.defaults = {
+		"rise" : 0.1,
+		"fall" : 0.1
+	};
+
+	/**
+	 *  Set the frequencies of the filter for the rise and fall times in the wave shaper
+	 *  @param   {Time} rise
+	 *  @param   {Time} fall
+	 *  @private
+	 */
+	Tone.Slew.prototype._setRiseFall = function(rise, fall){
+		//the filter can't react faster than the feedback delay
+		var riseFrequency = 1 / Math.max(this.toSeconds(rise), this.blockTime);
+		var fallFrequency = 1 / Math.max(this.toSeconds(fall), this.blockTime);
+		this._frequencyValues.setMap(function(val){
+			if (val <= 0){
+				return riseFrequency;
+			} else {
+				return fallFrequency;
+			}
+		});
+	};
+
+	/**
+	 * The period of the cutoff frequency of the filter while the output rises.
+	 * @memberOf Tone.Slew#
+	 * @type {Time}
+	 * @name rise
+	 */
+	Object.defineProperty(Tone.Slew.prototype, "rise", {
+		get : function(){
+			return this._rise;
+		},
+		set : function(rise){
+			this._rise = rise;
+			this._setRiseFall(this._rise, this._fall);
+		}
+	});
+
+	/**
+	 * The period of the cutoff frequency of the filter while the output falls.
+	 * @memberOf Tone.Slew#
+	 * @type {Time}
+	 * @name fall
+	 */
+	Object.defineProperty(Tone.Slew.prototype, "fall", {
+		get : function(){
+			return this._fall;
+		},
+		set : function(fall){
+			this._fall = fall;
+			this._setRiseFall(this._rise, this._fall);
+		}
+	});
+
+	/**
+	 *  Clean up
+	 *  @returns {Tone.Slew} this
+	 */
+	Tone.Slew.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this._filter.disconnect();
+		this._filter = null;
+		this._frequencyValues.dispose();
+		this._frequencyValues = null;
+		this._delay.dispose();
+		this._delay = null;
+		this._sub.dispose();
+		this._sub = null;
+		this._mult.dispose();
+		this._mult = null;
+		return this;
+	};
+
+	return Tone.Slew;
+});
@@ -0,0 +1,350 @@
+define(["Tone/core/Tone", "Tone/signal/TimelineSignal"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Tone.TickSignal extends Tone.TimelineSignal, adding the capability
+	 *         to compute the number of ticks elapsed at a given time and the time
+	 *         of a given tick. The value of the signal is the rate of the ticks
+	 *         per second, and the ticks are the integral of that rate over time.
+	 *         The integral is computed in closed form for set, linear, exponential
+	 *         and target automation and for value curves, so there is no error
+	 *         which accumulates during tempo ramps.
+	 *  @extends {Tone.TimelineSignal}
+	 *  @param {Number=} value The initial value of the signal
+	 *  @param {String=} units The conversion units of the signal.
+	 *  @example
+	 * var tickSignal = new Tone.TickSignal(1);
+	 * tickSignal.linearRampToValueAtTime(2, 1);
+	 * tickSignal.getTicksAtTime(1); //returns 1.5
+	 */
+	Tone.TickSignal = function(){
+
+		Tone.TimelineSignal.apply(this, arguments);
+
+		//the events are pruned by the tick signal instead of by their number
+		this._events.memory = Infinity;
+
+		/**
+		 *  How long (in seconds) the events are kept after they have passed. 
+		 *  Each event holds the number of ticks which elapsed up until it, 
+		 *  so the ticks are still counted from the first remaining event.
+		 *  @type {Seconds}
+		 *  @private
+		 */
+		this._history = 10;
+	};
+
+	Tone.extend(Tone.TickSignal, Tone.TimelineSignal);
+
+	/**
+	 *  @override
+	 *  @param {*} value
+	 *  @param {Time} time
+	 *  @returns {Tone.TickSignal} this
+	 */
+	Tone.TickSignal.prototype.setValueAtTime = function(value, time){
+		Tone.TimelineSignal.prototype.setValueAtTime.apply(this, arguments);
+		this._updateTicks(this.toSeconds(time));
+		return this;
+	};
+
+	/**
+	 *  @override
+	 *  @param {*} value
+	 *  @param {Time} endTime
+	 *  @returns {Tone.TickSignal} this
+	 */
+	Tone.TickSignal.prototype.linearRampToValueAtTime = function(value, endTime){
+		Tone.TimelineSignal.prototype.linearRampToValueAtTime.apply(this, arguments);
+		this._updateTicks(this.toSeconds(endTime));
+		return this;
+	};
+
+	/**
+	 *  @override
+	 *  @param {*} value
+	 *  @param {Time} endTime
+	 *  @returns {Tone.TickSignal} this
+	 */
+	Tone.TickSignal.prototype.exponentialRampToValueAtTime = function(value, endTime){
+		Tone.TimelineSignal.prototype.exponentialRampToValueAtTime.apply(this, arguments);
+		this._updateTicks(this.toSeconds(endTime));
+		return this;
+	};
+
+	/**
+	 *  @override
+	 *  @param {*} value
+	 *  @param {Time} startTime
+	 *  @param {Number} timeConstant
+	 *  @returns {Tone.TickSignal} this
+	 */
+	Tone.TickSignal.prototype.setTargetAtTime = function(value, startTime){
+		Tone.TimelineSignal.prototype.setTargetAtTime.apply(this, arguments);
+		this._updateTicks(this.toSeconds(startTime));
+		return this;
+	};
+
+	/**
+	 *  @override
+	 *  @param {Array} values
+	 *  @param {Time} startTime
+	 *  @param {Time} duration
+	 *  @param {NormalRange} [scaling=1]
+	 *  @returns {Tone.TickSignal} this
+	 */
+	Tone.TickSignal.prototype.setValueCurveAtTime = function(values, startTime){
+		Tone.TimelineSignal.prototype.setValueCurveAtTime.apply(this, arguments);
+		this._updateTicks(this.toSeconds(startTime));
+		return this;
+	};
+
+	/**
+	 *  Compute the number of ticks at each of the events at or after 
+	 *  the given time from the event before it, and remove the events
+	 *  which are no longer needed to count the ticks.
+	 *  @param  {Seconds}  time  The time of the added event
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._updateTicks = function(time){
+		var before = null;
+		var passed = 0;
+		var cutoff = this.now() - this._history;
+		this._events.forEach(function(event){
+			if (event.time >= time || this.isUndef(event.ticks)){
+				var ticks = before === null ? 0 : before.ticks;
+				event.ticks = ticks + this._getTicksInSegment(before, event, event.time);
+			}
+			if (event.time <= cutoff){
+				passed++;
+			}
+			before = event;
+		}.bind(this));
+		//keep the last passed event and the one before it which 
+		//has the starting value of a setTargetAtTime
+		while (passed > 2){
+			this._events.shift();
+			passed--;
+		}
+	};
+
+	/**
+	 *  Returns the number of ticks which have elapsed between time 0 and the given time,
+	 *  i.e. the integral of the signal's value over that span. It is counted from
+	 *  the nearest event before the given time.
+	 *  @param  {Time}  time  The time to query.
+	 *  @return  {Ticks}  The (fractional) number of ticks
+	 */
+	Tone.TickSignal.prototype.getTicksAtTime = function(time){
+		time = this.toSeconds(time);
+		var before = this._searchBefore(time);
+		var ticks = before === null ? 0 : before.ticks;
+		return ticks + this._getTicksInSegment(before, this._searchAfter(time), time);
+	};
+
+	/**
+	 *  Returns the time at which the given tick occurs, i.e. the inverse
+	 *  of Tone.TickSignal.getTicksAtTime.
+	 *  @param  {Ticks}  tick  The tick to query
+	 *  @return  {Seconds}  The time of the tick
+	 */
+	Tone.TickSignal.prototype.getTimeOfTick = function(tick){
+		var before = null;
+		var after = null;
+		this._events.forEach(function(event){
+			if (after === null){
+				if (event.ticks >= tick){
+					after = event;
+				} else {
+					before = event;
+				}
+			}
+		});
+		var ticks = before === null ? 0 : before.ticks;
+		return this._getTimeInSegment(before, after, tick - ticks);
+	};
+
+	/**
+	 *  Returns the duration it takes for the given number of ticks to elapse
+	 *  starting at the given time. Only the events from the given time onward
+	 *  are visited, so it is efficient even with a long automation history.
+	 *  @param  {Ticks}  ticks  The number of ticks
+	 *  @param  {Time}  time  The time to start counting from
+	 *  @return  {Seconds}  The duration of the ticks
+	 */
+	Tone.TickSignal.prototype.getDurationOfTicks = function(ticks, time){
+		time = this.toSeconds(time);
+		var before = this._searchBefore(time);
+		var after = this._searchAfter(time);
+		var elapsed = this._getTicksInSegment(before, after, time);
+		while (after !== null && this._getTicksInSegment(before, after, after.time) - elapsed < ticks){
+			ticks -= this._getTicksInSegment(before, after, after.time) - elapsed;
+			elapsed = 0;
+			before = this._searchBefore(after.time);
+			after = this._searchAfter(after.time);
+		}
+		return this._getTimeInSegment(before, after, elapsed + ticks) - time;
+	};
+
+	/**
+	 *  The value of the event before the given event.
+	 *  @param  {Object}  event
+	 *  @return  {Number}
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._getPreviousValue = function(event){
+		var previous = this._events.getBefore(event.time);
+		if (previous === null){
+			return this._initial;
+		} else {
+			return previous.value;
+		}
+	};
+
+	/**
+	 *  The number of ticks between the start of the segment and the given time.
+	 *  The segment starts at the "before" event (or at 0 if it is null) and the
+	 *  curve within it is the same one computed by getValueAtTime.
+	 *  @param  {Object}  before  The event which starts the segment
+	 *  @param  {Object}  after  The event which ends the segment
+	 *  @param  {Seconds}  time  The time within the segment
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._getTicksInSegment = function(before, after, time){
+		if (before === null){
+			return this._initial * time;
+		}
+		var elapsed = time - before.time;
+		if (before.type === Tone.TimelineSignal.Type.Target){
+			var v0 = this._getPreviousValue(before);
+			return before.value * elapsed + (v0 - before.value) * before.constant * (1 - Math.exp(-elapsed / before.constant));
+		} else if (before.type === Tone.TimelineSignal.Type.Curve){
+			return this._getTicksInCurve(before, time);
+		} else if (after === null){
+			return before.value * elapsed;
+		} else if (after.type === Tone.TimelineSignal.Type.Linear){
+			var value = this._linearInterpolate(before.time, before.value, after.time, after.value, time);
+			return elapsed * (before.value + value) / 2;
+		} else if (after.type === Tone.TimelineSignal.Type.Exponential){
+			var startVal = Math.max(this._minOutput, before.value);
+			var ratio = after.value / startVal;
+			var duration = after.time - before.time;
+			if (ratio === 1){
+				return startVal * elapsed;
+			} else {
+				return startVal * duration * (Math.pow(ratio, elapsed / duration) - 1) / Math.log(ratio);
+			}
+		} else {
+			return before.value * elapsed;
+		}
+	};
+
+	/**
+	 *  The number of ticks from the beginning of a value curve until the given time.
+	 *  Each segment of the curve is linearly interpolated.
+	 *  @param  {Object}  event  The curve event
+	 *  @param  {Seconds}  time  The time to query.
+	 *  @return  {Ticks}
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._getTicksInCurve = function(event, time){
+		var curve = event.value;
+		var segmentDuration = event.duration / (curve.length - 1);
+		var ticks = 0;
+		for (var i = 0; i < curve.length - 1; i++){
+			var segmentStart = event.time + i * segmentDuration;
+			if (time <= segmentStart){
+				return ticks;
+			}
+			var elapsed = Math.min(time - segmentStart, segmentDuration);
+			var value = curve[i] + (curve[i + 1] - curve[i]) * elapsed / segmentDuration;
+			ticks += elapsed * (curve[i] + value) / 2;
+		}
+		//hold the last value after the curve
+		return ticks + curve[curve.length - 1] * Math.max(time - event.time - event.duration, 0);
+	};
+
+	/**
+	 *  The inverse of _getTicksInSegment: the time at which the given number
+	 *  of ticks have elapsed since the beginning of the segment.
+	 *  @param  {Object}  before  The event which starts the segment
+	 *  @param  {Object}  after  The event which ends the segment
+	 *  @param  {Ticks}  ticks  The number of ticks within the segment
+	 *  @return  {Seconds}
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._getTimeInSegment = function(before, after, ticks){
+		if (before === null){
+			return ticks / this._initial;
+		} else if (before.type === Tone.TimelineSignal.Type.Target){
+			//no closed form inverse, solve with newton's method
+			var time = before.time + ticks / Math.max(before.value, this._getPreviousValue(before));
+			for (var i = 0; i < 20; i++){
+				var error = this._getTicksInSegment(before, after, time) - ticks;
+				time -= error / this.getValueAtTime(time);
+				if (Math.abs(error) < 1e-9){
+					break;
+				}
+			}
+			return time;
+		} else if (before.type === Tone.TimelineSignal.Type.Curve){
+			return this._getTimeInCurve(before, ticks);
+		} else if (after === null){
+			return before.time + ticks / before.value;
+		} else if (after.type === Tone.TimelineSignal.Type.Linear){
+			return before.time + this._solveLinear(before.value, after.value, after.time - before.time, ticks);
+		} else if (after.type === Tone.TimelineSignal.Type.Exponential){
+			var startVal = Math.max(this._minOutput, before.value);
+			var ratio = after.value / startVal;
+			var duration = after.time - before.time;
+			if (ratio === 1){
+				return before.time + ticks / startVal;
+			} else {
+				var logRatio = Math.log(ratio);
+				return before.time + duration * Math.log(1 + ticks * logRatio / (startVal * duration)) / logRatio;
+			}
+		} else {
+			return before.time + ticks / before.value;
+		}
+	};
+
+	/**
+	 *  The time at which the given number of ticks have elapsed since the beginning of a value curve.
+	 *  @param  {Object}  event  The curve event
+	 *  @param  {Ticks}  ticks  The ticks from the beginning of the curve.
+	 *  @return  {Seconds}
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._getTimeInCurve = function(event, ticks){
+		var curve = event.value;
+		var segmentDuration = event.duration / (curve.length - 1);
+		for (var i = 0; i < curve.length - 1; i++){
+			var segmentTicks = segmentDuration * (curve[i] + curve[i + 1]) / 2;
+			if (segmentTicks >= ticks){
+				return event.time + i * segmentDuration + this._solveLinear(curve[i], curve[i + 1], segmentDuration, ticks);
+			}
+			ticks -= segmentTicks;
+		}
+		return event.time + event.duration + ticks / curve[curve.length - 1];
+	};
+
+	/**
+	 *  The time it takes for the given number of ticks to elapse
+	 *  along a linear ramp from v0 to v1 over the given duration.
+	 *  @param  {Number}  v0  The start value
+	 *  @param  {Number}  v1  The end value
+	 *  @param  {Seconds}  duration  The duration of the ramp
+	 *  @param  {Ticks}  ticks  The elapsed ticks
+	 *  @return  {Seconds}
+	 *  @private
+	 */
+	Tone.TickSignal.prototype._solveLinear = function(v0, v1, duration, ticks){
+		var slope = (v1 - v0) / duration;
+		//the numerically stable form of the quadratic formula
+		return 2 * ticks / (v0 + Math.sqrt(v0 * v0 + 2 * slope * ticks));
+	};
+
+	return Tone.TickSignal;
+});
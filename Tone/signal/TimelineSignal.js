@@ -82,6 +82,9 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 * freq.setValueAtTime("G4", "+1");
 	 */
 	Tone.TimelineSignal.prototype.setValueAtTime = function (value, startTime) {
+		if (this._synced){
+			return this._syncedSetValueAtTime(value, startTime);
+		}
 		value = this._fromUnits(value);
 		startTime = this.toSeconds(startTime);
 		this._events.add({
@@ -103,6 +106,9 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 *  @returns {Tone.TimelineSignal} this
 	 */
 	Tone.TimelineSignal.prototype.linearRampToValueAtTime = function (value, endTime) {
+		if (this._synced){
+			return this._syncedLinearRampToValueAtTime(value, endTime);
+		}
 		value = this._fromUnits(value);
 		endTime = this.toSeconds(endTime);
 		this._events.add({
@@ -123,6 +129,9 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 *  @returns {Tone.TimelineSignal} this
 	 */
 	Tone.TimelineSignal.prototype.exponentialRampToValueAtTime = function (value, endTime) {
+		if (this._synced){
+			return this._syncedExponentialRampToValueAtTime(value, endTime);
+		}
 		//get the previous event and make sure it's not starting from 0
 		endTime = this.toSeconds(endTime);
 		var beforeEvent = this._searchBefore(endTime);
@@ -156,6 +165,10 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 *  @returns {Tone.TimelineSignal} this 
 	 */
 	Tone.TimelineSignal.prototype.setTargetAtTime = function (value, startTime, timeConstant) {
+		//the target is approached in seconds
+		if (this._synced){
+			throw new Error("Tone.TimelineSignal: setTargetAtTime cannot be used when the signal is synced");
+		}
 		value = this._fromUnits(value);
 		value = Math.max(this._minOutput, value);
 		timeConstant = Math.max(this._minOutput, timeConstant);
@@ -179,6 +192,9 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 *  @returns {Tone.TimelineSignal} this 
 	 */
 	Tone.TimelineSignal.prototype.setValueCurveAtTime = function (values, startTime, duration, scaling) {
+		if (this._synced){
+			return this._syncedSetValueCurveAtTime(values, startTime, duration, scaling);
+		}
 		scaling = this.defaultArg(scaling, 1);
 		//copy the array
 		var floats = new Array(values.length);
@@ -211,6 +227,9 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 *  @returns {Tone.TimelineSignal} this
 	 */
 	Tone.TimelineSignal.prototype.cancelScheduledValues = function (after) {
+		if (this._synced){
+			return this._syncedCancelScheduledValues(after);
+		}
 		after = this.toSeconds(after);
 		this._events.cancel(after);
 		this._param.cancelScheduledValues(after);
@@ -228,6 +247,9 @@ define(["Tone/core/Tone", "Tone/signal/Signal", "Tone/core/Timeline"], function
 	 *  @returns {Tone.TimelineSignal} this
 	 */
 	Tone.TimelineSignal.prototype.setRampPoint = function (time) {
+		if (this._synced){
+			return this._syncedSetRampPoint(this._transport.toTicks(time));
+		}
 		time = this.toSeconds(time);
 		//get the value at the given time
 		var val = this._toUnits(this.getValueAtTime(time));
@@ -147,7 +147,7 @@ function(Tone){
 	 * // the frequency of the oscillator is doubled to 880
 	 */
 	Tone.Oscillator.prototype.syncFrequency = function(){
-		Tone.Transport.syncSignal(this.frequency);
+		this.context.Transport.syncSignal(this.frequency);
 		return this;
 	};
 
@@ -157,7 +157,7 @@ function(Tone){
 	 *  @returns {Tone.Oscillator} this
 	 */
 	Tone.Oscillator.prototype.unsyncFrequency = function(){
-		Tone.Transport.unsyncSignal(this.frequency);
+		this.context.Transport.unsyncSignal(this.frequency);
 		return this;
 	};
 
@@ -64,6 +64,13 @@ function(Tone){
 		 */
 		this._synced = false;
 
+		/**
+		 *  The Transport the source is synced to
+		 *  @type {Tone.Transport}
+		 *  @private
+		 */
+		this._transport = null;
+
 		/**
 		 *  Keep track of all of the scheduled event ids
 		 *  @type  {Array}
@@ -101,8 +108,8 @@ function(Tone){
 	Object.defineProperty(Tone.Source.prototype, "state", {
 		get : function(){
 			if (this._synced){
-				if (Tone.Transport.state === Tone.State.Started){
-					return this._state.getValueAtTime(Tone.Transport.seconds);
+				if (this._transport.state === Tone.State.Started){
+					return this._state.getValueAtTime(this._transport.seconds);
 				} else {
 					return Tone.State.Stopped;
 				}
@@ -144,7 +151,9 @@ function(Tone){
 	 */
 	Tone.Source.prototype.start = function(time, offset, duration){
 		if (this.isUndef(time) && this._synced){
-			time = Tone.Transport.seconds;
+			time = this._transport.seconds;
+		} else if (this._synced){
+			time = this._transport.toSeconds(time);
 		} else {
 			time = this.toSeconds(time);
 		}	
@@ -154,11 +163,18 @@ function(Tone){
 		}
 		this._state.setStateAtTime(Tone.State.Started, time);
 		if (this._synced){
+			//convert with the tempo and time signature of the synced Transport
+			if (!this.isUndef(offset)){
+				offset = this._transport.toSeconds(offset);
+			}
+			if (!this.isUndef(duration)){
+				duration = this._transport.toSeconds(duration);
+			}
 			// add the offset time to the event
 			var event = this._state.get(time);
 			event.offset = this.defaultArg(offset, 0);
 			event.duration = duration;
-			var sched = Tone.Transport.schedule(function(t){
+			var sched = this._transport.schedule(function(t){
 				this._start(t, offset, duration);
 			}.bind(this), time);
 			this._scheduled.push(sched);
@@ -178,7 +194,9 @@ function(Tone){
 	 */
 	Tone.Source.prototype.stop = function(time){
 		if (this.isUndef(time) && this._synced){
-			time = Tone.Transport.seconds;
+			time = this._transport.seconds;
+		} else if (this._synced){
+			time = this._transport.toSeconds(time);
 		} else {
 			time = this.toSeconds(time);
 		}
@@ -187,7 +205,7 @@ function(Tone){
 		if (!this._synced){
 			this._stop.apply(this, arguments);
 		} else {
-			var sched = Tone.Transport.schedule(this._stop.bind(this), time);
+			var sched = this._transport.schedule(this._stop.bind(this), time);
 			this._scheduled.push(sched);
 		}	
 		return this;
@@ -198,6 +216,7 @@ function(Tone){
 	 *  calls to `start` and `stop` are synced to the TransportTime
 	 *  instead of the AudioContext time. 
 	 *
+	 *  @param {Tone.Transport} [transport=Tone.Transport] The Transport to sync to.
 	 *  @returns {Tone.Source} this
 	 *  @example
 	 * //sync the source so that it plays between 0 and 0.3 on the Transport's timeline
@@ -211,31 +230,55 @@ function(Tone){
 	 * source.sync().start(0.1);
 	 * //the source will be invoked with an offset of 0.4
 	 * Tone.Transport.start("+0.5", 0.5);
+	 *  @example
+	 * //sync the source to another transport
+	 * var preview = new Tone.Transport({"bpm" : 90});
+	 * source.sync(preview).start(0);
+	 * preview.start();
 	 */
-	Tone.Source.prototype.sync = function(){
+	Tone.Source.prototype.sync = function(transport){
 		this._synced = true;
-		Tone.Transport.on("start loopStart", function(time, offset){
-			if (offset > 0){
-				// get the playback state at that time
-				var stateEvent = this._state.get(offset);
-				// listen for start events which may occur in the middle of the sync'ed time
-				if (stateEvent && stateEvent.state === Tone.State.Started && stateEvent.time !== offset){
-					// get the offset
-					var startOffset = offset - this.toSeconds(stateEvent.time);
-					var duration;
-					if (stateEvent.duration){
-						duration = this.toSeconds(stateEvent.duration) - startOffset;	
-					}
-					this._start(time, this.toSeconds(stateEvent.offset) + startOffset, duration);
+		this._transport = this.defaultArg(transport, this.context.Transport);
+		this._onTransportStart = this._onTransportStart.bind(this);
+		this._onTransportStop = this._onTransportStop.bind(this);
+		this._transport.on("start loopStart", this._onTransportStart);
+		this._transport.on("stop pause loopEnd", this._onTransportStop);
+		return this;
+	};
+
+	/**
+	 *  Start the source at the Transport's offset when the Transport
+	 *  starts or loops in the middle of the source's start and stop.
+	 *  @param  {Seconds}  time
+	 *  @param  {Seconds}  offset  The Transport's position
+	 *  @private
+	 */
+	Tone.Source.prototype._onTransportStart = function(time, offset){
+		if (offset > 0){
+			// get the playback state at that time
+			var stateEvent = this._state.get(offset);
+			// listen for start events which may occur in the middle of the sync'ed time
+			if (stateEvent && stateEvent.state === Tone.State.Started && stateEvent.time !== offset){
+				// get the offset
+				var startOffset = offset - this._transport.toSeconds(stateEvent.time);
+				var duration;
+				if (stateEvent.duration){
+					duration = this._transport.toSeconds(stateEvent.duration) - startOffset;	
 				}
+				this._start(time, this._transport.toSeconds(stateEvent.offset) + startOffset, duration);
 			}
-		}.bind(this));
-		Tone.Transport.on("stop pause loopEnd", function(time){
-			if (this._state.getValueAtTime(Tone.Transport.seconds) === Tone.State.Started){
-				this._stop(time);
-			}
-		}.bind(this));
-		return this;
+		}
+	};
+
+	/**
+	 *  Stop the source when the Transport stops, pauses or loops
+	 *  @param  {Seconds}  time
+	 *  @private
+	 */
+	Tone.Source.prototype._onTransportStop = function(time){
+		if (this._state.getValueAtTime(this._transport.seconds) === Tone.State.Started){
+			this._stop(time);
+		}
 	};
 
 	/**
@@ -243,13 +286,19 @@ function(Tone){
 	 *  @returns {Tone.Source} this
 	 */
 	Tone.Source.prototype.unsync = function(){
-		this._synced = false;
-		Tone.Transport.off("start stop pause loopEnd loopStart");
-		// clear all of the scheduled ids
-		for (var i = 0; i < this._scheduled.length; i++){
-			var id = this._scheduled[i];
-			Tone.Transport.clear(id);
+		if (this._synced){
+			this._transport.off("start loopStart", this._onTransportStart);
+			this._transport.off("stop pause loopEnd", this._onTransportStop);
+			delete this._onTransportStart;
+			delete this._onTransportStop;
+			// clear all of the scheduled ids
+			for (var i = 0; i < this._scheduled.length; i++){
+				var id = this._scheduled[i];
+				this._transport.clear(id);
+			}
 		}
+		this._synced = false;
+		this._transport = null;
 		this._scheduled = [];
 		this._state.cancel(0);
 		return this;
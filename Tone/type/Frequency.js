@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
+define(["Tone/core/Tone", "Tone/type/TimeBase", "Tone/type/Tuning"], function (Tone) {
 
 	/**
 	 *  @class Tone.Frequency is a primitive type for encoding Frequency values. 
@@ -15,6 +15,13 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	 */
 	Tone.Frequency = function(val, units){
 		if (this instanceof Tone.Frequency){
+
+			/**
+			 *  The tuning which converts the notes and MIDI values 
+			 *  into frequencies. If it's null, Tone.Frequency.tuning is used.
+			 *  @type  {Tone.Tuning}
+			 */
+			this.tuning = null;
 			
 			Tone.TimeBase.call(this, val, units);
 
@@ -25,6 +32,17 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 
 	Tone.extend(Tone.Frequency, Tone.TimeBase);
 
+	/**
+	 *  Copies the value and the tuning of the frequency
+	 *  @param {Tone.Frequency} frequency
+	 *  @return  {Tone.Frequency}
+	 */
+	Tone.Frequency.prototype.copy = function(frequency){
+		Tone.TimeBase.prototype.copy.call(this, frequency);
+		this.tuning = this.defaultArg(frequency.tuning, null);
+		return this;
+	};
+
 	///////////////////////////////////////////////////////////////////////////
 	//	AUGMENT BASE EXPRESSIONS
 	///////////////////////////////////////////////////////////////////////////
@@ -41,21 +59,26 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	Tone.Frequency.prototype._primaryExpressions.midi = {
 		regexp : /^(\d+(?:\.\d+)?midi)/,
 		method : function(value){
-			return this.midiToFrequency(value);
+			return this.midiToFrequency(parseFloat(value));
 		}	
 	};
 
 	/*
-	 *  note type primary expression
+	 *  note type primary expression with an optional 
+	 *  offset in cents (i.e. "C4+25c" or "Eb3-14c")
 	 *  @type {Object}
 	 *  @private
 	 */
 	Tone.Frequency.prototype._primaryExpressions.note = {
-		regexp : /^([a-g]{1}(?:b|#|x|bb)?)(-?[0-9]+)/i,
-		method : function(pitch, octave){
+		regexp : /^([a-g]{1}(?:b|#|x|bb)?)(-?[0-9]+)(?:([+-]\d+(?:\.\d+)?)c)?/i,
+		method : function(pitch, octave, cents){
 			var index = noteToScaleIndex[pitch.toLowerCase()];
 			var noteNumber = index + (parseInt(octave) + 1) * 12;
-			return this.midiToFrequency(noteNumber);
+			var frequency = this.midiToFrequency(noteNumber);
+			if (cents){
+				frequency *= Math.pow(2, parseFloat(cents) / 1200);
+			}
+			return frequency;
 		}	
 	};
 
@@ -69,7 +92,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 			method : function(m, q, s){
 			var total = 1;
 			if (m && m !== "0"){
-				total *= this._beatsToUnits(this._timeSignature() * parseFloat(m));
+				total *= this._beatsToUnits(this._measuresToBeats(parseFloat(m)));
 			}
 			if (q && q !== "0"){
 				total *= this._beatsToUnits(parseFloat(q));
@@ -86,7 +109,8 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	///////////////////////////////////////////////////////////////////////////
 
 	/**
-	 *  Transposes the frequency by the given number of semitones.
+	 *  Transposes the frequency by the given number of semitones, 
+	 *  or by the given number of keys of the tuning.
 	 *  @param  {Interval}  interval
 	 *  @return  {Tone.Frequency} this
 	 *  @example
@@ -95,7 +119,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	Tone.Frequency.prototype.transpose = function(interval){
 		this._expr = function(expr, interval){
 			var val = expr();
-			return val * this.intervalToFrequencyRatio(interval);
+			return this._transposeFrequency(val, interval);
 		}.bind(this, this._expr, interval);
 		return this;
 	};
@@ -113,13 +137,24 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 			var val = expr();
 			var ret = [];
 			for (var i = 0; i < intervals.length; i++){
-				ret[i] = val * this.intervalToFrequencyRatio(intervals[i]);
+				ret[i] = this._transposeFrequency(val, intervals[i]);
 			}
 			return ret;
 		}.bind(this, this._expr, intervals);
 		return this;
 	};
 
+	/**
+	 *  Transpose the frequency by the number of keys of the tuning
+	 *  @param  {Frequency}  frequency
+	 *  @param  {Interval}  interval
+	 *  @return  {Frequency}
+	 *  @private
+	 */
+	Tone.Frequency.prototype._transposeFrequency = function(frequency, interval){
+		return this.midiToFrequency(this.frequencyToMidi(frequency) + interval);
+	};
+
 	///////////////////////////////////////////////////////////////////////////
 	//	UNIT CONVERSIONS
 	///////////////////////////////////////////////////////////////////////////
@@ -135,21 +170,38 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	};
 
 	/**
-	 *  Return the value of the frequency in Scientific Pitch Notation
+	 *  Return the value of the frequency in Scientific Pitch Notation. 
+	 *  Notes are spelled with sharps unless a key is given, in which case
+	 *  the notes of the key are spelled like the key's scale and the other notes
+	 *  are spelled with the accidentals of the key signature. 
+	 *  @param  {Object}  [options]
+	 *  @param  {Boolean}  [options.cents=false]  If the offset from the note should be 
+	 *                                           appended in cents (i.e. "C4+25c")
+	 *  @param  {String}  [options.key]  The key to spell the note in (i.e. "Eb" or "F# minor")
 	 *  @return  {Note}
 	 *  @example
 	 * Tone.Frequency(69, "midi").toNote(); //"A4"
+	 * Tone.Frequency(68, "midi").toNote({"key" : "Eb"}); //"Ab4"
+	 * Tone.Frequency(445).toNote({"cents" : true}); //"A4+20c"
 	 */
-	Tone.Frequency.prototype.toNote = function(){
-		var freq = this.eval();
-		var log = Math.log(freq / Tone.Frequency.A4) / Math.LN2;
-		var noteNumber = Math.round(12 * log) + 57;
-		var octave = Math.floor(noteNumber/12);
-		if(octave < 0){
-			noteNumber += -12 * octave;
+	Tone.Frequency.prototype.toNote = function(options){
+		options = this.defaultArg(options, {});
+		var frequency = this.eval();
+		var noteNumber = Math.round(this.frequencyToMidi(frequency));
+		var note;
+		if (options.key){
+			note = spellInKey(noteNumber, options.key);
+		} else {
+			var octave = Math.floor(noteNumber / 12) - 1;
+			note = scaleIndexToNote[((noteNumber % 12) + 12) % 12] + octave.toString();
 		}
-		var noteName = scaleIndexToNote[noteNumber % 12];
-		return noteName + octave.toString();
+		if (options.cents){
+			var cents = Math.round(1200 * Math.log(frequency / this.midiToFrequency(noteNumber)) / Math.LN2);
+			if (cents !== 0){
+				note += (cents > 0 ? "+" : "") + cents.toString() + "c";
+			}
+		}
+		return note;
 	};
 
 	/**
@@ -175,7 +227,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	Tone.Frequency.prototype.toTicks = function(){
 		var quarterTime = this._beatsToUnits(1);
 		var quarters = this.eval() / quarterTime;
-		return Math.floor(quarters * Tone.Transport.PPQ);
+		return Math.floor(quarters * this.transport.PPQ);
 	};
 
 	///////////////////////////////////////////////////////////////////////////
@@ -199,7 +251,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	 *  @private
 	 */
 	Tone.Frequency.prototype._ticksToUnits = function(ticks){
-		return 1 / ((ticks * 60) / (Tone.Transport.bpm.value * Tone.Transport.PPQ));
+		return 1 / ((ticks * 60) / (this.transport.bpm.value * this.transport.PPQ));
 	};
 
 	/**
@@ -252,34 +304,583 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	 */
 	var scaleIndexToNote = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
 
+	/**
+	 *  scale index to note (flats)
+	 *  @type  {Array}
+	 */
+	var scaleIndexToFlatNote = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+	/**
+	 *  The tuning which converts notes and MIDI values into frequencies. 
+	 *  The default is 12-tone equal temperament with A4 at 440Hz.
+	 *  @type {Tone.Tuning}
+	 *  @static
+	 *  @example
+	 * Tone.Frequency.tuning = Tone.Tuning.edo(31);
+	 */
+	Tone.Frequency.tuning = new Tone.Tuning();
+
 	/**
 	 *  The [concert pitch](https://en.wikipedia.org/wiki/Concert_pitch)
-	 *  A4's values in Hertz. 
+	 *  A4's values in Hertz. Setting the value changes
+	 *  the reference frequency of Tone.Frequency.tuning. 
 	 *  @type {Frequency}
 	 *  @static
+	 *  @memberOf Tone.Frequency
+	 *  @name A4
 	 */
-	Tone.Frequency.A4 = 440;
+	Object.defineProperty(Tone.Frequency, "A4", {
+		get : function(){
+			return Tone.Frequency.tuning.midiToFrequency(69);
+		},
+		set : function(frequency){
+			var tuning = Tone.Frequency.tuning;
+			tuning.frequency *= frequency / tuning.midiToFrequency(69);
+		}
+	});
 
 	/**
-	 *  Convert a MIDI note to frequency value. 
+	 *  The tuning of this frequency
+	 *  @return  {Tone.Tuning}
+	 *  @private
+	 */
+	Tone.Frequency.prototype._getTuning = function(){
+		return this.tuning || Tone.Frequency.tuning;
+	};
+
+	/**
+	 *  Convert a MIDI note to frequency value with the tuning. 
 	 *  @param  {MIDI} midi The midi number to convert.
 	 *  @return {Frequency} the corresponding frequency value
 	 *  @example
 	 * tone.midiToFrequency(69); // returns 440
 	 */
 	Tone.Frequency.prototype.midiToFrequency = function(midi){
-		return Tone.Frequency.A4 * Math.pow(2, (midi - 69) / 12);
+		return this._getTuning().midiToFrequency(midi);
 	};
 
 	/**
-	 *  Convert a frequency value to a MIDI note.
+	 *  Convert a frequency value to a MIDI note with the tuning.
 	 *  @param {Frequency} frequency The value to frequency value to convert.
 	 *  @returns  {MIDI}
 	 *  @example
 	 * tone.midiToFrequency(440); // returns 69
 	 */
 	Tone.Frequency.prototype.frequencyToMidi = function(frequency){
-		return 69 + 12 * Math.log(frequency / Tone.Frequency.A4) / Math.LN2;
+		return this._getTuning().frequencyToMidi(frequency);
+	};
+
+	///////////////////////////////////////////////////////////////////////////
+	//	MUSIC THEORY
+	///////////////////////////////////////////////////////////////////////////
+
+	/**
+	 *  The intervals of the chord qualities in semitones above the root
+	 *  @type  {Object}
+	 */
+	var chordQualities = {
+		"" : [0, 4, 7], "M" : [0, 4, 7], "maj" : [0, 4, 7],
+		"m" : [0, 3, 7], "min" : [0, 3, 7], "-" : [0, 3, 7],
+		"dim" : [0, 3, 6], "o" : [0, 3, 6], "\u00b0" : [0, 3, 6],
+		"aug" : [0, 4, 8], "+" : [0, 4, 8],
+		"sus2" : [0, 2, 7], "sus4" : [0, 5, 7], "sus" : [0, 5, 7],
+		"5" : [0, 7],
+		"6" : [0, 4, 7, 9], "m6" : [0, 3, 7, 9],
+		"7" : [0, 4, 7, 10], "7sus4" : [0, 5, 7, 10], "7sus2" : [0, 2, 7, 10],
+		"maj7" : [0, 4, 7, 11], "M7" : [0, 4, 7, 11], "\u0394" : [0, 4, 7, 11], "\u03947" : [0, 4, 7, 11],
+		"m7" : [0, 3, 7, 10], "min7" : [0, 3, 7, 10], "-7" : [0, 3, 7, 10],
+		"mMaj7" : [0, 3, 7, 11], "mmaj7" : [0, 3, 7, 11], "m(maj7)" : [0, 3, 7, 11],
+		"dim7" : [0, 3, 6, 9], "o7" : [0, 3, 6, 9], "\u00b07" : [0, 3, 6, 9],
+		"m7b5" : [0, 3, 6, 10], "\u00f8" : [0, 3, 6, 10], "\u00f87" : [0, 3, 6, 10],
+		"aug7" : [0, 4, 8, 10], "+7" : [0, 4, 8, 10],
+		"add9" : [0, 4, 7, 14], "madd9" : [0, 3, 7, 14],
+		"9" : [0, 4, 7, 10, 14], "maj9" : [0, 4, 7, 11, 14], "m9" : [0, 3, 7, 10, 14],
+		"11" : [0, 4, 7, 10, 14, 17], "m11" : [0, 3, 7, 10, 14, 17],
+		"13" : [0, 4, 7, 10, 14, 21], "maj13" : [0, 4, 7, 11, 14, 21], "m13" : [0, 3, 7, 10, 14, 21]
+	};
+
+	/**
+	 *  The chord qualities from the longest to the shortest 
+	 *  so that the longest matching quality is found first
+	 *  @type  {Array}
+	 */
+	var chordQualityNames = Object.keys(chordQualities).sort(function(a, b){
+		return b.length - a.length;
+	});
+
+	/**
+	 *  The semitones of the degrees which can be altered or added to a chord
+	 *  @type  {Object}
+	 */
+	var chordDegrees = {
+		"2" : 2, "4" : 5, "5" : 7, "6" : 9, "9" : 14, "11" : 17, "13" : 21
+	};
+
+	/**
+	 *  The intervals of the scales and modes in semitones above the tonic
+	 *  @type  {Object}
+	 */
+	var scaleModes = {
+		"major" : [0, 2, 4, 5, 7, 9, 11],
+		"ionian" : [0, 2, 4, 5, 7, 9, 11],
+		"dorian" : [0, 2, 3, 5, 7, 9, 10],
+		"phrygian" : [0, 1, 3, 5, 7, 8, 10],
+		"lydian" : [0, 2, 4, 6, 7, 9, 11],
+		"mixolydian" : [0, 2, 4, 5, 7, 9, 10],
+		"minor" : [0, 2, 3, 5, 7, 8, 10],
+		"aeolian" : [0, 2, 3, 5, 7, 8, 10],
+		"locrian" : [0, 1, 3, 5, 6, 8, 10],
+		"harmonic minor" : [0, 2, 3, 5, 7, 8, 11],
+		"melodic minor" : [0, 2, 3, 5, 7, 9, 11],
+		"major pentatonic" : [0, 2, 4, 7, 9],
+		"minor pentatonic" : [0, 3, 5, 7, 10],
+		"blues" : [0, 3, 5, 6, 7, 10],
+		"whole tone" : [0, 2, 4, 6, 8, 10],
+		"chromatic" : [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+	};
+
+	/**
+	 *  The roman numerals of the degrees of a scale
+	 *  @type  {Array}
+	 */
+	var romanNumerals = ["i", "ii", "iii", "iv", "v", "vi", "vii"];
+
+	/**
+	 *  Matches a pitch class with an optional octave (i.e. "Eb" or "Eb4")
+	 *  @type  {RegExp}
+	 */
+	var pitchRegExp = /^([a-g](?:bb|b|#|x)?)(-?\d+)?$/i;
+
+	/**
+	 *  Convert an integer MIDI note to its name in Scientific Pitch Notation
+	 *  @param  {MIDI}  midi
+	 *  @return  {Note}
+	 */
+	function midiToNote(midi){
+		return scaleIndexToNote[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1).toString();
+	}
+
+	/**
+	 *  Convert a note, a Tone.Frequency or a frequency to the closest MIDI note
+	 *  @param  {Note|Frequency}  note
+	 *  @return  {MIDI}
+	 */
+	function noteToMidi(note){
+		if (note instanceof Tone.Frequency){
+			return Math.round(note.toMidi());
+		}
+		return Math.round(new Tone.Frequency(note).toMidi());
+	}
+
+	/**
+	 *  The MIDI note of the pitch class in the octave
+	 *  @param  {String}  pitch  The pitch class (i.e. "F#")
+	 *  @param  {Number}  octave
+	 *  @return  {MIDI}
+	 */
+	function pitchToMidi(pitch, octave){
+		return noteToScaleIndex[pitch.toLowerCase()] + (octave + 1) * 12;
+	}
+
+	/**
+	 *  Transpose the MIDI notes by the number of semitones
+	 *  @param  {Array}  notes
+	 *  @param  {Interval}  interval
+	 *  @return  {Array}
+	 */
+	function transposeMidi(notes, interval){
+		return notes.map(function(note){
+			return note + interval;
+		});
+	}
+
+	/**
+	 *  The intervals of the chord quality including its alterations (i.e. "7b9" or "add11")
+	 *  @param  {String}  quality
+	 *  @return  {Array|undefined}  The intervals or undefined if the quality is invalid
+	 */
+	function getChordIntervals(quality){
+		var name;
+		for (var i = 0; i < chordQualityNames.length; i++){
+			if (quality.indexOf(chordQualityNames[i]) === 0){
+				name = chordQualityNames[i];
+				break;
+			}
+		}
+		var intervals = chordQualities[name].slice();
+		var alterations = quality.substr(name.length);
+		var alterationRegExp = /^\(?(add|b|#)(\d+)\)?/;
+		while (alterations.length){
+			var alteration = alterations.match(alterationRegExp);
+			if (!alteration || !chordDegrees.hasOwnProperty(alteration[2])){
+				return undefined;
+			}
+			var semitones = chordDegrees[alteration[2]];
+			if (alteration[1] !== "add"){
+				//the altered degree replaces the natural one
+				var natural = intervals.indexOf(semitones);
+				if (natural !== -1){
+					intervals.splice(natural, 1);
+				}
+				semitones += alteration[1] === "b" ? -1 : 1;
+			}
+			if (intervals.indexOf(semitones) === -1){
+				intervals.push(semitones);
+			}
+			alterations = alterations.substr(alteration[0].length);
+		}
+		return intervals.sort(function(a, b){
+			return a - b;
+		});
+	}
+
+	/**
+	 *  The MIDI notes of the intervals above the root
+	 *  @param  {MIDI}  root
+	 *  @param  {Array}  intervals
+	 *  @return  {Array}
+	 */
+	function intervalsToNotes(root, intervals){
+		return transposeMidi(intervals, root).map(midiToNote);
+	}
+
+	/**
+	 *  Get the notes of a chord symbol. The symbol is the root followed by the
+	 *  quality (i.e. "m", "7", "maj7", "dim7", "m7b5", "sus4", "9", "13"), 
+	 *  any alterations or added tones (i.e. "b9", "#11", "add9")
+	 *  and an optional bass note after a slash. If the bass note is a 
+	 *  tone of the chord, the chord is inverted so that it's the lowest tone.
+	 *  @param  {String}  symbol  The chord symbol
+	 *  @param  {Number}  [octave=4]  The octave of the root
+	 *  @return  {Array}  The notes of the chord from the lowest to the highest
+	 *  @static
+	 *  @example
+	 * Tone.Frequency.chord("Cmaj7"); //["C4", "E4", "G4", "B4"]
+	 * Tone.Frequency.chord("F#m7b5", 3); //["F#3", "A3", "C4", "E4"]
+	 * Tone.Frequency.chord("Cmaj7/G"); //["G3", "C4", "E4", "B4"]
+	 * polySynth.triggerAttackRelease(Tone.Frequency.chord("Dm9"), "2n");
+	 */
+	Tone.Frequency.chord = function(symbol, octave){
+		octave = Tone.prototype.defaultArg(octave, 4);
+		var matching = symbol.trim().match(/^([A-G](?:bb|b|#|x)?)([^\/]*)(?:\/([A-G](?:bb|b|#|x)?))?$/);
+		var intervals = matching ? getChordIntervals(matching[2]) : undefined;
+		if (!intervals){
+			throw new Error("Tone.Frequency: invalid chord symbol " + symbol);
+		}
+		var root = pitchToMidi(matching[1], octave);
+		var notes = transposeMidi(intervals, root);
+		if (matching[3]){
+			var bassIndex = noteToScaleIndex[matching[3].toLowerCase()];
+			//the closest bass note below the root
+			var bass = root - ((((root - bassIndex) % 12) + 12) % 12);
+			if (bass !== root){
+				notes = notes.filter(function(note){
+					return (note - bass) % 12 !== 0;
+				});
+				notes.unshift(bass);
+			}
+		}
+		return notes.map(midiToNote);
+	};
+
+	/**
+	 *  Get the notes of a scale or a mode starting from the tonic. 
+	 *  The modes are "major", "minor", "ionian", "dorian", "phrygian", "lydian", 
+	 *  "mixolydian", "aeolian", "locrian", "harmonic minor", "melodic minor", 
+	 *  "major pentatonic", "minor pentatonic", "blues", "whole tone" and "chromatic". 
+	 *  An array of semitones above the tonic can also be given as the mode. 
+	 *  @param  {String}  tonic  The tonic with or without its octave (i.e. "D" or "D3")
+	 *  @param  {String|Array}  [mode="major"]
+	 *  @param  {Number}  [octave=4]  The octave of the tonic if it's not part of the tonic
+	 *  @return  {Array}  The notes of one octave of the scale
+	 *  @static
+	 *  @example
+	 * Tone.Frequency.scale("D", "dorian"); //["D4", "E4", "F4", "G4", "A4", "B4", "C5"]
+	 */
+	Tone.Frequency.scale = function(tonic, mode, octave){
+		var intervals = getScaleIntervals(Tone.prototype.defaultArg(mode, "major"));
+		var matching = tonic.trim().match(pitchRegExp);
+		if (!matching){
+			throw new Error("Tone.Frequency: invalid tonic " + tonic);
+		}
+		octave = matching[2] ? parseInt(matching[2]) : Tone.prototype.defaultArg(octave, 4);
+		return intervalsToNotes(pitchToMidi(matching[1], octave), intervals);
+	};
+
+	/**
+	 *  The intervals of the mode
+	 *  @param  {String|Array}  mode
+	 *  @return  {Array}
+	 */
+	function getScaleIntervals(mode){
+		if (Tone.prototype.isArray(mode)){
+			return mode;
+		} 
+		var intervals = scaleModes[mode.trim().toLowerCase()];
+		if (!intervals){
+			throw new Error("Tone.Frequency: unknown mode " + mode);
+		}
+		return intervals;
+	}
+
+	/**
+	 *  Get the chords of a progression of Roman numerals in a key. Upper case 
+	 *  numerals are major chords and lower case numerals are minor chords 
+	 *  on the degrees of the key's scale. The numeral can be preceded by a "b" or a "#" 
+	 *  to lower or raise its root, and followed by a chord quality 
+	 *  (i.e. "7", "maj7", "o" or "o7" for diminished, "+" for augmented, "m7b5" for half diminished). 
+	 *  Secondary chords are relative to the major key of the chord after the slash (i.e. "V7/V").
+	 *  @param  {String|Array}  numerals  The numerals as an array or separated by 
+	 *                                    spaces, commas or dashes (i.e. "ii7 V7 Imaj7").
+	 *  @param  {String}  key  The tonic of the key followed by its mode (i.e. "C", "A minor" or "Am"). 
+	 *                         The mode needs to have seven degrees.
+	 *  @param  {Number}  [octave=4]  The octave of the tonic
+	 *  @return  {Array}  The notes of each of the chords
+	 *  @static
+	 *  @example
+	 * Tone.Frequency.progression("I vi IV V", "G"); 
+	 * //[["G4", "B4", "D5"], ["E5", "G5", "B5"], ["C5", "E5", "G5"], ["D5", "F#5", "A5"]]
+	 * Tone.Frequency.progression(["i", "iv7", "V7"], "A minor", 3);
+	 */
+	Tone.Frequency.progression = function(numerals, key, octave){
+		octave = Tone.prototype.defaultArg(octave, 4);
+		key = parseKey(key);
+		var intervals = key.intervals;
+		var tonic = pitchToMidi(key.tonic, octave);
+		if (Tone.prototype.isString(numerals)){
+			numerals = numerals.split(/[\s,\-]+/).filter(function(numeral){
+				return numeral !== "";
+			});
+		}
+		return numerals.map(function(numeral){
+			var chord = parseNumeral(numeral, tonic, intervals);
+			return intervalsToNotes(chord.root, chord.intervals);
+		});
+	};
+
+	/**
+	 *  Parse a key into its tonic and the intervals of its mode
+	 *  @param  {String}  key  The tonic followed by the mode (i.e. "Eb", "Am" or "D dorian")
+	 *  @return  {Object}  The tonic and the intervals of the key's scale
+	 */
+	function parseKey(key){
+		var matching = key.trim().match(/^([a-g](?:bb|b|#|x)?)\s*(.*)$/i);
+		if (!matching){
+			throw new Error("Tone.Frequency: invalid key " + key);
+		}
+		var mode = matching[2] === "" ? "major" : matching[2];
+		var intervals = getScaleIntervals(mode === "m" ? "minor" : mode);
+		if (intervals.length !== 7){
+			throw new Error("Tone.Frequency: the mode of the key needs seven degrees " + key);
+		}
+		return {
+			"tonic" : matching[1],
+			"intervals" : intervals
+		};
+	}
+
+	/**
+	 *  The letters of the notes
+	 *  @type  {Array}
+	 */
+	var noteLetters = ["C", "D", "E", "F", "G", "A", "B"];
+
+	/**
+	 *  The accidentals from two flats to two sharps
+	 *  @type  {Object}
+	 */
+	var accidentals = {
+		"-2" : "bb", "-1" : "b", "0" : "", "1" : "#", "2" : "x"
+	};
+
+	/**
+	 *  Spell the MIDI note in the key. The notes of the key's scale 
+	 *  each have their own letter, and the other notes are spelled with flats 
+	 *  if the key signature has flats and with sharps otherwise.
+	 *  @param  {MIDI}  midi  An integer MIDI note
+	 *  @param  {String}  key
+	 *  @return  {Note}
+	 */
+	function spellInKey(midi, key){
+		key = parseKey(key);
+		var tonicLetter = noteLetters.indexOf(key.tonic.charAt(0).toUpperCase());
+		var tonicIndex = noteToScaleIndex[key.tonic.toLowerCase()];
+		var pitchClass = ((midi % 12) + 12) % 12;
+		var spelling = null;
+		var flats = 0;
+		for (var degree = 0; degree < 7; degree++){
+			var letter = noteLetters[(tonicLetter + degree) % 7];
+			var degreeClass = (((tonicIndex + key.intervals[degree]) % 12) + 12) % 12;
+			//the difference between the degree and the natural note of its letter
+			var accidental = ((degreeClass - noteToScaleIndex[letter.toLowerCase()] + 18) % 12) - 6;
+			flats += accidental < 0 ? 1 : 0;
+			if (degreeClass === pitchClass){
+				spelling = {
+					"letter" : letter,
+					"accidental" : accidental
+				};
+			}
+		}
+		if (spelling === null){
+			var name = flats > 0 ? scaleIndexToFlatNote[pitchClass] : scaleIndexToNote[pitchClass];
+			spelling = {
+				"letter" : name.charAt(0),
+				"accidental" : name.length > 1 ? (flats > 0 ? -1 : 1) : 0
+			};
+		}
+		//the octave follows the letter (i.e. B#3 is C4)
+		var octave = Math.floor((midi - spelling.accidental) / 12) - 1;
+		return spelling.letter + accidentals[spelling.accidental] + octave.toString();
+	}
+
+	/**
+	 *  Parse a Roman numeral into the root and the intervals of its chord
+	 *  @param  {String}  numeral
+	 *  @param  {MIDI}  tonic  The tonic of the key
+	 *  @param  {Array}  intervals  The intervals of the key's scale
+	 *  @return  {Object}  The root and the intervals of the chord
+	 */
+	function parseNumeral(numeral, tonic, intervals){
+		var secondary = numeral.split("/");
+		if (secondary.length > 1){
+			//the chord is in the major key of the chord after the slash
+			tonic = parseNumeral(secondary.slice(1).join("/"), tonic, intervals).root;
+			intervals = scaleModes.major;
+			numeral = secondary[0];
+		}
+		var matching = numeral.match(/^(bb|b|#)?(VII|VI|V|IV|III|II|I)(.*)$/i);
+		if (!matching){
+			throw new Error("Tone.Frequency: invalid roman numeral " + numeral);
+		}
+		var degree = romanNumerals.indexOf(matching[2].toLowerCase());
+		var minor = matching[2] === matching[2].toLowerCase();
+		var root = tonic + intervals[degree];
+		if (matching[1]){
+			root += (matching[1] === "#" ? 1 : -matching[1].length);
+		}
+		var quality = matching[3];
+		//diminished, half diminished and augmented chords are not prefixed with the minor quality
+		if (!/^(o|\u00b0|\u00f8|\+|dim|aug)/.test(quality) && minor){
+			quality = "m" + quality;
+		}
+		var chordIntervals = getChordIntervals(quality);
+		if (!chordIntervals){
+			throw new Error("Tone.Frequency: invalid roman numeral " + numeral);
+		}
+		return {
+			"root" : root,
+			"intervals" : chordIntervals
+		};
+	}
+
+	/**
+	 *  Invert the chord. Each inversion moves the lowest note up an octave, 
+	 *  and negative inversions move the highest note down an octave. 
+	 *  @param  {Array}  notes  The notes of the chord
+	 *  @param  {Number}  inversion
+	 *  @return  {Array}  The notes of the inverted chord from the lowest to the highest
+	 *  @static
+	 *  @example
+	 * Tone.Frequency.invert(["C4", "E4", "G4"], 1); //["E4", "G4", "C5"]
+	 */
+	Tone.Frequency.invert = function(notes, inversion){
+		return invertMidi(notes.map(noteToMidi), inversion).map(midiToNote);
+	};
+
+	/**
+	 *  Invert the MIDI notes
+	 *  @param  {Array}  notes
+	 *  @param  {Number}  inversion
+	 *  @return  {Array}
+	 */
+	function invertMidi(notes, inversion){
+		notes = notes.slice().sort(function(a, b){
+			return a - b;
+		});
+		for (var i = 0; i < inversion; i++){
+			notes.push(notes.shift() + 12);
+		}
+		for (var j = 0; j > inversion; j--){
+			notes.unshift(notes.pop() - 12);
+		}
+		return notes;
+	}
+
+	/**
+	 *  How far the voices move from one chord to the other. If the chords have as many
+	 *  notes, the distances between the notes in the same order are summed. Otherwise
+	 *  the distance from each note to the closest note of the other chord is summed in both directions.
+	 *  @param  {Array}  from  The MIDI notes from the lowest to the highest
+	 *  @param  {Array}  to  The MIDI notes from the lowest to the highest
+	 *  @return  {Number}
+	 */
+	function voiceLeadingDistance(from, to){
+		if (from.length === to.length){
+			return from.reduce(function(sum, note, index){
+				return sum + Math.abs(to[index] - note);
+			}, 0);
+		}
+		function closest(notes, others){
+			return notes.reduce(function(sum, note){
+				return sum + Math.min.apply(Math, others.map(function(other){
+					return Math.abs(other - note);
+				}));
+			}, 0);
+		}
+		return closest(from, to) + closest(to, from);
+	}
+
+	/**
+	 *  The octaves which each inversion is tried in when voicing a chord
+	 *  @type  {Array}
+	 */
+	var voicingOctaves = [0, -1, 1, -2, 2];
+
+	/**
+	 *  Voice the chords of a progression so that each chord is the inversion 
+	 *  which moves the voices the least from the previous chord. The first chord is not changed.
+	 *  @param  {Array}  chords  The notes of each of the chords
+	 *  @return  {Array}  The voiced chords
+	 *  @static
+	 *  @example
+	 * var chords = Tone.Frequency.progression("I vi IV V", "C");
+	 * Tone.Frequency.voiceLead(chords); 
+	 * //[["C4", "E4", "G4"], ["C4", "E4", "A4"], ["C4", "F4", "A4"], ["B3", "D4", "G4"]]
+	 */
+	Tone.Frequency.voiceLead = function(chords){
+		var previous = null;
+		return chords.map(function(chord){
+			var notes = invertMidi(chord.map(noteToMidi), 0);
+			if (previous !== null){
+				var best = notes;
+				var bestDistance = Infinity;
+				for (var inversion = 0; inversion < notes.length; inversion++){
+					var inverted = invertMidi(notes, inversion);
+					//the same octave is preferred over the neighboring octaves
+					for (var octave = 0; octave < voicingOctaves.length; octave++){
+						var candidate = transposeMidi(inverted, voicingOctaves[octave] * 12);
+						var distance = voiceLeadingDistance(previous, candidate);
+						if (distance < bestDistance){
+							bestDistance = distance;
+							best = candidate;
+						}
+					}
+				}
+				notes = best;
+			}
+			previous = notes;
+			return notes.map(midiToNote);
+		});
+	};
+
+	/**
+	 *  Clean up
+	 *  @return {Tone.Frequency} this
+	 */
+	Tone.Frequency.prototype.dispose = function(){
+		Tone.TimeBase.prototype.dispose.call(this);
+		this.tuning = null;
+		return this;
 	};
 
 	return Tone.Frequency;
@@ -48,7 +48,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	Tone.Time.prototype._unaryExpressions.quantize = {
 		regexp : /^@/,
 		method : function(rh){
-			return Tone.Transport.nextSubdivision(rh());
+			return this.transport.nextSubdivision(rh());
 		}
 	};
 
@@ -81,6 +81,8 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	 */
 	Tone.Time.prototype.quantize = function(subdiv, percent){
 		percent = this.defaultArg(percent, 1);
+		subdiv = new this.constructor(subdiv);
+		subdiv.transport = this.transport;
 		this._expr = function(expr, subdivision, percent){
 			expr = expr();
 			subdivision = subdivision.toSeconds();
@@ -88,7 +90,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 			var ideal = multiple * subdivision;
 			var diff = ideal - expr;
 			return expr + diff * percent;
-		}.bind(this, this._expr, new this.constructor(subdiv), percent);
+		}.bind(this, this._expr, subdiv, percent);
 		return this;
 	};
 
@@ -128,26 +130,62 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 
 	/**
 	 *  Convert a Time to Notation. Values will be thresholded to the nearest 128th note. 
+	 *  The notation with the fewest terms is chosen from straight, triplet, dotted,
+	 *  and quintuplet or septuplet notations.
 	 *  @return {Notation} 
 	 *  @example
 	 * //if the Transport is at 120bpm:
 	 * Tone.Time(2).toNotation();//returns "1m"
+	 * Tone.Time(0.75).toNotation();//returns "4n."
+	 * Tone.Time("8n5:4").toNotation();//returns "8n5:4"
 	 */
 	Tone.Time.prototype.toNotation = function(){
 		var time = this.toSeconds();
-		var testNotations = ["1m", "2n", "4n", "8n", "16n", "32n", "64n", "128n"];
-		var retNotation = this._toNotationHelper(time, testNotations);
-		//try the same thing but with tripelets
-		var testTripletNotations = ["1m", "2n", "2t", "4n", "4t", "8n", "8t", "16n", "16t", "32n", "32t", "64n", "64t", "128n"];
-		var retTripletNotation = this._toNotationHelper(time, testTripletNotations);
-		//choose the simpler expression of the two
-		if (retTripletNotation.split("+").length < retNotation.split("+").length){
-			return retTripletNotation;
-		} else {
-			return retNotation;
+		var retNotation, retTerms, retExact;
+		for (var i = 0; i < this._testNotations.length; i++){
+			var notation = this._toNotationHelper(time, this._testNotations[i]);
+			var terms = notation.split("+").length;
+			//account for floating point errors
+			var exact = Math.abs(this._parseExprString(notation)() - time) < 0.000001;
+			//choose the exact expression with the fewest terms
+			if (this.isUndef(retNotation) || (exact && !retExact) || 
+				(exact === retExact && terms < retTerms)){
+				retNotation = notation;
+				retTerms = terms;
+				retExact = exact;
+			}
 		}
+		return retNotation;
 	};
 
+	/**
+	 *  The notations which toNotation tries in order of preference. 
+	 *  Each list is ordered from the longest to the shortest notation.
+	 *  @type {Array}
+	 *  @private
+	 */
+	Tone.Time.prototype._testNotations = (function(){
+		var subdivisions = [2, 4, 8, 16, 32, 64];
+		//add the notations for each subdivision
+		function createNotations(suffixes){
+			var notations = ["1m"];
+			subdivisions.forEach(function(subdivision){
+				suffixes.forEach(function(suffix){
+					notations.push(subdivision + suffix);
+				});
+			});
+			notations.push("128n");
+			return notations;
+		}
+		return [
+			createNotations(["n"]),
+			createNotations(["n", "t"]),
+			createNotations(["n..", "n.", "n"]),
+			createNotations(["n", "n5:4"]),
+			createNotations(["n", "n7:4"])
+		];
+	}());
+
 	/**
 	 *  Helper method for Tone.toNotation
 	 *  @param {Number} units 
@@ -196,26 +234,30 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	 */
 	Tone.Time.prototype._notationToUnits = function(notation){
 		var primaryExprs = this._primaryExpressions;
-		var notationExprs = [primaryExprs.n, primaryExprs.t, primaryExprs.m];
+		var notationExprs = [primaryExprs.tuplet, primaryExprs.n, primaryExprs.t, primaryExprs.m];
 		for (var i = 0; i < notationExprs.length; i++){
 			var expr = notationExprs[i];
 			var match = notation.match(expr.regexp);
 			if (match){
-				return expr.method.call(this, match[1]);
+				return expr.method.call(this, match[1], match[2], match[3]);
 			}
 		}
 	};
 
 	/**
-	 *  Return the time encoded as Bars:Beats:Sixteenths.
+	 *  Return the time encoded as Bars:Beats:Sixteenths. The bars and beats
+	 *  follow the time signature changes of the Transport's tempo map
+	 *  and the grouping of the beats.
 	 *  @return  {BarsBeatsSixteenths}
 	 */
 	Tone.Time.prototype.toBarsBeatsSixteenths = function(){
 		var quarterTime = this._beatsToUnits(1);
 		var quarters = this.toSeconds() / quarterTime;
-		var measures = Math.floor(quarters / this._timeSignature());
-		var sixteenths = (quarters % 1) * 4;
-		quarters = Math.floor(quarters) % this._timeSignature();
+		var beat = this.transport.getBeatOfTick(quarters * this.transport.PPQ);
+		var measures = beat.bar;
+		//the sixteenths since the beginning of the beat
+		var sixteenths = Math.max(quarters - beat.ticks / this.transport.PPQ, 0) * 4;
+		quarters = beat.beat;
 		sixteenths = sixteenths.toString();
 		if (sixteenths.length > 3){
 			sixteenths = parseFloat(sixteenths).toFixed(3);
@@ -224,6 +266,43 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 		return progress.join(":");
 	};
 
+	/**
+	 *  Return the time as a SMPTE timecode (Hours:Minutes:Seconds:Frames). 
+	 *  The frames of the drop-frame rates (29.97 and 59.94) are separated with a semicolon.
+	 *  @param  {Number}  [fps=30]  The frame rate, i.e. 24, 25, 29.97 or 30.
+	 *  @return  {String}
+	 *  @example
+	 * Tone.Time(62.4).toTimecode(30); //returns "00:01:02:12"
+	 * Tone.Time(60).toTimecode(29.97); //returns "00:00:59;28"
+	 */
+	Tone.Time.prototype.toTimecode = function(fps){
+		var frameRate = this._getFrameRate(this.defaultArg(fps, 30));
+		var nominal = frameRate.nominal;
+		var drop = frameRate.drop;
+		//account for floating point errors
+		var frames = Math.floor(this.toSeconds() * frameRate.rate + 0.000001);
+		if (drop > 0){
+			//add the dropped frame numbers back in
+			var framesPerMinute = nominal * 60 - drop;
+			var framesPerTenMinutes = framesPerMinute * 10 + drop;
+			var remainder = frames % framesPerTenMinutes;
+			frames += drop * 9 * Math.floor(frames / framesPerTenMinutes);
+			if (remainder > drop){
+				frames += drop * Math.floor((remainder - drop) / framesPerMinute);
+			}
+		}
+		var fields = [
+			Math.floor(frames / (nominal * 3600)),
+			Math.floor(frames / (nominal * 60)) % 60,
+			Math.floor(frames / nominal) % 60,
+			frames % nominal
+		].map(function(field){
+			return field < 10 ? "0" + field : field.toString();
+		});
+		var separator = drop > 0 ? ";" : ":";
+		return fields.slice(0, 3).join(":") + separator + fields[3];
+	};
+
 	/**
 	 *  Return the time in ticks.
 	 *  @return  {Ticks}
@@ -231,7 +310,7 @@ define(["Tone/core/Tone", "Tone/type/TimeBase"], function (Tone) {
 	Tone.Time.prototype.toTicks = function(){
 		var quarterTime = this._beatsToUnits(1);
 		var quarters = this.eval() / quarterTime;
-		return Math.floor(quarters * Tone.Transport.PPQ);
+		return Math.floor(quarters * this.transport.PPQ);
 	};
 
 	/**
@@ -1,4 +1,4 @@
-define(["Tone/core/Tone"], function (Tone) {
+define(["Tone/core/Tone", "Tone/core/Context"], function (Tone) {
 
 	/**
 	 *  @class Tone.TimeBase is a flexible encoding of time
@@ -13,6 +13,12 @@ define(["Tone/core/Tone"], function (Tone) {
 	 * Tone.TimeBase(2, "t")
 	 * Tone.TimeBase("2t").add("1m")
 	 * Tone.TimeBase("2t + 1m");
+	 * //a dotted quarter note
+	 * Tone.TimeBase("4n.");
+	 * //5 eighth notes in the time of 4
+	 * Tone.TimeBase("8n5:4");
+	 * //SMPTE timecode at 30 frames per second
+	 * Tone.TimeBase("00:01:02:12@30");
 	 */
 	Tone.TimeBase = function(val, units){
 
@@ -26,6 +32,13 @@ define(["Tone/core/Tone"], function (Tone) {
 			 */
 			this._expr = this._noOp;
 
+			/**
+			 *  The Transport whose tempo, time signature and position
+			 *  the musical values are converted with
+			 *  @type  {Tone.Transport}
+			 */
+			this.transport = this.context.Transport;
+
 			if (val instanceof Tone.TimeBase){
 				this.copy(val);
 			} else if (!this.isUndef(units) || this.isNumber(val)){
@@ -69,11 +82,12 @@ define(["Tone/core/Tone"], function (Tone) {
 	};
 
 	/**
-	 *  Copies the value of time to this Time
+	 *  Copies the value and the Transport of time to this Time
 	 *  @param {Tone.TimeBase} time
 	 *  @return  {TimeBase}
 	 */
 	Tone.TimeBase.prototype.copy = function(time){
+		this.transport = time.transport;
 		var val = time._expr();
 		return this.set(val);
 	};
@@ -88,28 +102,30 @@ define(["Tone/core/Tone"], function (Tone) {
 	 *  @type  {Object}
 	 */
 	Tone.TimeBase.prototype._primaryExpressions = {
+		"tuplet" : {
+			regexp : /^(\d+)n(\d+):(\d+)/i,
+			method : function(value, count, span){
+				//count notes in the time of span notes
+				return this._noteToUnits(parseInt(value)) * parseInt(span) / parseInt(count);
+			}
+		},
 		"n" : {
-			regexp : /^(\d+)n/i,
-			method : function(value){
-				value = parseInt(value);
-				if (value === 1){
-					return this._beatsToUnits(this._timeSignature());
-				} else {
-					return this._beatsToUnits(4 / value);
-				}
+			regexp : /^(\d+)n(\.*)/i,
+			method : function(value, dots){
+				return this._dotted(this._noteToUnits(parseInt(value)), dots);
 			}
 		},
 		"t" : {
-			regexp : /^(\d+)t/i,
-			method : function(value){
+			regexp : /^(\d+)t(\.*)/i,
+			method : function(value, dots){
 				value = parseInt(value);
-				return this._beatsToUnits(8 / (parseInt(value) * 3));
+				return this._dotted(this._beatsToUnits(8 / (parseInt(value) * 3)), dots);
 			}
 		},
 		"m" : {
-			regexp : /^(\d+)m/i,
+			regexp : /^(\d+(?:\.\d+)?)m/i,
 			method : function(value){
-				return this._beatsToUnits(parseInt(value) * this._timeSignature());
+				return this._beatsToUnits(this._measuresToBeats(parseFloat(value)));
 			}
 		},
 		"i" : {
@@ -124,15 +140,19 @@ define(["Tone/core/Tone"], function (Tone) {
 				return this._frequencyToUnits(parseFloat(value));
 			}
 		},
+		//matched before "tr" which would also match the first fields of the timecode
+		"timecode" : {
+			regexp : /^(\d+:\d+:\d+[:;]\d+)@(\d+(?:\.\d+)?)/,
+			method : function(timecode, fps){
+				return this._secondsToUnits(this._timecodeToSeconds(timecode, parseFloat(fps)));
+			}
+		},
 		"tr" : {
 			regexp : /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?):?(\d+(?:\.\d+)?)?/,
 			method : function(m, q, s){
 				var total = 0;
-				if (m && m !== "0"){
-					total += this._beatsToUnits(this._timeSignature() * parseFloat(m));
-				}
-				if (q && q !== "0"){
-					total += this._beatsToUnits(parseFloat(q));
+				if ((m && m !== "0") || (q && q !== "0")){
+					total += this._beatsToUnits(this._measuresToBeats(parseFloat(m), parseFloat(q)));
 				}
 				if (s && s !== "0"){
 					total += this._beatsToUnits(parseFloat(s) / 4);
@@ -431,7 +451,7 @@ define(["Tone/core/Tone"], function (Tone) {
 	 *  @private
 	 */
 	Tone.TimeBase.prototype._beatsToUnits = function(beats){
-		return (60 / Tone.Transport.bpm.value) * beats;
+		return (60 / this.transport.bpm.value) * beats;
 	};
 
 	/**
@@ -451,16 +471,103 @@ define(["Tone/core/Tone"], function (Tone) {
 	 *  @private
 	 */
 	Tone.TimeBase.prototype._ticksToUnits = function(ticks){
-		return ticks * (this._beatsToUnits(1) / Tone.Transport.PPQ);
+		return ticks * (this._beatsToUnits(1) / this.transport.PPQ);
 	};
 
 	/**
-	 *  Return the time signature.
+	 *  Return the time signature at the Transport's current position.
 	 *  @return  {Number}
 	 *  @private
 	 */
 	Tone.TimeBase.prototype._timeSignature = function(){
-		return Tone.Transport.timeSignature;
+		return this.transport.getTimeSignatureAtPosition();
+	};
+
+	/**
+	 *  Get the timing of a SMPTE frame rate. The fractional frame rates 
+	 *  (i.e. 29.97) run 1000/1001 slower than the nominal frame rate. 
+	 *  The drop-frame rates (29.97 and 59.94) skip frame numbers at the start of each 
+	 *  minute, except for every tenth minute, so the timecode stays in line with the time.
+	 *  @param {Number} fps The frame rate
+	 *  @return  {Object}  The nominal frame rate ("nominal"), the actual frame rate ("rate")
+	 *                     and the number of frame numbers which are dropped each minute ("drop").
+	 *  @private
+	 */
+	Tone.TimeBase.prototype._getFrameRate = function(fps){
+		var nominal = Math.round(fps);
+		if (nominal === fps){
+			return {
+				"nominal" : nominal,
+				"rate" : fps,
+				"drop" : 0
+			};
+		} else {
+			return {
+				"nominal" : nominal,
+				"rate" : nominal * 1000 / 1001,
+				"drop" : nominal % 30 === 0 ? nominal / 15 : 0
+			};
+		}
+	};
+
+	/**
+	 *  Convert a SMPTE timecode to seconds
+	 *  @param {String} timecode Hours:Minutes:Seconds:Frames
+	 *  @param {Number} fps The frame rate
+	 *  @return  {Seconds}
+	 *  @private
+	 */
+	Tone.TimeBase.prototype._timecodeToSeconds = function(timecode, fps){
+		var frameRate = this._getFrameRate(fps);
+		var fields = timecode.split(/[:;]/).map(function(field){
+			return parseInt(field);
+		});
+		var minutes = fields[0] * 60 + fields[1];
+		var frames = (minutes * 60 + fields[2]) * frameRate.nominal + fields[3];
+		//remove the dropped frame numbers
+		frames -= frameRate.drop * (minutes - Math.floor(minutes / 10));
+		return frames / frameRate.rate;
+	};
+
+	/**
+	 *  Returns the value of a note (i.e. 4 for a quarter note) in the 
+	 *  current units. A whole note is the length of a measure.
+	 *  @param {Number} note
+	 *  @return  {Number}
+	 *  @private
+	 */
+	Tone.TimeBase.prototype._noteToUnits = function(note){
+		if (note === 1){
+			return this._beatsToUnits(this._timeSignature());
+		} else {
+			return this._beatsToUnits(4 / note);
+		}
+	};
+
+	/**
+	 *  Lengthen the value by half of the value for the first dot, 
+	 *  a quarter of the value for the second dot, and so on.
+	 *  @param {Number} value
+	 *  @param {String} [dots=""]
+	 *  @return  {Number}
+	 *  @private
+	 */
+	Tone.TimeBase.prototype._dotted = function(value, dots){
+		dots = this.defaultArg(dots, "").length;
+		return value * (2 - Math.pow(2, -dots));
+	};
+
+	/**
+	 *  Return the number of quarter notes from the beginning of the Transport
+	 *  until the given measure and beat, following the time signature changes
+	 *  and the grouping of the beats. 
+	 *  @param {Number} measures
+	 *  @param {Number} [beats=0]
+	 *  @return  {Number}
+	 *  @private
+	 */
+	Tone.TimeBase.prototype._measuresToBeats = function(measures, beats){
+		return this.transport.getTicksAtBar(measures, beats) / this.transport.PPQ;
 	};
 
 	///////////////////////////////////////////////////////////////////////////
@@ -479,6 +586,7 @@ define(["Tone/core/Tone"], function (Tone) {
 		//create the expression
 		if (!(val instanceof Tone.TimeBase)){
 			val = new this.constructor(val, units);
+			val.transport = this.transport;
 		}
 		this._expr = this._binaryExpressions[name].method.bind(this, this._expr, val._expr);
 		return this;
@@ -547,6 +655,7 @@ define(["Tone/core/Tone"], function (Tone) {
 	 */
 	Tone.TimeBase.prototype.dispose = function(){
 		this._expr = null;
+		this.transport = null;
 	};
 
 	return Tone.TimeBase;
@@ -36,7 +36,7 @@ define(["Tone/core/Tone", "Tone/type/Time"], function (Tone) {
 		regexp : /^@/,
 		method : function(rh){
 			var subdivision = this._secondsToTicks(rh());
-			var multiple = Math.ceil(Tone.Transport.ticks / subdivision);
+			var multiple = Math.ceil(this.transport.ticks / subdivision);
 			return this._ticksToUnits(multiple * subdivision);
 		}
 	};
@@ -50,7 +50,7 @@ define(["Tone/core/Tone", "Tone/type/Time"], function (Tone) {
 	Tone.TransportTime.prototype._secondsToTicks = function(seconds){
 		var quarterTime = this._beatsToUnits(1);
 		var quarters = seconds / quarterTime;
-		return Math.round(quarters * Tone.Transport.PPQ);
+		return Math.round(quarters * this.transport.PPQ);
 	};
 
 	/**
@@ -59,7 +59,7 @@ define(["Tone/core/Tone", "Tone/type/Time"], function (Tone) {
 	 */
 	Tone.TransportTime.prototype.eval = function(){
 		var val = this._secondsToTicks(this._expr());
-		return val + (this._plusNow ? Tone.Transport.ticks : 0);
+		return val + (this._plusNow ? this.transport.ticks : 0);
 	};
 
 	/**
@@ -76,7 +76,7 @@ define(["Tone/core/Tone", "Tone/type/Time"], function (Tone) {
 	 */
 	Tone.TransportTime.prototype.toSeconds = function(){
 		var val = this._expr();
-		return val + (this._plusNow ? Tone.Transport.seconds : 0);
+		return val + (this._plusNow ? this.transport.seconds : 0);
 	};
 
 	/**
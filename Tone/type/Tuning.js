@@ -0,0 +1,349 @@
+define(["Tone/core/Tone"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Tone.Tuning maps MIDI note numbers to frequencies. The scale
+	 *         is a list of pitches in cents above the first degree of the scale,
+	 *         and the last pitch is the period (i.e. the octave) after which
+	 *         the scale repeats. The keyboard mapping assigns the MIDI notes
+	 *         to the degrees of the scale starting from the middle note, and the
+	 *         reference note sounds at the reference frequency. The scale and the
+	 *         keyboard mapping can be loaded from the text of
+	 *         [Scala](http://www.huygens-fokker.org/scala/scl_format.html) .scl and .kbm files.
+	 *         <br><br>
+	 *         The tuning of Tone.Frequency is Tone.Frequency.tuning, and each
+	 *         instrument can be given its own tuning.
+	 *
+	 *  @extends {Tone}
+	 *  @param {Array|String} [scale] The pitches of the scale as cents or ratios, or the text of an .scl file.
+	 *  @param {Frequency} [frequency=440] The frequency of the reference note.
+	 *  @example
+	 * //5-limit just intonation
+	 * Tone.Frequency.tuning = new Tone.Tuning(["16/15", "9/8", "6/5", "5/4", "4/3",
+	 * 	"45/32", "3/2", "8/5", "5/3", "9/5", "15/8", "2/1"]);
+	 * @example
+	 * var synth = new Tone.Synth({
+	 * 	"tuning" : Tone.Tuning.edo(19)
+	 * }).toMaster();
+	 */
+	Tone.Tuning = function(){
+
+		var options = this.optionsObject(arguments, ["scale", "frequency"], Tone.Tuning.defaults);
+
+		/**
+		 *  The pitches of the degrees of the scale above the first
+		 *  degree in cents. The last pitch is the period of the scale.
+		 *  @type  {Array}
+		 */
+		this.scale = null;
+
+		/**
+		 *  The frequency of the reference note
+		 *  @type  {Frequency}
+		 */
+		this.frequency = options.frequency;
+
+		/**
+		 *  The MIDI note which sounds at the reference frequency
+		 *  @type  {MIDI}
+		 */
+		this.referenceNote = options.referenceNote;
+
+		/**
+		 *  The MIDI note which is mapped to the first degree of the scale
+		 *  @type  {MIDI}
+		 */
+		this.middleNote = options.middleNote;
+
+		/**
+		 *  The degrees of the scale of the consecutive MIDI notes starting from
+		 *  the middle note. The mapping repeats after its last key, and keys
+		 *  which are null are not mapped and sound like the closest mapped key below them.
+		 *  If the mapping is null, each MIDI note is mapped to the next degree of the scale.
+		 *  @type  {Array}
+		 */
+		this.mapping = options.mapping ? options.mapping.slice() : null;
+
+		/**
+		 *  The degree of the scale which the mapping repeats on.
+		 *  If it's null, the mapping repeats on the period of the scale.
+		 *  @type  {Number}
+		 */
+		this.octaveDegree = options.octaveDegree;
+
+		if (this.isString(options.scale)){
+			this.loadScl(options.scale);
+		} else {
+			this.scale = options.scale.map(Tone.Tuning.parsePitch);
+		}
+
+		if (options.kbm){
+			this.loadKbm(options.kbm);
+		}
+	};
+
+	Tone.extend(Tone.Tuning);
+
+	/**
+	 *  The defaults. The default tuning is 12-tone equal temperament with A4 at 440Hz.
+	 *  @type  {Object}
+	 *  @const
+	 */
+	Tone.Tuning.defaults = {
+		"scale" : [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200],
+		"frequency" : 440,
+		"referenceNote" : 69,
+		"middleNote" : 60,
+		"mapping" : null,
+		"octaveDegree" : null,
+		"kbm" : null
+	};
+
+	/**
+	 *  Convert a pitch of a scale into cents. Strings with a period are cents
+	 *  and other strings are ratios (i.e. "3/2" or "2"), like the pitches of an .scl file.
+	 *  Numbers are cents.
+	 *  @param  {String|Number}  pitch
+	 *  @return  {Cents}
+	 *  @static
+	 */
+	Tone.Tuning.parsePitch = function(pitch){
+		if (Tone.prototype.isNumber(pitch)){
+			return pitch;
+		}
+		//anything after the pitch is ignored
+		pitch = pitch.trim().split(/\s/)[0];
+		if (pitch.indexOf(".") !== -1){
+			return parseFloat(pitch);
+		}
+		var ratio = pitch.split("/");
+		var numerator = parseInt(ratio[0]);
+		var denominator = ratio.length > 1 ? parseInt(ratio[1]) : 1;
+		if (isNaN(numerator) || isNaN(denominator) || numerator <= 0 || denominator <= 0){
+			throw new Error("Tone.Tuning: invalid pitch " + pitch);
+		}
+		return 1200 * Math.log(numerator / denominator) / Math.LN2;
+	};
+
+	/**
+	 *  Create an equal temperament which divides the period into the given number of steps.
+	 *  @param  {Positive}  divisions  The number of steps per period
+	 *  @param  {Cents}  [period=1200]
+	 *  @return  {Tone.Tuning}
+	 *  @static
+	 *  @example
+	 * //19 equal divisions of the octave
+	 * Tone.Frequency.tuning = Tone.Tuning.edo(19);
+	 */
+	Tone.Tuning.edo = function(divisions, period){
+		period = Tone.prototype.defaultArg(period, 1200);
+		var scale = [];
+		for (var i = 1; i <= divisions; i++){
+			scale.push(period * i / divisions);
+		}
+		return new Tone.Tuning(scale);
+	};
+
+	/**
+	 *  Get the lines of a Scala file without the comments
+	 *  @param  {String}  text
+	 *  @return  {Array}
+	 *  @private
+	 */
+	Tone.Tuning.prototype._getScalaLines = function(text){
+		return text.split(/\r?\n/).filter(function(line){
+			return line.charAt(0) !== "!";
+		});
+	};
+
+	/**
+	 *  Load the scale from the text of an .scl file.
+	 *  @param  {String}  scl  The text of the .scl file
+	 *  @return  {Tone.Tuning}  this
+	 *  @example
+	 * //quarter-comma meantone
+	 * tuning.loadScl(meantoneScl);
+	 */
+	Tone.Tuning.prototype.loadScl = function(scl){
+		var lines = this._getScalaLines(scl);
+		//the first line is the description
+		var count = parseInt(lines[1]);
+		var pitches = lines.slice(2, 2 + count);
+		if (isNaN(count) || count < 1 || pitches.length < count){
+			throw new Error("Tone.Tuning: invalid .scl file");
+		}
+		this.scale = pitches.map(Tone.Tuning.parsePitch);
+		return this;
+	};
+
+	/**
+	 *  Load the keyboard mapping and the reference frequency from
+	 *  the text of a .kbm file. The first and last notes to retune are ignored,
+	 *  and keys which are marked with "x" are not mapped.
+	 *  @param  {String}  kbm  The text of the .kbm file
+	 *  @return  {Tone.Tuning}  this
+	 */
+	Tone.Tuning.prototype.loadKbm = function(kbm){
+		var lines = this._getScalaLines(kbm).map(function(line){
+			return line.trim();
+		});
+		var size = parseInt(lines[0]);
+		if (isNaN(size) || lines.length < 7){
+			throw new Error("Tone.Tuning: invalid .kbm file");
+		}
+		this.middleNote = parseInt(lines[3]);
+		this.referenceNote = parseInt(lines[4]);
+		this.frequency = parseFloat(lines[5]);
+		if (size === 0){
+			this.mapping = null;
+			this.octaveDegree = null;
+		} else {
+			this.octaveDegree = parseInt(lines[6]);
+			this.mapping = [];
+			for (var i = 0; i < size; i++){
+				var degree = parseInt(lines[7 + i]);
+				//keys which are not given are not mapped either
+				this.mapping.push(isNaN(degree) ? null : degree);
+			}
+		}
+		return this;
+	};
+
+	/**
+	 *  The pitch of the degree of the scale in cents
+	 *  @param  {Number}  degree
+	 *  @return  {Cents}
+	 *  @private
+	 */
+	Tone.Tuning.prototype._getDegreeCents = function(degree){
+		var steps = this.scale.length;
+		var period = this.scale[steps - 1];
+		var index = ((degree % steps) + steps) % steps;
+		var cents = index === 0 ? 0 : this.scale[index - 1];
+		return cents + Math.floor(degree / steps) * period;
+	};
+
+	/**
+	 *  The pitch of the MIDI note in cents above the middle note
+	 *  @param  {Number}  note  An integer MIDI note
+	 *  @return  {Cents}
+	 *  @private
+	 */
+	Tone.Tuning.prototype._getNoteCents = function(note){
+		var offset = note - this.middleNote;
+		if (this.mapping === null){
+			return this._getDegreeCents(offset);
+		}
+		var size = this.mapping.length;
+		var octaveDegree = this.defaultArg(this.octaveDegree, this.scale.length);
+		//the closest mapped key at or below the note
+		for (var i = 0; i < size; i++){
+			var key = offset - i;
+			var degree = this.mapping[((key % size) + size) % size];
+			if (degree !== null){
+				return this._getDegreeCents(degree + Math.floor(key / size) * octaveDegree);
+			}
+		}
+		throw new Error("Tone.Tuning: none of the keys are mapped");
+	};
+
+	/**
+	 *  The pitch of the MIDI note in cents above the middle note.
+	 *  Fractional notes are interpolated between the neighbouring notes.
+	 *  @param  {MIDI}  midi
+	 *  @return  {Cents}
+	 *  @private
+	 */
+	Tone.Tuning.prototype._getMidiCents = function(midi){
+		var note = Math.floor(midi);
+		var cents = this._getNoteCents(note);
+		if (midi !== note){
+			cents += (this._getNoteCents(note + 1) - cents) * (midi - note);
+		}
+		return cents;
+	};
+
+	/**
+	 *  Convert a MIDI note to a frequency
+	 *  @param  {MIDI}  midi
+	 *  @return  {Frequency}
+	 *  @example
+	 * new Tone.Tuning().midiToFrequency(69); //440
+	 */
+	Tone.Tuning.prototype.midiToFrequency = function(midi){
+		var cents = this._getMidiCents(midi) - this._getMidiCents(this.referenceNote);
+		return this.frequency * Math.pow(2, cents / 1200);
+	};
+
+	/**
+	 *  Convert a frequency to a MIDI note. Frequencies between
+	 *  two notes return a fractional MIDI note. A frequency of 0
+	 *  returns -Infinity, an infinite frequency returns Infinity
+	 *  and negative frequencies or NaN return NaN.
+	 *  @param  {Frequency}  frequency
+	 *  @return  {MIDI}
+	 *  @example
+	 * new Tone.Tuning().frequencyToMidi(440); //69
+	 */
+	Tone.Tuning.prototype.frequencyToMidi = function(frequency){
+		//there is no note to search for
+		if (frequency === 0){
+			return -Infinity;
+		} else if (frequency === Infinity){
+			return Infinity;
+		} else if (frequency < 0 || isNaN(frequency)){
+			return NaN;
+		}
+		var cents = 1200 * Math.log(frequency / this.frequency) / Math.LN2 + this._getMidiCents(this.referenceNote);
+		//find the notes around the frequency
+		var low = this.referenceNote;
+		var high = this.referenceNote + 1;
+		var step = 1;
+		//the widening stops after 2^32 keys in case the pitch is never reached
+		var maxStep = Math.pow(2, 32);
+		while (this._getNoteCents(low) > cents && step < maxStep){
+			low -= step;
+			step *= 2;
+		}
+		step = 1;
+		while (this._getNoteCents(high) <= cents && step < maxStep){
+			high += step;
+			step *= 2;
+		}
+		while (high - low > 1){
+			var middle = Math.floor((low + high) / 2);
+			if (this._getNoteCents(middle) > cents){
+				high = middle;
+			} else {
+				low = middle;
+			}
+		}
+		var lowCents = this._getNoteCents(low);
+		//the keys which are not mapped sound like the key below them
+		while (this._getNoteCents(low - 1) === lowCents){
+			low--;
+		}
+		var width = this._getNoteCents(low + 1) - lowCents;
+		var midi = width > 0 ? low + (cents - lowCents) / width : low;
+		//account for floating point errors
+		var rounded = Math.round(midi);
+		if (Math.abs(midi - rounded) < 1e-9){
+			midi = rounded;
+		}
+		return midi;
+	};
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.Tuning}  this
+	 */
+	Tone.Tuning.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this.scale = null;
+		this.mapping = null;
+		return this;
+	};
+
+	return Tone.Tuning;
+});
@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/type/Time", "Tone/type/Frequency", "Tone/type/TransportTime"],
+define(["Tone/core/Tone", "Tone/type/Time", "Tone/type/Frequency", "Tone/type/TransportTime", "Tone/type/Velocity"],
 function (Tone) {	
 
 	///////////////////////////////////////////////////////////////////////////
@@ -24,6 +24,8 @@ function (Tone) {
 		 *  <li>TransportTime, ("4:3:2") will also provide tempo and time signature relative times 
 		 *  in the form BARS:QUARTERS:SIXTEENTHS.</li>
 		 *  <li>Frequency, ("8hz") is converted to the length of the cycle in seconds.</li>
+		 *  <li>SMPTE Timecode, ("00:01:02:12@30") Hours:Minutes:Seconds:Frames at the frame rate 
+		 *  following the "@". Drop-frame timecode is used for 29.97 and 59.94.</li>
 		 *  <li>Now-Relative, ("+1") prefix any of the above with "+" and it will be interpreted as 
 		 *  "the current time plus whatever expression follows".</li>
 		 *  <li>Expressions, ("3:0 + 2 - (1m / 7)") any of the above can also be combined 
@@ -41,7 +43,7 @@ function (Tone) {
 		 *  is taken literally as the value in hertz. Additionally any of the 
 		 *  Time encodings can be used. Note names in the form
 		 *  of NOTE OCTAVE (i.e. C4) are also accepted and converted to their
-		 *  frequency value. 
+		 *  frequency value using the tuning of Tone.Frequency (see Tone.Tuning). 
 		 *  @typedef {Frequency}
 		 */
 		Frequency : "frequency",
@@ -128,6 +130,7 @@ function (Tone) {
 		 *  A frequency represented by a letter name, 
 		 *  accidental and octave. This system is known as
 		 *  [Scientific Pitch Notation](https://en.wikipedia.org/wiki/Scientific_pitch_notation).
+		 *  The note can be followed by an offset in cents (i.e. "C4+25c" or "Eb3-14c").
 		 *  @typedef {Note}
 		 */
 		Note : "note",
@@ -148,10 +151,24 @@ function (Tone) {
 		 *  	<li>"4n" = quarter note</li>
 		 *   	<li>"2m" = two measures</li>
 		 *    	<li>"8t" = eighth-note triplet</li>
+		 *    	<li>"4n." = dotted quarter note, "4n.." = double-dotted quarter note</li>
+		 *    	<li>"8n5:4" = eighth-note quintuplet, 5 eighth notes in the time of 4</li>
+		 *    	<li>"1.5m" = one and a half measures</li>
 		 *  </ul>
 		 *  @typedef {Notation}
 		 */
 		Notation : "notation",
+		/** 
+		 *  The velocity of a note. A number is taken as a 
+		 *  velocity between 0 and 1. Additionally the velocity can be
+		 *  <ul>
+		 *  	<li>a dynamic marking from "ppp" to "fff"</li>
+		 *  	<li>a MIDI velocity between 0 and 127 followed by "midi" (i.e. "100midi")</li>
+		 *  </ul>
+		 *  Instruments map the velocity to the gain of the note with their velocity curve.
+		 *  @typedef {Velocity}
+		 */
+		Velocity : "velocity",
 	};
 
 	///////////////////////////////////////////////////////////////////////////
@@ -199,6 +216,26 @@ function (Tone) {
 		}
 	};
 
+	/**
+	 *  Convert a velocity representation into a number.
+	 *  A missing (undefined or null) velocity is the full velocity.
+	 *  @param  {Velocity} velocity
+	 *  @return {NormalRange}  the velocity between 0 and 1
+	 */
+	Tone.prototype.toVelocity = function(velocity){
+		if (this.isNumber(velocity)){
+			return velocity;
+		} else if (this.isUndef(velocity) || velocity === null){
+			return 1;
+		} else if (this.isString(velocity)){
+			return (new Tone.Velocity(velocity)).eval();
+		} else if (velocity instanceof Tone.Velocity){
+			return velocity.eval();
+		} else {
+			throw new TypeError("Tone: invalid velocity " + velocity);
+		}
+	};
+
 	/**
 	 *  Convert a time representation into ticks.
 	 *  @param  {Time} time
@@ -208,7 +245,7 @@ function (Tone) {
 		if (this.isNumber(time) || this.isString(time)){
 			return (new Tone.TransportTime(time)).toTicks();
 		} else if (this.isUndef(time)){
-			return Tone.Transport.ticks;			
+			return this.context.Transport.ticks;			
 		} else if (time instanceof Tone.TimeBase){
 			return time.toTicks();
 		}
@@ -0,0 +1,192 @@
+define(["Tone/core/Tone"], function (Tone) {
+
+	"use strict";
+
+	/**
+	 *  @class Tone.Velocity is a primitive type for encoding the velocity of a note.
+	 *         A velocity can be a number between 0 and 1, a
+	 *         MIDI velocity between 0 and 127 or a dynamic marking
+	 *         from "ppp" to "fff". All velocities are evaluated to a
+	 *         number between 0 and 1 using the `eval` method.
+	 *         Instruments map the velocity to the gain of the note with their velocity curve.
+	 *  @constructor
+	 *  @extends {Tone}
+	 *  @param  {String|Number}  val    The velocity value.
+	 *  @param  {String=}  units  The units of the value, "normal", "midi" or "dynamic".
+	 *  @example
+	 * Tone.Velocity("mf").eval(); //0.63
+	 * Tone.Velocity(100, "midi").eval(); //0.79
+	 * Tone.Velocity("100midi").toDynamic(); //"f"
+	 * synth.triggerAttack("C4", "+0.1", Tone.Velocity(note.velocity, "midi"));
+	 */
+	Tone.Velocity = function(val, units){
+		if (this instanceof Tone.Velocity){
+
+			/**
+			 *  The velocity between 0 and 1
+			 *  @type  {NormalRange}
+			 *  @private
+			 */
+			this._value = 1;
+
+			if (this.isString(val) && this.isUndef(units)){
+				this._value = this._parse(val);
+			} else if (!this.isUndef(val)){
+				this._value = this._toNormal(val, this.defaultArg(units, "normal"));
+			}
+		} else {
+			return new Tone.Velocity(val, units);
+		}
+	};
+
+	Tone.extend(Tone.Velocity);
+
+	/**
+	 *  The MIDI velocities of the dynamic markings
+	 *  @type  {Object}
+	 *  @static
+	 */
+	Tone.Velocity.dynamics = {
+		"ppp" : 16,
+		"pp" : 33,
+		"p" : 49,
+		"mp" : 64,
+		"mf" : 80,
+		"f" : 96,
+		"ff" : 112,
+		"fff" : 127
+	};
+
+	/**
+	 *  The velocity curves which map the velocity to the gain of the note.
+	 *  The linear curve passes the velocity through and the exponential
+	 *  curve maps the velocity to a range of 40 decibels.
+	 *  @type  {Object}
+	 *  @static
+	 */
+	Tone.Velocity.curves = {
+		"linear" : function(velocity){
+			return velocity;
+		},
+		"exponential" : function(velocity){
+			return velocity > 0 ? Tone.prototype.dbToGain((velocity - 1) * 40) : 0;
+		}
+	};
+
+	/**
+	 *  Map the velocity to a gain with the velocity curve.
+	 *  Velocities outside of 0 to 1 pass through the linear curve
+	 *  and are clamped to the ends of a table.
+	 *  @param  {NormalRange}  velocity
+	 *  @param  {String|Array|Function}  curve  The name of one of Tone.Velocity.curves,
+	 *                                          a table of gains which spans the velocities
+	 *                                          from 0 to 1 and is linearly interpolated,
+	 *                                          or a function of the velocity.
+	 *  @return  {NormalRange}  The gain
+	 *  @static
+	 *  @example
+	 * Tone.Velocity.applyCurve(0.5, [0, 0.1, 1]); //0.1
+	 */
+	Tone.Velocity.applyCurve = function(velocity, curve){
+		if (Tone.prototype.isFunction(curve)){
+			return curve(velocity);
+		} else if (Tone.prototype.isArray(curve)){
+			var position = Math.max(Math.min(velocity, 1), 0) * (curve.length - 1);
+			var index = Math.floor(position);
+			if (index >= curve.length - 1){
+				return curve[curve.length - 1];
+			}
+			return curve[index] + (curve[index + 1] - curve[index]) * (position - index);
+		} else if (Tone.Velocity.curves.hasOwnProperty(curve)){
+			return Tone.Velocity.curves[curve](velocity);
+		} else {
+			throw new Error("Tone.Velocity: invalid velocity curve " + curve);
+		}
+	};
+
+	/**
+	 *  Parse a string into a velocity between 0 and 1
+	 *  @param  {String}  val  A dynamic marking, a MIDI velocity followed by "midi" or a number
+	 *  @return  {NormalRange}
+	 *  @private
+	 */
+	Tone.Velocity.prototype._parse = function(val){
+		val = val.trim();
+		var midi = val.match(/^(\d+(?:\.\d+)?)midi$/i);
+		if (Tone.Velocity.dynamics.hasOwnProperty(val)){
+			return this._toNormal(val, "dynamic");
+		} else if (midi){
+			return this._toNormal(parseFloat(midi[1]), "midi");
+		} else if (/^\d*\.?\d+$/.test(val)){
+			return this._toNormal(parseFloat(val), "normal");
+		} else {
+			throw new Error("Tone.Velocity: invalid velocity " + val);
+		}
+	};
+
+	/**
+	 *  Convert the value in the units into a velocity between 0 and 1
+	 *  @param  {Number|String}  val
+	 *  @param  {String}  units
+	 *  @return  {NormalRange}
+	 *  @private
+	 */
+	Tone.Velocity.prototype._toNormal = function(val, units){
+		if (units === "dynamic" && Tone.Velocity.dynamics.hasOwnProperty(val)){
+			return Tone.Velocity.dynamics[val] / 127;
+		} else if (units === "midi"){
+			return Math.max(Math.min(val / 127, 1), 0);
+		} else if (units === "normal"){
+			return Math.max(Math.min(val, 1), 0);
+		} else {
+			throw new Error("Tone.Velocity: invalid velocity " + val + " " + units);
+		}
+	};
+
+	/**
+	 *  Return the velocity between 0 and 1
+	 *  @return  {NormalRange}
+	 */
+	Tone.Velocity.prototype.eval = function(){
+		return this._value;
+	};
+
+	/**
+	 *  Return the velocity as a MIDI velocity between 0 and 127
+	 *  @return  {Number}
+	 *  @example
+	 * Tone.Velocity("ff").toMidi(); //112
+	 */
+	Tone.Velocity.prototype.toMidi = function(){
+		return Math.round(this._value * 127);
+	};
+
+	/**
+	 *  Return the closest dynamic marking of the velocity
+	 *  @return  {String}
+	 *  @example
+	 * Tone.Velocity(0.5).toDynamic(); //"mp"
+	 */
+	Tone.Velocity.prototype.toDynamic = function(){
+		var midi = this._value * 127;
+		var closest = "ppp";
+		for (var marking in Tone.Velocity.dynamics){
+			if (Math.abs(Tone.Velocity.dynamics[marking] - midi) < Math.abs(Tone.Velocity.dynamics[closest] - midi)){
+				closest = marking;
+			}
+		}
+		return closest;
+	};
+
+	/**
+	 *  Clean up
+	 *  @return  {Tone.Velocity}  this
+	 */
+	Tone.Velocity.prototype.dispose = function(){
+		Tone.prototype.dispose.call(this);
+		this._value = null;
+		return this;
+	};
+
+	return Tone.Velocity;
+});
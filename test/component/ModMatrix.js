@@ -0,0 +1,272 @@
+define(["Tone/component/ModMatrix", "helper/Basic", "helper/Offline", "Tone/signal/Signal",
+	"Tone/component/LFO", "Tone/component/Envelope", "Tone/component/FrequencyEnvelope",
+	"Tone/core/Gain", "Tone/type/Type", "Tone/core/Tone"],
+function (ModMatrix, Basic, Offline, Signal, LFO, Envelope, FrequencyEnvelope, Gain, Type, Tone) {
+	describe("ModMatrix", function(){
+
+		Basic(ModMatrix);
+
+		//the output of the route's curve when the source is at the normalized value
+		function modulate(matrix, routeName, normalized){
+			var curve = matrix._routes[routeName].shaper.curve;
+			//the curve spans the input from -1 to 1
+			return curve[Math.round((normalized + 1) / 2 * (curve.length - 1))];
+		}
+
+		context("Routing", function(){
+
+			it("can add sources and destinations", function(){
+				var matrix = new ModMatrix();
+				var lfo = new LFO();
+				var signal = new Signal(100, Tone.Type.Frequency);
+				matrix.addSource("lfo", lfo).addDestination("freq", signal);
+				matrix.route("lfo", "freq");
+				expect(matrix.routes).to.have.property("lfo->freq");
+				expect(matrix.routes["lfo->freq"]).to.deep.equal({
+					"depth" : 1,
+					"polarity" : "unipolar",
+					"curve" : "linear"
+				});
+				matrix.dispose();
+				lfo.dispose();
+				signal.dispose();
+			});
+
+			it("throws an error if the source or destination is not added", function(){
+				var matrix = new ModMatrix();
+				var signal = new Signal();
+				matrix.addSource("sig", signal);
+				expect(function(){
+					matrix.route("sig", "nowhere");
+				}).to.throw(Error);
+				expect(function(){
+					matrix.route("nothing", "sig");
+				}).to.throw(Error);
+				expect(function(){
+					matrix.addSource("a->b", signal);
+				}).to.throw(Error);
+				matrix.dispose();
+				signal.dispose();
+			});
+
+			it("throws an error if the polarity or curve is invalid", function(){
+				var matrix = new ModMatrix();
+				var signal = new Signal();
+				var gain = new Gain();
+				matrix.addSource("sig", signal).addDestination("gain", gain.gain);
+				expect(function(){
+					matrix.route("sig", "gain", {"polarity" : "tripolar"});
+				}).to.throw(Error);
+				expect(function(){
+					matrix.route("sig", "gain", {"curve" : "wobbly"});
+				}).to.throw(Error);
+				expect(matrix.routes).to.deep.equal({});
+				matrix.dispose();
+				signal.dispose();
+				gain.dispose();
+			});
+
+			it("can remove routes, sources and destinations", function(){
+				var matrix = new ModMatrix();
+				var env = new Envelope();
+				var lfo = new LFO();
+				var gain = new Gain();
+				matrix.addSource("env", env).addSource("lfo", lfo).addDestination("gain", gain.gain);
+				matrix.route("env", "gain").route("lfo", "gain");
+				matrix.unroute("env", "gain");
+				expect(Object.keys(matrix.routes)).to.deep.equal(["lfo->gain"]);
+				matrix.route("env", "gain");
+				matrix.removeSource("lfo");
+				expect(Object.keys(matrix.routes)).to.deep.equal(["env->gain"]);
+				matrix.removeDestination("gain");
+				expect(matrix.routes).to.deep.equal({});
+				matrix.dispose();
+				env.dispose();
+				lfo.dispose();
+				gain.dispose();
+			});
+		});
+
+		context("Depth", function(){
+
+			it("scales unipolar and bipolar routes by the depth", function(){
+				var matrix = new ModMatrix();
+				var env = new Envelope();
+				var gain = new Gain();
+				matrix.addSource("env", env).addDestination("gain", gain.gain);
+				matrix.route("env", "gain", 0.5);
+				expect(modulate(matrix, "env->gain", 0)).to.be.closeTo(0, 0.001);
+				expect(modulate(matrix, "env->gain", 1)).to.be.closeTo(0.5, 0.001);
+				matrix.route("env", "gain", {"polarity" : "bipolar"});
+				expect(matrix.routes["env->gain"].depth).to.equal(0.5);
+				expect(modulate(matrix, "env->gain", 0)).to.be.closeTo(-0.5, 0.001);
+				expect(modulate(matrix, "env->gain", 0.5)).to.be.closeTo(0, 0.001);
+				expect(modulate(matrix, "env->gain", 1)).to.be.closeTo(0.5, 0.001);
+				matrix.dispose();
+				env.dispose();
+				gain.dispose();
+			});
+
+			it("shapes the modulation with the curve", function(){
+				var matrix = new ModMatrix();
+				var env = new Envelope();
+				var gain = new Gain();
+				matrix.addSource("env", env).addDestination("gain", gain.gain);
+				matrix.route("env", "gain", {"curve" : "exponential"});
+				expect(modulate(matrix, "env->gain", 0.5)).to.be.closeTo(0.25, 0.001);
+				matrix.route("env", "gain", {"curve" : "exponential", "polarity" : "bipolar"});
+				expect(modulate(matrix, "env->gain", 0)).to.be.closeTo(-1, 0.001);
+				expect(modulate(matrix, "env->gain", 0.25)).to.be.closeTo(-0.25, 0.001);
+				matrix.route("env", "gain", {
+					"polarity" : "unipolar",
+					"curve" : function(amount){
+						return amount * 0.1;
+					}
+				});
+				expect(modulate(matrix, "env->gain", 1)).to.be.closeTo(0.1, 0.001);
+				matrix.dispose();
+				env.dispose();
+				gain.dispose();
+			});
+
+			it("normalizes the source between its min and max", function(){
+				var matrix = new ModMatrix();
+				var lfo = new LFO(1, 100, 200);
+				var freqEnv = new FrequencyEnvelope({
+					"baseFrequency" : 100,
+					"octaves" : 2
+				});
+				matrix.addSource("lfo", lfo).addSource("freqEnv", freqEnv);
+				expect(matrix._sources.lfo.normalize.min).to.be.closeTo(100, 0.001);
+				expect(matrix._sources.lfo.normalize.max).to.be.closeTo(200, 0.001);
+				expect(matrix._sources.freqEnv.normalize.min).to.be.closeTo(100, 0.001);
+				expect(matrix._sources.freqEnv.normalize.max).to.be.closeTo(400, 0.001);
+				var signal = new Signal();
+				matrix.addSource("signal", signal, -1, 1);
+				expect(matrix._sources.signal.normalize.min).to.equal(-1);
+				matrix.dispose();
+				lfo.dispose();
+				freqEnv.dispose();
+				signal.dispose();
+			});
+
+			it("scales the depth in cents for frequencies", function(){
+				var matrix = new ModMatrix();
+				var lfo = new LFO();
+				var frequency = new Signal(440, Tone.Type.Frequency);
+				matrix.addSource("lfo", lfo).addDestination("frequency", frequency);
+				matrix.route("lfo", "frequency", {
+					"depth" : 1200,
+					"polarity" : "bipolar"
+				});
+				expect(modulate(matrix, "lfo->frequency", 1)).to.be.closeTo(440, 0.01);
+				expect(modulate(matrix, "lfo->frequency", 0)).to.be.closeTo(-220, 0.01);
+				expect(modulate(matrix, "lfo->frequency", 0.5)).to.be.closeTo(0, 0.01);
+				matrix.dispose();
+				lfo.dispose();
+				frequency.dispose();
+			});
+
+			it("scales the depth in decibels for gains", function(){
+				var matrix = new ModMatrix();
+				var env = new Envelope();
+				var gain = new Gain(0.5);
+				matrix.addSource("env", env).addDestination("level", gain.gain, Tone.Type.Decibels);
+				matrix.route("env", "level", -6);
+				expect(modulate(matrix, "env->level", 0)).to.be.closeTo(0, 0.001);
+				expect(modulate(matrix, "env->level", 1)).to.be.closeTo(0.5 * (Tone.prototype.dbToGain(-6) - 1), 0.001);
+				matrix.dispose();
+				env.dispose();
+				gain.dispose();
+			});
+
+			it("measures the depth from the new value of the destination when refreshed", function(){
+				var matrix = new ModMatrix();
+				var lfo = new LFO();
+				var frequency = new Signal(440, Tone.Type.Frequency);
+				var gain = new Gain(0.5);
+				matrix.addSource("lfo", lfo).addDestination("frequency", frequency);
+				matrix.addDestination("level", gain.gain, Tone.Type.Decibels);
+				matrix.route("lfo", "frequency", 1200).route("lfo", "level", 6);
+				frequency.value = 1000;
+				gain.gain.value = 0.25;
+				matrix.refresh("frequency");
+				expect(modulate(matrix, "lfo->frequency", 1)).to.be.closeTo(1000, 0.01);
+				expect(modulate(matrix, "lfo->level", 1)).to.be.closeTo(0.5 * (Tone.prototype.dbToGain(6) - 1), 0.001);
+				matrix.refresh();
+				expect(modulate(matrix, "lfo->level", 1)).to.be.closeTo(0.25 * (Tone.prototype.dbToGain(6) - 1), 0.001);
+				expect(function(){
+					matrix.refresh("nowhere");
+				}).to.throw(Error);
+				matrix.dispose();
+				lfo.dispose();
+				frequency.dispose();
+				gain.dispose();
+			});
+
+			it("adds the modulation to the destination", function(done){
+				var matrix, signal, gain, input;
+				var offline = new Offline(0.1);
+				offline.before(function(dest){
+					matrix = new ModMatrix();
+					signal = new Signal(1);
+					gain = new Gain(0.25).connect(dest);
+					input = new Signal(1).connect(gain);
+					matrix.addSource("signal", signal).addDestination("gain", gain.gain);
+					matrix.route("signal", "gain", 0.5);
+				});
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(0.75, 0.01);
+				});
+				offline.after(function(){
+					matrix.dispose();
+					signal.dispose();
+					gain.dispose();
+					input.dispose();
+					done();
+				});
+				offline.run();
+			});
+		});
+
+		context("Presets", function(){
+
+			it("can get and set the routes", function(){
+				var matrix = new ModMatrix();
+				var env = new Envelope();
+				var lfo = new LFO();
+				var gain = new Gain();
+				var frequency = new Signal(440, Tone.Type.Frequency);
+				matrix.addSource("env", env).addSource("lfo", lfo);
+				matrix.addDestination("gain", gain.gain).addDestination("frequency", frequency);
+				matrix.route("env", "gain", 0.2);
+				matrix.set({
+					"routes" : {
+						"lfo->frequency" : {
+							"depth" : 100,
+							"polarity" : "bipolar",
+							"curve" : "logarithmic"
+						},
+						"env->frequency" : 50
+					}
+				});
+				var preset = matrix.get();
+				expect(Object.keys(preset.routes)).to.deep.equal(["lfo->frequency", "env->frequency"]);
+				expect(preset.routes["lfo->frequency"]).to.deep.equal({
+					"depth" : 100,
+					"polarity" : "bipolar",
+					"curve" : "logarithmic"
+				});
+				expect(preset.routes["env->frequency"].depth).to.equal(50);
+				expect(function(){
+					matrix.set("routes", {"lfo" : {}});
+				}).to.throw(Error);
+				matrix.dispose();
+				env.dispose();
+				lfo.dispose();
+				gain.dispose();
+				frequency.dispose();
+			});
+		});
+	});
+});
@@ -0,0 +1,170 @@
+define(["helper/Basic", "Tone/component/Recorder", "Tone/core/Tone", "Tone/core/Transport",
+	"helper/Offline2", "Tone/core/Buffer"],
+function (Basic, Recorder, Tone, Transport, Offline, Buffer) {
+
+	describe("Recorder", function(){
+
+		Basic(Recorder);
+
+		function resetTransport(done){
+			Tone.Transport.cancel(0);
+			Tone.Transport.off("start stop pause loop");
+			Tone.Transport.stop();
+			Tone.Transport.loop = false;
+			Tone.Transport.punch = false;
+			Tone.Transport.bpm.value = 120;
+			setTimeout(done, 200);
+		}
+
+		//invoke the recorder with a block of input whose samples
+		//are the time of the sample
+		function processBlock(recorder, startTime, length){
+			var sampleRate = Tone.context.sampleRate;
+			var input = Tone.context.createBuffer(1, length, sampleRate);
+			var data = input.getChannelData(0);
+			var startSample = Math.round(startTime * sampleRate);
+			for (var i = 0; i < length; i++){
+				data[i] = (startSample + i) / sampleRate;
+			}
+			recorder._onprocess({
+				"inputBuffer" : input,
+				"playbackTime" : startTime + length / sampleRate
+			});
+		}
+
+		context("Recording", function(){
+
+			it ("can be constructed with an options object", function(){
+				var ontake = function(){};
+				var recorder = new Recorder({
+					"channels" : 2,
+					"ontake" : ontake
+				});
+				expect(recorder.ontake).to.equal(ontake);
+				expect(recorder.takes).to.deep.equal([]);
+				recorder.dispose();
+			});
+
+			it ("records between the start and stop time", function(){
+				var recorder = new Recorder();
+				var sampleRate = Tone.context.sampleRate;
+				recorder.start(0.01).stop(0.02);
+				processBlock(recorder, 0, 1024);
+				expect(recorder.takes.length).to.equal(1);
+				var take = recorder.takes[0];
+				expect(take.buffer).to.be.instanceOf(Buffer);
+				expect(take.time).to.be.closeTo(0.01, 0.0001);
+				expect(take.buffer.length).to.equal(Math.round(0.02 * sampleRate) - Math.round(0.01 * sampleRate));
+				//the first sample is the sample at the start time
+				var data = take.buffer.get().getChannelData(0);
+				expect(data[0]).to.be.closeTo(Math.round(0.01 * sampleRate) / sampleRate, 0.00001);
+				recorder.dispose();
+			});
+
+			it ("records a take across multiple blocks", function(){
+				var recorder = new Recorder();
+				var sampleRate = Tone.context.sampleRate;
+				recorder.start(0).stop(256 / sampleRate);
+				processBlock(recorder, 0, 128);
+				expect(recorder.takes.length).to.equal(0);
+				processBlock(recorder, 128 / sampleRate, 128);
+				expect(recorder.takes.length).to.equal(1);
+				var data = recorder.takes[0].buffer.get().getChannelData(0);
+				expect(data.length).to.equal(256);
+				for (var i = 0; i < data.length; i++){
+					expect(data[i]).to.be.closeTo(i / sampleRate, 0.00001);
+				}
+				recorder.dispose();
+			});
+
+			it ("invokes ontake when a take is completed", function(){
+				var invoked = false;
+				var recorder = new Recorder();
+				recorder.ontake = function(take){
+					invoked = true;
+					expect(take).to.equal(recorder.takes[0]);
+				};
+				recorder.start(0).stop(0.001);
+				processBlock(recorder, 0, 128);
+				expect(invoked).to.be.true;
+				recorder.dispose();
+			});
+
+			it ("starting a new take ends the previous one", function(){
+				var recorder = new Recorder();
+				var sampleRate = Tone.context.sampleRate;
+				recorder.start(0).start(64 / sampleRate).stop(128 / sampleRate);
+				processBlock(recorder, 0, 128);
+				expect(recorder.takes.length).to.equal(2);
+				expect(recorder.takes[0].buffer.length).to.equal(64);
+				expect(recorder.takes[1].buffer.length).to.equal(64);
+				recorder.dispose();
+			});
+		});
+
+		context("Punch in/out", function(){
+
+			afterEach(resetTransport);
+
+			it ("records the Transport's punch region when synced", function(done){
+				Offline(function(output, test, after){
+					var recorder = new Recorder().sync();
+					Tone.Transport.setPunchPoints("4n", "2n");
+					Tone.Transport.punch = true;
+					Tone.Transport.start(0);
+					after(function(){
+						var sampleRate = Tone.context.sampleRate;
+						processBlock(recorder, 0, Math.round(1.2 * sampleRate));
+						expect(recorder.takes.length).to.equal(1);
+						var take = recorder.takes[0];
+						expect(take.ticks).to.equal(Tone.Transport.PPQ);
+						expect(take.time).to.be.closeTo(0.5, 0.001);
+						expect(take.buffer.duration).to.be.closeTo(0.5, 0.001);
+						recorder.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("records a take on each pass of the loop", function(done){
+				Offline(function(output, test, after){
+					var recorder = new Recorder().sync();
+					Tone.Transport.setLoopPoints(0, "2n");
+					Tone.Transport.loop = true;
+					Tone.Transport.setPunchPoints("4n", "1m");
+					Tone.Transport.punch = true;
+					Tone.Transport.start(0);
+					after(function(){
+						var sampleRate = Tone.context.sampleRate;
+						processBlock(recorder, 0, Math.round(2.2 * sampleRate));
+						expect(recorder.takes.length).to.equal(2);
+						recorder.takes.forEach(function(take, i){
+							expect(take.ticks).to.equal(Tone.Transport.PPQ);
+							expect(take.time).to.be.closeTo(i + 0.5, 0.001);
+							expect(take.buffer.duration).to.be.closeTo(0.5, 0.001);
+							//the first sample is the sample at the punch in
+							expect(take.buffer.get().getChannelData(0)[0]).to.be.closeTo(i + 0.5, 0.0001);
+						});
+						recorder.dispose();
+						done();
+					});
+				}, 2.2);
+			});
+
+			it ("doesn't record the punch region after unsync", function(done){
+				Offline(function(output, test, after){
+					var recorder = new Recorder().sync().unsync();
+					Tone.Transport.setPunchPoints("4n", "2n");
+					Tone.Transport.punch = true;
+					Tone.Transport.start(0);
+					after(function(){
+						processBlock(recorder, 0, Math.round(1.2 * Tone.context.sampleRate));
+						expect(recorder.takes.length).to.equal(0);
+						recorder.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+		});
+	});
+});
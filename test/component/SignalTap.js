@@ -0,0 +1,106 @@
+define(["Tone/component/SignalTap", "helper/Basic", "Test", "Tone/signal/Signal",
+	"helper/PassAudio", "Tone/core/Tone", "Tone/core/Draw"],
+function (SignalTap, Basic, Test, Signal, PassAudio, Tone, Draw) {
+	describe("SignalTap", function(){
+
+		Basic(SignalTap);
+
+		context("Reading", function(){
+
+			it("handles input and output connections", function(){
+				var tap = new SignalTap();
+				Test.connect(tap);
+				tap.connect(Test);
+				tap.dispose();
+			});
+
+			it("can be constructed with an object", function(){
+				var tap = new SignalTap({
+					"interval" : 0.1
+				});
+				expect(tap.interval).to.equal(0.1);
+				tap.dispose();
+			});
+
+			it("passes the audio through", function(done){
+				var tap;
+				PassAudio(function(input, output){
+					tap = new SignalTap();
+					input.chain(tap, output);
+				}, function(){
+					tap.dispose();
+					done();
+				});
+			});
+
+			it("reads the value of the incoming signal", function(done){
+				var tap = new SignalTap();
+				var signal = new Signal(0.5).connect(tap);
+				setTimeout(function(){
+					expect(tap.value).to.be.closeTo(0.5, 0.01);
+					tap.dispose();
+					signal.dispose();
+					done();
+				}, 400);
+			});
+
+			it("can read the live value of a signal", function(done){
+				var signal = new Signal(2);
+				signal.getLiveValue();
+				setTimeout(function(){
+					expect(signal.getLiveValue()).to.be.closeTo(2, 0.01);
+					signal.dispose();
+					expect(signal._signalTap).to.be.null;
+					done();
+				}, 400);
+			});
+		});
+
+		context("Events", function(){
+
+			it("reads the value on the animation frames while there are listeners", function(){
+				var tap = new SignalTap();
+				var values = [];
+				var callback = function(value){
+					values.push(value);
+				};
+				tap.on("value", callback);
+				expect(Draw._frameCallbacks).to.include(tap._onFrame);
+				tap._onFrame(1);
+				tap._onFrame(1.02);
+				expect(values.length).to.equal(2);
+				tap.off("value", callback);
+				expect(Draw._frameCallbacks).to.not.include(tap._onFrame);
+				tap.dispose();
+			});
+
+			it("emits the value at the interval", function(){
+				var tap = new SignalTap(0.1);
+				var count = 0;
+				tap.on("value", function(){
+					count++;
+				});
+				tap._onFrame(1);
+				tap._onFrame(1.05);
+				expect(count).to.equal(1);
+				tap._onFrame(1.1);
+				expect(count).to.equal(2);
+				tap.dispose();
+				expect(Draw._frameCallbacks).to.not.include(tap._onFrame);
+			});
+
+			it("emits the value on the animation frames", function(done){
+				var tap = new SignalTap();
+				var signal = new Signal(0.25).connect(tap);
+				setTimeout(function(){
+					tap.on("value", function(value){
+						expect(value).to.be.closeTo(0.25, 0.01);
+						tap.dispose();
+						signal.dispose();
+						done();
+					});
+				}, 200);
+			});
+		});
+	});
+});
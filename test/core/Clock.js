@@ -327,6 +327,62 @@ define(["Test", "Tone/core/Clock", "helper/Offline2"], function (Test, Clock, Of
 				}, 0.6);
 			});
 
+			it ("can get the ticks at a time", function(){
+				var clock = new Clock(function(){}, 20).start(1).pause(2).start(3, 10).stop(4);
+				expect(clock.getTicksAtTime(0.5)).to.equal(0);
+				expect(clock.getTicksAtTime(1.5)).to.be.closeTo(10, 0.001);
+				expect(clock.getTicksAtTime(2.5)).to.be.closeTo(20, 0.001);
+				expect(clock.getTicksAtTime(3.5)).to.be.closeTo(20, 0.001);
+				expect(clock.getTicksAtTime(4.5)).to.equal(0);
+				clock.dispose();
+			});
+
+			it ("continues counting from the paused ticks", function(){
+				var clock = new Clock(function(){}, 10).start(0).pause(1).start(2);
+				expect(clock.getTicksAtTime(1.5)).to.be.closeTo(10, 0.001);
+				expect(clock.getTicksAtTime(2.5)).to.be.closeTo(15, 0.001);
+				clock.dispose();
+			});
+
+			it ("can get the ticks during a frequency ramp", function(){
+				var clock = new Clock(function(){}, 10).start(0);
+				clock.frequency.setValueAtTime(10, 0);
+				clock.frequency.linearRampToValueAtTime(20, 1);
+				expect(clock.getTicksAtTime(1)).to.be.closeTo(15, 0.001);
+				expect(clock.getTicksAtTime(2)).to.be.closeTo(35, 0.001);
+				clock.dispose();
+			});
+
+			it ("can get the time of a tick", function(){
+				var clock = new Clock(function(){}, 10).start(1);
+				clock.frequency.setValueAtTime(10, 0);
+				clock.frequency.linearRampToValueAtTime(20, 2);
+				expect(clock.getTimeOfTick(0, 1)).to.be.closeTo(1, 0.001);
+				for (var tick = 0; tick < 40; tick++){
+					var time = clock.getTimeOfTick(tick, 1);
+					expect(clock.getTicksAtTime(time)).to.be.closeTo(tick, 0.001);
+				}
+				clock.dispose();
+			});
+
+			it ("invokes the callback at the exact tick times during a frequency ramp", function(done){
+				Offline(function(output, testFn, tearDown){
+					var tick = 0;
+					var clock = new Clock(function(time){
+						expect(time).to.be.closeTo(clock.getTimeOfTick(tick, 0), 0.0001);
+						tick++;
+					}, 50).start(0);
+					clock.frequency.setValueAtTime(50, 0);
+					clock.frequency.exponentialRampToValueAtTime(200, 0.5);
+
+					tearDown(function(){
+						expect(tick).to.be.above(40);
+						clock.dispose();
+						done();
+					});
+				}, 0.5);
+			});
+
 			it ("can start with a tick offset", function(done){
 				var clock = new Clock(function(){
 					expect(clock.ticks).to.equal(4);
@@ -336,6 +392,31 @@ define(["Test", "Tone/core/Clock", "helper/Offline2"], function (Test, Clock, Of
 				expect(clock.ticks).to.equal(0);
 				clock.start(undefined, 4);
 			});
+
+			it ("skips to the next tick returned by _getNextTick", function(done){
+				var invoked = [];
+				var startTime;
+				var clock = new Clock(function(time){
+					if (clock.ticks % 100 === 0){
+						expect(time).to.be.closeTo(startTime + clock.ticks / 1000, 0.001);
+					}
+					invoked.push(clock.ticks);
+				}, 1000);
+				clock._getNextTick = function(ticks){
+					return Math.ceil(ticks / 100) * 100;
+				};
+				startTime = clock.now() + 0.1;
+				clock.start(startTime);
+				setTimeout(function(){
+					var ticks = clock.ticks;
+					expect(invoked.length).to.be.below(ticks / 4);
+					for (var tick = 0; tick < ticks; tick += 100){
+						expect(invoked).to.include(tick);
+					}
+					clock.dispose();
+					done();
+				}, 600);
+			});
 		});
 
 		context("Events", function(){
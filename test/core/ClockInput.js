@@ -0,0 +1,293 @@
+define(["helper/Basic", "Tone/core/ClockInput", "Tone/core/Tone", "Tone/core/Transport", "helper/Offline2"],
+function (Basic, ClockInput, Tone, Transport, Offline) {
+
+	describe("ClockInput", function(){
+
+		Basic(ClockInput);
+
+		function resetTransport(done){
+			Tone.Transport.cancel(0);
+			Tone.Transport.off("start stop pause loop");
+			Tone.Transport.stop();
+			Tone.Transport.loop = false;
+			Tone.Transport.bpm.value = 120;
+			Tone.Transport.countIn = 0;
+			setTimeout(done, 200);
+		}
+
+		//send the pulses of a clock at the given tempo
+		function sendPulses(clockInput, bpm, startTime, duration){
+			var interval = 60 / bpm / ClockInput.PPQN;
+			for (var time = startTime; time < startTime + duration; time += interval){
+				clockInput.receive([ClockInput.Message.Clock], time);
+			}
+			return time;
+		}
+
+		context("Tempo", function(){
+
+			afterEach(resetTransport);
+
+			it ("can be constructed with an options object", function(){
+				var transport = new Tone.Transport();
+				var clockInput = new ClockInput({
+					"transport" : transport,
+					"smoothing" : 0.5,
+					"latency" : 0.2
+				});
+				expect(clockInput.smoothing).to.equal(0.5);
+				expect(clockInput.latency).to.be.closeTo(0.2, 0.001);
+				expect(clockInput.threshold).to.equal(0.01);
+				clockInput.dispose();
+				transport.dispose();
+			});
+
+			it ("estimates the tempo of the pulses", function(){
+				var clockInput = new ClockInput({
+					"latency" : 0
+				});
+				expect(clockInput.bpm).to.equal(0);
+				sendPulses(clockInput, 90, 0, 1);
+				expect(clockInput.bpm).to.be.closeTo(90, 0.01);
+				expect(Tone.Transport.bpm.getValueAtTime(1)).to.be.closeTo(Tone.Transport._fromUnits(90), 0.01);
+				clockInput.dispose();
+			});
+
+			it ("smooths the jitter of the pulses", function(){
+				var clockInput = new ClockInput({
+					"latency" : 0,
+					"smoothing" : 0.9
+				});
+				var interval = 60 / 120 / ClockInput.PPQN;
+				for (var i = 0; i < 96; i++){
+					var jitter = (i % 2 === 0 ? 1 : -1) * 0.002;
+					clockInput.receive([ClockInput.Message.Clock], i * interval + jitter);
+				}
+				expect(clockInput.bpm).to.be.closeTo(120, 2);
+				clockInput.dispose();
+			});
+
+			it ("only changes the tempo when it differs by more than the threshold", function(){
+				var transport = new Tone.Transport();
+				var clockInput = new ClockInput({
+					"transport" : transport,
+					"latency" : 0,
+					"threshold" : 0.5
+				});
+				var events = transport.bpm._events.length;
+				sendPulses(clockInput, 90, 0, 2);
+				//the first pulse and the estimate on the second pulse
+				expect(transport.bpm._events.length - events).to.equal(2);
+				expect(transport.bpm.getValueAtTime(2)).to.be.closeTo(transport._fromUnits(90), 0.01);
+				clockInput.dispose();
+				transport.dispose();
+			});
+
+			it ("follows the pulses after the latency", function(){
+				var clockInput = new ClockInput({
+					"latency" : 0.1
+				});
+				sendPulses(clockInput, 60, 0, 0.5);
+				expect(Tone.Transport.bpm.getValueAtTime(0.55)).to.be.closeTo(Tone.Transport._fromUnits(60), 0.01);
+				clockInput.dispose();
+			});
+		});
+
+		context("Transport", function(){
+
+			afterEach(resetTransport);
+
+			it ("starts the Transport on the pulse after the start message", function(done){
+				Offline(function(output, test, after){
+					var clockInput = new ClockInput({
+						"latency" : 0,
+						"smoothing" : 0.5
+					});
+					var times = [];
+					Tone.Transport.scheduleRepeat(function(time){
+						times.push(time);
+					}, "4n", 0);
+					sendPulses(clockInput, 60, 0, 0.1);
+					clockInput.receive([ClockInput.Message.Start], 0.1);
+					sendPulses(clockInput, 60, 0.125, 2);
+					after(function(){
+						expect(times.length).to.equal(3);
+						expect(times[0]).to.be.closeTo(0.125, 0.001);
+						expect(times[1]).to.be.closeTo(1.125, 0.02);
+						expect(times[2]).to.be.closeTo(2.125, 0.02);
+						clockInput.dispose();
+						done();
+					});
+				}, 2.2);
+			});
+
+			it ("locks to the pulses when the tempo changes", function(done){
+				Offline(function(output, test, after){
+					var clockInput = new ClockInput({
+						"latency" : 0,
+						"smoothing" : 0.8
+					});
+					var times = [];
+					Tone.Transport.scheduleRepeat(function(time){
+						times.push(time);
+					}, "4n", 0);
+					clockInput.receive([ClockInput.Message.Start], 0);
+					var time = sendPulses(clockInput, 120, 0, 1);
+					sendPulses(clockInput, 100, time, 2);
+					after(function(){
+						//the beats after the tempo change are 0.6 seconds apart
+						var last = times.length - 1;
+						expect(times[last] - times[last - 1]).to.be.closeTo(0.6, 0.02);
+						clockInput.dispose();
+						done();
+					});
+				}, 3);
+			});
+
+			it ("pauses on stop and resumes on continue", function(done){
+				Offline(function(output, test, after){
+					var clockInput = new ClockInput({
+						"latency" : 0
+					});
+					clockInput.receive([ClockInput.Message.Start], 0);
+					var time = sendPulses(clockInput, 120, 0, 0.5);
+					clockInput.receive([ClockInput.Message.Stop], time);
+					sendPulses(clockInput, 120, time, 0.5);
+					clockInput.receive([ClockInput.Message.Continue], time + 0.5);
+					sendPulses(clockInput, 120, time + 0.51, 0.2);
+					test(function(sample, sampleTime){
+						if (sampleTime > 0.1 && sampleTime < 0.45){
+							expect(Tone.Transport.state).to.equal("started");
+						} else if (sampleTime > time + 0.05 && sampleTime < time + 0.5){
+							expect(Tone.Transport.state).to.equal("paused");
+						} else if (sampleTime > time + 0.55){
+							expect(Tone.Transport.state).to.equal("started");
+						}
+					});
+					after(function(){
+						//the position continued from where it paused
+						expect(Tone.Transport.ticks).to.be.closeTo(Tone.Transport.PPQ * 1.4, Tone.Transport.PPQ * 0.1);
+						clockInput.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("sets the position with the song position pointer", function(){
+				var clockInput = new ClockInput({
+					"latency" : 0
+				});
+				//8 sixteenth notes
+				clockInput.receive([ClockInput.Message.SongPosition, 8, 0]);
+				expect(Tone.Transport.ticks).to.equal(Tone.Transport.PPQ * 2);
+				//the high byte is 7 bits
+				clockInput.receive([ClockInput.Message.SongPosition, 0, 1]);
+				expect(Tone.Transport.ticks).to.equal(Tone.Transport.PPQ * 32);
+				clockInput.dispose();
+			});
+
+			it ("starts the Transport without the count-in", function(done){
+				Offline(function(output, test, after){
+					var clockInput = new ClockInput({
+						"latency" : 0
+					});
+					Tone.Transport.countIn = 1;
+					clockInput.receive([ClockInput.Message.Start], 0);
+					sendPulses(clockInput, 120, 0, 1);
+					after(function(){
+						//a bar of count-in would still be counting
+						expect(Tone.Transport.ticks).to.be.closeTo(Tone.Transport.PPQ * 2, Tone.Transport.PPQ * 0.1);
+						clockInput.dispose();
+						done();
+					});
+				}, 1);
+			});
+
+			it ("doesn't correct the tempo after a song position pointer", function(){
+				var transport = new Tone.Transport();
+				var clockInput = new ClockInput({
+					"transport" : transport,
+					"latency" : 0
+				});
+				clockInput.receive([ClockInput.Message.Start], 0);
+				var time = sendPulses(clockInput, 120, 0, 0.5);
+				clockInput.receive([ClockInput.Message.SongPosition, 16, 0], time);
+				expect(clockInput._expectedTicks).to.equal(0);
+				expect(clockInput._elapsedTicks).to.equal(0);
+				time = sendPulses(clockInput, 120, time, 0.5);
+				expect(transport.bpm._toUnits(transport.bpm.getValueAtTime(time))).to.be.closeTo(120, 1);
+				clockInput.dispose();
+				transport.dispose();
+			});
+
+			it ("can follow another Transport", function(){
+				var transport = new Tone.Transport();
+				var clockInput = new ClockInput(transport);
+				var globalTicks = Tone.Transport.ticks;
+				clockInput.receive([ClockInput.Message.SongPosition, 4, 0]);
+				expect(transport.ticks).to.equal(transport.PPQ);
+				expect(Tone.Transport.ticks).to.equal(globalTicks);
+				clockInput.dispose();
+				transport.dispose();
+			});
+		});
+
+		context("Listen", function(){
+
+			afterEach(resetTransport);
+
+			//a stand-in for a MessagePort
+			function createPort(){
+				return {
+					"started" : false,
+					"listener" : null,
+					"start" : function(){
+						this.started = true;
+					},
+					"addEventListener" : function(event, listener){
+						expect(event).to.equal("message");
+						this.listener = listener;
+					},
+					"removeEventListener" : function(event, listener){
+						expect(listener).to.equal(this.listener);
+						this.listener = null;
+					}
+				};
+			}
+
+			it ("receives the messages of a port", function(){
+				var port = createPort();
+				var clockInput = new ClockInput({
+					"latency" : 0
+				}).listen(port);
+				expect(port.started).to.be.true;
+				port.listener({
+					"data" : [ClockInput.Message.SongPosition, 4, 0]
+				});
+				expect(Tone.Transport.ticks).to.equal(Tone.Transport.PPQ);
+				port.listener({
+					"data" : {
+						"data" : [ClockInput.Message.Clock],
+						"time" : 0
+					}
+				});
+				port.listener({
+					"data" : {
+						"data" : [ClockInput.Message.Clock],
+						"time" : 0.5 / ClockInput.PPQN
+					}
+				});
+				expect(clockInput.bpm).to.be.closeTo(120, 0.01);
+				clockInput.dispose();
+				expect(port.listener).to.be.null;
+			});
+
+			it ("can stop listening to the port", function(){
+				var port = createPort();
+				var clockInput = new ClockInput().listen(port).unlisten();
+				expect(port.listener).to.be.null;
+				clockInput.dispose();
+			});
+		});
+	});
+});
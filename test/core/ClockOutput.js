@@ -0,0 +1,226 @@
+define(["helper/Basic", "Tone/core/ClockOutput", "Tone/core/ClockInput", "Tone/core/Tone",
+	"Tone/core/Transport", "helper/Offline2"],
+function (Basic, ClockOutput, ClockInput, Tone, Transport, Offline) {
+
+	describe("ClockOutput", function(){
+
+		Basic(ClockOutput);
+
+		function resetTransport(done){
+			Tone.Transport.cancel(0);
+			Tone.Transport.off("start stop pause loop");
+			Tone.Transport.stop();
+			Tone.Transport.loop = false;
+			Tone.Transport.swing = 0;
+			Tone.Transport.bpm.value = 120;
+			setTimeout(done, 200);
+		}
+
+		//the messages which are not clock pulses
+		function getTransportMessages(messages){
+			return messages.filter(function(message){
+				return message.data[0] !== ClockInput.Message.Clock;
+			}).map(function(message){
+				return message.data;
+			});
+		}
+
+		function getPulseTimes(messages){
+			return messages.filter(function(message){
+				return message.data[0] === ClockInput.Message.Clock;
+			}).map(function(message){
+				return message.time;
+			});
+		}
+
+		context("Messages", function(){
+
+			afterEach(resetTransport);
+
+			it ("sends the start message and 24 pulses per quarter note", function(done){
+				var messages = [];
+				Offline(function(output, test, after){
+					var clockOutput = new ClockOutput(function(data, time){
+						messages.push({
+							"data" : data,
+							"time" : time
+						});
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(messages[0].data).to.deep.equal([ClockInput.Message.Start]);
+						var pulses = getPulseTimes(messages);
+						expect(pulses.length).to.equal(ClockInput.PPQN + 1);
+						pulses.forEach(function(time, i){
+							expect(time).to.be.closeTo(i * 0.5 / ClockInput.PPQN, 0.001);
+						});
+						clockOutput.dispose();
+						done();
+					});
+				}, 0.51);
+			});
+
+			it ("sends the position and continue when it starts from an offset", function(done){
+				var messages = [];
+				Offline(function(output, test, after){
+					var clockOutput = new ClockOutput(function(data, time){
+						messages.push({
+							"data" : data,
+							"time" : time
+						});
+					});
+					Tone.Transport.start(0, "1m").stop(0.2);
+					after(function(){
+						expect(getTransportMessages(messages)).to.deep.equal([
+							[ClockInput.Message.SongPosition, 16, 0],
+							[ClockInput.Message.Continue],
+							[ClockInput.Message.Stop]
+						]);
+						clockOutput.dispose();
+						done();
+					});
+				}, 0.3);
+			});
+
+			it ("sends the position when the Transport loops", function(done){
+				var messages = [];
+				Offline(function(output, test, after){
+					var clockOutput = new ClockOutput(function(data, time){
+						messages.push({
+							"data" : data,
+							"time" : time
+						});
+					});
+					Tone.Transport.setLoopPoints("4n", "2n");
+					Tone.Transport.loop = true;
+					Tone.Transport.start(0);
+					after(function(){
+						expect(getTransportMessages(messages)).to.deep.equal([
+							[ClockInput.Message.Start],
+							[ClockInput.Message.Stop],
+							[ClockInput.Message.SongPosition, 4, 0],
+							[ClockInput.Message.Continue]
+						]);
+						clockOutput.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("doesn't swing the pulses", function(done){
+				var messages = [];
+				Offline(function(output, test, after){
+					var clockOutput = new ClockOutput(function(data, time){
+						messages.push({
+							"data" : data,
+							"time" : time
+						});
+					});
+					Tone.Transport.swing = 1;
+					Tone.Transport.swingSubdivision = "16n";
+					Tone.Transport.start(0);
+					after(function(){
+						getPulseTimes(messages).forEach(function(time, i){
+							expect(time).to.be.closeTo(i * 0.5 / ClockInput.PPQN, 0.001);
+						});
+						clockOutput.dispose();
+						done();
+					});
+				}, 0.5);
+			});
+
+			it ("posts the messages to a MessagePort", function(done){
+				var messages = [];
+				Offline(function(output, test, after){
+					var clockOutput = new ClockOutput({
+						"port" : {
+							"postMessage" : function(message){
+								messages.push(message);
+							}
+						}
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(messages[0].data).to.deep.equal([ClockInput.Message.Start]);
+						expect(messages[0].time).to.equal(0);
+						expect(getPulseTimes(messages).length).to.equal(3);
+						clockOutput.dispose();
+						done();
+					});
+				}, 0.05);
+			});
+		});
+
+		context("Transport", function(){
+
+			afterEach(resetTransport);
+
+			it ("can follow another Transport", function(done){
+				var messages = [];
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport(60);
+					var clockOutput = new ClockOutput({
+						"transport" : transport,
+						"port" : function(data, time){
+							messages.push({
+								"data" : data,
+								"time" : time
+							});
+						}
+					});
+					transport.start(0);
+					Tone.Transport.start(0);
+					after(function(){
+						var pulses = getPulseTimes(messages);
+						expect(pulses.length).to.equal(ClockInput.PPQN / 2 + 1);
+						expect(pulses[pulses.length - 1]).to.be.closeTo(0.5, 0.001);
+						clockOutput.dispose();
+						transport.dispose();
+						done();
+					});
+				}, 0.51);
+			});
+
+			it ("throws an error if the PPQ is not a multiple of 24", function(){
+				var transport = new Tone.Transport({
+					"PPQ" : 100
+				});
+				expect(function(){
+					new ClockOutput({
+						"transport" : transport
+					});
+				}).to.throw(Error);
+				transport.dispose();
+			});
+
+			it ("can be followed by a ClockInput", function(done){
+				var times = [];
+				Offline(function(output, test, after){
+					var follower = new Tone.Transport();
+					follower.scheduleRepeat(function(time){
+						times.push(time);
+					}, "4n", 0);
+					var clockInput = new ClockInput({
+						"transport" : follower,
+						"latency" : 0,
+						"smoothing" : 0.5
+					});
+					var clockOutput = new ClockOutput(function(data, time){
+						clockInput.receive(data, time);
+					});
+					Tone.Transport.bpm.value = 90;
+					Tone.Transport.start(0);
+					after(function(){
+						expect(times.length).to.equal(3);
+						expect(times[1] - times[0]).to.be.closeTo(60 / 90, 0.02);
+						expect(times[2] - times[1]).to.be.closeTo(60 / 90, 0.02);
+						clockInput.dispose();
+						clockOutput.dispose();
+						follower.dispose();
+						done();
+					});
+				}, 1.5);
+			});
+		});
+	});
+});
@@ -0,0 +1,225 @@
+define(["Test", "Tone/core/Context", "Tone/core/Tone", "Tone/core/OfflineContext", "Tone/core/Clock"], 
+function (Test, Context, Tone, OfflineContext, Clock) {
+
+	describe("Context", function(){
+
+		context("AudioContext", function(){
+
+			it ("extends the AudioContext methods", function(){
+				var ctx = new Context(new OfflineAudioContext(1, 44100, 44100));
+				expect(ctx.createGain).to.be.instanceOf(Function);
+				expect(ctx.createOscillator).to.be.instanceOf(Function);
+				expect(ctx.sampleRate).to.equal(44100);
+				expect(ctx.rawContext).to.be.instanceOf(OfflineAudioContext);
+				ctx.dispose();
+			});
+
+			it ("creates nodes in the wrapped context", function(){
+				var ctx = new Context(new OfflineAudioContext(1, 44100, 44100));
+				var gain = ctx.createGain();
+				expect(gain.context).to.equal(ctx.rawContext);
+				ctx.dispose();
+			});
+
+			it ("wraps native contexts which are set", function(){
+				var origContext = Tone.context;
+				var native = new OfflineAudioContext(1, 44100, 44100);
+				Tone.setContext(native);
+				expect(Tone.context).to.be.instanceOf(Context);
+				expect(Tone.context.rawContext).to.equal(native);
+				Tone.setContext(origContext);
+			});
+
+			it ("clock is running", function(done){
+				var interval = setInterval(function(){
+					if (Tone.context.now() > 0){
+						clearInterval(interval);
+						done();
+					}
+				}, 20);
+			});
+
+			it ("has a rawContext", function(){
+				expect(Tone.context.rawContext).to.be.instanceOf(AudioContext);
+			});
+		});
+
+		context("Tone", function(){
+
+			it ("has a context", function(){
+				expect(Tone.context).to.exist;
+				expect(Tone.context).to.be.instanceOf(Context);
+			});
+
+			it ("can set a new context", function(){
+				var originalContext = Tone.context;
+				var ctx = new Context(new OfflineAudioContext(1, 44100, 44100));
+				Tone.context = ctx;
+				expect(Tone.context).to.equal(ctx);
+				Tone.context = originalContext;
+				ctx.dispose();
+			});
+
+			it ("multiple contexts can exist side by side", function(){
+				var originalContext = Tone.context;
+				var ctx = new Context(new OfflineAudioContext(1, 44100, 44100));
+				Tone.context = ctx;
+				var clock = new Clock();
+				Tone.context = originalContext;
+				var onlineClock = new Clock();
+				expect(clock.context).to.equal(ctx);
+				expect(onlineClock.context).to.equal(originalContext);
+				clock.dispose();
+				onlineClock.dispose();
+				ctx.dispose();
+			});
+		});
+
+		context("Scheduling", function(){
+
+			it ("can set the lookAhead", function(){
+				var ctx = new Context();
+				ctx.lookAhead = 0.05;
+				expect(ctx.lookAhead).to.equal(0.05);
+				ctx.dispose();
+			});
+
+			it ("can set the updateInterval", function(){
+				var ctx = new Context();
+				ctx.updateInterval = 0.05;
+				expect(ctx.updateInterval).to.equal(0.05);
+				ctx.dispose();
+			});
+
+			it ("can set the latencyHint", function(){
+				var ctx = new Context();
+				ctx.latencyHint = "fastest";
+				expect(ctx.latencyHint).to.equal("fastest");
+				expect(ctx.lookAhead).to.be.closeTo(0.01, 0.05);
+				expect(ctx.updateInterval).to.be.closeTo(0.01, 0.05);
+				ctx.latencyHint = 0.2;
+				expect(ctx.latencyHint).to.equal(0.2);
+				expect(ctx.lookAhead).to.be.closeTo(0.2, 0.01);
+				ctx.dispose();
+			});
+
+			it ("emits tick events", function(done){
+				var ctx = new Context();
+				ctx.on("tick", function(){
+					ctx.dispose();
+					done();
+				});
+			});
+
+			it ("has a lag", function(){
+				var ctx = new Context();
+				expect(ctx.lag).to.be.a("number");
+				expect(ctx.lag).to.be.at.least(0);
+				ctx.dispose();
+			});
+		});
+
+		context("Clock Source", function(){
+
+			it ("defaults to a worker clock", function(){
+				var ctx = new Context();
+				expect(ctx.clockSource).to.equal("worker");
+				ctx.dispose();
+			});
+
+			it ("ticks with a worker clock", function(done){
+				var ctx = new Context();
+				ctx.clockSource = "worker";
+				ctx.on("tick", function(){
+					ctx.dispose();
+					done();
+				});
+			});
+
+			it ("ticks with a timeout clock", function(done){
+				var ctx = new Context();
+				ctx.clockSource = "timeout";
+				expect(ctx.clockSource).to.equal("timeout");
+				ctx.on("tick", function(){
+					ctx.dispose();
+					done();
+				});
+			});
+
+			it ("does not tick with an offline clock", function(done){
+				var ctx = new Context();
+				ctx.clockSource = "offline";
+				expect(ctx.clockSource).to.equal("offline");
+				ctx.on("tick", function(){
+					throw new Error("should not tick");
+				});
+				setTimeout(function(){
+					ctx.dispose();
+					done();
+				}, 100);
+			});
+
+			it ("can switch back and forth between clock sources", function(done){
+				var ctx = new Context();
+				ctx.clockSource = "offline";
+				ctx.clockSource = "timeout";
+				ctx.clockSource = "worker";
+				ctx.on("tick", function(){
+					ctx.dispose();
+					done();
+				});
+			});
+
+			it ("can get and set the clock source of the current context through Tone.Clock", function(){
+				expect(Clock.clockSource).to.equal(Tone.context.clockSource);
+				Clock.clockSource = "timeout";
+				expect(Tone.context.clockSource).to.equal("timeout");
+				Clock.clockSource = "worker";
+				expect(Tone.context.clockSource).to.equal("worker");
+			});
+
+			it ("can get and set the updateInterval and lookAhead of the current context through Tone.Clock", function(){
+				var lookAhead = Tone.context.lookAhead;
+				var updateInterval = Tone.context.updateInterval;
+				Clock.lookAhead = 0.2;
+				Clock.updateInterval = 0.05;
+				expect(Tone.context.lookAhead).to.equal(0.2);
+				expect(Tone.context.updateInterval).to.equal(0.05);
+				Clock.lookAhead = lookAhead;
+				Clock.updateInterval = updateInterval;
+			});
+		});
+
+		context("OfflineContext", function(){
+
+			it ("uses an offline clock source", function(){
+				var ctx = new OfflineContext(1, 0.1, 44100);
+				expect(ctx.clockSource).to.equal("offline");
+				ctx.dispose();
+			});
+
+
+			it ("uses its own time", function(){
+				var ctx = new OfflineContext(1, 0.1, 44100);
+				expect(ctx.now()).to.equal(0);
+				ctx.dispose();
+			});
+
+			it ("ticks synchronously over the duration when rendering", function(done){
+				var ctx = new OfflineContext(1, 0.1, 44100);
+				var ticks = 0;
+				ctx.on("tick", function(){
+					ticks++;
+				});
+				ctx.render().then(function(buffer){
+					expect(ticks).to.be.above(30);
+					expect(buffer).to.be.instanceOf(AudioBuffer);
+					expect(buffer.duration).to.be.closeTo(0.1, 0.001);
+					ctx.dispose();
+					done();
+				});
+				expect(ctx.now()).to.be.closeTo(0.1, 0.01);
+			});
+		});
+	});
+});
@@ -59,5 +59,19 @@ define(["Test", "Tone/core/Draw", "Tone/core/Tone"],
 			}, Tone.now() + 0.3);
 
 		});
+
+		it ("can invoke a callback on every animation frame", function(done){
+			var frames = 0;
+			var callback = function(time){
+				expect(time).to.be.closeTo(Tone.now(), 0.01);
+				frames++;
+				if (frames === 3){
+					Draw.removeFrameCallback(callback);
+					expect(Draw._frameCallbacks).to.not.include(callback);
+					done();
+				}
+			};
+			Draw.addFrameCallback(callback);
+		});
 	});
 });
\ No newline at end of file
@@ -0,0 +1,73 @@
+define(["helper/Basic", "Tone/core/Groove", "Tone/core/Tone", "Tone/core/Transport"], 
+function (Basic, Groove, Tone) {
+
+	describe("Groove", function(){
+
+		Basic(Groove);
+
+		context("Constructor", function(){
+
+			it ("takes a subdivision, timing and velocity", function(){
+				var groove = new Groove("8n", [0, 0.2], [1, 0.5]);
+				expect(groove.subdivision).to.equal("8n");
+				expect(groove.timing).to.deep.equal([0, 0.2]);
+				expect(groove.velocity).to.deep.equal([1, 0.5]);
+				groove.dispose();
+			});
+
+			it ("can pass in arguments in options object", function(){
+				var groove = new Groove({
+					"subdivision" : "4n",
+					"timing" : [0, 0.1, 0, -0.1]
+				});
+				expect(groove.subdivision).to.equal("4n");
+				expect(groove.steps).to.equal(4);
+				expect(groove.velocity).to.deep.equal([1]);
+				groove.dispose();
+			});
+		});
+
+		context("Steps", function(){
+
+			it ("gets the timing offset of each step in ticks", function(){
+				var groove = new Groove("16n", [0, 0.5]);
+				var sixteenth = Tone.Transport.PPQ / 4;
+				expect(groove.getTimingAtTick(0)).to.equal(0);
+				expect(groove.getTimingAtTick(sixteenth)).to.equal(sixteenth / 2);
+				expect(groove.getTimingAtTick(sixteenth * 2)).to.equal(0);
+				expect(groove.getTimingAtTick(sixteenth * 5)).to.equal(sixteenth / 2);
+				groove.dispose();
+			});
+
+			it ("interpolates the timing between steps", function(){
+				var groove = new Groove("16n", [0, 0.5]);
+				var sixteenth = Tone.Transport.PPQ / 4;
+				expect(groove.getTimingAtTick(sixteenth / 2)).to.equal(sixteenth / 4);
+				expect(groove.getTimingAtTick(sixteenth * 1.5)).to.equal(sixteenth / 4);
+				groove.dispose();
+			});
+
+			it ("gets the velocity of the closest step", function(){
+				var groove = new Groove("16n", [0], [1, 0.5, 0.8]);
+				var sixteenth = Tone.Transport.PPQ / 4;
+				expect(groove.steps).to.equal(3);
+				expect(groove.getVelocityAtTick(0)).to.equal(1);
+				expect(groove.getVelocityAtTick(sixteenth)).to.equal(0.5);
+				expect(groove.getVelocityAtTick(sixteenth * 1.8)).to.equal(0.8);
+				expect(groove.getVelocityAtTick(sixteenth * 4)).to.equal(0.5);
+				groove.dispose();
+			});
+
+			it ("can be created from an MPC swing percentage", function(){
+				var straight = Groove.mpc(50);
+				expect(straight.subdivision).to.equal("16n");
+				expect(straight.timing).to.deep.equal([0, 0]);
+				straight.dispose();
+				var hard = Groove.mpc(75, "8n");
+				expect(hard.subdivision).to.equal("8n");
+				expect(hard.timing[1]).to.be.closeTo(0.5, 0.001);
+				hard.dispose();
+			});
+		});
+	});
+});
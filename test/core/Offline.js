@@ -0,0 +1,81 @@
+define(["Test", "Tone/core/Offline", "Tone/core/Tone", "Tone/core/Buffer", "Tone/source/Oscillator", "Tone/core/Master", "Tone/core/OfflineContext"],
+function (Test, Offline, Tone, Buffer, Oscillator, Master, OfflineContext) {
+
+	describe("Offline", function(){
+
+		it ("returns a promise", function(done){
+			var ret = Offline(function(){}, 0.01);
+			expect(ret).to.be.instanceOf(Promise);
+			ret.then(function(){
+				done();
+			});
+		});
+
+		it ("resolves the promise with a Tone.Buffer of the given duration", function(done){
+			Offline(function(){}, 0.5).then(function(buffer){
+				expect(buffer).to.be.instanceOf(Buffer);
+				expect(buffer.duration).to.be.closeTo(0.5, 0.001);
+				expect(buffer.numberOfChannels).to.equal(1);
+				buffer.dispose();
+				done();
+			});
+		});
+
+		it ("can render multiple channels", function(done){
+			Offline(function(){}, 0.1, 2).then(function(buffer){
+				expect(buffer.numberOfChannels).to.equal(2);
+				buffer.dispose();
+				done();
+			});
+		});
+
+		it ("renders the audio connected to the Master", function(done){
+			Offline(function(){
+				new Oscillator().toMaster().start(0);
+			}, 0.1).then(function(buffer){
+				var hasSound = false;
+				buffer.toArray().forEach(function(sample){
+					if (sample !== 0){
+						hasSound = true;
+					}
+				});
+				expect(hasSound).to.be.true;
+				buffer.dispose();
+				done();
+			});
+		});
+
+		it ("passes in the Transport and invokes its scheduled events", function(done){
+			var invoked = false;
+			Offline(function(Transport){
+				expect(Transport).to.equal(Tone.context.Transport);
+				Transport.schedule(function(time){
+					expect(time).to.be.closeTo(0.5, 0.01);
+					invoked = true;
+				}, 0.3);
+				Transport.start(0.2);
+			}, 0.6).then(function(){
+				expect(invoked).to.be.true;
+				done();
+			});
+		});
+
+		it ("uses the offline time while the callback is invoked", function(done){
+			Offline(function(){
+				expect(Tone.now()).to.equal(0);
+				expect(Tone.context).to.be.instanceOf(OfflineContext);
+			}, 0.1).then(function(){
+				done();
+			});
+		});
+
+		it ("returns the original context after rendering", function(done){
+			var originalContext = Tone.context;
+			Offline(function(){}, 0.1).then(function(){
+				expect(Tone.context).to.equal(originalContext);
+				expect(Tone.now()).to.be.above(0);
+				done();
+			});
+		});
+	});
+});
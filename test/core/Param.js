@@ -1,5 +1,6 @@
-define(["helper/Offline", "helper/Basic", "Test", "Tone/core/Param", "Tone/type/Type", "Tone/signal/Signal", "Tone/core/Transport"], 
-	function (Offline, Basic, Test, Param, Tone, Signal, Transport) {
+define(["helper/Offline", "helper/Basic", "Test", "Tone/core/Param", "Tone/type/Type", "Tone/signal/Signal", 
+	"Tone/core/Transport", "helper/Offline2", "Tone/signal/TimelineSignal"], 
+	function (Offline, Basic, Test, Param, Tone, Signal, Transport, Offline2, TimelineSignal) {
 
 	describe("Param", function(){
 
@@ -208,5 +209,190 @@ define(["helper/Offline", "helper/Basic", "Test", "Tone/core/Param", "Tone/type/
 				}, 100);
 			});
 		});
+
+		context("Sync", function(){
+
+			function resetTransport(done){
+				Tone.Transport.cancel(0);
+				Tone.Transport.off("start stop pause loop");
+				Tone.Transport.stop();
+				Tone.Transport.loop = false;
+				Tone.Transport.bpm.value = 120;
+				setTimeout(done, 200);
+			}
+
+			afterEach(resetTransport);
+
+			//a ramp from 0 to 1 over the first measure
+			function createSweep(){
+				var signal = new TimelineSignal(0).sync();
+				signal.setValueAtTime(0, 0);
+				signal.linearRampToValueAtTime(1, "1m");
+				return signal;
+			}
+
+			it ("can sync and unsync the automation", function(){
+				var gain = Tone.context.createGain();
+				var param = new Param(gain.gain).sync();
+				param.setValueAtTime(0.5, "4n");
+				expect(param._syncedEvents.length).to.equal(1);
+				param.unsync();
+				expect(param._synced).to.be.false;
+				param.setValueAtTime(0.5, 1);
+				param.dispose();
+				Test.wasDisposed(param);
+			});
+
+			it ("ramps from the position in TransportTime", function(done){
+				Offline2(function(output, test, after){
+					var signal = new TimelineSignal(0).sync();
+					signal.rampTo(1, "2n", "1m");
+					signal.linearRampToValue(0, "4n", "2m");
+					Tone.Transport.start(0);
+					after(function(){
+						expect(signal.getValueAtTime(1.9)).to.be.closeTo(0, 0.001);
+						expect(signal.getValueAtTime(2.5)).to.be.closeTo(0.5, 0.001);
+						expect(signal.getValueAtTime(3.5)).to.be.closeTo(1, 0.001);
+						expect(signal.getValueAtTime(4.25)).to.be.closeTo(0.5, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 0.1);
+			});
+
+			it ("can set a value curve in TransportTime", function(done){
+				Offline2(function(output, test, after){
+					var signal = new TimelineSignal(0).sync();
+					signal.setValueCurveAtTime([0, 1, 0], "1m", "1m");
+					Tone.Transport.bpm.value = 60;
+					Tone.Transport.start(0);
+					after(function(){
+						expect(signal.getValueAtTime(3.9)).to.be.closeTo(0, 0.001);
+						expect(signal.getValueAtTime(5)).to.be.closeTo(0.5, 0.001);
+						expect(signal.getValueAtTime(6)).to.be.closeTo(1, 0.001);
+						expect(signal.getValueAtTime(8)).to.be.closeTo(0, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 0.1);
+			});
+
+			it ("throws an error on setTargetAtTime", function(){
+				var gain = Tone.context.createGain();
+				var param = new Param(gain.gain).sync();
+				var signal = new TimelineSignal(0).sync();
+				expect(function(){
+					param.setTargetAtTime(1, "1m", 0.1);
+				}).to.throw(Error);
+				expect(function(){
+					signal.setTargetAtTime(1, "1m", 0.1);
+				}).to.throw(Error);
+				param.dispose();
+				signal.dispose();
+			});
+
+			it ("plays the automation when the Transport starts", function(done){
+				Offline2(function(output, test, after){
+					var signal = createSweep();
+					Tone.Transport.start(0.5);
+					after(function(){
+						expect(signal.getValueAtTime(0.4)).to.be.closeTo(0, 0.001);
+						expect(signal.getValueAtTime(1.5)).to.be.closeTo(0.5, 0.001);
+						expect(signal.getValueAtTime(2.5)).to.be.closeTo(1, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 0.6);
+			});
+
+			it ("follows the tempo of the Transport", function(done){
+				Offline2(function(output, test, after){
+					var signal = createSweep();
+					Tone.Transport.bpm.value = 60;
+					Tone.Transport.start(0);
+					after(function(){
+						expect(signal.getValueAtTime(2)).to.be.closeTo(0.5, 0.001);
+						expect(signal.getValueAtTime(4)).to.be.closeTo(1, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 0.1);
+			});
+
+			it ("plays the automation from the position the Transport starts at", function(done){
+				Offline2(function(output, test, after){
+					var signal = createSweep();
+					Tone.Transport.start(0, "2n");
+					after(function(){
+						expect(signal.getValueAtTime(0)).to.be.closeTo(0.5, 0.001);
+						expect(signal.getValueAtTime(1.5)).to.be.closeTo(1, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 0.1);
+			});
+
+			it ("plays the automation again when the Transport loops", function(done){
+				Offline2(function(output, test, after){
+					var signal = createSweep();
+					Tone.Transport.setLoopPoints(0, "2n");
+					Tone.Transport.loop = true;
+					Tone.Transport.start(0);
+					after(function(){
+						//up to the loop end
+						expect(signal.getValueAtTime(0.9)).to.be.closeTo(0.45, 0.01);
+						//and from the loop start again
+						expect(signal.getValueAtTime(1.5)).to.be.closeTo(0.25, 0.01);
+						signal.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("holds the value when the Transport is paused", function(done){
+				Offline2(function(output, test, after){
+					var signal = createSweep();
+					Tone.Transport.start(0).pause(1);
+					after(function(){
+						expect(signal.getValueAtTime(0.5)).to.be.closeTo(0.25, 0.001);
+						expect(signal.getValueAtTime(1.5)).to.be.closeTo(0.5, 0.001);
+						expect(signal.getValueAtTime(3)).to.be.closeTo(0.5, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("can cancel the automation in TransportTime", function(done){
+				Offline2(function(output, test, after){
+					var signal = createSweep();
+					signal.setValueAtTime(0.8, "2m");
+					signal.cancelScheduledValues("1m");
+					Tone.Transport.start(0);
+					after(function(){
+						expect(signal.getValueAtTime(1)).to.be.closeTo(0, 0.001);
+						expect(signal.getValueAtTime(5)).to.be.closeTo(0, 0.001);
+						signal.dispose();
+						done();
+					});
+				}, 0.1);
+			});
+
+			it ("can sync to another Transport", function(done){
+				Offline2(function(output, test, after){
+					var transport = new Tone.Transport(60);
+					var signal = new TimelineSignal(0).sync(transport);
+					signal.linearRampToValueAtTime(1, "4n");
+					transport.start(0);
+					Tone.Transport.start(0);
+					after(function(){
+						expect(signal.getValueAtTime(0.5)).to.be.closeTo(0.5, 0.001);
+						signal.dispose();
+						transport.dispose();
+						done();
+					});
+				}, 0.1);
+			});
+		});
 	});
 });
\ No newline at end of file
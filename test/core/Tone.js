@@ -1,5 +1,5 @@
 define(["Test", "Tone/core/Tone", "helper/PassAudio", "Tone/source/Oscillator", 
-	"Tone/instrument/Synth", "helper/Offline2", "helper/Supports"], 
+	"Tone/instrument/Synth", "helper/Offline2", "helper/Supports", "Tone/core/Master", "Tone/core/Transport"], 
 	function (Test, Tone, PassAudio, Oscillator, Synth, Offline, Supports) {
 
 	describe("AudioContext", function(){
@@ -7,7 +7,8 @@ define(["Test", "Tone/core/Tone", "helper/PassAudio", "Tone/source/Oscillator",
 		this.timeout(3000);
 
 		it ("was created", function(){
-			expect(Tone.context).to.be.instanceof(AudioContext);
+			expect(Tone.context).to.be.instanceof(Tone.Context);
+			expect(Tone.context.rawContext).to.be.instanceof(AudioContext);
 		});
 
 		it ("has OscillatorNode", function(){
@@ -278,8 +279,8 @@ define(["Test", "Tone/core/Tone", "helper/PassAudio", "Tone/source/Oscillator",
 				var origCtx = Tone.context;
 				var ctx = new OfflineAudioContext(2, 44100, 44100);
 				Tone.setContext(ctx);
-				expect(Tone.context).to.equal(ctx);
-				expect(Tone.prototype.context).to.equal(ctx);
+				expect(Tone.context.rawContext).to.equal(ctx);
+				expect(Tone.prototype.context).to.equal(Tone.context);
 				//then set it back
 				Tone.setContext(origCtx);
 				expect(Tone.context).to.equal(origCtx);
@@ -287,6 +288,47 @@ define(["Test", "Tone/core/Tone", "helper/PassAudio", "Tone/source/Oscillator",
 				//and a saftey check
 				expect(ctx).to.not.equal(origCtx);
 			});
+
+			it ("objects keep the context they were created in", function(){
+				var origCtx = Tone.context;
+				var osc = new Oscillator();
+				Tone.setContext(new OfflineAudioContext(2, 44100, 44100));
+				var offlineCtx = Tone.context;
+				var offlineOsc = new Oscillator();
+				Tone.setContext(origCtx);
+				expect(osc.context).to.equal(origCtx);
+				expect(offlineOsc.context).to.equal(offlineCtx);
+				osc.dispose();
+				offlineOsc.dispose();
+			});
+
+			it ("throws an error when connecting objects from different contexts", function(){
+				var origCtx = Tone.context;
+				var osc = new Oscillator();
+				Tone.setContext(new OfflineAudioContext(2, 44100, 44100));
+				var offlineOsc = new Oscillator();
+				Tone.setContext(origCtx);
+				expect(function(){
+					offlineOsc.connect(osc.frequency);
+				}).to.throw(Error);
+				expect(function(){
+					offlineOsc.toMaster();
+				}).to.throw(Error);
+				osc.dispose();
+				offlineOsc.dispose();
+			});
+
+			it ("keeps a Master and Transport for each context", function(){
+				var origCtx = Tone.context;
+				var master = Tone.Master;
+				var transport = Tone.Transport;
+				Tone.setContext(new OfflineAudioContext(2, 44100, 44100));
+				expect(Tone.Master).to.not.equal(master);
+				expect(Tone.Transport).to.not.equal(transport);
+				Tone.setContext(origCtx);
+				expect(Tone.Master).to.equal(master);
+				expect(Tone.Transport).to.equal(transport);
+			});
 			
 		});
 
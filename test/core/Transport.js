@@ -1,4 +1,4 @@
-define(["Test", "Tone/core/Transport", "Tone/core/Tone", "helper/Offline2", "Tone/type/TransportTime"], 
+define(["Test", "Tone/core/Transport", "Tone/core/Tone", "helper/Offline2", "Tone/type/TransportTime", "Tone/core/Groove"], 
 function (Test, Transport, Tone, Offline, TransportTime) {
 
 	describe("Transport", function(){
@@ -10,6 +10,10 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 			Tone.Transport.loop = false;
 			Tone.Transport.bpm.value = 120;
 			Tone.Transport.timeSignature = [4, 4];
+			Tone.Transport.clearTempoMap();
+			Tone.Transport.clearMarkers();
+			Tone.Transport.off("marker punchIn punchOut");
+			Tone.Transport.punch = false;
 			setTimeout(done, 200);
 		}
 
@@ -45,6 +49,53 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 				Tone.Transport.timeSignature = [4, 4];
 			});
 
+			it("counts the beats of compound meters as dotted notes", function(){
+				Tone.Transport.timeSignature = [6, 8];
+				expect(TransportTime("0:1:0").toTicks()).to.equal(Tone.Transport.PPQ * 1.5);
+				expect(TransportTime("1:1:2").toTicks()).to.equal(Tone.Transport.PPQ * 5);
+				expect(TransportTime(Tone.Transport.PPQ * 5, "i").toBarsBeatsSixteenths()).to.equal("1:1:2");
+				Tone.Transport.timeSignature = [12, 8];
+				expect(TransportTime("0:3:0").toTicks()).to.equal(Tone.Transport.PPQ * 4.5);
+				Tone.Transport.timeSignature = [3, 8];
+				expect(TransportTime("0:2:0").toTicks()).to.equal(Tone.Transport.PPQ);
+			});
+
+			it("groups the beats of the time signature", function(){
+				Tone.Transport.timeSignature = [[2, 2, 3], 8];
+				expect(Tone.Transport.timeSignature).to.equal(3.5);
+				expect(TransportTime("0:2:0").toTicks()).to.equal(Tone.Transport.PPQ * 2);
+				expect(TransportTime("0:2:2").toTicks()).to.equal(Tone.Transport.PPQ * 2.5);
+				expect(TransportTime("1:1:0").toTicks()).to.equal(Tone.Transport.PPQ * 4.5);
+				Tone.Transport.ticks = Tone.Transport.PPQ * 5;
+				expect(Tone.Transport.position).to.equal("1:1:2");
+				Tone.Transport.ticks = 0;
+			});
+
+			it("gets the beat of a tick", function(){
+				Tone.Transport.timeSignature = [[2, 2, 3], 8];
+				var beat = Tone.Transport.getBeatOfTick(Tone.Transport.PPQ * 2.5);
+				expect(beat.bar).to.equal(0);
+				expect(beat.beat).to.equal(2);
+				expect(beat.ticks).to.equal(Tone.Transport.PPQ * 2);
+				beat = Tone.Transport.getBeatOfTick(Tone.Transport.PPQ * 3.5);
+				expect(beat.bar).to.equal(1);
+				expect(beat.beat).to.equal(0);
+			});
+
+			it("follows the grouping of the time signature changes", function(){
+				Tone.Transport.setTimeSignatureAtPosition([[3, 2, 2], 8], "1m");
+				expect(Tone.Transport.getTicksAtBar(1, 1)).to.equal(Tone.Transport.PPQ * 5.5);
+				expect(TransportTime("1:3:0").toTicks()).to.equal(Tone.Transport.PPQ * 7.5);
+				expect(TransportTime(Tone.Transport.PPQ * 6.5, "i").toBarsBeatsSixteenths()).to.equal("1:2:0");
+			});
+
+			it("measures are the length of the bar", function(){
+				Tone.Transport.timeSignature = [5, 16];
+				expect(TransportTime("1m").toTicks()).to.equal(Tone.Transport.PPQ * 1.25);
+				expect(Tone.Time("1n").toTicks()).to.equal(Tone.Transport.PPQ * 1.25);
+				expect(TransportTime("0:1:0").toTicks()).to.equal(Tone.Transport.PPQ * 0.25);
+			});
+
 		});
 
 		context("looping", function(){
@@ -189,6 +240,19 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 				expect(Tone.Transport.position).to.equal("0:0:0");
 			});
 
+			it("can get and set the current position in timecode", function(){
+				expect(Tone.Transport.timecode).to.equal("00:00:00:00");
+				Tone.Transport.timecode = "00:00:03:15";
+				expect(Tone.Transport.seconds).to.be.closeTo(3.5, 0.01);
+				expect(Tone.Transport.timecode).to.equal("00:00:03:15");
+				Tone.Transport.frameRate = 25;
+				expect(Tone.Transport.timecode).to.equal("00:00:03:12");
+				Tone.Transport.timecode = "00:00:01:00@30";
+				expect(Tone.Transport.seconds).to.be.closeTo(1, 0.01);
+				Tone.Transport.frameRate = 30;
+				Tone.Transport.timecode = "00:00:00:00";
+			});
+
 			it ("can get the progress of the loop", function(){
 				Tone.Transport.setLoopPoints(0, "1m").start();
 				Tone.Transport.loop = true;
@@ -400,6 +464,26 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 				}, 0.3);
 			});
 
+			it ("skips over the ticks which have no events", function(done){
+				var processed = 0;
+				var processTick = Tone.Transport._clock.callback;
+				Tone.Transport._clock.callback = function(time){
+					processed++;
+					processTick(time);
+				};
+				var invoked = false;
+				Tone.Transport.schedule(function(){
+					invoked = true;
+				}, "8n");
+				Tone.Transport.start();
+				setTimeout(function(){
+					Tone.Transport._clock.callback = processTick;
+					expect(invoked).to.be.true;
+					expect(processed).to.be.below(Tone.Transport.ticks / 4);
+					done();
+				}, 500);
+			});
+
 		});
 
 		context("scheduleRepeat", function(){	
@@ -529,6 +613,130 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 
 		});
 
+		context("scheduleSpan", function(){
+
+			afterEach(resetTransport);
+
+			it ("returns an event id", function(){
+				var eventID = Tone.Transport.scheduleSpan(function(){}, function(){}, 0, "1m");
+				expect(eventID).to.be.a("number");
+				Tone.Transport.clear(eventID);
+			});
+
+			it ("throws an error if the duration is not positive", function(){
+				expect(function(){
+					Tone.Transport.scheduleSpan(function(){}, function(){}, 0, 0);
+				}).to.throw(Error);
+			});
+
+			it ("invokes onEnter at the start and onExit at the end of the span", function(done){
+				Offline(function(output, test, after){
+					var events = [];
+					Tone.Transport.scheduleSpan(function(time){
+						events.push("enter");
+						expect(time).to.be.closeTo(0.6, 0.001);
+					}, function(time){
+						events.push("exit");
+						expect(time).to.be.closeTo(1.1, 0.001);
+					}, "4n", "4n");
+					Tone.Transport.start(0.1);
+					after(function(){
+						expect(events).to.deep.equal(["enter", "exit"]);
+						done();
+					});
+				}, 1.5);
+			});
+
+			it ("invokes onEnter when started in the middle of the span", function(done){
+				Offline(function(output, test, after){
+					var entered = false;
+					Tone.Transport.scheduleSpan(function(time){
+						entered = true;
+						expect(time).to.be.closeTo(0.1, 0.001);
+					}, function(){}, 0, "1m");
+					Tone.Transport.start(0.1, "2n");
+					after(function(){
+						expect(entered).to.be.true;
+						done();
+					});
+				}, 0.5);
+			});
+
+			it ("invokes onExit when the Transport is stopped", function(done){
+				Offline(function(output, test, after){
+					var exited = false;
+					Tone.Transport.scheduleSpan(function(){}, function(time){
+						exited = true;
+						expect(time).to.be.closeTo(0.4, 0.001);
+					}, 0, "1m");
+					Tone.Transport.start(0).stop(0.4);
+					after(function(){
+						expect(exited).to.be.true;
+						done();
+					});
+				}, 0.6);
+			});
+
+			it ("exits and enters when the position jumps in and out of the span", function(done){
+				Offline(function(output, test, after){
+					var events = [];
+					Tone.Transport.scheduleSpan(function(time){
+						events.push(["enter", time]);
+					}, function(time){
+						events.push(["exit", time]);
+					}, "2n", "1m");
+					Tone.Transport.schedule(function(){
+						Tone.Transport.ticks = Tone.Transport.PPQ * 3;
+					}, "4n");
+					Tone.Transport.schedule(function(){
+						Tone.Transport.ticks = 0;
+					}, "1m");
+					Tone.Transport.start(0);
+					after(function(){
+						expect(events.length).to.equal(2);
+						expect(events[0][0]).to.equal("enter");
+						expect(events[0][1]).to.be.closeTo(0.5, 0.01);
+						expect(events[1][0]).to.equal("exit");
+						expect(events[1][1]).to.be.closeTo(1, 0.01);
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("enters the span again on each loop", function(done){
+				Offline(function(output, test, after){
+					var enter = 0;
+					var exit = 0;
+					Tone.Transport.scheduleSpan(function(){
+						enter++;
+					}, function(){
+						exit++;
+					}, "4n", "1m");
+					Tone.Transport.setLoopPoints(0, "2n");
+					Tone.Transport.loop = true;
+					Tone.Transport.start(0);
+					after(function(){
+						expect(enter).to.equal(3);
+						expect(exit).to.equal(2);
+						done();
+					});
+				}, 2.7);
+			});
+
+			it ("can be cleared", function(done){
+				Offline(function(output, test, after){
+					var id = Tone.Transport.scheduleSpan(function(){
+						throw new Error("shouldn't enter the span");
+					}, function(){}, "4n", "4n");
+					Tone.Transport.clear(id);
+					Tone.Transport.start(0);
+					after(function(){
+						done();
+					});
+				}, 1);
+			});
+		});
+
 		context("scheduleOnce", function(){	
 
 			afterEach(resetTransport);
@@ -658,6 +866,369 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 			});
 		});
 
+		context("tempo map", function(){
+
+			afterEach(resetTransport);
+
+			it("can schedule time signature changes on a bar", function(){
+				Tone.Transport.setTimeSignatureAtPosition(3, "2m");
+				Tone.Transport.setTimeSignatureAtPosition([6, 8], "4:0:0");
+				expect(Tone.Transport.getTimeSignatureAtPosition(0)).to.equal(4);
+				expect(Tone.Transport.getTimeSignatureAtPosition("2:2:0")).to.equal(3);
+				expect(Tone.Transport.getTimeSignatureAtPosition("5:0:0")).to.equal(3);
+				expect(Tone.Transport.getTicksAtBar(3)).to.equal(Tone.Transport.PPQ * 11);
+			});
+
+			it("throws an error if the time signature change is not on a bar", function(){
+				expect(function(){
+					Tone.Transport.setTimeSignatureAtPosition(3, "1:2:0");
+				}).to.throw(Error);
+			});
+
+			it("converts measures and BarsBeatsSixteenths following the time signature changes", function(){
+				Tone.Transport.setTimeSignatureAtPosition(3, "2m");
+				expect(TransportTime("3m").toTicks()).to.equal(Tone.Transport.PPQ * 11);
+				expect(TransportTime("3:1:2").toTicks()).to.equal(Tone.Transport.PPQ * 12.5);
+				expect(TransportTime(Tone.Transport.PPQ * 12.5, "i").toBarsBeatsSixteenths()).to.equal("3:1:2");
+				expect(Tone.Time(TransportTime("4:0:0").toSeconds()).toBarsBeatsSixteenths()).to.equal("4:0:0");
+			});
+
+			it("gets the bar of a tick", function(){
+				Tone.Transport.setTimeSignatureAtPosition(3, "1m");
+				var bar = Tone.Transport.getBarOfTick(Tone.Transport.PPQ * 8);
+				expect(bar.bar).to.equal(2);
+				expect(bar.ticks).to.equal(Tone.Transport.PPQ * 7);
+				expect(bar.timeSignature).to.equal(3);
+			});
+
+			it("the position follows the time signature changes", function(){
+				Tone.Transport.setTimeSignatureAtPosition(3, "1m");
+				Tone.Transport.ticks = Tone.Transport.PPQ * 8;
+				expect(Tone.Transport.position).to.equal("2:1:0");
+				Tone.Transport.position = "3:0:0";
+				expect(Tone.Transport.ticks).to.equal(Tone.Transport.PPQ * 10);
+			});
+
+			it("can get the tempo at a position", function(){
+				Tone.Transport.setTempoAtPosition(100, 0);
+				Tone.Transport.setTempoAtPosition(90, "8:0:0");
+				expect(Tone.Transport.getTempoAtPosition("4:0:0")).to.equal(100);
+				expect(Tone.Transport.getTempoAtPosition("8:0:0")).to.equal(90);
+				expect(Tone.Transport.getTempoAtPosition("12:0:0")).to.equal(90);
+			});
+
+			it("changes the tempo at the scheduled position", function(done){
+				Offline(function(dest, testFn, after){
+					Tone.Transport.setTempoAtPosition(120, 0);
+					Tone.Transport.setTempoAtPosition(60, "1m");
+					var invoked = false;
+					Tone.Transport.schedule(function(time){
+						//one bar at 120 and one beat at 60
+						expect(time).to.be.closeTo(3, 0.01);
+						invoked = true;
+					}, "1:1:0");
+					Tone.Transport.start(0);
+					after(function(){
+						expect(invoked).to.be.true;
+						expect(Tone.Transport.bpm.value).to.be.closeTo(60, 0.01);
+						done();
+					});
+				}, 3.2);
+			});
+
+			it("applies the tempo at the position when starting from an offset", function(done){
+				Offline(function(dest, testFn, after){
+					Tone.Transport.setTempoAtPosition(120, 0);
+					Tone.Transport.setTempoAtPosition(60, "1m");
+					var invoked = false;
+					Tone.Transport.schedule(function(time){
+						expect(time).to.be.closeTo(1, 0.01);
+						invoked = true;
+					}, "2:1:0");
+					Tone.Transport.start(0, "2:0:0");
+					after(function(){
+						expect(invoked).to.be.true;
+						done();
+					});
+				}, 1.2);
+			});
+
+			it("applies the tempo at the loop start when looping", function(done){
+				Offline(function(dest, testFn, after){
+					Tone.Transport.setTempoAtPosition(120, 0);
+					Tone.Transport.setTempoAtPosition(60, "1m");
+					Tone.Transport.setLoopPoints(0, "2m");
+					Tone.Transport.loop = true;
+					var times = [];
+					Tone.Transport.schedule(function(time){
+						times.push(time);
+					}, "0:1:0");
+					Tone.Transport.start(0);
+					after(function(){
+						expect(times.length).to.equal(2);
+						expect(times[0]).to.be.closeTo(0.5, 0.01);
+						//2 seconds at 120 and 4 seconds at 60
+						expect(times[1]).to.be.closeTo(6.5, 0.01);
+						done();
+					});
+				}, 7);
+			});
+		});
+
+		context("markers", function(){
+
+			afterEach(resetTransport);
+
+			it("can set, get and remove markers", function(){
+				Tone.Transport.setMarker("chorus", "4m");
+				Tone.Transport.setMarker("verse", "1m");
+				expect(Tone.Transport.getMarker("verse")).to.equal(Tone.Transport.PPQ * 4);
+				expect(Tone.Transport.getMarker("chorus")).to.equal(Tone.Transport.PPQ * 16);
+				expect(Tone.Transport.getMarkers()).to.deep.equal([
+					{"name" : "verse", "ticks" : Tone.Transport.PPQ * 4},
+					{"name" : "chorus", "ticks" : Tone.Transport.PPQ * 16}
+				]);
+				Tone.Transport.removeMarker("verse");
+				expect(Tone.Transport.getMarker("verse")).to.be.undefined;
+				Tone.Transport.clearMarkers();
+				expect(Tone.Transport.getMarkers()).to.deep.equal([]);
+			});
+
+			it("replaces a marker with the same name", function(){
+				Tone.Transport.setMarker("verse", "1m");
+				Tone.Transport.setMarker("verse", "2m");
+				expect(Tone.Transport.getMarkers().length).to.equal(1);
+				expect(Tone.Transport.getMarker("verse")).to.equal(Tone.Transport.PPQ * 8);
+			});
+
+			it("is not removed by cancel", function(){
+				Tone.Transport.setMarker("verse", "1m");
+				Tone.Transport.cancel(0);
+				expect(Tone.Transport.getMarker("verse")).to.equal(Tone.Transport.PPQ * 4);
+			});
+
+			it("emits the 'marker' event when playback passes the marker", function(done){
+				Offline(function(output, test, after){
+					Tone.Transport.setMarker("verse", "4n");
+					Tone.Transport.setMarker("chorus", "2n");
+					var names = [];
+					Tone.Transport.on("marker", function(time, name){
+						names.push(name);
+						if (name === "verse"){
+							expect(time).to.be.closeTo(0.5, 0.001);
+						} else {
+							expect(time).to.be.closeTo(1, 0.001);
+						}
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(names).to.deep.equal(["verse", "chorus"]);
+						done();
+					});
+				}, 1.2);
+			});
+
+			it("can jump to a marker", function(){
+				Tone.Transport.setMarker("chorus", "2m");
+				Tone.Transport.jumpTo("chorus");
+				expect(Tone.Transport.ticks).to.equal(Tone.Transport.PPQ * 8);
+				Tone.Transport.ticks = 0;
+			});
+
+			it("throws an error when jumping to a marker which doesn't exist", function(){
+				expect(function(){
+					Tone.Transport.jumpTo("coda");
+				}).to.throw(Error);
+			});
+
+			it("waits for the next bar to jump to a marker with quantize", function(done){
+				Offline(function(output, test, after){
+					Tone.Transport.setMarker("chorus", "8m");
+					var jumped = false;
+					Tone.Transport.schedule(function(){
+						Tone.Transport.jumpTo("chorus", {"quantize" : "1m"});
+					}, "0:1:0");
+					Tone.Transport.schedule(function(){
+						throw new Error("should have jumped before the second bar");
+					}, "1:0:0");
+					Tone.Transport.schedule(function(time){
+						jumped = true;
+						//the first bar takes 2 seconds at 120bpm
+						expect(time).to.be.closeTo(2, 0.001);
+					}, "8:0:0");
+					Tone.Transport.on("marker", function(time, name){
+						expect(name).to.equal("chorus");
+						expect(time).to.be.closeTo(2, 0.001);
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(jumped).to.be.true;
+						done();
+					});
+				}, 2.4);
+			});
+
+			it("quantizes the jump to the bars of the time signature changes", function(done){
+				Offline(function(output, test, after){
+					Tone.Transport.setTimeSignatureAtPosition(3, "1m");
+					Tone.Transport.setMarker("chorus", "8m");
+					Tone.Transport.schedule(function(){
+						Tone.Transport.jumpTo("chorus", {"quantize" : "1m"});
+					}, Tone.Transport.PPQ * 5 + "i");
+					Tone.Transport.on("marker", function(time, name){
+						expect(name).to.equal("chorus");
+						//the 4/4 bar and the 3/4 bar take 3.5 seconds at 120bpm
+						expect(time).to.be.closeTo(3.5, 0.001);
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(Tone.Transport.ticks).to.be.at.least(Tone.Transport.getTicksAtBar(8));
+						done();
+					});
+				}, 3.7);
+			});
+
+			it("can define the loop points with markers", function(done){
+				Offline(function(output, test, after){
+					Tone.Transport.setMarker("verse", "4n");
+					Tone.Transport.setMarker("chorus", "2n");
+					Tone.Transport.setLoopPoints("verse", "chorus");
+					Tone.Transport.loop = true;
+					expect(Tone.Transport.loopStart).to.be.closeTo(0.5, 0.001);
+					expect(Tone.Transport.loopEnd).to.be.closeTo(1, 0.001);
+					var loops = 0;
+					Tone.Transport.on("loop", function(time){
+						loops++;
+						expect(time).to.be.closeTo(loops * 0.5 + 0.5, 0.001);
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(loops).to.equal(2);
+						done();
+					});
+				}, 1.8);
+			});
+		});
+
+		context("punch in/out", function(){
+
+			afterEach(resetTransport);
+
+			it("can get and set the punch points", function(){
+				Tone.Transport.setPunchPoints("1m", "2m");
+				expect(Tone.Transport.punchIn).to.be.closeTo(2, 0.001);
+				expect(Tone.Transport.punchOut).to.be.closeTo(4, 0.001);
+				Tone.Transport.setMarker("verse", "4n");
+				Tone.Transport.punchIn = "verse";
+				expect(Tone.Transport.punchIn).to.be.closeTo(0.5, 0.001);
+			});
+
+			it("emits the 'punchIn' and 'punchOut' events", function(done){
+				Offline(function(output, test, after){
+					var events = [];
+					Tone.Transport.setPunchPoints("4n", "2n");
+					Tone.Transport.punch = true;
+					Tone.Transport.on("punchIn", function(time, ticks){
+						events.push("punchIn");
+						expect(time).to.be.closeTo(0.6, 0.001);
+						expect(ticks).to.equal(Tone.Transport.PPQ);
+					});
+					Tone.Transport.on("punchOut", function(time){
+						events.push("punchOut");
+						expect(time).to.be.closeTo(1.1, 0.001);
+					});
+					Tone.Transport.start(0.1);
+					after(function(){
+						expect(events).to.deep.equal(["punchIn", "punchOut"]);
+						done();
+					});
+				}, 1.5);
+			});
+
+			it("doesn't emit the events when punch is false", function(done){
+				Offline(function(output, test, after){
+					Tone.Transport.setPunchPoints("4n", "2n");
+					Tone.Transport.on("punchIn punchOut", function(){
+						throw new Error("shouldn't punch in");
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						done();
+					});
+				}, 1.2);
+			});
+
+			it("punches out when it's stopped within the punch region", function(done){
+				Offline(function(output, test, after){
+					var punchOut = false;
+					Tone.Transport.setPunchPoints(0, "1m");
+					Tone.Transport.punch = true;
+					Tone.Transport.on("punchOut", function(time){
+						punchOut = true;
+						expect(time).to.be.closeTo(0.5, 0.001);
+					});
+					Tone.Transport.start(0).stop(0.5);
+					after(function(){
+						expect(punchOut).to.be.true;
+						done();
+					});
+				}, 0.8);
+			});
+
+			it("punches out and back in on each loop", function(done){
+				Offline(function(output, test, after){
+					var events = [];
+					Tone.Transport.setLoopPoints(0, "2n");
+					Tone.Transport.loop = true;
+					Tone.Transport.setPunchPoints("4n", "1m");
+					Tone.Transport.punch = true;
+					Tone.Transport.on("punchIn", function(time, ticks){
+						events.push(["punchIn", time, ticks]);
+					});
+					Tone.Transport.on("punchOut", function(time){
+						events.push(["punchOut", time]);
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(events.length).to.equal(4);
+						expect(events[0][0]).to.equal("punchIn");
+						expect(events[0][1]).to.be.closeTo(0.5, 0.001);
+						expect(events[0][2]).to.equal(Tone.Transport.PPQ);
+						//the loop end is the punch out
+						expect(events[1][0]).to.equal("punchOut");
+						expect(events[1][1]).to.be.closeTo(1, 0.001);
+						expect(events[2][0]).to.equal("punchIn");
+						expect(events[2][1]).to.be.closeTo(1.5, 0.001);
+						expect(events[2][2]).to.equal(Tone.Transport.PPQ);
+						expect(events[3][0]).to.equal("punchOut");
+						done();
+					});
+				}, 2.2);
+			});
+
+			it("starts a new take when the loop wraps within the punch region", function(done){
+				Offline(function(output, test, after){
+					var punchIns = [];
+					Tone.Transport.setLoopPoints("4n", "2n");
+					Tone.Transport.loop = true;
+					Tone.Transport.setPunchPoints(0, "1m");
+					Tone.Transport.punch = true;
+					Tone.Transport.on("punchIn", function(time, ticks){
+						punchIns.push([time, ticks]);
+					});
+					Tone.Transport.start(0);
+					after(function(){
+						expect(punchIns.length).to.equal(3);
+						expect(punchIns[0][1]).to.equal(0);
+						expect(punchIns[1][0]).to.be.closeTo(1, 0.001);
+						expect(punchIns[1][1]).to.equal(Tone.Transport.PPQ);
+						expect(punchIns[2][0]).to.be.closeTo(1.5, 0.001);
+						done();
+					});
+				}, 1.7);
+			});
+		});
+
 		context("swing", function(){
 
 			afterEach(resetTransport);
@@ -712,6 +1283,267 @@ function (Test, Transport, Tone, Offline, TransportTime) {
 
 				}, 0.7);
 			});
+
+			it("swings the ticks between the subdivisions along a sine curve", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.swing = 0.5;
+					Tone.Transport.swingSubdivision = "8n";
+					var eightNote = Tone.Transport.toSeconds("8n");
+
+					//the sixteenth note is delayed by sin(PI / 4) of the eighth note's swing
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(eightNote / 2 + Math.sin(Math.PI / 4) * 0.5 * eightNote * 2/3, 0.001);
+					}, "16n");
+
+					//the off-beat is delayed by the full amount
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(eightNote + 0.5 * eightNote * 2/3, 0.001);
+					}, "8n");
+
+					Tone.Transport.start(0).stop(0.7);
+
+					after(function(){
+						Tone.Transport.swing = 0;
+						done();
+					});
+
+				}, 0.7);
+			});
+
+			it("swings relative to the beginning of each beat", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.timeSignature = [[3, 2, 2], 8];
+					Tone.Transport.swing = 1;
+					Tone.Transport.swingSubdivision = "8n";
+					var eightNote = Tone.Transport.toSeconds("8n");
+
+					//the beginning of the second beat is not swung
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(eightNote * 3, 0.001);
+					}, "0:1:0");
+
+					//the eighth note after it is
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(eightNote * (4 + 2/3), 0.001);
+					}, "0:1:2");
+
+					Tone.Transport.start(0).stop(1.2);
+
+					after(function(){
+						Tone.Transport.swing = 0;
+						Tone.Transport.timeSignature = 4;
+						done();
+					});
+
+				}, 1.2);
+			});
+		});
+
+		context("groove", function(){
+
+			afterEach(resetTransport);
+
+			it("has no groove by default", function(){
+				expect(Tone.Transport.groove).to.be.null;
+			});
+
+			it("offsets the events by the groove's timing", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.groove = new Tone.Groove("16n", [0, 0.5, 0, -0.25]);
+					var sixteenth = Tone.Transport.toSeconds("16n");
+
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(sixteenth * 1.5, 0.001);
+					}, "16n");
+
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(sixteenth * 2, 0.001);
+					}, "8n");
+
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(sixteenth * 2.75, 0.001);
+					}, "0:0:3");
+
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(sixteenth * 5.5, 0.001);
+					}, "0:1:1");
+
+					Tone.Transport.start(0).stop(0.7);
+
+					after(function(){
+						Tone.Transport.groove = null;
+						done();
+					});
+
+				}, 0.7);
+			});
+
+			it("does not shift the loop or the tempo changes", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.groove = new Tone.Groove("8n", [0, 0.5]);
+					Tone.Transport.setTempoAtPosition(60, "8n");
+					Tone.Transport.setLoopPoints(0, "0:0:3");
+					Tone.Transport.loop = true;
+					var eighth = Tone.Transport.toSeconds("8n");
+
+					Tone.Transport.on("loop", function(time){
+						expect(time).is.closeTo(eighth * 2, 0.001);
+						expect(Tone.Transport.bpm.getValueAtTime(eighth * 1.25)).is.closeTo(Tone.Transport._fromUnits(60), 0.001);
+					});
+
+					Tone.Transport.start(0).stop(0.7);
+
+					after(function(){
+						Tone.Transport.groove = null;
+						done();
+					});
+
+				}, 0.7);
+			});
+
+			it("passes the groove's velocity into the callback", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.groove = new Tone.Groove("8n", [0], [1, 0.5]);
+					var velocities = [];
+
+					Tone.Transport.scheduleRepeat(function(time, velocity){
+						velocities.push(velocity);
+					}, "8n", 0);
+
+					Tone.Transport.start(0).stop(0.9);
+
+					after(function(){
+						expect(velocities).to.deep.equal([1, 0.5, 1, 0.5]);
+						Tone.Transport.groove = null;
+						done();
+					});
+
+				}, 0.9);
+			});
+
+			it("repeats a groove longer than a beat on every bar", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.timeSignature = 3;
+					Tone.Transport.groove = new Tone.Groove("4n", [0, 0, 0, 0.5]);
+					var quarter = Tone.Transport.toSeconds("4n");
+
+					//the second bar begins on the first step
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(quarter * 3, 0.001);
+					}, "1m");
+
+					Tone.Transport.start(0).stop(1.7);
+
+					after(function(){
+						Tone.Transport.groove = null;
+						done();
+					});
+
+				}, 1.7);
+			});
+
+			it("is used instead of the swing", function(done){
+				Offline(function(output, test, after){
+
+					Tone.Transport.swing = 1;
+					Tone.Transport.groove = new Tone.Groove("8n");
+					var eightNote = Tone.Transport.toSeconds("8n");
+
+					Tone.Transport.schedule(function(time){
+						expect(time).is.closeTo(eightNote, 0.001);
+					}, "8n");
+
+					Tone.Transport.start(0).stop(0.4);
+
+					after(function(){
+						Tone.Transport.swing = 0;
+						Tone.Transport.groove = null;
+						done();
+					});
+
+				}, 0.4);
+			});
+		});
+
+		context("multiple transports", function(){
+
+			afterEach(resetTransport);
+
+			it ("can create a new transport", function(){
+				var transport = new Tone.Transport({
+					"bpm" : 90,
+					"timeSignature" : 3
+				});
+				expect(transport).to.be.instanceOf(Tone.Transport);
+				expect(transport).to.not.equal(Tone.context.Transport);
+				expect(transport.bpm.value).to.be.closeTo(90, 0.001);
+				expect(transport.timeSignature).to.equal(3);
+				expect(transport.state).to.equal("stopped");
+				transport.dispose();
+			});
+
+			it ("has its own tempo, loop and swing", function(){
+				var transport = new Tone.Transport(60);
+				transport.loop = true;
+				transport.swing = 0.5;
+				transport.setLoopPoints(0, "1m");
+				expect(transport.bpm.value).to.be.closeTo(60, 0.001);
+				expect(transport.loopEnd).to.be.closeTo(4, 0.001);
+				expect(transport.toSeconds("4n")).to.be.closeTo(1, 0.001);
+				expect(Tone.Transport.bpm.value).to.be.closeTo(120, 0.001);
+				expect(Tone.Transport.loop).to.be.false;
+				expect(Tone.Transport.swing).to.equal(0);
+				expect(Tone.Transport.toSeconds("4n")).to.be.closeTo(0.5, 0.001);
+				transport.dispose();
+			});
+
+			it ("invokes its events at its own tempo", function(done){
+				var globalTimes = [];
+				var times = [];
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport(60);
+					transport.scheduleRepeat(function(time){
+						times.push(time);
+					}, "4n", 0);
+					Tone.Transport.scheduleRepeat(function(time){
+						globalTimes.push(time);
+					}, "4n", 0);
+					transport.start(0);
+					Tone.Transport.start(0);
+					after(function(){
+						expect(times.length).to.equal(2);
+						expect(times[1]).to.be.closeTo(1, 0.01);
+						expect(globalTimes.length).to.equal(3);
+						expect(globalTimes[2]).to.be.closeTo(1, 0.01);
+						transport.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("can be started and stopped independently", function(done){
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport();
+					var invoked = false;
+					transport.schedule(function(){
+						invoked = true;
+					}, 0);
+					Tone.Transport.start(0);
+					after(function(){
+						expect(invoked).to.be.false;
+						expect(transport.state).to.equal("stopped");
+						expect(Tone.Transport.state).to.equal("started");
+						transport.dispose();
+						done();
+					});
+				}, 0.3);
+			});
 		});
 
 		context("latencyHint", function(){
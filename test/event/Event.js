@@ -52,6 +52,59 @@ define(["helper/Basic", "Tone/event/Event", "Tone/core/Tone", "Tone/core/Transpo
 			});
 		});
 
+		context("Transport", function(){
+
+			afterEach(resetTransport);
+
+			it ("uses the global Transport by default", function(){
+				var note = new Event();
+				expect(note.transport).to.equal(Tone.context.Transport);
+				note.dispose();
+			});
+
+			it ("can be scheduled on another Transport", function(done){
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport(60);
+					var times = [];
+					var note = new Event({
+						"transport" : transport,
+						"loop" : true,
+						"loopEnd" : "4n",
+						"callback" : function(time){
+							times.push(time);
+						}
+					}).start(0);
+					expect(note.transport).to.equal(transport);
+					transport.start(0);
+					after(function(){
+						expect(times.length).to.equal(2);
+						expect(times[1]).to.be.closeTo(1, 0.01);
+						note.dispose();
+						transport.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+
+			it ("is not invoked by the global Transport", function(done){
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport();
+					var note = new Event({
+						"transport" : transport,
+						"callback" : function(){
+							throw new Error("shouldn't be invoked");
+						}
+					}).start(0);
+					Tone.Transport.start(0);
+					after(function(){
+						note.dispose();
+						transport.dispose();
+						done();
+					});
+				}, 0.3);
+			});
+		});
+
 		context("Get/Set", function(){
 
 			afterEach(resetTransport);
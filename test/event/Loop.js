@@ -49,6 +49,34 @@ define(["helper/Basic", "Tone/event/Loop", "Tone/core/Tone",
 			});
 		});
 
+		context("Transport", function(){
+
+			afterEach(resetTransport);
+
+			it ("loops at the tempo of the given Transport", function(done){
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport(60);
+					var times = [];
+					var loop = new Loop({
+						"transport" : transport,
+						"interval" : "4n",
+						"callback" : function(time){
+							times.push(time);
+						}
+					}).start(0);
+					expect(loop.transport).to.equal(transport);
+					transport.start(0);
+					after(function(){
+						expect(times.length).to.equal(2);
+						expect(times[1]).to.be.closeTo(1, 0.01);
+						loop.dispose();
+						transport.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+		});
+
 		context("Get/Set", function(){
 
 			afterEach(resetTransport);
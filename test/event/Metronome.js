@@ -0,0 +1,218 @@
+define(["helper/Basic", "Tone/event/Metronome", "Tone/core/Tone", "Tone/core/Transport",
+	"helper/Offline2", "Tone/instrument/Synth", "Tone/core/Buffer", "Tone/component/Volume"],
+function (Basic, Metronome, Tone, Transport, Offline, Synth, Buffer, Volume) {
+
+	describe("Metronome", function(){
+
+		Basic(Metronome);
+
+		function resetTransport(done){
+			Tone.Transport.cancel(0);
+			Tone.Transport.off("start stop pause loop countIn");
+			Tone.Transport.stop();
+			Tone.Transport.loop = false;
+			Tone.Transport.countIn = 0;
+			Tone.Transport.bpm.value = 120;
+			Tone.Transport.timeSignature = [4, 4];
+			setTimeout(done, 200);
+		}
+
+		//a synth which records the clicks instead of playing them
+		function recordClicks(clicks){
+			var synth = new Synth();
+			synth.triggerAttackRelease = function(note, duration, time, velocity){
+				clicks.push({
+					"note" : note,
+					"time" : time,
+					"velocity" : velocity
+				});
+			};
+			return synth;
+		}
+
+		context("Constructor", function(){
+
+			afterEach(resetTransport);
+
+			it ("can be constructed with no arguments", function(){
+				var metronome = new Metronome();
+				expect(metronome.mute).to.be.false;
+				expect(metronome.velocity).to.equal(0.6);
+				metronome.dispose();
+			});
+
+			it ("has its own output with a volume", function(){
+				var metronome = new Metronome({
+					"volume" : -6
+				});
+				expect(metronome.output).to.be.instanceOf(Volume);
+				expect(metronome.volume.value).to.be.closeTo(-6, 0.1);
+				metronome.mute = true;
+				expect(metronome.mute).to.be.true;
+				metronome.dispose();
+			});
+
+			it ("can be constructed with an instrument", function(){
+				var synth = new Synth();
+				var metronome = new Metronome(synth);
+				metronome.dispose();
+				//the instrument is not disposed with the metronome
+				expect(synth.envelope).to.not.be.null;
+				synth.dispose();
+			});
+
+			it ("can be constructed with a buffer", function(){
+				var loaded = false;
+				var buffer = Tone.context.createBuffer(1, 100, Tone.context.sampleRate);
+				var metronome = new Metronome({
+					"click" : buffer,
+					"onload" : function(){
+						loaded = true;
+					}
+				});
+				expect(loaded).to.be.true;
+				metronome.dispose();
+			});
+		});
+
+		context("Clicks", function(){
+
+			afterEach(resetTransport);
+
+			it ("clicks on every beat and accents the first beat of the bar", function(done){
+				var clicks = [];
+				Offline(function(output, test, after){
+					var synth = recordClicks(clicks);
+					var metronome = new Metronome(synth);
+					Tone.Transport.start(0);
+					after(function(){
+						expect(clicks.length).to.equal(5);
+						clicks.forEach(function(click, i){
+							expect(click.time).to.be.closeTo(i * 0.5, 0.01);
+							if (i % 4 === 0){
+								expect(click.note).to.equal(metronome.accentNote);
+								expect(click.velocity).to.equal(1);
+							} else {
+								expect(click.note).to.equal(metronome.note);
+								expect(click.velocity).to.equal(metronome.velocity);
+							}
+						});
+						metronome.dispose();
+						synth.dispose();
+						done();
+					});
+				}, 2.2);
+			});
+
+			it ("follows the grouping of the time signature", function(done){
+				var clicks = [];
+				Offline(function(output, test, after){
+					Tone.Transport.timeSignature = [[2, 2, 3], 8];
+					var synth = recordClicks(clicks);
+					var metronome = new Metronome(synth);
+					Tone.Transport.start(0);
+					after(function(){
+						var times = clicks.map(function(click){
+							return click.time;
+						});
+						expect(times.length).to.equal(4);
+						expect(times[0]).to.be.closeTo(0, 0.01);
+						expect(times[1]).to.be.closeTo(0.5, 0.01);
+						expect(times[2]).to.be.closeTo(1, 0.01);
+						expect(times[3]).to.be.closeTo(1.75, 0.01);
+						expect(clicks[3].velocity).to.equal(1);
+						metronome.dispose();
+						synth.dispose();
+						done();
+					});
+				}, 2);
+			});
+
+			it ("does not click when it's disposed", function(done){
+				Offline(function(output, test, after){
+					var synth = new Synth();
+					synth.triggerAttackRelease = function(){
+						throw new Error("shouldn't click");
+					};
+					var metronome = new Metronome(synth);
+					metronome.dispose();
+					Tone.Transport.start(0);
+					after(function(){
+						synth.dispose();
+						done();
+					});
+				}, 0.6);
+			});
+		});
+
+		context("Count-in", function(){
+
+			afterEach(resetTransport);
+
+			it ("delays the start of the Transport by the count-in", function(done){
+				var countIn = [];
+				Offline(function(output, test, after){
+					Tone.Transport.countIn = 1;
+					Tone.Transport.on("countIn", function(time, beat){
+						countIn.push([time, beat]);
+					});
+					var invoked = false;
+					Tone.Transport.schedule(function(time){
+						invoked = true;
+						expect(time).to.be.closeTo(2, 0.01);
+					}, 0);
+					Tone.Transport.start(0);
+					after(function(){
+						expect(invoked).to.be.true;
+						expect(countIn.length).to.equal(4);
+						countIn.forEach(function(beat, i){
+							expect(beat[0]).to.be.closeTo(i * 0.5, 0.001);
+							expect(beat[1]).to.equal(i);
+						});
+						done();
+					});
+				}, 2.2);
+			});
+
+			it ("clicks during the count-in", function(done){
+				var clicks = [];
+				Offline(function(output, test, after){
+					Tone.Transport.countIn = 2;
+					Tone.Transport.timeSignature = 3;
+					var synth = recordClicks(clicks);
+					var metronome = new Metronome(synth);
+					Tone.Transport.start(0);
+					after(function(){
+						//6 count-in clicks and the first beat
+						expect(clicks.length).to.equal(7);
+						clicks.forEach(function(click, i){
+							expect(click.time).to.be.closeTo(i * 0.5, 0.01);
+							expect(click.velocity === 1).to.equal(i % 3 === 0);
+						});
+						metronome.dispose();
+						synth.dispose();
+						done();
+					});
+				}, 3.2);
+			});
+
+			it ("counts in with the tempo of the start position", function(done){
+				var countIn = [];
+				Offline(function(output, test, after){
+					Tone.Transport.countIn = 1;
+					Tone.Transport.bpm.value = 60;
+					Tone.Transport.on("countIn", function(time){
+						countIn.push(time);
+					});
+					Tone.Transport.start(0.1);
+					after(function(){
+						expect(countIn.length).to.equal(4);
+						expect(countIn[3]).to.be.closeTo(3.1, 0.001);
+						expect(Tone.Transport.state).to.equal("started");
+						done();
+					});
+				}, 4.2);
+			});
+		});
+	});
+});
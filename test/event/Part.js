@@ -1,6 +1,6 @@
 define(["helper/Basic", "Tone/event/Part", "Tone/core/Tone", 
-	"Tone/core/Transport", "Tone/event/Event", "helper/Offline2"], 
-	function (Basic, Part, Tone, Transport, Event, Offline) {
+	"Tone/core/Transport", "Tone/event/Event", "helper/Offline2", "Tone/core/Groove"], 
+	function (Basic, Part, Tone, Transport, Event, Offline, Groove) {
 
 	describe("Part", function(){
 
@@ -54,6 +54,36 @@ define(["helper/Basic", "Tone/event/Part", "Tone/core/Tone",
 			});
 		});
 
+		context("Transport", function(){
+
+			afterEach(resetTransport);
+
+			it ("schedules its events on the given Transport", function(done){
+				Offline(function(output, test, after){
+					var transport = new Tone.Transport(60);
+					var times = [];
+					var part = new Part({
+						"transport" : transport,
+						"events" : [0, "4n"],
+						"callback" : function(time){
+							times.push(time);
+						}
+					}).start(0);
+					part.at("8n", 2);
+					transport.start(0);
+					after(function(){
+						expect(times.length).to.equal(3);
+						expect(times[0]).to.be.closeTo(0, 0.01);
+						expect(times[1]).to.be.closeTo(0.5, 0.01);
+						expect(times[2]).to.be.closeTo(1, 0.01);
+						part.dispose();
+						transport.dispose();
+						done();
+					});
+				}, 1.2);
+			});
+		});
+
 		context("Adding / Removing / Getting Events", function(){
 
 			it("can take events in the constructor as an array of times", function(){
@@ -672,6 +702,100 @@ define(["helper/Basic", "Tone/event/Part", "Tone/core/Tone",
 
 		});
 
+		context("Groove", function(){
+
+			afterEach(resetTransport);
+
+			it ("can get and set the groove", function(){
+				var groove = new Groove("16n", [0, 0.3]);
+				var part = new Part({
+					"events" : [0, "16n"],
+					"groove" : groove
+				});
+				expect(part.groove).to.equal(groove);
+				part.groove = null;
+				expect(part.groove).to.be.null;
+				part.dispose();
+				groove.dispose();
+			});
+
+			it ("offsets the events by the groove's timing and passes in the velocity", function(done){
+				Offline(function(output, test, after){
+
+					var sixteenth = Tone.Transport.toSeconds("16n");
+					var groove = new Groove("16n", [0, 0.5], [1, 0.25]);
+					var invocations = 0;
+					var part = new Part(function(time, value, velocity){
+						invocations++;
+						if (value === "A"){
+							expect(time).to.be.closeTo(0.1, 0.001);
+							expect(velocity).to.equal(1);
+						} else if (value === "B"){
+							expect(time).to.be.closeTo(0.1 + sixteenth * 1.5, 0.001);
+							expect(velocity).to.equal(0.25);
+						}
+					}, [[0, "A"], ["16n", "B"]]).start(0);
+					part.groove = groove;
+					Tone.Transport.start(0.1);
+
+					after(function(){
+						expect(invocations).to.equal(2);
+						part.dispose();
+						groove.dispose();
+						done();
+					});
+				}, 0.4);
+			});
+
+			it ("applies the groove to events which are added after it's set", function(done){
+				Offline(function(output, test, after){
+
+					var sixteenth = Tone.Transport.toSeconds("16n");
+					var groove = new Groove("16n", [0, -0.5]);
+					var invoked = false;
+					var part = new Part({
+						"groove" : groove,
+						"callback" : function(time){
+							invoked = true;
+							expect(time).to.be.closeTo(sixteenth * 0.5, 0.001);
+						}
+					}).start(0);
+					part.add("16n");
+					Tone.Transport.start(0);
+
+					after(function(){
+						expect(invoked).to.be.true;
+						part.dispose();
+						groove.dispose();
+						done();
+					});
+				}, 0.3);
+			});
+
+			it ("can extract a groove from the events", function(){
+				var part = new Part({
+					"loopEnd" : "4n",
+					"events" : [
+						{"time" : 0, "velocity" : 1},
+						{"time" : "0:0:1.25", "velocity" : 0.6},
+						{"time" : "0:1:0", "velocity" : 0.8},
+						{"time" : "0:0:3"}
+					]
+				});
+				var groove = part.extractGroove("16n");
+				expect(groove.subdivision).to.equal("16n");
+				expect(groove.steps).to.equal(4);
+				expect(groove.timing).to.deep.equal([0, 0.25, 0, 0]);
+				expect(groove.velocity[0]).to.be.closeTo(0.9, 0.001);
+				expect(groove.velocity[1]).to.be.closeTo(0.6, 0.001);
+				expect(groove.velocity[2]).to.equal(1);
+				expect(groove.velocity[3]).to.equal(1);
+				expect(part.extractGroove("8n", 2).steps).to.equal(2);
+				part.dispose();
+				groove.dispose();
+			});
+		});
+
 		context("playbackRate", function(){
 
 			afterEach(resetTransport);
@@ -0,0 +1,224 @@
+define(["helper/Basic", "Tone/event/TapTempo", "Tone/core/Tone", "Tone/core/Transport", "helper/Offline2"],
+function (Basic, TapTempo, Tone, Transport, Offline) {
+
+	describe("TapTempo", function(){
+
+		Basic(TapTempo);
+
+		function resetTransport(done){
+			Tone.Transport.cancel(0);
+			Tone.Transport.off("start stop pause loop");
+			Tone.Transport.stop();
+			Tone.Transport.loop = false;
+			Tone.Transport.bpm.value = 120;
+			Tone.Transport.clearTempoMap();
+			setTimeout(done, 200);
+		}
+
+		//tap at each of the times
+		function tapAt(tapTempo, times){
+			times.forEach(function(time){
+				tapTempo.tap(time);
+			});
+		}
+
+		context("Estimate", function(){
+
+			it ("can be constructed with an options object", function(){
+				var tapTempo = new TapTempo({
+					"window" : 8,
+					"timeout" : 1,
+					"tolerance" : 0.1
+				});
+				expect(tapTempo.window).to.equal(8);
+				expect(tapTempo.timeout).to.equal(1);
+				expect(tapTempo.tolerance).to.equal(0.1);
+				expect(tapTempo.bpm).to.equal(0);
+				expect(tapTempo.confidence).to.equal(0);
+				tapTempo.dispose();
+			});
+
+			it ("estimates the tempo of the taps", function(){
+				var tapTempo = new TapTempo();
+				tapAt(tapTempo, [1, 1.5, 2, 2.5, 3]);
+				expect(tapTempo.bpm).to.be.closeTo(120, 0.001);
+				expect(tapTempo.confidence).to.be.closeTo(1, 0.001);
+				tapTempo.dispose();
+			});
+
+			it ("emits a tempo event with the confidence", function(){
+				var tapTempo = new TapTempo();
+				var events = [];
+				tapTempo.on("tempo", function(bpm, confidence){
+					events.push([bpm, confidence]);
+				});
+				tapAt(tapTempo, [1, 2, 3]);
+				//no estimate after the first tap
+				expect(events.length).to.equal(2);
+				expect(events[0][0]).to.be.closeTo(60, 0.001);
+				//the confidence grows as the window fills
+				expect(events[1][1]).to.be.above(events[0][1]);
+				tapTempo.dispose();
+			});
+
+			it ("averages the intervals within the window", function(){
+				var tapTempo = new TapTempo(2);
+				tapAt(tapTempo, [0, 1, 2, 2.5, 3]);
+				expect(tapTempo.bpm).to.be.closeTo(120, 0.001);
+				tapTempo.dispose();
+			});
+
+			it ("rejects outliers", function(){
+				var tapTempo = new TapTempo();
+				//a missed tap at 2
+				tapAt(tapTempo, [0, 0.5, 1, 1.5, 2.5]);
+				expect(tapTempo.bpm).to.be.closeTo(120, 0.001);
+				expect(tapTempo.confidence).to.be.below(1);
+				tapTempo.dispose();
+			});
+
+			it ("lowers the confidence of unsteady taps", function(){
+				var steady = new TapTempo();
+				var unsteady = new TapTempo();
+				tapAt(steady, [0, 0.5, 1, 1.5, 2]);
+				tapAt(unsteady, [0, 0.46, 1, 1.46, 2]);
+				expect(unsteady.bpm).to.be.closeTo(120, 0.01);
+				expect(unsteady.confidence).to.be.below(steady.confidence);
+				steady.dispose();
+				unsteady.dispose();
+			});
+
+			it ("falls back to the median without a tolerance", function(){
+				var tapTempo = new TapTempo({
+					"tolerance" : 0
+				});
+				var events = [];
+				tapTempo.on("tempo", function(bpm){
+					events.push(bpm);
+				});
+				//the median of the two intervals matches neither of them
+				tapAt(tapTempo, [0, 0.5, 1.5]);
+				expect(tapTempo.bpm).to.be.closeTo(80, 0.001);
+				events.forEach(function(bpm){
+					expect(isFinite(bpm)).to.be.true;
+				});
+				tapTempo.dispose();
+			});
+
+			it ("starts a new estimate after the timeout", function(){
+				var tapTempo = new TapTempo({
+					"timeout" : 1.5
+				});
+				tapAt(tapTempo, [0, 1, 2]);
+				expect(tapTempo.bpm).to.be.closeTo(60, 0.001);
+				tapAt(tapTempo, [4, 4.5]);
+				expect(tapTempo.bpm).to.be.closeTo(120, 0.001);
+				tapTempo.dispose();
+			});
+
+			it ("can be reset", function(){
+				var tapTempo = new TapTempo();
+				tapAt(tapTempo, [0, 0.5, 1]);
+				tapTempo.reset();
+				expect(tapTempo.bpm).to.equal(0);
+				expect(tapTempo.confidence).to.equal(0);
+				tapAt(tapTempo, [1.2, 2.2]);
+				expect(tapTempo.bpm).to.be.closeTo(60, 0.001);
+				tapTempo.dispose();
+			});
+		});
+
+		context("Sync", function(){
+
+			afterEach(resetTransport);
+
+			it ("doesn't change the tempo of the Transport when it's not synced", function(){
+				var tapTempo = new TapTempo();
+				tapAt(tapTempo, [0, 1, 2, 3, 4]);
+				expect(Tone.Transport.bpm.value).to.be.closeTo(120, 0.01);
+				tapTempo.dispose();
+			});
+
+			it ("ramps the Transport to the tempo at the next downbeat", function(done){
+				Offline(function(output, test, after){
+					var tapTempo = new TapTempo({
+						"rampTime" : 0.5
+					}).sync();
+					Tone.Transport.start(0);
+					test(function(sample, time){
+						if (time < 2){
+							expect(Tone.Transport.bpm.value).to.be.closeTo(120, 0.01);
+						} else if (time > 2.5 && time < 2.9){
+							expect(Tone.Transport.bpm.value).to.be.closeTo(90, 0.01);
+						}
+						if (time >= 0.4 && tapTempo.bpm === 0){
+							var interval = 60 / 90;
+							tapAt(tapTempo, [0, interval, 2 * interval, 3 * interval, 4 * interval].map(function(t){
+								return time - 4 * interval + t;
+							}));
+						}
+					});
+					after(function(){
+						expect(tapTempo.confidence).to.be.closeTo(1, 0.01);
+						tapTempo.dispose();
+						done();
+					});
+				}, 2.9);
+			});
+
+			it ("ramps at the downbeat of the bars of the time signature changes", function(done){
+				Offline(function(output, test, after){
+					var tapTempo = new TapTempo({
+						"rampTime" : 0.1
+					}).sync();
+					//the 3/4 bar after the first bar ends at 3.5 seconds
+					Tone.Transport.setTimeSignatureAtPosition(3, "1m");
+					Tone.Transport.start(0);
+					test(function(sample, time){
+						if (time < 3.5){
+							expect(Tone.Transport.bpm.value).to.be.closeTo(120, 0.01);
+						} else if (time > 3.6){
+							expect(Tone.Transport.bpm.value).to.be.closeTo(90, 0.01);
+						}
+						if (time >= 2.2 && tapTempo.bpm === 0){
+							var interval = 60 / 90;
+							tapAt(tapTempo, [0, interval, 2 * interval, 3 * interval, 4 * interval].map(function(t){
+								return time - 4 * interval + t;
+							}));
+						}
+					});
+					after(function(){
+						tapTempo.dispose();
+						done();
+					});
+				}, 3.8);
+			});
+
+			it ("doesn't ramp to estimates below the threshold", function(){
+				var tapTempo = new TapTempo({
+					"threshold" : 1,
+					"rampTime" : 0
+				}).sync();
+				tapAt(tapTempo, [0, 1]);
+				expect(tapTempo.confidence).to.be.below(1);
+				expect(Tone.Transport.bpm.value).to.be.closeTo(120, 0.01);
+				tapTempo.dispose();
+			});
+
+			it ("can ramp another Transport", function(){
+				var transport = new Tone.Transport();
+				var tapTempo = new TapTempo({
+					"transport" : transport,
+					"rampTime" : 0
+				}).sync();
+				tapAt(tapTempo, [0, 1, 2, 3, 4].map(function(t){
+					return tapTempo.now() - 4 + t;
+				}));
+				expect(transport.bpm.getValueAtTime(tapTempo.now() + 0.1)).to.be.closeTo(transport._fromUnits(60), 0.01);
+				expect(Tone.Transport.bpm.value).to.be.closeTo(120, 0.01);
+				tapTempo.dispose();
+				transport.dispose();
+			});
+		});
+	});
+});
@@ -1,4 +1,4 @@
-define(["Tone/core/Tone", "Tone/core/Clock"], function (Tone, Clock) {
+define(["Tone/core/Tone", "Tone/core/OfflineContext"], function (Tone, OfflineContext) {
 
 	//hold onto the current context
 	var onlineContext = Tone.context;
@@ -15,28 +15,13 @@ define(["Tone/core/Tone", "Tone/core/Clock"], function (Tone, Clock) {
 		this._after = Tone.noOp;
 		this._test = Tone.noOp;
 
-		this._currentTime = 0;
 		channels = channels || 1;
 		duration = Math.floor(duration * sampleRate);
 		//offline rendering context
-		this.context = new OfflineAudioContext(channels, duration, sampleRate);
-
-		var oldNowFunc = Tone.prototype.now;
-
-		var originalTargetLookAhead = Tone.Clock._lookAhead;
-		var originalUpdateInterval = Tone.Clock._updateInterval;
-		Tone.Clock._lookAhead = 1 / sampleRate;
-		Tone.Clock._updateInterval = 1 / sampleRate;
-
-		Tone.prototype.now = function(){
-			return this._currentTime;
-		}.bind(this);
-
-		Tone.now = function(){
-			return this._currentTime;
-		}.bind(this);
-
-		var event = new Event("message");
+		this.context = new OfflineContext(channels, duration / sampleRate, sampleRate);
+		//tick every sample
+		this.context.lookAhead = 1 / sampleRate;
+		this.context._ticker.updateInterval = 1 / sampleRate;
 
 		this.context.oncomplete = function(e){
 
@@ -53,19 +38,14 @@ define(["Tone/core/Tone", "Tone/core/Clock"], function (Tone, Clock) {
 					ret = ret[0];
 				}
 				try {
-					Clock._worker.dispatchEvent(event);
-					this._currentTime = i / sampleRate;
+					this.context.emit("tick");
+					this.context._currentTime = i / sampleRate;
 					this._test(ret, i / sampleRate);
 				} catch (err){
 					error = err;
 				}
 			}
 			this._after();
-			Tone.Clock._lookAhead = originalTargetLookAhead;
-			Tone.Clock._updateInterval = originalUpdateInterval;
-			//return the old 'now' method
-			Tone.now = oldNowFunc;
-			Tone.prototype.now = oldNowFunc;
 			//reset the old context
 			Tone.setContext(onlineContext);
 			//throw an error if there was one
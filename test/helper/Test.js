@@ -1,6 +1,6 @@
 /* global mocha*/
 
-define(["Tone/core/Tone", "deps/chai"], function (Tone, chai) {
+define(["Tone/core/Tone", "deps/chai", "Tone/core/Context"], function (Tone, chai) {
 
 	//add a chai test
 	chai.Assertion.addMethod("percentageFrom", function(val, percent){
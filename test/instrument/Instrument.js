@@ -1,4 +1,4 @@
-define(["Tone/instrument/Instrument", "helper/Basic"], function (Instrument, Basic) {
+define(["Tone/instrument/Instrument", "helper/Basic", "Tone/type/Tuning"], function (Instrument, Basic, Tuning) {
 
 	describe("Instrument", function(){
 
@@ -22,6 +22,28 @@ define(["Tone/instrument/Instrument", "helper/Basic"], function (Instrument, Bas
 				expect(instr.get().volume).to.be.closeTo(2, 0.1);
 			});
 
+			it ("converts the notes with its tuning", function(){
+				var instr = new Instrument({
+					"tuning" : Tuning.edo(24)
+				});
+				expect(instr.toFrequency("A#4")).to.be.closeTo(440 * Math.pow(2, 1 / 24), 0.0001);
+				expect(instr.toFrequency(300)).to.equal(300);
+				instr.tuning = null;
+				expect(instr.toFrequency("A#4")).to.be.closeTo(466.1638, 0.0001);
+				instr.dispose();
+			});
+
+			it ("converts the velocities with its velocity curve", function(){
+				var instr = new Instrument();
+				expect(instr.velocityCurve).to.equal("linear");
+				expect(instr.toVelocity(0.5)).to.equal(0.5);
+				expect(instr.toVelocity()).to.equal(1);
+				expect(instr.toVelocity("mf")).to.be.closeTo(80 / 127, 0.0001);
+				instr.velocityCurve = "exponential";
+				expect(instr.toVelocity(0.5)).to.be.closeTo(0.1, 0.001);
+				instr.dispose();
+			});
+
 		});
 	});
 });
\ No newline at end of file
@@ -1,6 +1,6 @@
 define(["Tone/instrument/PolySynth", "helper/Basic", "helper/InstrumentTests", "helper/OutputAudioStereo", 
-	"helper/Meter", "Tone/instrument/Instrument", "Test", "helper/OutputAudio", "Tone/instrument/MonoSynth"], 
-function (PolySynth, Basic, InstrumentTests, OutputAudioStereo, Meter, Instrument, Test, OutputAudio, MonoSynth) {
+	"helper/Meter", "Tone/instrument/Instrument", "Test", "helper/OutputAudio", "Tone/instrument/MonoSynth", "Tone/type/Tuning"], 
+function (PolySynth, Basic, InstrumentTests, OutputAudioStereo, Meter, Instrument, Test, OutputAudio, MonoSynth, Tuning) {
 
 	describe("PolySynth", function(){
 
@@ -96,6 +96,60 @@ function (PolySynth, Basic, InstrumentTests, OutputAudioStereo, Meter, Instrumen
 				polySynth.dispose();
 			});
 
+			it ("plays the notes in its tuning", function(){
+				var polySynth = new PolySynth({
+					"polyphony" : 2,
+					"tuning" : Tuning.edo(24)
+				});
+				var notes = [];
+				polySynth.voices.forEach(function(voice){
+					voice.triggerAttack = function(note){
+						notes.push(note);
+					};
+				});
+				polySynth.triggerAttack(["A4", "A#4"]);
+				expect(notes[0]).to.be.closeTo(440, 0.0001);
+				expect(notes[1]).to.be.closeTo(440 * Math.pow(2, 1 / 24), 0.0001);
+				//the notes are released by their name
+				polySynth.triggerRelease("A#4");
+				expect(polySynth._triggers[1].release).to.not.equal(Infinity);
+				polySynth.dispose();
+			});
+
+			it ("maps the velocity with its velocity curve", function(){
+				var polySynth = new PolySynth({
+					"polyphony" : 2,
+					"velocityCurve" : function(velocity){
+						return velocity / 2;
+					}
+				});
+				var velocities = [];
+				polySynth.voices.forEach(function(voice){
+					voice.envelope.triggerAttack = function(time, velocity){
+						velocities.push(velocity);
+					};
+				});
+				polySynth.triggerAttack(["A4", "C5"], "+0.1", "fff");
+				expect(velocities).to.deep.equal([0.5, 0.5]);
+				polySynth.dispose();
+			});
+
+			it ("applies the velocity curve only once", function(){
+				var polySynth = new PolySynth(2);
+				polySynth.velocityCurve = "exponential";
+				expect(polySynth.velocityCurve).to.equal("exponential");
+				var velocities = [];
+				polySynth.voices.forEach(function(voice){
+					expect(voice.velocityCurve).to.equal("exponential");
+					voice.envelope.triggerAttack = function(time, velocity){
+						velocities.push(velocity);
+					};
+				});
+				polySynth.triggerAttack("A4", "+0.1", 0.5);
+				expect(velocities[0]).to.be.closeTo(0.1, 0.001);
+				polySynth.dispose();
+			});
+
 			it ("can be set the detune", function(){
 				var polySynth = new PolySynth();
 				polySynth.detune.value = -1200;
@@ -1,5 +1,5 @@
-define(["Tone/instrument/Synth", "helper/Basic", "helper/InstrumentTests", "helper/APITest"], 
-	function (Synth, Basic, InstrumentTest, APITest) {
+define(["Tone/instrument/Synth", "helper/Basic", "helper/InstrumentTests", "helper/APITest", "Tone/type/Tuning"], 
+	function (Synth, Basic, InstrumentTest, APITest, Tuning) {
 
 	describe("Synth", function(){
 
@@ -8,6 +8,37 @@ define(["Tone/instrument/Synth", "helper/Basic", "helper/InstrumentTests", "help
 
 		context("API", function(){
 
+			it ("plays the notes in its tuning", function(){
+				var synth = new Synth({
+					"tuning" : Tuning.edo(24)
+				});
+				var frequencies = [];
+				synth.frequency.setValueAtTime = function(value){
+					frequencies.push(value);
+				};
+				synth.triggerAttack("A#4");
+				expect(frequencies[0]).to.be.closeTo(440 * Math.pow(2, 1 / 24), 0.0001);
+				synth.dispose();
+			});
+
+			it ("maps the velocity with its velocity curve", function(){
+				var synth = new Synth({
+					"velocityCurve" : "exponential"
+				});
+				var velocities = [];
+				synth.envelope.triggerAttack = function(time, velocity){
+					velocities.push(velocity);
+				};
+				synth.triggerAttack("C4", "+0.1", 0.5);
+				synth.velocityCurve = [0, 0.5, 1];
+				synth.triggerAttack("C4", "+0.1", "64midi");
+				synth.triggerAttack("C4", "+0.1", "fff");
+				expect(velocities[0]).to.be.closeTo(0.1, 0.001);
+				expect(velocities[1]).to.be.closeTo(64 / 127, 0.0001);
+				expect(velocities[2]).to.equal(1);
+				synth.dispose();
+			});
+
 			it ("can get and set oscillator attributes", function(){
 				var simple = new Synth();
 				simple.oscillator.type = "triangle";
@@ -296,6 +296,256 @@ function(Signal, Expr, Test, Basic, OutputAudio, PassAudio, Offline){
 				});
 				offline.run();
 			});
+
+			it("computes min(0.2, 3)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("min(0.2, 3)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(0.2, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes max(-2, 5)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("max(-2, 5)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(5, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes clip(1.5, 0, 1)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("clip(1.5, 0, 1)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(1, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes clip(-0.5, 0, 1)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("clip(-0.5, 0, 1)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(0, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes clip(100, 20, 20000)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("clip(100, 20, 20000)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(100, 0.01);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes sign(-0.3)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("sign(-0.3)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(-1, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes sign(4)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("sign(4)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(1, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes mix(2, 4, 0.25)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("mix(2, 4, 0.25)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(2.5, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes sin(0.5)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("sin(0.5)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(Math.sin(0.5), 0.01);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes tanh(0.5)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("tanh(0.5)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(0.4621, 0.01);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes select(1, 2, 3)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("select(1, 2, 3)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(2, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("computes select(-1, 2, 3)", function(done){
+				var exp;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					exp = new Expr("select(-1, 2, 3)");
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(3, 0.001);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					done();
+				});
+				offline.run();
+			});
+
+			it("throws an error if a function has the wrong number of arguments", function(){
+				expect(function(){
+					new Expr("clip(1, 2)");
+				}).to.throw(Error);
+			});
+		});
+
+		context("Named Inputs", function(){
+
+			it("creates the named inputs after the numbered inputs", function(){
+				var exp = new Expr("$cutoff * (1 + $env) + $0 + $cutoff");
+				expect(exp.input.length).to.equal(3);
+				expect(exp.inputs.cutoff).to.equal(exp.input[1]);
+				expect(exp.inputs.env).to.equal(exp.input[2]);
+				expect(exp.inputs).to.not.have.property("0");
+				exp.dispose();
+			});
+
+			it("can connect to a named input", function(){
+				var exp = new Expr("$cutoff * 2");
+				var sig = new Signal(1);
+				sig.connect(exp.inputs.cutoff);
+				sig.dispose();
+				exp.dispose();
+			});
+
+			it("passes the named input", function(done){
+				var exp, sig;
+				var offline = new Offline(); 
+				offline.before(function(dest){
+					sig = new Signal(300);
+					exp = new Expr("clip($cutoff * (1 + $env), 20, 20000)");
+					sig.connect(exp.inputs.cutoff);
+					exp.connect(dest);
+				}); 
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(300, 0.01);
+				}); 
+				offline.after(function(){
+					exp.dispose();
+					sig.dispose();
+					done();
+				});
+				offline.run();
+			});
 		});
 	});
 
@@ -0,0 +1,147 @@
+define(["Test", "Tone/signal/Quantizer", "helper/Basic", "Tone/signal/Signal", "helper/Offline", "Tone/type/Frequency", "Tone/type/Tuning"],
+function (Test, Quantizer, BasicTest, Signal, Offline, Frequency, Tuning) {
+
+	describe("Quantizer", function(){
+
+		BasicTest(Quantizer);
+
+		//the output of the quantizer's curve for the input value
+		function quantize(quantizer, value){
+			var curve = quantizer._shaper.curve;
+			var normalized = (value - quantizer.min) / (quantizer.max - quantizer.min);
+			return curve[Math.round(normalized * (curve.length - 1))];
+		}
+
+		context("Quantizing", function(){
+
+			it("handles input and output connections", function(){
+				var quantizer = new Quantizer();
+				Test.connect(quantizer);
+				quantizer.connect(Test);
+				quantizer.dispose();
+			});
+
+			it("can be constructed with an object", function(){
+				var quantizer = new Quantizer({
+					"step" : 10,
+					"min" : 0,
+					"max" : 100
+				});
+				expect(quantizer.step).to.equal(10);
+				expect(quantizer.min).to.equal(0);
+				expect(quantizer.max).to.equal(100);
+				expect(quantizer.values).to.be.null;
+				quantizer.dispose();
+			});
+
+			it("snaps to the multiples of the step", function(){
+				var quantizer = new Quantizer(0.5);
+				expect(quantize(quantizer, -1)).to.be.closeTo(-1, 0.0001);
+				expect(quantize(quantizer, 0.2)).to.be.closeTo(0, 0.0001);
+				expect(quantize(quantizer, 0.3)).to.be.closeTo(0.5, 0.0001);
+				expect(quantize(quantizer, 0.9)).to.be.closeTo(1, 0.0001);
+				quantizer.step = 0.25;
+				expect(quantize(quantizer, 0.3)).to.be.closeTo(0.25, 0.0001);
+				quantizer.dispose();
+			});
+
+			it("snaps to the closest value", function(){
+				var quantizer = new Quantizer({
+					"values" : [100, 0, 20],
+					"min" : 0,
+					"max" : 100
+				});
+				expect(quantize(quantizer, 5)).to.be.closeTo(0, 0.0001);
+				expect(quantize(quantizer, 15)).to.be.closeTo(20, 0.0001);
+				expect(quantize(quantizer, 55)).to.be.closeTo(20, 0.0001);
+				expect(quantize(quantizer, 65)).to.be.closeTo(100, 0.0001);
+				quantizer.dispose();
+			});
+
+			it("snaps frequencies to the pitches of the scale", function(){
+				var quantizer = new Quantizer({
+					"scale" : Frequency.scale("C", "major pentatonic"),
+					"min" : 200,
+					"max" : 1000
+				});
+				expect(quantize(quantizer, 440)).to.be.closeTo(440, 0.01);
+				//A#4 snaps to A4 and B4 to C5
+				expect(quantize(quantizer, 466)).to.be.closeTo(440, 0.01);
+				expect(quantize(quantizer, 494)).to.be.closeTo(Frequency("C5").eval(), 0.01);
+				expect(quantize(quantizer, 370)).to.be.closeTo(Frequency("G4").eval(), 0.01);
+				quantizer.scale = ["F2"];
+				expect(quantize(quantizer, 440)).to.be.closeTo(Frequency("F4").eval(), 0.01);
+				quantizer.dispose();
+			});
+
+			it("repeats the scale in the octaves of the tuning", function(){
+				var tuning = Tuning.edo(19);
+				var quantizer = new Quantizer({
+					"scale" : ["C4"],
+					"tuning" : tuning,
+					"min" : 100,
+					"max" : 1000
+				});
+				expect(quantizer.tuning).to.equal(tuning);
+				//C is the middle note, so the scale is every 19th key
+				expect(quantize(quantizer, 180)).to.be.closeTo(tuning.midiToFrequency(60 - 19), 0.01);
+				expect(quantize(quantizer, 280)).to.be.closeTo(tuning.midiToFrequency(60), 0.01);
+				expect(quantize(quantizer, 600)).to.be.closeTo(tuning.midiToFrequency(60 + 19), 0.01);
+				//D is two steps above C
+				quantizer.scale = ["D4"];
+				expect(quantize(quantizer, 280)).to.be.closeTo(tuning.midiToFrequency(62), 0.01);
+				quantizer.dispose();
+			});
+
+			it("throws an error if the step is not positive", function(){
+				expect(function(){
+					new Quantizer(0);
+				}).to.throw(RangeError);
+				var quantizer = new Quantizer();
+				expect(function(){
+					quantizer.step = -0.5;
+				}).to.throw(RangeError);
+				expect(quantizer.step).to.equal(0.25);
+				quantizer.dispose();
+			});
+
+			it("keeps at most one value for each point of the curve", function(){
+				var quantizer = new Quantizer({
+					"step" : 1e-9,
+					"curveLength" : 1024
+				});
+				expect(quantizer._getValues().length).to.be.at.most(1024);
+				expect(quantize(quantizer, 0.3)).to.be.closeTo(0.3, 0.01);
+				quantizer.dispose();
+			});
+
+			it("throws an error if there are no values", function(){
+				expect(function(){
+					new Quantizer({
+						"values" : []
+					});
+				}).to.throw(Error);
+			});
+
+			it("outputs the quantized signal", function(done){
+				var quantizer, signal;
+				var offline = new Offline(0.1);
+				offline.before(function(dest){
+					signal = new Signal(0.3);
+					quantizer = new Quantizer(0.5);
+					signal.connect(quantizer);
+					quantizer.connect(dest);
+				});
+				offline.test(function(sample){
+					expect(sample).to.be.closeTo(0.5, 0.01);
+				});
+				offline.after(function(){
+					signal.dispose();
+					quantizer.dispose();
+					done();
+				});
+				offline.run();
+			});
+		});
+	});
+});
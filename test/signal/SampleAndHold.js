@@ -0,0 +1,125 @@
+define(["Test", "Tone/signal/SampleAndHold", "helper/Basic", "Tone/core/Tone", "Tone/core/Transport"],
+function (Test, SampleAndHold, BasicTest, Tone, Transport) {
+
+	describe("SampleAndHold", function(){
+
+		BasicTest(SampleAndHold);
+
+		//call the processor with a block of the signal and the clock
+		function processBlock(sh, startTime, signal, clock){
+			var sampleRate = Tone.context.sampleRate;
+			var input = Tone.context.createBuffer(2, signal.length, sampleRate);
+			input.getChannelData(0).set(signal);
+			input.getChannelData(1).set(clock);
+			var output = Tone.context.createBuffer(1, signal.length, sampleRate);
+			sh._onprocess({
+				"inputBuffer" : input,
+				"outputBuffer" : output,
+				"playbackTime" : startTime + signal.length / sampleRate
+			});
+			return output.getChannelData(0);
+		}
+
+		function ramp(length){
+			var data = [];
+			for (var i = 0; i < length; i++){
+				data[i] = i + 1;
+			}
+			return data;
+		}
+
+		function zeros(length){
+			var data = [];
+			for (var i = 0; i < length; i++){
+				data[i] = 0;
+			}
+			return data;
+		}
+
+		context("Sampling", function(){
+
+			it("handles input and output connections", function(){
+				var sh = new SampleAndHold();
+				Test.connect(sh);
+				Test.connect(sh.clock);
+				sh.connect(Test);
+				sh.dispose();
+			});
+
+			it("can be constructed with an object", function(){
+				var sh = new SampleAndHold({
+					"bufferSize" : 512
+				});
+				expect(sh.clock).to.equal(sh.input[1]);
+				sh.dispose();
+			});
+
+			it("outputs 0 before the first sample", function(){
+				var sh = new SampleAndHold();
+				var output = processBlock(sh, 0, ramp(128), zeros(128));
+				expect(output[0]).to.equal(0);
+				expect(output[127]).to.equal(0);
+				sh.dispose();
+			});
+
+			it("samples the signal on the rising edge of the clock", function(){
+				var sh = new SampleAndHold();
+				var clock = zeros(128);
+				for (var i = 10; i < 20; i++){
+					clock[i] = 1;
+				}
+				clock[60] = 0.5;
+				var output = processBlock(sh, 0, ramp(128), clock);
+				expect(output[9]).to.equal(0);
+				expect(output[10]).to.equal(11);
+				expect(output[30]).to.equal(11);
+				expect(output[60]).to.equal(61);
+				expect(output[127]).to.equal(61);
+				//holds the value in the next block
+				output = processBlock(sh, 128 / Tone.context.sampleRate, ramp(128), zeros(128));
+				expect(output[0]).to.equal(61);
+				sh.dispose();
+			});
+
+			it("samples the signal at the trigger time", function(){
+				var sh = new SampleAndHold();
+				var sampleRate = Tone.context.sampleRate;
+				sh.trigger(140 / sampleRate);
+				sh.trigger(20 / sampleRate);
+				var output = processBlock(sh, 0, ramp(128), zeros(128));
+				expect(output[19]).to.equal(0);
+				expect(output[20]).to.equal(21);
+				expect(output[127]).to.equal(21);
+				output = processBlock(sh, 128 / sampleRate, ramp(128), zeros(128));
+				expect(output[11]).to.equal(21);
+				expect(output[12]).to.equal(13);
+				sh.dispose();
+			});
+
+			it("samples late triggers at the start of the block", function(){
+				var sh = new SampleAndHold();
+				var sampleRate = Tone.context.sampleRate;
+				sh.trigger(10 / sampleRate);
+				var output = processBlock(sh, 128 / sampleRate, ramp(128), zeros(128));
+				expect(output[0]).to.equal(1);
+				sh.dispose();
+			});
+
+			it("can sync to the Transport and unsync", function(){
+				var sh = new SampleAndHold();
+				var sampleRate = Tone.context.sampleRate;
+				sh.sync("8n");
+				expect(sh._transport).to.equal(Transport);
+				//trigger the scheduled callback
+				var events = Object.keys(Transport._scheduledEvents);
+				var callback = Transport._scheduledEvents[events[events.length - 1]].event.callback;
+				callback(5 / sampleRate);
+				var output = processBlock(sh, 0, ramp(128), zeros(128));
+				expect(output[5]).to.equal(6);
+				sh.unsync();
+				expect(Object.keys(Transport._scheduledEvents)).to.not.include(events[events.length - 1]);
+				sh.dispose();
+			});
+		});
+	});
+});
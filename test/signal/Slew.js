@@ -0,0 +1,70 @@
+define(["Test", "Tone/signal/Slew", "helper/Basic", "Tone/signal/Signal", "helper/Offline"],
+function (Test, Slew, BasicTest, Signal, Offline) {
+
+	describe("Slew", function(){
+
+		BasicTest(Slew);
+
+		context("Slewing", function(){
+
+			it("handles input and output connections", function(){
+				var slew = new Slew();
+				Test.connect(slew);
+				slew.connect(Test);
+				slew.dispose();
+			});
+
+			it("can be constructed with an object", function(){
+				var slew = new Slew({
+					"rise" : 0.5,
+					"fall" : 0.3
+				});
+				expect(slew.rise).to.be.closeTo(0.5, 0.001);
+				expect(slew.fall).to.be.closeTo(0.3, 0.001);
+				slew.dispose();
+			});
+
+			it("handles getter/setter as Object", function(){
+				var slew = new Slew();
+				slew.set({
+					"rise" : 0.2,
+					"fall" : "8n"
+				});
+				expect(slew.get()).to.have.keys(["rise", "fall"]);
+				expect(slew.get().rise).to.be.closeTo(0.2, 0.001);
+				expect(slew.get().fall).to.equal("8n");
+				slew.dispose();
+			});
+
+			it("can connect to a Signal", function(){
+				var slew = new Slew();
+				var signal = new Signal(100);
+				slew.connect(signal);
+				expect(signal.value).to.equal(0);
+				slew.dispose();
+				signal.dispose();
+			});
+
+			it("smoothes a rising signal", function(done){
+				var slew, signal;
+				var offline = new Offline(0.2);
+				offline.before(function(dest){
+					slew = new Slew(0.5, 0.01);
+					signal = new Signal(0);
+					signal.connect(slew);
+					slew.connect(dest);
+					signal.setValueAtTime(1, 0);
+				});
+				offline.test(function(sample){
+					expect(sample).to.be.lessThan(1);
+				});
+				offline.after(function(){
+					slew.dispose();
+					signal.dispose();
+					done();
+				});
+				offline.run();
+			});
+		});
+	});
+});
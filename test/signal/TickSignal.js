@@ -0,0 +1,117 @@
+define(["Test", "Tone/signal/TickSignal"], function (Test, TickSignal) {
+
+	describe("TickSignal", function(){
+
+		it("can be created and disposed", function(){
+			var tickSignal = new TickSignal();
+			tickSignal.dispose();
+			Test.wasDisposed(tickSignal);
+		});
+
+		it("can get the ticks at a constant value", function(){
+			var tickSignal = new TickSignal(2);
+			expect(tickSignal.getTicksAtTime(0)).to.equal(0);
+			expect(tickSignal.getTicksAtTime(1)).to.be.closeTo(2, 0.0001);
+			expect(tickSignal.getTicksAtTime(2.5)).to.be.closeTo(5, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("can get the ticks with setValueAtTime", function(){
+			var tickSignal = new TickSignal(1);
+			tickSignal.setValueAtTime(2, 1);
+			tickSignal.setValueAtTime(4, 2);
+			expect(tickSignal.getTicksAtTime(1)).to.be.closeTo(1, 0.0001);
+			expect(tickSignal.getTicksAtTime(2)).to.be.closeTo(3, 0.0001);
+			expect(tickSignal.getTicksAtTime(3)).to.be.closeTo(7, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("can get the ticks during a linear ramp", function(){
+			var tickSignal = new TickSignal(1);
+			tickSignal.setValueAtTime(1, 0);
+			tickSignal.linearRampToValueAtTime(3, 1);
+			expect(tickSignal.getTicksAtTime(0.5)).to.be.closeTo(0.75, 0.0001);
+			expect(tickSignal.getTicksAtTime(1)).to.be.closeTo(2, 0.0001);
+			expect(tickSignal.getTicksAtTime(2)).to.be.closeTo(5, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("can get the ticks during an exponential ramp", function(){
+			var tickSignal = new TickSignal(1);
+			tickSignal.setValueAtTime(1, 0);
+			tickSignal.exponentialRampToValueAtTime(Math.E, 1);
+			expect(tickSignal.getTicksAtTime(1)).to.be.closeTo(Math.E - 1, 0.0001);
+			expect(tickSignal.getTicksAtTime(2)).to.be.closeTo(2 * Math.E - 1, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("can get the ticks during setTargetAtTime", function(){
+			var tickSignal = new TickSignal(1);
+			tickSignal.setValueAtTime(1, 0);
+			tickSignal.setTargetAtTime(2, 0, 1);
+			var expected = 2 * 3 - (1 - Math.exp(-3));
+			expect(tickSignal.getTicksAtTime(3)).to.be.closeTo(expected, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("can get the ticks during a value curve", function(){
+			var tickSignal = new TickSignal(1);
+			tickSignal.setValueCurveAtTime([1, 3, 1], 0, 2);
+			expect(tickSignal.getTicksAtTime(1)).to.be.closeTo(2, 0.0001);
+			expect(tickSignal.getTicksAtTime(2)).to.be.closeTo(4, 0.0001);
+			expect(tickSignal.getTicksAtTime(3)).to.be.closeTo(5, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("getTimeOfTick is the inverse of getTicksAtTime", function(){
+			var tickSignal = new TickSignal(4);
+			tickSignal.setValueAtTime(2, 0.5);
+			tickSignal.linearRampToValueAtTime(6, 1.5);
+			tickSignal.exponentialRampToValueAtTime(3, 2);
+			tickSignal.setTargetAtTime(8, 2.5, 0.4);
+			tickSignal.setValueCurveAtTime([8, 2, 5], 3.5, 1);
+			for (var time = 0; time < 5.5; time += 0.1){
+				var ticks = tickSignal.getTicksAtTime(time);
+				expect(tickSignal.getTimeOfTick(ticks)).to.be.closeTo(time, 0.0001);
+			}
+			tickSignal.dispose();
+		});
+
+		it("can get the duration of ticks from a given time", function(){
+			var tickSignal = new TickSignal(2);
+			tickSignal.setValueAtTime(2, 0);
+			tickSignal.linearRampToValueAtTime(4, 1);
+			tickSignal.setValueAtTime(1, 2);
+			expect(tickSignal.getDurationOfTicks(1, 0)).to.be.closeTo(tickSignal.getTimeOfTick(1), 0.0001);
+			for (var time = 0; time < 3; time += 0.25){
+				var expected = tickSignal.getTimeOfTick(tickSignal.getTicksAtTime(time) + 2) - time;
+				expect(tickSignal.getDurationOfTicks(2, time)).to.be.closeTo(expected, 0.0001);
+			}
+			tickSignal.dispose();
+		});
+
+		it("retains all of the scheduled events", function(){
+			var tickSignal = new TickSignal(1);
+			for (var i = 0; i < 20; i++){
+				tickSignal.setValueAtTime(i % 2 ? 1 : 2, i);
+			}
+			expect(tickSignal.getTicksAtTime(20)).to.be.closeTo(30, 0.0001);
+			tickSignal.dispose();
+		});
+
+		it("removes the events which have long passed and keeps counting the ticks", function(){
+			var tickSignal = new TickSignal(1);
+			tickSignal.now = function(){
+				return 100;
+			};
+			for (var i = 0; i < 100; i++){
+				tickSignal.setValueAtTime(i % 2 ? 1 : 2, i);
+			}
+			expect(tickSignal._events.length).to.be.below(20);
+			expect(tickSignal.getTicksAtTime(95)).to.be.closeTo(143, 0.0001);
+			expect(tickSignal.getTicksAtTime(100)).to.be.closeTo(150, 0.0001);
+			expect(tickSignal.getTimeOfTick(150)).to.be.closeTo(100, 0.0001);
+			tickSignal.dispose();
+		});
+	});
+});
@@ -123,6 +123,19 @@ function (Test, Source, Transport, OfflineTest, Tone) {
 			});
 
 
+			it ("can sync its start to another Transport", function(){
+				var transport = new Tone.Transport();
+				var source = new Source();
+				source.sync(transport).start(0);
+				Tone.Transport.start(Tone.now());
+				expect(source.state).to.equal("stopped");
+				transport.start(Tone.now());
+				expect(source.state).to.equal("started");
+				source.dispose();
+				transport.dispose();
+				Tone.Transport.stop();
+			});
+
 			it ("can unsync after it was synced", function(){
 				var source = new Source();
 				source.sync().start(0);
@@ -359,6 +372,40 @@ function (Test, Source, Transport, OfflineTest, Tone) {
 				}, 0.7);
 			});
 
+			it ("only removes its own listeners from the Transport when unsynced", function(){
+				var transport = new Tone.Transport();
+				var started = false;
+				transport.on("start", function(){
+					started = true;
+				});
+				var source = new Source().sync(transport);
+				source.unsync();
+				transport.emit("start", 0, 0);
+				expect(started).to.be.true;
+				source.dispose();
+				transport.dispose();
+			});
+
+			it ("converts the offset and duration with the tempo of its Transport", function(){
+				var transport = new Tone.Transport();
+				transport.bpm.value = 60;
+				var args;
+				var source = new Source();
+				source._start = function(time, offset, duration){
+					args = [offset, duration];
+				};
+				source.sync(transport).start(0, "8n", "2n");
+				var event = source._state.get(0);
+				expect(event.offset).to.be.closeTo(0.5, 0.001);
+				expect(event.duration).to.be.closeTo(2, 0.001);
+				//start the Transport half way through the source
+				transport.emit("start", 0, 0.5);
+				expect(args[0]).to.be.closeTo(1, 0.001);
+				expect(args[1]).to.be.closeTo(1.5, 0.001);
+				source.dispose();
+				transport.dispose();
+			});
+
 			it ("invokes the right methods and offsets when the transport is seeked", function(done){
 				OfflineTest(function(output, testFn, tearDown){
 					var source = new Source();
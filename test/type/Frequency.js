@@ -110,6 +110,15 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/Frequency", "T
 				expect(Frequency("Bbb2").eval()).to.be.closeTo(teoria.note("Bbb2").fq(), 0.0001);
 			});
 
+			it("can convert notes with an offset in cents", function(){
+				expect(Frequency("C4+25c").eval()).to.be.closeTo(Frequency("C4").eval() * Math.pow(2, 25 / 1200), 0.0001);
+				expect(Frequency("Eb3-14c").eval()).to.be.closeTo(Frequency("Eb3").eval() * Math.pow(2, -14 / 1200), 0.0001);
+				expect(Frequency("A4+100c").eval()).to.be.closeTo(Frequency("A#4").eval(), 0.0001);
+				expect(Frequency("a4+12.5C").eval()).to.be.closeTo(440 * Math.pow(2, 12.5 / 1200), 0.0001);
+				expect(Frequency("A4+2").eval()).to.be.closeTo(442, 0.0001);
+				expect(Frequency("A4-50c * 2").eval()).to.be.closeTo(880 * Math.pow(2, -50 / 1200), 0.0001);
+			});
+
 			it("can accomidate different concert tuning", function(){
 				Tone.Frequency.A4 = 444;
 				expect(Frequency("C4").eval()).to.be.closeTo(teoria.note("C4").fq(Tone.Frequency.A4), 0.0001);
@@ -143,6 +152,37 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/Frequency", "T
 				expect(Frequency(4979).toNote()).to.equal("D#8");				
 			});
 
+			it("can convert frequencies into notes with an offset in cents", function(){
+				expect(Frequency("C4+25c").toNote({"cents" : true})).to.equal("C4+25c");
+				expect(Frequency("Eb3-14c").toNote({"cents" : true})).to.equal("D#3-14c");
+				expect(Frequency(440).toNote({"cents" : true})).to.equal("A4");
+				expect(Frequency(445).toNote({"cents" : true})).to.equal("A4+20c");
+				expect(Frequency("C4+25c").toNote()).to.equal("C4");
+			});
+
+			it("can spell notes in a key", function(){
+				expect(Frequency("G#4").toNote({"key" : "Eb"})).to.equal("Ab4");
+				expect(Frequency("G#4").toNote({"key" : "E"})).to.equal("G#4");
+				expect(Frequency("A#3").toNote({"key" : "F"})).to.equal("Bb3");
+				expect(Frequency("C#5").toNote({"key" : "D minor"})).to.equal("Db5");
+				expect(Frequency("C#5").toNote({"key" : "D harmonic minor"})).to.equal("C#5");
+				expect(Frequency("F#2").toNote({"key" : "Bb"})).to.equal("Gb2");
+				expect(Frequency("C4").toNote({"key" : "C#"})).to.equal("B#3");
+				expect(Frequency("B3").toNote({"key" : "Gb"})).to.equal("Cb4");
+				expect(Frequency("G4").toNote({"key" : "G# harmonic minor"})).to.equal("Fx4");
+				expect(Frequency("D#4").toNote({"key" : "C"})).to.equal("D#4");
+				expect(Frequency("Eb4-14c").toNote({"key" : "Ab", "cents" : true})).to.equal("Eb4-14c");
+			});
+
+			it("throws an error if the key is invalid", function(){
+				expect(function(){
+					Frequency("C4").toNote({"key" : "H"});
+				}).to.throw(Error);
+				expect(function(){
+					Frequency("C4").toNote({"key" : "C blues"});
+				}).to.throw(Error);
+			});
+
 			it("can convert note to midi values", function(){
 				expect(Frequency("C4").toMidi()).to.equal(teoria.note("C4").midi());
 				expect(Frequency("A-4").toMidi()).to.equal(teoria.note("A-4").midi());
@@ -154,6 +194,111 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/Frequency", "T
 			});
 		});
 
+		context("Music Theory", function(){
+
+			it("can get the notes of chord symbols", function(){
+				expect(Frequency.chord("C")).to.deep.equal(["C4", "E4", "G4"]);
+				expect(Frequency.chord("Am", 3)).to.deep.equal(["A3", "C4", "E4"]);
+				expect(Frequency.chord("Cmaj7")).to.deep.equal(["C4", "E4", "G4", "B4"]);
+				expect(Frequency.chord("F#m7b5")).to.deep.equal(["F#4", "A4", "C5", "E5"]);
+				expect(Frequency.chord("Bbdim7")).to.deep.equal(["A#4", "C#5", "E5", "G5"]);
+				expect(Frequency.chord("Dsus4")).to.deep.equal(["D4", "G4", "A4"]);
+				expect(Frequency.chord("G13")).to.deep.equal(["G4", "B4", "D5", "F5", "A5", "E6"]);
+			});
+
+			it("can alter and add tones to chords", function(){
+				expect(Frequency.chord("G7b9")).to.deep.equal(["G4", "B4", "D5", "F5", "G#5"]);
+				expect(Frequency.chord("C7#5")).to.deep.equal(["C4", "E4", "G#4", "A#4"]);
+				expect(Frequency.chord("Cmaj7#11")).to.deep.equal(["C4", "E4", "G4", "B4", "F#5"]);
+				expect(Frequency.chord("Cmadd9")).to.deep.equal(["C4", "D#4", "G4", "D5"]);
+				expect(Frequency.chord("Cm(add11)")).to.deep.equal(["C4", "D#4", "G4", "F5"]);
+			});
+
+			it("puts the bass note of a slash chord below the chord", function(){
+				expect(Frequency.chord("Cmaj7/G")).to.deep.equal(["G3", "C4", "E4", "B4"]);
+				expect(Frequency.chord("C/E")).to.deep.equal(["E3", "C4", "G4"]);
+				expect(Frequency.chord("Am/G")).to.deep.equal(["G4", "A4", "C5", "E5"]);
+				expect(Frequency.chord("C/C")).to.deep.equal(["C4", "E4", "G4"]);
+			});
+
+			it("throws an error if the chord symbol is invalid", function(){
+				expect(function(){
+					Frequency.chord("H7");
+				}).to.throw(Error);
+				expect(function(){
+					Frequency.chord("C7b8");
+				}).to.throw(Error);
+				expect(function(){
+					Frequency.chord("Cmaj7/X");
+				}).to.throw(Error);
+			});
+
+			it("can get the notes of scales and modes", function(){
+				expect(Frequency.scale("C")).to.deep.equal(["C4", "D4", "E4", "F4", "G4", "A4", "B4"]);
+				expect(Frequency.scale("D", "dorian")).to.deep.equal(["D4", "E4", "F4", "G4", "A4", "B4", "C5"]);
+				expect(Frequency.scale("A3", "harmonic minor")).to.deep.equal(["A3", "B3", "C4", "D4", "E4", "F4", "G#4"]);
+				expect(Frequency.scale("E", "minor pentatonic", 2)).to.deep.equal(["E2", "G2", "A2", "B2", "D3"]);
+				expect(Frequency.scale("C", [0, 3, 6, 9])).to.deep.equal(["C4", "D#4", "F#4", "A4"]);
+				expect(function(){
+					Frequency.scale("C", "hypermixolydian");
+				}).to.throw(Error);
+			});
+
+			it("can get the chords of roman numerals in a key", function(){
+				expect(Frequency.progression("I vi IV V", "G")).to.deep.equal([
+					["G4", "B4", "D5"], ["E5", "G5", "B5"], ["C5", "E5", "G5"], ["D5", "F#5", "A5"]
+				]);
+				expect(Frequency.progression(["ii7", "V7", "Imaj7"], "C", 3)).to.deep.equal([
+					["D3", "F3", "A3", "C4"], ["G3", "B3", "D4", "F4"], ["C3", "E3", "G3", "B3"]
+				]);
+			});
+
+			it("can get the chords of roman numerals in minor keys", function(){
+				expect(Frequency.progression("i-iv-V7", "A minor", 3)).to.deep.equal([
+					["A3", "C4", "E4"], ["D4", "F4", "A4"], ["E4", "G#4", "B4", "D5"]
+				]);
+				expect(Frequency.progression("iio VI #viio7", "Cm")).to.deep.equal([
+					["D4", "F4", "G#4"], ["G#4", "C5", "D#5"], ["B4", "D5", "F5", "G#5"]
+				]);
+			});
+
+			it("can get secondary chords", function(){
+				expect(Frequency.progression("V7/V V", "C")).to.deep.equal([
+					["D5", "F#5", "A5", "C6"], ["G4", "B4", "D5"]
+				]);
+				expect(Frequency.progression(["viio7/ii"], "C")).to.deep.equal([
+					["C#5", "E5", "G5", "A#5"]
+				]);
+			});
+
+			it("throws an error if the roman numeral is invalid", function(){
+				expect(function(){
+					Frequency.progression("I X", "C");
+				}).to.throw(Error);
+				expect(function(){
+					Frequency.progression("I", "C pentatonic");
+				}).to.throw(Error);
+			});
+
+			it("can invert chords", function(){
+				expect(Frequency.invert(["C4", "E4", "G4"], 1)).to.deep.equal(["E4", "G4", "C5"]);
+				expect(Frequency.invert(["C4", "E4", "G4"], 2)).to.deep.equal(["G4", "C5", "E5"]);
+				expect(Frequency.invert(["C4", "E4", "G4"], 3)).to.deep.equal(["C5", "E5", "G5"]);
+				expect(Frequency.invert(["C4", "E4", "G4"], -1)).to.deep.equal(["G3", "C4", "E4"]);
+				expect(Frequency.invert([Frequency("E4"), 261.6256], 1)).to.deep.equal(["E4", "C5"]);
+			});
+
+			it("voices the chords closest to the previous chord", function(){
+				var chords = Frequency.progression("I vi IV V", "C");
+				expect(Frequency.voiceLead(chords)).to.deep.equal([
+					["C4", "E4", "G4"], ["C4", "E4", "A4"], ["C4", "F4", "A4"], ["B3", "D4", "G4"]
+				]);
+				expect(Frequency.voiceLead([Frequency.chord("Dm7"), Frequency.chord("G7"), Frequency.chord("Cmaj7")])).to.deep.equal([
+					["D4", "F4", "A4", "C5"], ["D4", "F4", "G4", "B4"], ["C4", "E4", "G4", "B4"]
+				]);
+			});
+		});
+
 		context("Operators", function(){
 
 			it("can combine operations", function(){
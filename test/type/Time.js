@@ -143,9 +143,35 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/Time", "Tone/c
 				Tone.Transport.bpm.value = 120;
 				Tone.Transport.timeSignature = 4;
 				expect(Time("4n").toNotation()).to.equal("4n");
-				expect(Time(1.5).toNotation()).to.equal("2n + 4n");
+				expect(Time(1.25).toNotation()).to.equal("2n + 8n");
 				expect(Time(0).toNotation()).to.equal("0");
-				expect(Time("1:2:3").toNotation()).to.equal("1m + 2n + 8n + 16n");
+				expect(Time("1:2:2").toNotation()).to.equal("1m + 2n + 8n");
+			});
+
+			it("toNotation works with dotted notation", function(){
+				Tone.Transport.bpm.value = 120;
+				Tone.Transport.timeSignature = 4;
+				expect(Time(1.5).toNotation()).to.equal("2n.");
+				expect(Time("4n.").toNotation()).to.equal("4n.");
+				expect(Time("8n..").toNotation()).to.equal("8n..");
+				expect(Time("1:2:3").toNotation()).to.equal("1m + 2n + 8n.");
+			});
+
+			it("toNotation works with quintuplets and septuplets", function(){
+				Tone.Transport.bpm.value = 120;
+				Tone.Transport.timeSignature = 4;
+				expect(Time("8n5:4").toNotation()).to.equal("8n5:4");
+				expect(Time("3 * 16n7:4").toNotation()).to.equal("8n7:4 + 16n7:4");
+				expect(Time("1m + 4n5:4").toNotation()).to.equal("1m + 4n5:4");
+			});
+
+			it("can parse the notation it returns", function(){
+				Tone.Transport.bpm.value = 120;
+				Tone.Transport.timeSignature = 4;
+				["4n.", "8n..", "8n5:4", "1m + 8t", "1.5m", "3 * 16n7:4", "2n.. + 32n"].forEach(function(notation){
+					var time = Time(notation).toSeconds();
+					expect(Time(Time(notation).toNotation()).toSeconds()).to.be.closeTo(time, 0.0001);
+				});
 			});
 
 			it("toNotation works with triplet notation", function(){
@@ -161,6 +187,31 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/Time", "Tone/c
 				expect(Time("4n").toMilliseconds()).to.equal(500);
 			});
 
+			it ("converts time into timecode", function(){
+				expect(Time(62.4).toTimecode(30)).to.equal("00:01:02:12");
+				expect(Time(62.4).toTimecode()).to.equal("00:01:02:12");
+				expect(Time(3600.5).toTimecode(24)).to.equal("01:00:00:12");
+				expect(Time(10.2).toTimecode(25)).to.equal("00:00:10:05");
+				expect(Time(0).toTimecode(25)).to.equal("00:00:00:00");
+			});
+
+			it ("converts time into drop-frame timecode", function(){
+				expect(Time(60).toTimecode(29.97)).to.equal("00:00:59;28");
+				expect(Time(1800 * 1.001 / 30).toTimecode(29.97)).to.equal("00:01:00;02");
+				expect(Time(17982 * 1.001 / 30).toTimecode(29.97)).to.equal("00:10:00;00");
+			});
+
+			it ("can parse the timecode it returns", function(){
+				[24, 25, 29.97, 30].forEach(function(fps){
+					[0, 1.5, 59.99, 60.1, 600.2, 3599.9].forEach(function(seconds){
+						var timecode = Time(seconds).toTimecode(fps);
+						var parsed = Time(timecode + "@" + fps);
+						expect(parsed.toTimecode(fps)).to.equal(timecode);
+						expect(parsed.toSeconds()).to.be.closeTo(seconds, 1 / fps);
+					});
+				});
+			});
+
 			it ("converts time into samples", function(){
 				expect(Time(2).toSamples()).to.equal(2 * Tone.context.sampleRate);
 			});
@@ -178,6 +229,13 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/Time", "Tone/c
 				expect(Time(2).toBarsBeatsSixteenths()).to.equal("1:0:0");
 			});
 
+			it ("converts time into BarsBeatsSixteenths following the time signature changes", function(){
+				Tone.Transport.setTimeSignatureAtPosition(3, "1m");
+				expect(Time(4).toBarsBeatsSixteenths()).to.equal("2:1:0");
+				expect(Time("2:1:0").toBarsBeatsSixteenths()).to.equal("2:1:0");
+				Tone.Transport.clearTempoMap();
+			});
+
 		});
 
 	});
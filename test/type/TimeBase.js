@@ -113,6 +113,33 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/TimeBase", "To
 				Tone.Transport.timeSignature = 4;
 			});
 
+			it("evaluates dotted notation", function(){
+				Tone.Transport.bpm.value = 120;
+				Tone.Transport.timeSignature = 4;
+				expect(TimeBase("4n.").eval()).to.be.closeTo(0.75, 0.0001);
+				expect(TimeBase("8n..").eval()).to.be.closeTo(0.4375, 0.0001);
+				expect(TimeBase("2n. + 4n").eval()).to.be.closeTo(2, 0.0001);
+				expect(TimeBase("4t.").eval()).to.be.closeTo(0.5, 0.0001);
+			});
+
+			it("evaluates tuplets", function(){
+				Tone.Transport.bpm.value = 120;
+				Tone.Transport.timeSignature = 4;
+				expect(TimeBase("8n5:4").eval()).to.be.closeTo(0.2, 0.0001);
+				expect(TimeBase("16n7:4").eval()).to.be.closeTo(0.5 / 7, 0.0001);
+				expect(TimeBase("4n3:2").eval()).to.be.closeTo(TimeBase("4t").eval(), 0.0001);
+				expect(TimeBase("5 * 8n5:4").eval()).to.be.closeTo(1, 0.0001);
+			});
+
+			it("evaluates fractional measures", function(){
+				Tone.Transport.bpm.value = 120;
+				Tone.Transport.timeSignature = 4;
+				expect(TimeBase("1.5m").eval()).to.be.closeTo(3, 0.0001);
+				Tone.Transport.timeSignature = [3, 4];
+				expect(TimeBase("0.5m").eval()).to.be.closeTo(0.75, 0.0001);
+				Tone.Transport.timeSignature = 4;
+			});
+
 			it("evalutes hertz", function(){
 				expect(TimeBase("1hz").eval()).to.equal(1);
 				expect(TimeBase("2hz").eval()).to.equal(0.5);
@@ -134,6 +161,23 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/TimeBase", "To
 				expect(TimeBase("0:3:2").eval()).to.equal(1.75);
 				expect(TimeBase("0:0:2.2").eval()).to.equal(0.275);
 			});
+
+			it("evaluates timecode", function(){
+				expect(TimeBase("00:01:02:12@30").eval()).to.be.closeTo(62.4, 0.0001);
+				expect(TimeBase("01:00:00:12@24").eval()).to.be.closeTo(3600.5, 0.0001);
+				expect(TimeBase("00:00:10:05@25").eval()).to.be.closeTo(10.2, 0.0001);
+				expect(TimeBase("00:00:01:00@30 + 0.5").eval()).to.equal(1.5);
+			});
+
+			it("evaluates drop-frame timecode", function(){
+				//the first frame number of a minute is skipped
+				expect(TimeBase("00:01:00;02@29.97").eval()).to.be.closeTo(1800 * 1.001 / 30, 0.0001);
+				expect(TimeBase("00:00:59;29@29.97").eval()).to.be.closeTo(1799 * 1.001 / 30, 0.0001);
+				//but not every tenth minute
+				expect(TimeBase("00:10:00;00@29.97").eval()).to.be.closeTo(17982 * 1.001 / 30, 0.0001);
+				//an hour of drop-frame timecode is almost exactly an hour
+				expect(TimeBase("01:00:00;00@29.97").eval()).to.be.closeTo(3600, 0.01);
+			});
 		});
 
 		context("Evaluates Expressions", function(){
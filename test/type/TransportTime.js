@@ -113,9 +113,9 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/TransportTime"
 				Tone.Transport.bpm.value = 120;
 				Tone.Transport.timeSignature = 4;
 				expect(TransportTime("4n").toNotation()).to.equal("4n");
-				expect(TransportTime(1.5).toNotation()).to.equal("2n + 4n");
+				expect(TransportTime(1.5).toNotation()).to.equal("2n.");
 				expect(TransportTime(0).toNotation()).to.equal("0");
-				expect(TransportTime("1:2:3").toNotation()).to.equal("1m + 2n + 8n + 16n");
+				expect(TransportTime("1:2:3").toNotation()).to.equal("1m + 2n + 8n.");
 			});
 
 			it ("converts time into samples", function(){
@@ -135,6 +135,22 @@ define(["helper/Basic", "Test", "Tone/core/Transport", "Tone/type/TransportTime"
 				expect(TransportTime(2).toBarsBeatsSixteenths()).to.equal("1:0:0");
 			});
 
+			it ("converts with the tempo and time signature of its transport", function(){
+				var transport = new Tone.Transport({
+					"bpm" : 60,
+					"timeSignature" : 3
+				});
+				var time = TransportTime("1m + 4n");
+				expect(time.transport).to.equal(Tone.context.Transport);
+				time.transport = transport;
+				expect(time.toSeconds()).to.be.closeTo(4, 0.001);
+				expect(time.toTicks()).to.equal(4 * transport.PPQ);
+				expect(TransportTime(time).toSeconds()).to.be.closeTo(4, 0.001);
+				expect(Tone.Transport.toSeconds("1m + 4n")).to.be.closeTo(2.5, 0.001);
+				time.dispose();
+				transport.dispose();
+			});
+
 		});
 
 	});
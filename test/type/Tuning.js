@@ -0,0 +1,222 @@
+define(["helper/Basic", "Tone/type/Tuning", "Tone/core/Tone", "Tone/type/Frequency"],
+	function (Basic, Tuning, Tone, Frequency) {
+
+	describe("Tuning", function(){
+
+		Basic(Tuning);
+
+		//quarter-comma meantone from the scala archive
+		var meantoneScl = [
+			"! meanquar.scl",
+			"!",
+			"1/4-comma meantone scale. Pietro Aaron's temperament (1523)",
+			" 12",
+			"!",
+			" 76.04900",
+			" 193.15686",
+			" 310.26471",
+			" 5/4",
+			" 503.42157",
+			" 579.47057",
+			" 696.57843",
+			" 25/16",
+			" 889.73529",
+			" 1006.84314",
+			" 1082.89214",
+			" 2/1"
+		].join("\n");
+
+		//a 7 note scale on the white keys with C4 at 261.63
+		var whiteKeysKbm = [
+			"! white keys",
+			"12",
+			"0",
+			"127",
+			"60",
+			"60",
+			"261.63",
+			"7",
+			"! mapping",
+			"0",
+			"x",
+			"1",
+			"x",
+			"2",
+			"3",
+			"x",
+			"4",
+			"x",
+			"5",
+			"x",
+			"6"
+		].join("\n");
+
+		context("Scale", function(){
+
+			it ("is 12-tone equal temperament by default", function(){
+				var tuning = new Tuning();
+				expect(tuning.midiToFrequency(69)).to.be.closeTo(440, 0.0001);
+				expect(tuning.midiToFrequency(60)).to.be.closeTo(261.6256, 0.0001);
+				expect(tuning.midiToFrequency(81)).to.be.closeTo(880, 0.0001);
+				expect(tuning.midiToFrequency(21)).to.be.closeTo(27.5, 0.0001);
+				expect(tuning.frequencyToMidi(440)).to.equal(69);
+				expect(tuning.frequencyToMidi(261.6255653005986)).to.equal(60);
+				tuning.dispose();
+			});
+
+			it ("interpolates fractional MIDI notes", function(){
+				var tuning = new Tuning();
+				expect(tuning.midiToFrequency(69.5)).to.be.closeTo(440 * Math.pow(2, 1 / 24), 0.0001);
+				expect(tuning.frequencyToMidi(440 * Math.pow(2, 1 / 24))).to.be.closeTo(69.5, 0.0001);
+				tuning.dispose();
+			});
+
+			it ("converts frequencies without a note to MIDI", function(){
+				var tuning = new Tuning();
+				expect(tuning.frequencyToMidi(0)).to.equal(-Infinity);
+				expect(tuning.frequencyToMidi(Infinity)).to.equal(Infinity);
+				expect(tuning.frequencyToMidi(-440)).to.be.NaN;
+				expect(tuning.frequencyToMidi(NaN)).to.be.NaN;
+				tuning.dispose();
+			});
+
+			it ("parses the pitches as cents and ratios", function(){
+				expect(Tuning.parsePitch(100)).to.equal(100);
+				expect(Tuning.parsePitch("701.955")).to.be.closeTo(701.955, 0.0001);
+				expect(Tuning.parsePitch("3/2")).to.be.closeTo(701.955, 0.001);
+				expect(Tuning.parsePitch("2")).to.be.closeTo(1200, 0.0001);
+				expect(Tuning.parsePitch(" 5/4 major third")).to.be.closeTo(386.3137, 0.001);
+				expect(function(){
+					Tuning.parsePitch("-3/2");
+				}).to.throw(Error);
+			});
+
+			it ("can be constructed with a scale and a reference frequency", function(){
+				var tuning = new Tuning(["9/8", "5/4", "4/3", "3/2", "5/3", "15/8", "2/1"], 432);
+				tuning.referenceNote = 60;
+				expect(tuning.midiToFrequency(60)).to.be.closeTo(432, 0.0001);
+				expect(tuning.midiToFrequency(64)).to.be.closeTo(432 * 3 / 2, 0.0001);
+				expect(tuning.midiToFrequency(67)).to.be.closeTo(864, 0.0001);
+				expect(tuning.midiToFrequency(53)).to.be.closeTo(216, 0.0001);
+				expect(tuning.frequencyToMidi(432 * 5 / 4)).to.be.closeTo(62, 0.0001);
+				tuning.dispose();
+			});
+
+			it ("can create equal divisions of the octave", function(){
+				var tuning = Tuning.edo(19);
+				expect(tuning.scale.length).to.equal(19);
+				expect(tuning.midiToFrequency(70)).to.be.closeTo(440 * Math.pow(2, 1 / 19), 0.0001);
+				expect(tuning.midiToFrequency(69 + 19)).to.be.closeTo(880, 0.0001);
+				tuning.dispose();
+			});
+
+			it ("can load an .scl file", function(){
+				var tuning = new Tuning(meantoneScl);
+				expect(tuning.scale.length).to.equal(12);
+				expect(tuning.scale[0]).to.be.closeTo(76.049, 0.0001);
+				expect(tuning.scale[3]).to.be.closeTo(386.3137, 0.001);
+				tuning.referenceNote = 60;
+				tuning.frequency = 260;
+				expect(tuning.midiToFrequency(64)).to.be.closeTo(325, 0.0001);
+				expect(tuning.midiToFrequency(72)).to.be.closeTo(520, 0.0001);
+				tuning.dispose();
+			});
+
+			it ("throws an error if the .scl file is invalid", function(){
+				var tuning = new Tuning();
+				expect(function(){
+					tuning.loadScl("description\n3\n100.0");
+				}).to.throw(Error);
+				tuning.dispose();
+			});
+		});
+
+		context("Keyboard Mapping", function(){
+
+			it ("can load a .kbm file", function(){
+				var tuning = new Tuning({
+					"scale" : ["9/8", "5/4", "4/3", "3/2", "5/3", "15/8", "2/1"],
+					"kbm" : whiteKeysKbm
+				});
+				expect(tuning.mapping.length).to.equal(12);
+				expect(tuning.mapping[1]).to.be.null;
+				expect(tuning.octaveDegree).to.equal(7);
+				expect(tuning.midiToFrequency(60)).to.be.closeTo(261.63, 0.0001);
+				//E4 is the third degree
+				expect(tuning.midiToFrequency(64)).to.be.closeTo(261.63 * 5 / 4, 0.0001);
+				//A4 is the sixth degree
+				expect(tuning.midiToFrequency(69)).to.be.closeTo(261.63 * 5 / 3, 0.0001);
+				expect(tuning.midiToFrequency(72)).to.be.closeTo(261.63 * 2, 0.0001);
+				expect(tuning.midiToFrequency(57)).to.be.closeTo(261.63 * 5 / 6, 0.0001);
+				tuning.dispose();
+			});
+
+			it ("plays the keys which are not mapped like the key below them", function(){
+				var tuning = new Tuning({
+					"scale" : ["9/8", "5/4", "4/3", "3/2", "5/3", "15/8", "2/1"],
+					"kbm" : whiteKeysKbm
+				});
+				expect(tuning.midiToFrequency(61)).to.be.closeTo(tuning.midiToFrequency(60), 0.0001);
+				expect(tuning.frequencyToMidi(261.63 * 3 / 2)).to.equal(67);
+				tuning.dispose();
+			});
+
+			it ("can map the keys linearly", function(){
+				var tuning = new Tuning({
+					"scale" : [200, 400, 600, 800, 1000, 1200],
+					"kbm" : "0\n0\n127\n60\n60\n256\n0\n"
+				});
+				expect(tuning.mapping).to.be.null;
+				expect(tuning.midiToFrequency(60)).to.be.closeTo(256, 0.0001);
+				expect(tuning.midiToFrequency(66)).to.be.closeTo(512, 0.0001);
+				expect(tuning.midiToFrequency(63)).to.be.closeTo(256 * Math.SQRT2, 0.0001);
+				tuning.dispose();
+			});
+
+			it ("throws an error if the .kbm file is invalid", function(){
+				var tuning = new Tuning();
+				expect(function(){
+					tuning.loadKbm("12\n0\n127");
+				}).to.throw(Error);
+				tuning.dispose();
+			});
+		});
+
+		context("Frequency", function(){
+
+			var defaultTuning = Frequency.tuning;
+
+			afterEach(function(){
+				Frequency.tuning = defaultTuning;
+			});
+
+			it ("converts notes with the tuning of Tone.Frequency", function(){
+				Frequency.tuning = Tuning.edo(24);
+				expect(Frequency("A4").eval()).to.be.closeTo(440, 0.0001);
+				expect(Frequency("A#4").eval()).to.be.closeTo(440 * Math.pow(2, 1 / 24), 0.0001);
+				expect(Frequency(70, "midi").eval()).to.be.closeTo(440 * Math.pow(2, 1 / 24), 0.0001);
+				expect(Frequency(440 * Math.pow(2, 1 / 24)).toMidi()).to.be.closeTo(70, 0.0001);
+				expect(Frequency("A4").transpose(24).eval()).to.be.closeTo(880, 0.0001);
+			});
+
+			it ("converts a frequency of 0 to MIDI", function(){
+				expect(Frequency(0).toMidi()).to.equal(-Infinity);
+			});
+
+			it ("sets the reference frequency of the tuning with A4", function(){
+				var tuning = Frequency.tuning = new Tuning();
+				Frequency.A4 = 432;
+				expect(tuning.frequency).to.be.closeTo(432, 0.0001);
+				expect(Frequency.A4).to.be.closeTo(432, 0.0001);
+				expect(Frequency("A3").eval()).to.be.closeTo(216, 0.0001);
+			});
+
+			it ("can convert a frequency with another tuning", function(){
+				var frequency = Frequency("C#4");
+				frequency.tuning = Tuning.edo(5);
+				expect(frequency.eval()).to.be.closeTo(440 * Math.pow(2, -8 / 5), 0.0001);
+				expect(Frequency("C#4").eval()).to.be.closeTo(277.1826, 0.0001);
+			});
+		});
+	});
+});
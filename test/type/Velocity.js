@@ -0,0 +1,124 @@
+define(["helper/Basic", "Tone/type/Velocity", "Tone/core/Tone", "Tone/type/Type"],
+	function (Basic, Velocity, Tone) {
+
+	describe("Velocity", function(){
+
+		Basic(Velocity);
+
+		context("Constructor", function(){
+
+			it("can be made with or without 'new'", function(){
+				var v0 = Velocity();
+				expect(v0).to.be.instanceOf(Velocity);
+				v0.dispose();
+				var v1 = new Velocity();
+				expect(v1).to.be.instanceOf(Velocity);
+				v1.dispose();
+			});
+
+			it("with no arguments evaluates to 1", function(){
+				expect(Velocity().eval()).to.equal(1);
+			});
+		});
+
+		context("Eval Types", function(){
+
+			it("evaluates numbers as velocities between 0 and 1", function(){
+				expect(Velocity(0.5).eval()).to.equal(0.5);
+				expect(Velocity("0.25").eval()).to.equal(0.25);
+				expect(Velocity(2).eval()).to.equal(1);
+				expect(Velocity(-1).eval()).to.equal(0);
+			});
+
+			it("evaluates MIDI velocities", function(){
+				expect(Velocity(127, "midi").eval()).to.equal(1);
+				expect(Velocity(64, "midi").eval()).to.be.closeTo(64 / 127, 0.0001);
+				expect(Velocity("100midi").eval()).to.be.closeTo(100 / 127, 0.0001);
+				expect(Velocity(0, "midi").eval()).to.equal(0);
+			});
+
+			it("evaluates dynamic markings", function(){
+				expect(Velocity("ppp").eval()).to.be.closeTo(16 / 127, 0.0001);
+				expect(Velocity("mf").eval()).to.be.closeTo(80 / 127, 0.0001);
+				expect(Velocity("fff").eval()).to.equal(1);
+				expect(Velocity("p").eval()).to.be.below(Velocity("mp").eval());
+				expect(Velocity("ff", "dynamic").eval()).to.be.closeTo(112 / 127, 0.0001);
+			});
+
+			it("throws an error if the velocity is invalid", function(){
+				expect(function(){
+					Velocity("ffff");
+				}).to.throw(Error);
+				expect(function(){
+					Velocity(0.5, "decibels");
+				}).to.throw(Error);
+			});
+		});
+
+		context("Conversions", function(){
+
+			it("can convert velocities to MIDI velocities", function(){
+				expect(Velocity(1).toMidi()).to.equal(127);
+				expect(Velocity("f").toMidi()).to.equal(96);
+				expect(Velocity(0.5).toMidi()).to.equal(64);
+			});
+
+			it("can convert velocities to dynamic markings", function(){
+				expect(Velocity(100, "midi").toDynamic()).to.equal("f");
+				expect(Velocity(0.5).toDynamic()).to.equal("mp");
+				expect(Velocity(0).toDynamic()).to.equal("ppp");
+				expect(Velocity(1).toDynamic()).to.equal("fff");
+			});
+
+			it("converts velocities with Tone.toVelocity", function(){
+				var tone = new Tone();
+				expect(tone.toVelocity(0.3)).to.equal(0.3);
+				expect(tone.toVelocity()).to.equal(1);
+				expect(tone.toVelocity("mp")).to.be.closeTo(64 / 127, 0.0001);
+				expect(tone.toVelocity(Velocity(127, "midi"))).to.equal(1);
+				expect(tone.toVelocity(null)).to.equal(1);
+				expect(function(){
+					tone.toVelocity({});
+				}).to.throw(TypeError);
+				tone.dispose();
+			});
+		});
+
+		context("Curves", function(){
+
+			it("maps velocities linearly", function(){
+				expect(Velocity.applyCurve(0.3, "linear")).to.be.closeTo(0.3, 0.0001);
+				expect(Velocity.applyCurve(1, "linear")).to.equal(1);
+				//passes through velocities above 1
+				expect(Velocity.applyCurve(1.5, "linear")).to.equal(1.5);
+			});
+
+			it("maps velocities exponentially", function(){
+				expect(Velocity.applyCurve(1, "exponential")).to.be.closeTo(1, 0.0001);
+				expect(Velocity.applyCurve(0.5, "exponential")).to.be.closeTo(0.1, 0.001);
+				expect(Velocity.applyCurve(0, "exponential")).to.equal(0);
+			});
+
+			it("interpolates a table of gains", function(){
+				var table = [0, 0.1, 1];
+				expect(Velocity.applyCurve(0, table)).to.equal(0);
+				expect(Velocity.applyCurve(0.25, table)).to.be.closeTo(0.05, 0.0001);
+				expect(Velocity.applyCurve(0.75, table)).to.be.closeTo(0.55, 0.0001);
+				expect(Velocity.applyCurve(1, table)).to.equal(1);
+				expect(Velocity.applyCurve(1.5, table)).to.equal(1);
+			});
+
+			it("can map velocities with a function", function(){
+				expect(Velocity.applyCurve(0.5, function(velocity){
+					return velocity * velocity;
+				})).to.be.closeTo(0.25, 0.0001);
+			});
+
+			it("throws an error if the curve is invalid", function(){
+				expect(function(){
+					Velocity.applyCurve(0.5, "logarithmic");
+				}).to.throw(Error);
+			});
+		});
+	});
+});